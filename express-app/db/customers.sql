@@ -0,0 +1,25 @@
+-- customers table as read and written by the /voice endpoint.
+-- Several rows may share a phone_number (family lines); callers are then asked who is calling.
+CREATE TABLE IF NOT EXISTS customers (
+  id SERIAL PRIMARY KEY,
+  tenant_id TEXT, -- Business the customer called (lib/tenants.js); NULL and 'default' are the default tenant, whatever its ID
+  first_name TEXT NOT NULL,
+  last_name TEXT NOT NULL DEFAULT '',
+  email TEXT,
+  phone_number TEXT NOT NULL, -- E.164, e.g. +15551234567
+  timezone TEXT, -- IANA zone the caller is spoken to in; NULL uses BUSINESS_TIMEZONE
+  preferred_language TEXT, -- Language chosen by the caller, used when detection is unsure
+  easy_appointments_id TEXT, -- Customer ID in Easy!Appointments; NULL when it equals id
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS customers_phone_number_idx ON customers (phone_number);
+CREATE INDEX IF NOT EXISTS customers_tenant_phone_number_idx ON customers (tenant_id, phone_number);
+
+-- Existing installations:
+-- ALTER TABLE customers ADD COLUMN IF NOT EXISTS first_name TEXT;
+-- ALTER TABLE customers ADD COLUMN IF NOT EXISTS last_name TEXT;
+-- ALTER TABLE customers ADD COLUMN IF NOT EXISTS timezone TEXT;
+-- ALTER TABLE customers ADD COLUMN IF NOT EXISTS preferred_language TEXT;
+-- ALTER TABLE customers ADD COLUMN IF NOT EXISTS easy_appointments_id TEXT;
+-- ALTER TABLE customers ADD COLUMN IF NOT EXISTS tenant_id TEXT;
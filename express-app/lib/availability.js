@@ -0,0 +1,114 @@
+/**
+ * Slot availability search on top of the Easy!Appointments client.
+ *
+ * Checks whether a requested start time is free with any provider that offers
+ * the service and, when it is not, collects the nearest open alternatives so
+ * the caller can be offered a choice instead of a dead end.
+ */
+
+/**
+ * Returns the YYYY-MM-DD date `days` after the given one.
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Number of days to add
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Minutes between two date/time pairs, ignoring timezones (both are wall-clock times).
+ * @param {{date: string, time: string}} a
+ * @param {{date: string, time: string}} b
+ * @returns {number} - Absolute distance in minutes
+ */
+function distanceInMinutes(a, b) {
+  const toMinutes = ({ date, time }) => Date.parse(`${date}T${time}:00Z`) / 60000;
+  return Math.abs(toMinutes(a) - toMinutes(b));
+}
+
+/**
+ * The open slots nearest a requested time, one per date/time (the caller picks
+ * a time, not a provider), nearest first.
+ * @param {object[]} slots - Open slots
+ * @param {{date: string, time: string}} requested - Requested slot
+ * @param {number} count - How many to keep
+ * @returns {object[]}
+ */
+function nearestSlots(slots, requested, count) {
+  const unique = new Map();
+  for (const slot of slots) {
+    const key = `${slot.date} ${slot.time}`;
+    if (!unique.has(key)) unique.set(key, slot);
+  }
+  return [...unique.values()]
+    .sort((a, b) => distanceInMinutes(a, requested) - distanceInMinutes(b, requested))
+    .slice(0, count);
+}
+
+/**
+ * Fetches the free times of every candidate provider for one day.
+ * @param {object} client - Easy!Appointments client
+ * @param {object[]} providers - Candidate providers
+ * @param {string|number} serviceId - Service ID
+ * @param {string} date - Day to check (YYYY-MM-DD)
+ * @returns {Promise<Array<{date: string, time: string, providerId: (string|number)}>>}
+ */
+async function openSlotsOnDay(client, providers, serviceId, date) {
+  const perProvider = await Promise.all(providers.map(async provider => {
+    const times = await client.getAvailabilities(provider.id, serviceId, date);
+    return times.map(time => ({ date, time, providerId: provider.id }));
+  }));
+  return perProvider.flat();
+}
+
+/**
+ * Checks a requested slot and finds alternatives if it is taken.
+ * @param {object} client - Easy!Appointments client
+ * @param {object} request
+ * @param {string} request.date - Requested day (YYYY-MM-DD)
+ * @param {string} request.time - Requested start (HH:MM)
+ * @param {string|number} request.serviceId - Service ID
+ * @param {string|number} [request.providerId] - Preferred provider; any provider if omitted
+ * @param {number} [request.searchDays=7] - How many days ahead to look for alternatives
+ * @param {number} [request.maxAlternatives=3] - How many alternatives to return
+ * @param {function(object): boolean} [request.accept] - Which open slots may be offered (e.g., the business's booking rules)
+ * @returns {Promise<{available: boolean, providerId: (string|number|null), alternatives: object[]}>}
+ */
+async function findSlot(client, { date, time, serviceId, providerId, searchDays = 7, maxAlternatives = 3, accept = () => true }) {
+  let providers = await client.listProviders(serviceId);
+  if (providerId != null) {
+    const preferred = providers.filter(provider => String(provider.id) === String(providerId));
+    if (preferred.length > 0) providers = preferred;
+  }
+  if (providers.length === 0) {
+    throw new Error(`No provider offers service ${serviceId}.`);
+  }
+
+  const requested = { date, time };
+  const openSlots = async day => (await openSlotsOnDay(client, providers, serviceId, day)).filter(accept);
+  const sameDay = await openSlots(date);
+  const match = sameDay.find(slot => slot.time === time);
+  if (match) {
+    return { available: true, providerId: match.providerId, alternatives: [] };
+  }
+
+  // Look further ahead until no later day can hold a slot nearer than the ones found:
+  // a day's slots are at least as far from the request as its midnight
+  let nearest = nearestSlots(sameDay, requested, maxAlternatives);
+  for (let offset = 1; offset <= searchDays; offset++) {
+    const day = addDays(date, offset);
+    if (nearest.length >= maxAlternatives &&
+      distanceInMinutes({ date: day, time: '00:00' }, requested) >= distanceInMinutes(nearest[nearest.length - 1], requested)) {
+      break;
+    }
+    nearest = nearestSlots(nearest.concat(await openSlots(day)), requested, maxAlternatives);
+  }
+  const alternatives = nearest.sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+
+  return { available: false, providerId: null, alternatives };
+}
+
+module.exports = { findSlot, addDays, distanceInMinutes };
@@ -0,0 +1,202 @@
+const { addDays, distanceInMinutes } = require('./availability');
+const { fromWallClock, toWallClock } = require('./time');
+
+/**
+ * Booking rules: which start times a business accepts, checked before the
+ * scheduling backend is asked for availability.
+ *
+ * Rules cover weekly opening hours (several ranges per day for lunch breaks),
+ * closure dates such as holidays, a minimum lead time, a maximum booking
+ * horizon, the grid start times snap to, and each service's duration. All
+ * dates and times are wall-clock values in the business's timezone.
+ */
+
+const HH_MM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const NEAREST_SEARCH_DAYS = 31; // How far either side of a rejected time to look for an allowed one
+
+const DEFAULT_OPENING_HOURS = [{ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }];
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function toTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function weekdayOf(date) {
+  return new Date(`${date}T12:00:00Z`).getUTCDay();
+}
+
+/**
+ * Validates opening hours: one { days, start, end } range or a list of them.
+ * @param {object|object[]} hours - Configured hours (days: 0 = Sunday)
+ * @returns {Array<{days: number[], start: string, end: string}>}
+ */
+function normalizeOpeningHours(hours) {
+  const ranges = Array.isArray(hours) ? hours : [hours];
+  const valid = ranges.length > 0 && ranges.every(range => range && Array.isArray(range.days) &&
+    range.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+    HH_MM.test(range.start) && HH_MM.test(range.end) && range.start < range.end);
+  if (!valid) {
+    throw new Error('opening hours must be { days: [0-6], start: "HH:MM", end: "HH:MM" } ranges with start before end');
+  }
+  return ranges.map(({ days, start, end }) => ({ days, start, end }));
+}
+
+/**
+ * Validates closure dates: "YYYY-MM-DD", { date, name } or { from, to, name }.
+ * @param {Array<string|object>} closures - Configured closures
+ * @returns {Array<{from: string, to: string, name: (string|null)}>}
+ */
+function normalizeClosures(closures) {
+  return closures.map(closure => {
+    const entry = typeof closure === 'string' ? { date: closure } : closure || {};
+    const from = entry.from || entry.date;
+    const to = entry.to || from;
+    if (!DATE.test(from || '') || !DATE.test(to || '') || to < from) {
+      throw new Error(`closure ${JSON.stringify(closure)} must be "YYYY-MM-DD", { date } or { from, to } with from before to`);
+    }
+    return { from, to, name: entry.name || null };
+  });
+}
+
+/**
+ * Creates a business's booking rules.
+ * @param {object} options
+ * @param {string} options.timeZone - IANA timezone of the business
+ * @param {object|object[]} [options.openingHours] - Weekly ranges (see normalizeOpeningHours); Monday to Friday 09:00-17:00 if omitted
+ * @param {Array<string|object>} [options.closures] - Closed dates (see normalizeClosures)
+ * @param {number} [options.minLeadMinutes=60] - How soon a booking may start
+ * @param {number} [options.maxDaysAhead=90] - How many days ahead bookings are taken (0 for no limit)
+ * @param {number} [options.slotMinutes=15] - Grid start times are snapped to
+ * @param {number} [options.defaultDurationMinutes=30] - Duration of services without their own
+ * @param {Object<string, number>} [options.serviceDurations] - Minutes per service ID
+ * @param {function(): Date} [options.now] - Clock, replaceable for tests
+ * @returns {object} - Rules
+ */
+function createBookingRules({
+  timeZone,
+  openingHours = DEFAULT_OPENING_HOURS,
+  closures = [],
+  minLeadMinutes = 60,
+  maxDaysAhead = 90,
+  slotMinutes = 15,
+  defaultDurationMinutes = 30,
+  serviceDurations = {},
+  now = () => new Date()
+}) {
+  const ranges = normalizeOpeningHours(openingHours);
+  const closed = normalizeClosures(closures);
+  for (const [name, value] of Object.entries({ minLeadMinutes, maxDaysAhead })) {
+    if (!Number.isFinite(value) || value < 0) throw new Error(`${name} must be zero or more`);
+  }
+  if (!Number.isInteger(slotMinutes) || slotMinutes <= 0 || 1440 % slotMinutes !== 0) {
+    throw new Error('slotMinutes must divide a day into whole slots (e.g., 5, 10, 15, 30, 60)');
+  }
+  for (const [serviceId, minutes] of Object.entries(serviceDurations)) {
+    if (!Number.isFinite(minutes) || minutes <= 0) throw new Error(`duration of service ${serviceId} must be a positive number of minutes`);
+  }
+
+  const durationFor = serviceId => serviceDurations[serviceId] ?? defaultDurationMinutes;
+  const closureOn = date => closed.find(closure => closure.from <= date && date <= closure.to);
+  const rangesOn = date => ranges.filter(range => range.days.includes(weekdayOf(date)));
+  const earliest = () => new Date(now().getTime() + minLeadMinutes * 60000);
+  const lastDate = () => maxDaysAhead ? addDays(toWallClock(now(), timeZone).date, maxDaysAhead) : null;
+
+  /**
+   * Explains why a start time is not accepted.
+   * @param {{date: string, time: string}} slot - Requested start
+   * @param {string|number} serviceId - Service ID
+   * @returns {object|null} - { reason, ... } or null when the time is accepted
+   */
+  function check(slot, serviceId) {
+    if (fromWallClock(slot, timeZone) < earliest()) return { reason: 'tooSoon', minLeadMinutes };
+    const latest = lastDate();
+    if (latest && slot.date > latest) return { reason: 'tooFar', maxDaysAhead };
+    const closure = closureOn(slot.date);
+    if (closure) return { reason: 'holiday', date: slot.date, name: closure.name };
+    const open = rangesOn(slot.date);
+    if (open.length === 0) return { reason: 'closedDay', date: slot.date };
+    const start = toMinutes(slot.time);
+    const end = start + durationFor(serviceId);
+    if (!open.some(range => toMinutes(range.start) <= start && end <= toMinutes(range.end))) {
+      return { reason: 'outsideHours', date: slot.date, openingHours: open.map(({ start: from, end: to }) => ({ start: from, end: to })) };
+    }
+    return null;
+  }
+
+  /**
+   * Lists the accepted start times on one day, on the slot grid.
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @param {string|number} serviceId - Service ID
+   * @returns {Array<{date: string, time: string}>}
+   */
+  function allowedTimesOn(date, serviceId) {
+    const duration = durationFor(serviceId);
+    const times = [];
+    for (const range of rangesOn(date)) {
+      const first = Math.ceil(toMinutes(range.start) / slotMinutes) * slotMinutes;
+      for (let start = first; start + duration <= toMinutes(range.end); start += slotMinutes) {
+        times.push({ date, time: toTime(start) });
+      }
+    }
+    return times.filter(slot => !check(slot, serviceId));
+  }
+
+  return {
+    openingHours: ranges,
+    slotMinutes,
+    durationFor,
+    check,
+
+    /**
+     * Whether a start time is accepted.
+     * @param {{date: string, time: string}} slot - Start
+     * @param {string|number} serviceId - Service ID
+     * @returns {boolean}
+     */
+    isAllowed: (slot, serviceId) => !check(slot, serviceId),
+
+    /**
+     * Rounds a start time to the nearest point on the slot grid (2:10 -> 2:15 on a 15-minute grid).
+     * @param {{date: string, time: string}} slot - Start
+     * @returns {{date: string, time: string}}
+     */
+    snap(slot) {
+      const rounded = Math.round(toMinutes(slot.time) / slotMinutes) * slotMinutes;
+      return rounded >= 1440
+        ? { date: addDays(slot.date, 1), time: toTime(rounded - 1440) }
+        : { date: slot.date, time: toTime(rounded) };
+    },
+
+    /**
+     * Finds the accepted start time closest to a rejected one.
+     * @param {{date: string, time: string}} slot - Requested start
+     * @param {string|number} serviceId - Service ID
+     * @returns {{date: string, time: string}|null} - Nearest accepted start, or null if none is near
+     */
+    nearest(slot, serviceId) {
+      // Search around the closest day bookings are taken on
+      const first = toWallClock(earliest(), timeZone).date;
+      const latest = lastDate();
+      const anchor = slot.date < first ? first : (latest && slot.date > latest ? latest : slot.date);
+      let best = null;
+      for (let offset = 0; offset <= NEAREST_SEARCH_DAYS; offset++) {
+        const days = offset === 0 ? [anchor] : [addDays(anchor, -offset), addDays(anchor, offset)];
+        for (const date of days) {
+          for (const candidate of allowedTimesOn(date, serviceId)) {
+            if (!best || distanceInMinutes(candidate, slot) < distanceInMinutes(best, slot)) best = candidate;
+          }
+        }
+        // Anything on a later day is at least a day further away
+        if (best && distanceInMinutes(best, slot) <= (offset - 1) * 1440) break;
+      }
+      return best;
+    }
+  };
+}
+
+module.exports = { createBookingRules, normalizeOpeningHours, normalizeClosures, DEFAULT_OPENING_HOURS };
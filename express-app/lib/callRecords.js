@@ -0,0 +1,84 @@
+/**
+ * What a call_analytics record carries besides the raw call fields, so the
+ * dashboard's call log can filter and search it with plain Firestore queries.
+ *
+ * Transcripts are "Speaker: text" lines (see twilio-functions/stream.js); a line
+ * without a speaker continues the one before. Search works on `searchTokens`, the
+ * distinct words of the transcript and its English translation, folded to
+ * lowercase without accents: Firestore has no full-text search, but
+ * `array-contains` on such a list finds every call that used a word.
+ */
+
+const MAX_SEARCH_TOKENS = 500; // Keeps long calls well under Firestore's document size limit
+
+// Booking funnel, in order; booking itself shows in the record of the booked appointment
+const FUNNEL_STAGES = ['started', 'customerFound', 'dateParsed'];
+
+/**
+ * Splits a transcript into speaker-labelled turns.
+ * @param {string} transcript - "Caller: ...\nReceptionist: ..." lines
+ * @returns {{speaker: string, text: string}[]} - Turns in order; unlabelled text has speaker ''
+ */
+function transcriptTurns(transcript) {
+  const turns = [];
+  for (const line of String(transcript || '').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const labelled = line.match(/^\s*([A-Za-z][\w ]{0,30}):\s*(.*)$/);
+    if (labelled) {
+      turns.push({ speaker: labelled[1], text: labelled[2].trim() });
+    } else if (turns.length > 0) {
+      turns[turns.length - 1].text = `${turns[turns.length - 1].text} ${line.trim()}`.trim();
+    } else {
+      turns.push({ speaker: '', text: line.trim() });
+    }
+  }
+  return turns;
+}
+
+/**
+ * Writes turns back as transcript lines.
+ * @param {{speaker: string, text: string}[]} turns
+ * @returns {string}
+ */
+function formatTurns(turns) {
+  return turns.map(({ speaker, text }) => (speaker ? `${speaker}: ${text}` : text)).join('\n');
+}
+
+/**
+ * Folds what was said into search words (the dashboard folds what is typed the same way).
+ * @param {...string} transcripts - Transcripts to index; speaker labels are left out
+ * @returns {string[]} - Distinct words of two or more letters/digits
+ */
+function searchTokens(...transcripts) {
+  const words = transcripts.flatMap(transcript => transcriptTurns(transcript).map(turn => turn.text)).join(' ')
+    .normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 2);
+  return [...new Set(words)].slice(0, MAX_SEARCH_TOKENS);
+}
+
+/**
+ * Sums a call record up in one filterable value.
+ * @param {object} fields - Record fields (appointmentBooked, appointmentRescheduled, ...)
+ * @returns {'booked'|'rescheduled'|'cancelled'|'handoff'|'failed'|'other'}
+ */
+function callOutcome(fields) {
+  if (fields.appointmentBooked) return 'booked';
+  if (fields.appointmentRescheduled) return 'rescheduled';
+  if (fields.appointmentCancelled) return 'cancelled';
+  if (fields.handoffReason) return 'handoff';
+  if (fields.failureReason) return 'failed';
+  return 'other';
+}
+
+/**
+ * Whether a funnel stage goes beyond the one a call has reached.
+ * @param {string|null} reached - Stage recorded so far (null before any)
+ * @param {string} stage - Stage the call is at now
+ * @returns {boolean}
+ */
+function isFurtherStage(reached, stage) {
+  return FUNNEL_STAGES.indexOf(stage) > FUNNEL_STAGES.indexOf(reached);
+}
+
+module.exports = { FUNNEL_STAGES, transcriptTurns, formatTurns, searchTokens, callOutcome, isFurtherStage };
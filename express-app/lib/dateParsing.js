@@ -0,0 +1,72 @@
+const chrono = require('chrono-node');
+const { getOffsetMinutes } = require('./time');
+const { baseLanguage } = require('./intent');
+
+// chrono locale parsers, by base language code
+const LOCALE_PARSERS = {
+  en: chrono.en,
+  de: chrono.de,
+  es: chrono.es,
+  fi: chrono.fi,
+  fr: chrono.fr,
+  it: chrono.it,
+  ja: chrono.ja,
+  nl: chrono.nl,
+  pt: chrono.pt,
+  ru: chrono.ru,
+  sv: chrono.sv,
+  uk: chrono.uk,
+  vi: chrono.vi,
+  zh: chrono.zh
+};
+
+/**
+ * Returns true if chrono can parse dates in this language directly.
+ * @param {string} language - Language code (e.g., 'es', 'pt-BR')
+ * @returns {boolean}
+ */
+function hasNativeParser(language) {
+  return Object.prototype.hasOwnProperty.call(LOCALE_PARSERS, baseLanguage(language));
+}
+
+/**
+ * Extracts the booking slots a caller actually mentioned from chrono results.
+ * chrono fills in every component of a date, so only the certain ones count:
+ * "next Tuesday" yields a date but no time, "around 3pm" a time but no date.
+ * Components are wall-clock values in the zone of the parsing reference.
+ * @param {Array} results - Output of chrono.parse
+ * @returns {{date: (string|null), time: (string|null)}} - Heard slot values
+ */
+function extractSlots(results) {
+  const pad = n => String(n).padStart(2, '0');
+  const slots = { date: null, time: null };
+  for (const result of results) {
+    const start = result.start;
+    if (!slots.date && (start.isCertain('day') || start.isCertain('weekday'))) {
+      slots.date = `${start.get('year')}-${pad(start.get('month'))}-${pad(start.get('day'))}`;
+    }
+    if (!slots.time && start.isCertain('hour')) {
+      slots.time = `${pad(start.get('hour'))}:${pad(start.get('minute') || 0)}`;
+    }
+  }
+  return slots;
+}
+
+/**
+ * Parses the date/time slots out of an utterance, relative to "now" in the
+ * given timezone, so "tomorrow" means tomorrow for the caller and not for the
+ * server.
+ * @param {string} text - Caller utterance
+ * @param {object} options
+ * @param {string} options.timeZone - IANA timezone the caller speaks in
+ * @param {Date} [options.now=new Date()] - Reference instant
+ * @param {string} [options.language='en'] - Language of the utterance; must have a native parser
+ * @returns {{date: (string|null), time: (string|null)}} - Heard slot values
+ */
+function parseSlots(text, { timeZone, now = new Date(), language = 'en' }) {
+  const parser = LOCALE_PARSERS[baseLanguage(language)] || LOCALE_PARSERS.en;
+  const reference = { instant: now, timezone: getOffsetMinutes(now, timeZone) };
+  return extractSlots(parser.parse(text, reference, { forwardDate: true }));
+}
+
+module.exports = { parseSlots, extractSlots, hasNativeParser };
@@ -0,0 +1,145 @@
+/**
+ * Per-call dialogue session store.
+ *
+ * A session holds everything the /voice endpoint has learned about the caller's
+ * request so far (the booking slots, the language and where we are in the
+ * conversation) so that consecutive turns of the same call build on each other
+ * instead of starting over. Sessions live in Redis under `session:<callId>` and
+ * fall back to an in-process Map when Redis is not configured (local dev only:
+ * the fallback is not shared between server instances).
+ */
+
+const SESSION_KEY_PREFIX = 'session:';
+
+// Conversation states
+const STATUS = {
+  COLLECTING: 'collecting', // Still gathering date/time
+  AWAITING_CONFIRMATION: 'awaiting_confirmation', // Asked "shall I confirm?"
+  CONFIRMED: 'confirmed' // Booking made, nothing left to collect
+};
+
+const memoryStore = new Map();
+
+function readMemory(key) {
+  const entry = memoryStore.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt < Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return entry.raw;
+}
+
+/**
+ * Creates an empty session for a call.
+ * @param {string} callId - Call identifier (call_id / CallSid)
+ * @param {object} defaults - Initial slot values (e.g., { service, provider })
+ * @returns {object} - New session
+ */
+function createSession(callId, defaults = {}) {
+  return {
+    callId,
+    status: STATUS.COLLECTING,
+    language: null,
+    languageChoices: [], // Languages offered when detection was unsure, until the caller picks one
+    pendingUtterance: null, // Utterance held back while the caller picks a language or is identified
+    customerId: null, // Customer identified on a shared line, or registered during the call
+    onboarding: null, // Progress identifying or registering the caller ({ step, name, attempts })
+    slots: {
+      date: null, // YYYY-MM-DD
+      time: null, // HH:MM (24h)
+      service: defaults.service ?? null,
+      provider: defaults.provider ?? null
+    },
+    alternatives: [], // Open slots offered when the requested one was taken
+    request: null, // What the caller said when the time now collected was first proposed (quoted in the booking notes)
+    intent: null, // book, reschedule, cancel, ...
+    targetAppointment: null, // Existing appointment being rescheduled or cancelled
+    dateParser: null, // 'native' or 'translated': how the collected date/time was parsed
+    failedParses: 0, // Consecutive turns without a date/time we could understand
+    negativeTurns: 0, // Consecutive caller turns with negative sentiment
+    handoff: null, // Set once the call is handed to staff ({ reason, at })
+    transcript: '', // Caller utterances so far, when the request does not carry a transcript
+    funnelStage: null, // Furthest booking funnel stage recorded for the call (see lib/callRecords.js)
+    turns: 0,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Loads the session for a call, creating a fresh one if none exists.
+ * @param {import('ioredis').Redis|undefined} redis - Redis client (optional)
+ * @param {string} callId - Call identifier
+ * @param {object} defaults - Slot defaults used when creating a new session
+ * @returns {Promise<object>} - Session object
+ */
+async function loadSession(redis, callId, defaults = {}) {
+  const key = SESSION_KEY_PREFIX + callId;
+  try {
+    const raw = redis ? await redis.get(key) : readMemory(key);
+    if (raw) {
+      return JSON.parse(raw);
+    }
+  } catch (error) {
+    console.error(`Error loading dialogue session for call ${callId}:`, error);
+  }
+  return createSession(callId, defaults);
+}
+
+/**
+ * Persists a session, refreshing its expiry.
+ * @param {import('ioredis').Redis|undefined} redis - Redis client (optional)
+ * @param {object} session - Session to save
+ * @param {number} ttlSeconds - Time to live in seconds
+ * @returns {Promise<void>}
+ */
+async function saveSession(redis, session, ttlSeconds) {
+  const key = SESSION_KEY_PREFIX + session.callId;
+  session.updatedAt = new Date().toISOString();
+  const raw = JSON.stringify(session);
+  try {
+    if (redis) {
+      await redis.set(key, raw, 'EX', ttlSeconds);
+    } else {
+      memoryStore.set(key, { raw, expiresAt: Date.now() + ttlSeconds * 1000 });
+    }
+  } catch (error) {
+    console.error(`Error saving dialogue session for call ${session.callId}:`, error);
+  }
+}
+
+/**
+ * Merges newly heard slot values into the session. Only non-empty values
+ * overwrite what was collected on earlier turns.
+ * @param {object} session - Session to update
+ * @param {object} slots - Partial slot values
+ * @returns {boolean} - True if any slot changed
+ */
+function mergeSlots(session, slots) {
+  let changed = false;
+  for (const [name, value] of Object.entries(slots)) {
+    if (value != null && session.slots[name] !== value) {
+      session.slots[name] = value;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Returns the names of the slots still needed before a booking can be proposed.
+ * @param {object} session - Session to inspect
+ * @returns {string[]} - Missing slot names ('date', 'time')
+ */
+function missingSlots(session) {
+  return ['date', 'time'].filter(name => !session.slots[name]);
+}
+
+module.exports = {
+  STATUS,
+  createSession,
+  loadSession,
+  saveSession,
+  mergeSlots,
+  missingSlots
+};
@@ -0,0 +1,136 @@
+const axios = require('axios');
+const { fromWallClock, convertWallClock, addMinutesToWallClock } = require('./time');
+
+/**
+ * Minimal Easy!Appointments REST API (v1) client.
+ * @param {object} options
+ * @param {string} options.baseUrl - Installation URL, e.g., https://easyappointments.yourdomain.com
+ * @param {string} options.apiKey - API key (sent as a Bearer token)
+ * @returns {object} - Client with provider, availability, customer and appointment helpers
+ */
+function createEasyAppointmentsClient({ baseUrl, apiKey }) {
+  const api = axios.create({
+    baseURL: `${baseUrl}/index.php/api/v1`,
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  return {
+    /**
+     * Lists the providers that offer a service.
+     * @param {string|number} serviceId - Service ID
+     * @returns {Promise<object[]>} - Provider records
+     */
+    async listProviders(serviceId) {
+      const response = await api.get('/providers');
+      return response.data.filter(provider =>
+        !serviceId || (provider.services || []).map(String).includes(String(serviceId))
+      );
+    },
+
+    /**
+     * Gets the free start times of a provider for a service on a given day.
+     * @param {string|number} providerId - Provider ID
+     * @param {string|number} serviceId - Service ID
+     * @param {string} date - Day to check (YYYY-MM-DD)
+     * @returns {Promise<string[]>} - Free start times (HH:MM)
+     */
+    async getAvailabilities(providerId, serviceId, date) {
+      const response = await api.get('/availabilities', { params: { providerId, serviceId, date } });
+      return response.data;
+    },
+
+    /**
+     * Creates a customer.
+     * Which fields are required depends on the installation's settings (email often is).
+     * @param {object} customer - Customer payload (firstName, lastName, email, phone)
+     * @returns {Promise<object>} - Created customer, including its id
+     */
+    async createCustomer(customer) {
+      const response = await api.post('/customers', customer);
+      return response.data;
+    },
+
+    /**
+     * Creates an appointment.
+     * @param {object} appointment - Appointment payload (start, end, customerId, serviceId, providerId, notes)
+     * @returns {Promise<object>} - Created appointment
+     */
+    async createAppointment(appointment) {
+      const response = await api.post('/appointments', appointment);
+      return response.data;
+    },
+
+    /**
+     * Lists a customer's appointments, oldest first.
+     * @param {string|number} customerId - Customer ID
+     * @returns {Promise<object[]>} - Appointment records
+     */
+    async listAppointments(customerId) {
+      const response = await api.get('/appointments', { params: { customerId, sort: '+start' } });
+      // Not every Easy!Appointments version filters on customerId, so filter here as well
+      return response.data
+        .filter(appointment => String(appointment.customerId) === String(customerId))
+        .sort((a, b) => a.start.localeCompare(b.start));
+    },
+
+    /**
+     * Updates an appointment (e.g., moves it to a new start/end).
+     * @param {string|number} appointmentId - Appointment ID
+     * @param {object} changes - Fields to update
+     * @returns {Promise<object>} - Updated appointment
+     */
+    async updateAppointment(appointmentId, changes) {
+      const response = await api.put(`/appointments/${appointmentId}`, changes);
+      return response.data;
+    },
+
+    /**
+     * Deletes (cancels) an appointment.
+     * @param {string|number} appointmentId - Appointment ID
+     * @returns {Promise<void>}
+     */
+    async deleteAppointment(appointmentId) {
+      await api.delete(`/appointments/${appointmentId}`);
+    },
+
+    /**
+     * Links to an appointment in the Easy!Appointments back office (its calendar opens on it).
+     * @param {object} appointment - Appointment record, as created or updated
+     * @returns {string|null} - Back office URL, or null without the appointment's hash
+     */
+    appointmentUrl(appointment) {
+      return appointment?.hash ? `${baseUrl}/index.php/backend/index/${encodeURIComponent(appointment.hash)}` : null;
+    }
+  };
+}
+
+/**
+ * Builds the start/end strings Easy!Appointments expects ("YYYY-MM-DD HH:MM:SS",
+ * wall-clock time in the installation's timezone) for a slot the caller asked for.
+ * @param {{date: string, time: string}} slot - Requested start in the caller's timezone
+ * @param {number} durationMinutes - Appointment length
+ * @param {string} callerTimeZone - IANA timezone of the slot
+ * @param {string} businessTimeZone - IANA timezone Easy!Appointments runs in
+ * @returns {{start: string, end: string}} - Easy!Appointments date/time strings
+ */
+function toEasyAppointmentsRange(slot, durationMinutes, callerTimeZone, businessTimeZone) {
+  const start = convertWallClock(slot, callerTimeZone, businessTimeZone);
+  const end = addMinutesToWallClock(start, durationMinutes, businessTimeZone);
+  return { start: `${start.date} ${start.time}:00`, end: `${end.date} ${end.time}:00` };
+}
+
+/**
+ * Parses an Easy!Appointments date/time string ("YYYY-MM-DD HH:MM:SS").
+ * @param {string} value - Date/time string
+ * @param {string} businessTimeZone - IANA timezone Easy!Appointments runs in
+ * @returns {Date} - Instant
+ */
+function parseEasyAppointmentsDateTime(value, businessTimeZone) {
+  const [date, time] = value.split(' ');
+  return fromWallClock({ date, time: time.slice(0, 5) }, businessTimeZone);
+}
+
+module.exports = { createEasyAppointmentsClient, toEasyAppointmentsRange, parseEasyAppointmentsDateTime };
@@ -0,0 +1,130 @@
+const { normalizePhoneNumber } = require('./phone');
+const { baseLanguage } = require('./intent');
+
+/**
+ * Human handoff: when a call should go to a person, and the TwiML that moves it.
+ *
+ * Staff are reached through per-language queues: lists of numbers that are
+ * rung at once, the first to answer taking the call. When nobody answers (or a
+ * tenant has no staff for the language) the caller is asked to leave a
+ * voicemail. The markup is Twilio TwiML, which SignalWire's LaML also runs.
+ */
+
+// Why a call was handed off
+const REASON = {
+  REQUESTED: 'requested', // The caller asked for a person
+  NEGATIVE_SENTIMENT: 'negativeSentiment', // The caller sounded upset several turns running
+  NOT_UNDERSTOOD: 'notUnderstood' // We could not make out a date/time several times
+};
+
+/**
+ * Decides whether the call should go to a person.
+ * @param {object} call
+ * @param {boolean} [call.requested] - The caller asked for a person
+ * @param {number} [call.negativeTurns] - Consecutive caller turns with negative sentiment
+ * @param {number} [call.failedParses] - Consecutive turns we could not understand
+ * @param {object} policy - Tenant handoff settings ({ negativeTurns, maxFailedParses }; 0 disables either)
+ * @returns {string|null} - REASON value, or null to carry on
+ */
+function escalationReason({ requested = false, negativeTurns = 0, failedParses = 0 }, policy) {
+  if (requested) return REASON.REQUESTED;
+  if (policy.negativeTurns > 0 && negativeTurns >= policy.negativeTurns) return REASON.NEGATIVE_SENTIMENT;
+  if (policy.maxFailedParses > 0 && failedParses >= policy.maxFailedParses) return REASON.NOT_UNDERSTOOD;
+  return null;
+}
+
+/**
+ * Validates staff queues ({ "en": "+1212...", "es": ["+1...", "+1..."], "*": ... }).
+ * @param {object} queues - Numbers by language code; "*" serves any language
+ * @param {string} callingCode - Country calling code for numbers without one
+ * @returns {Object<string, string[]>} - E.164 numbers by lowercase language code
+ */
+function normalizeQueues(queues, callingCode) {
+  if (!queues || typeof queues !== 'object' || Array.isArray(queues)) {
+    throw new Error('handoff queues must map language codes to phone numbers');
+  }
+  return Object.fromEntries(Object.entries(queues).map(([language, value]) => {
+    const numbers = (Array.isArray(value) ? value : [value]).map(raw => {
+      const number = normalizePhoneNumber(raw, callingCode);
+      if (!number) throw new Error(`handoff queue "${language}": "${raw}" is not a phone number`);
+      return number;
+    });
+    return [language.toLowerCase(), numbers];
+  }));
+}
+
+/**
+ * Picks the staff numbers for a language: its own queue, then the fallback
+ * language's, then the "*" queue.
+ * @param {Object<string, string[]>} queues - Normalized queues
+ * @param {string} language - Caller's language code
+ * @param {string} fallbackLanguage - Tenant's default language
+ * @returns {string[]} - Numbers to ring (empty when nobody covers the language)
+ */
+function staffNumbers(queues, language, fallbackLanguage) {
+  const candidates = [language, baseLanguage(language), fallbackLanguage, baseLanguage(fallbackLanguage), '*'];
+  const key = candidates.map(code => code.toLowerCase()).find(code => queues[code]?.length > 0);
+  return key ? queues[key] : [];
+}
+
+const escapeXml = text => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+
+/**
+ * Plays synthesized audio when there is a URL for it, and otherwise has the
+ * telephony provider read the text.
+ * @param {{text: string, language: string, audioUrl: (string|undefined)}} announcement
+ * @returns {string} - <Play> or <Say> element
+ */
+function announce({ text, language, audioUrl }) {
+  return /^https?:\/\//.test(audioUrl || '')
+    ? `<Play>${escapeXml(audioUrl)}</Play>`
+    : `<Say language="${escapeXml(language)}">${escapeXml(text)}</Say>`;
+}
+
+const twimlDocument = body => `<?xml version="1.0" encoding="UTF-8"?><Response>${body}</Response>`;
+
+/**
+ * TwiML that rings the staff numbers; the action URL hears how the dial ended.
+ * @param {object} options
+ * @param {object} options.announcement - What to say first (see announce)
+ * @param {string[]} options.numbers - Staff numbers, rung at once
+ * @param {number} options.timeoutSeconds - How long to ring
+ * @param {string} options.actionUrl - Absolute URL for the Dial result
+ * @returns {string}
+ */
+function transferTwiml({ announcement, numbers, timeoutSeconds, actionUrl }) {
+  const dialed = numbers.map(number => `<Number>${escapeXml(number)}</Number>`).join('');
+  return twimlDocument(`${announce(announcement)}<Dial timeout="${timeoutSeconds}" action="${escapeXml(actionUrl)}">${dialed}</Dial>`);
+}
+
+/**
+ * TwiML that records a voicemail; the action URL receives the recording.
+ * @param {object} options
+ * @param {object} options.announcement - The voicemail prompt (see announce)
+ * @param {number} options.maxSeconds - Longest message accepted
+ * @param {string} options.actionUrl - Absolute URL for the recording
+ * @returns {string}
+ */
+function voicemailTwiml({ announcement, maxSeconds, actionUrl }) {
+  return twimlDocument(`${announce(announcement)}<Record maxLength="${maxSeconds}" playBeep="true" action="${escapeXml(actionUrl)}"/>`);
+}
+
+/**
+ * TwiML that ends the call, optionally after a last word.
+ * @param {object} [announcement] - What to say first (see announce)
+ * @returns {string}
+ */
+function hangupTwiml(announcement) {
+  return twimlDocument(`${announcement ? announce(announcement) : ''}<Hangup/>`);
+}
+
+module.exports = {
+  REASON,
+  escalationReason,
+  normalizeQueues,
+  staffNumbers,
+  transferTwiml,
+  voicemailTwiml,
+  hangupTwiml
+};
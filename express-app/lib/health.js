@@ -0,0 +1,136 @@
+/**
+ * Dependency health for GET /readyz and for turning calls away while a
+ * dependency the server cannot work without is down.
+ *
+ * Each check is an async function that resolves when its dependency answers.
+ * Critical checks (the customer database) make the server unready when they
+ * fail; the others only show up in the report, because the server keeps working
+ * without them (Redis falls back to memory, analytics are best effort, and each
+ * business's scheduler only affects that business).
+ */
+
+const DEFAULT_TIMEOUT_MS = 2000;
+
+// Rejects when a check takes longer than the timeout
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${timeoutMs} ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Creates the health monitor.
+ * @param {object} options
+ * @param {Array<{name: string, critical?: boolean, check: function(): Promise<*>}>} options.checks - Dependencies to check
+ * @param {number} [options.timeoutMs=2000] - A check taking longer counts as failed
+ * @param {function(object): void} [options.onReport] - Receives every report (e.g., for metrics)
+ * @param {function(): number} [options.now] - Clock in milliseconds, replaceable for tests
+ * @returns {object} - Monitor
+ */
+function createHealthMonitor({ checks, timeoutMs = DEFAULT_TIMEOUT_MS, onReport = () => {}, now = Date.now }) {
+  let latest = null;
+  let shuttingDown = false;
+  let timer = null;
+
+  const ready = report => !shuttingDown && !Object.values(report?.dependencies || {}).some(dependency => dependency.critical && dependency.status === 'down');
+
+  /**
+   * Checks every dependency now, logging those that went down or came back.
+   * @returns {Promise<object>} - Report: { status, ready, checkedAt, dependencies: { <name>: { status, critical, latencyMs, error? } } }
+   */
+  async function run() {
+    const results = await Promise.all(checks.map(async ({ name, critical = false, check }) => {
+      const started = now();
+      try {
+        await withTimeout(Promise.resolve().then(check), timeoutMs);
+        return [name, { status: 'up', critical, latencyMs: now() - started }];
+      } catch (error) {
+        return [name, { status: 'down', critical, latencyMs: now() - started, error: error.message }];
+      }
+    }));
+    const dependencies = Object.fromEntries(results);
+    for (const [name, dependency] of results) {
+      const before = latest?.dependencies[name]?.status;
+      if (dependency.status === before) continue;
+      if (dependency.status === 'down') {
+        console.error(`Dependency ${name}${dependency.critical ? ' (critical)' : ''} is down: ${dependency.error}`);
+      } else if (before) {
+        console.log(`Dependency ${name} is back up.`);
+      } else {
+        console.log(`Dependency ${name} is up.`);
+      }
+    }
+    const down = results.filter(([, dependency]) => dependency.status === 'down');
+    const report = {
+      status: down.length === 0 ? 'ok' : down.some(([, dependency]) => dependency.critical) ? 'failing' : 'degraded',
+      checkedAt: new Date(now()).toISOString(),
+      dependencies
+    };
+    report.ready = ready(report);
+    latest = report;
+    onReport(report);
+    return report;
+  }
+
+  return {
+    run,
+
+    /**
+     * The report of the latest check, or null before the first one finishes.
+     * @returns {object|null}
+     */
+    last() {
+      return latest;
+    },
+
+    /**
+     * Whether to take requests: not shutting down, and no critical dependency
+     * down at the latest check (the server counts as ready until the first one).
+     * @returns {boolean}
+     */
+    isReady() {
+      return ready(latest);
+    },
+
+    /**
+     * Marks the server as shutting down, so it reports itself unready.
+     */
+    markShuttingDown() {
+      shuttingDown = true;
+    },
+
+    isShuttingDown() {
+      return shuttingDown;
+    },
+
+    /**
+     * Checks now and then at every interval until stopped.
+     * @param {number} intervalMs - Check interval
+     */
+    start(intervalMs) {
+      if (timer || checks.length === 0) return;
+      let running = false;
+      const check = async () => {
+        if (running) return; // A slow check is still going
+        running = true;
+        try {
+          await run();
+        } finally {
+          running = false;
+        }
+      };
+      timer = setInterval(check, intervalMs);
+      timer.unref();
+      check();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { DEFAULT_TIMEOUT_MS, createHealthMonitor };
@@ -0,0 +1,214 @@
+/**
+ * Keyword-based understanding of caller utterances: intent classification,
+ * yes/no answers and ordinal choices ("the second one").
+ *
+ * Keywords exist for the languages below and are matched on the caller's own
+ * words, so these languages need no translation. Other languages must be
+ * translated to English first (see hasKeywords). Classification only
+ * recognizes explicit requests; anything else returns null so the call keeps
+ * its current intent (e.g., "3pm" while rescheduling stays a reschedule).
+ */
+
+const INTENT = {
+  BOOK: 'book',
+  RESCHEDULE: 'reschedule',
+  CANCEL: 'cancel',
+  QUERY_UPCOMING: 'query_upcoming',
+  HUMAN_HANDOFF: 'human_handoff'
+};
+
+// Whole-word match that also works for accented letters ("sí", "não")
+function words(list) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${list.join('|')})(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+// Japanese is written without spaces, so match anywhere
+function anywhere(list) {
+  return new RegExp(`(?:${list.join('|')})`, 'u');
+}
+
+// Per language: intent patterns (checked in order, first match wins),
+// yes/no answers and ordinals [first, second, third, last]. Asking for a person
+// must be explicit ("talk to a receptionist", not just "receptionist" or "talk to"),
+// since a handoff ends the booking: "my receptionist said I need a checkup" is still a booking.
+const KEYWORDS = {
+  en: {
+    intents: [
+      [INTENT.HUMAN_HANDOFF, words([
+        '(?:speak|talk) (?:to|with) (?:a |an |the |your )?(?:real |live )?(?:person|human|receptionist|operator|staff member|representative|someone|somebody)',
+        '(?:get|put me through to|transfer me to|connect me (?:to|with)) (?:a |an |the |your )?(?:real |live )?(?:person|human|receptionist|operator|staff member|representative)',
+        'real person', 'live person', 'human being'
+      ])],
+      [INTENT.CANCEL, words(['cancel', 'call off'])],
+      [INTENT.RESCHEDULE, words(['reschedule', 'move', 'postpone', 'push back', 'bring forward', 'change (?:my|the) appointment'])],
+      [INTENT.QUERY_UPCOMING, /\b(when is|what time is|what's|what is|do i have|remind me)\b.*\bappointment/i],
+      [INTENT.BOOK, words(['book', 'schedule', 'make an appointment', 'new appointment'])]
+    ],
+    affirmative: words(['yes', 'yeah', 'yep', 'sure', 'correct', 'confirm', 'ok', 'okay', 'please do', "that's right"]),
+    negative: words(['no', 'nope', 'not', "don't", 'wrong', 'change']),
+    ordinals: [
+      words(['first', '1st', '(?:number|option) one']),
+      words(['second', '2nd', '(?:number|option) two']),
+      words(['third', '3rd', '(?:number|option) three']),
+      words(['last', 'latest'])
+    ]
+  },
+  es: {
+    intents: [
+      [INTENT.HUMAN_HANDOFF, words(['hablar con (?:una |un |la |el )?(?:persona|humano|recepcionista|operadora?|alguien)', 'persona real', 'ser humano'])],
+      [INTENT.CANCEL, words(['cancelar', 'anular'])],
+      [INTENT.RESCHEDULE, words(['reprogramar', 'mover', 'aplazar', 'cambiar (?:la|mi) cita'])],
+      [INTENT.QUERY_UPCOMING, /(cu[aá]ndo|qu[eé] hora|tengo).*cita/iu],
+      [INTENT.BOOK, words(['reservar', 'agendar', 'pedir (?:una )?cita', 'programar'])]
+    ],
+    affirmative: words(['sí', 'si', 'claro', 'vale', 'de acuerdo', 'correcto', 'confirmo', 'por favor']),
+    negative: words(['no', 'incorrecto', 'cambiar']),
+    ordinals: [words(['primera', 'primero']), words(['segunda', 'segundo']), words(['tercera', 'tercero']), words(['última', 'último'])]
+  },
+  de: {
+    intents: [
+      [INTENT.HUMAN_HANDOFF, words([
+        'mit (?:einem |einer |der |dem )?(?:echten |richtigen )?(?:menschen|person|mitarbeiter(?:in)?|rezeption) (?:sprechen|verbinden)',
+        'mit jemandem sprechen', 'echten person', 'echten menschen'
+      ])],
+      [INTENT.CANCEL, words(['absagen', 'stornieren'])],
+      [INTENT.RESCHEDULE, words(['verschieben', 'umbuchen', 'verlegen', 'termin ändern'])],
+      [INTENT.QUERY_UPCOMING, /(wann|wie viel uhr|habe ich).*termin/iu],
+      [INTENT.BOOK, words(['buchen', 'vereinbaren', 'termin machen', 'reservieren'])]
+    ],
+    affirmative: words(['ja', 'genau', 'richtig', 'bestätigen', 'okay', 'in ordnung', 'gerne']),
+    negative: words(['nein', 'nicht', 'falsch', 'ändern']),
+    ordinals: [words(['erste', 'ersten', 'erster']), words(['zweite', 'zweiten', 'zweiter']), words(['dritte', 'dritten', 'dritter']), words(['letzte', 'letzten', 'letzter'])]
+  },
+  fr: {
+    intents: [
+      [INTENT.HUMAN_HANDOFF, words(["parler (?:à|a|avec) (?:une |un |la |le )?(?:personne|humain|réceptionniste|opérat(?:eur|rice)|quelqu'un)", 'vraie personne', 'être humain'])],
+      [INTENT.CANCEL, words(['annuler'])],
+      [INTENT.RESCHEDULE, words(['déplacer', 'reporter', 'décaler', 'changer (?:mon|le) rendez-vous'])],
+      [INTENT.QUERY_UPCOMING, /(quand|quelle heure|ai-je).*rendez-vous/iu],
+      [INTENT.BOOK, words(['réserver', 'prendre (?:un )?rendez-vous'])]
+    ],
+    affirmative: words(['oui', "d'accord", 'exactement', 'correct', 'confirme', 'parfait']),
+    negative: words(['non', 'pas', 'incorrect', 'changer']),
+    ordinals: [words(['premier', 'première']), words(['deuxième', 'second', 'seconde']), words(['troisième']), words(['dernier', 'dernière'])]
+  },
+  pt: {
+    intents: [
+      [INTENT.HUMAN_HANDOFF, words(['falar com (?:uma |um |a |o )?(?:pessoa|humano|atendente|recepcionista|alguém)', 'pessoa real', 'ser humano'])],
+      [INTENT.CANCEL, words(['cancelar', 'desmarcar'])],
+      [INTENT.RESCHEDULE, words(['remarcar', 'reagendar', 'adiar', 'mudar (?:a|minha) consulta'])],
+      [INTENT.QUERY_UPCOMING, /(quando|que horas|tenho).*consulta/iu],
+      [INTENT.BOOK, words(['marcar', 'agendar', 'reservar'])]
+    ],
+    affirmative: words(['sim', 'claro', 'certo', 'correto', 'confirmo', 'pode ser']),
+    negative: words(['não', 'nao', 'errado', 'mudar']),
+    ordinals: [words(['primeira', 'primeiro']), words(['segunda', 'segundo']), words(['terceira', 'terceiro']), words(['última', 'último'])]
+  },
+  it: {
+    intents: [
+      [INTENT.HUMAN_HANDOFF, words(["parlare con (?:una |un |l'|il |la )?(?:persona|operatore|operatrice|essere umano|qualcuno)", 'persona vera', 'persona reale', 'essere umano'])],
+      [INTENT.CANCEL, words(['cancellare', 'annullare', 'disdire'])],
+      [INTENT.RESCHEDULE, words(['spostare', 'rimandare', "cambiare (?:l'|il mio )?appuntamento"])],
+      [INTENT.QUERY_UPCOMING, /(quando|che ora|ho un).*appuntamento/iu],
+      [INTENT.BOOK, words(['prenotare', 'fissare'])]
+    ],
+    affirmative: words(['sì', 'si', 'certo', 'va bene', 'esatto', 'confermo', "d'accordo"]),
+    negative: words(['no', 'non', 'sbagliato', 'cambiare']),
+    ordinals: [words(['prima', 'primo']), words(['seconda', 'secondo']), words(['terza', 'terzo']), words(['ultima', 'ultimo'])]
+  },
+  nl: {
+    intents: [
+      [INTENT.HUMAN_HANDOFF, words(['spreken met (?:een |de )?(?:persoon|mens|medewerker|iemand)', 'met (?:een |de )?(?:persoon|mens|medewerker|iemand) (?:spreken|praten)', 'echte persoon', 'echt mens'])],
+      [INTENT.CANCEL, words(['annuleren', 'afzeggen'])],
+      [INTENT.RESCHEDULE, words(['verzetten', 'verplaatsen', 'omboeken'])],
+      [INTENT.QUERY_UPCOMING, /(wanneer|hoe laat|heb ik).*afspraak/iu],
+      [INTENT.BOOK, words(['boeken', 'afspraak maken', 'reserveren'])]
+    ],
+    affirmative: words(['ja', 'prima', 'klopt', 'goed', 'bevestig', 'akkoord']),
+    negative: words(['nee', 'niet', 'fout', 'veranderen']),
+    ordinals: [words(['eerste']), words(['tweede']), words(['derde']), words(['laatste'])]
+  },
+  ja: {
+    intents: [
+      [INTENT.HUMAN_HANDOFF, anywhere(['(?:スタッフ|受付|人)(?:と話|につな)'])],
+      [INTENT.CANCEL, anywhere(['キャンセル', '取り消'])],
+      [INTENT.RESCHEDULE, anywhere(['変更', '振替', 'ずらし'])],
+      [INTENT.QUERY_UPCOMING, /予約.*(いつ|何時|ありますか)/u],
+      [INTENT.BOOK, anywhere(['予約'])]
+    ],
+    affirmative: anywhere(['はい', 'ええ', 'お願いします', '大丈夫', 'そうです']),
+    negative: anywhere(['いいえ', '違います']),
+    ordinals: [anywhere(['最初', '一番目', '1番目']), anywhere(['二番目', '2番目']), anywhere(['三番目', '3番目']), anywhere(['最後'])]
+  }
+};
+
+/**
+ * Reduces a language tag to its base language ('pt-BR' -> 'pt').
+ * @param {string} language - Language code
+ * @returns {string} - Base language code
+ */
+function baseLanguage(language) {
+  return (language || 'en').split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * Returns true if utterances in this language can be understood without translation.
+ * @param {string} language - Language code
+ * @returns {boolean}
+ */
+function hasKeywords(language) {
+  return Object.prototype.hasOwnProperty.call(KEYWORDS, baseLanguage(language));
+}
+
+function keywordsFor(language) {
+  return KEYWORDS[baseLanguage(language)] || KEYWORDS.en;
+}
+
+/**
+ * Classifies an utterance.
+ * @param {string} text - Caller utterance
+ * @param {string} [language='en'] - Language of the utterance
+ * @returns {string|null} - One of INTENT, or null if no explicit intent was heard
+ */
+function classifyIntent(text, language = 'en') {
+  if (!text) return null;
+  const match = keywordsFor(language).intents.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+/**
+ * Returns true if the utterance accepts the proposed booking. A negation
+ * outweighs any yes-word ("no, that's not correct"), so a refusal never books.
+ * @param {string} text - Caller utterance
+ * @param {string} [language='en'] - Language of the utterance
+ * @returns {boolean}
+ */
+function isAffirmative(text, language = 'en') {
+  return keywordsFor(language).affirmative.test(text || '') && !isNegative(text, language);
+}
+
+/**
+ * Returns true if the utterance rejects the proposed booking.
+ * @param {string} text - Caller utterance
+ * @param {string} [language='en'] - Language of the utterance
+ * @returns {boolean}
+ */
+function isNegative(text, language = 'en') {
+  return keywordsFor(language).negative.test(text || '');
+}
+
+/**
+ * Picks an offered option from an ordinal answer ("the second one").
+ * @param {string} text - Caller utterance
+ * @param {object[]} options - Options offered on the previous turn
+ * @param {string} [language='en'] - Language of the utterance
+ * @returns {object|undefined} - Chosen option, if any
+ */
+function pickOrdinal(text, options, language = 'en') {
+  const [first, second, third, last] = keywordsFor(language).ordinals;
+  if (last.test(text || '')) return options[options.length - 1];
+  const index = [first, second, third].findIndex(pattern => pattern.test(text || ''));
+  return index >= 0 ? options[index] : undefined;
+}
+
+module.exports = { INTENT, baseLanguage, hasKeywords, classifyIntent, isAffirmative, isNegative, pickOrdinal };
@@ -0,0 +1,47 @@
+const { baseLanguage } = require('./intent');
+
+/**
+ * Helpers for asking a caller which language to continue in when detection
+ * is unsure ("Would you like to continue in Spanish or English?").
+ */
+
+/**
+ * Names a language in another language ('es' in 'es' -> 'español').
+ * @param {string} language - Language code to name
+ * @param {string} displayLanguage - Language code to name it in
+ * @returns {string} - Language name, or the code if it has no known name
+ */
+function languageName(language, displayLanguage) {
+  try {
+    return new Intl.DisplayNames([displayLanguage], { type: 'language', fallback: 'code' }).of(baseLanguage(language));
+  } catch {
+    return language;
+  }
+}
+
+// Lowercase without accents, so "Espanol" matches "español"
+function normalize(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Finds which of the offered languages the caller named in their answer.
+ * Each language is recognized by its name in any of the offered languages or
+ * in English, so after offering Spanish or English both "inglés" and
+ * "English" pick English.
+ * @param {string} text - Caller's answer
+ * @param {string[]} choices - Offered language codes
+ * @returns {string|undefined} - The named language, if exactly one was named
+ */
+function matchLanguageChoice(text, choices) {
+  const answer = normalize(text || '');
+  const named = choices.filter(choice => {
+    const names = new Set([...choices, 'en'].map(display => normalize(languageName(choice, display))));
+    return [...names].some(name =>
+      new RegExp(`(?<![\\p{L}\\p{N}])${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`, 'u').test(answer)
+    );
+  });
+  return named.length === 1 ? named[0] : undefined;
+}
+
+module.exports = { languageName, matchLanguageChoice };
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Structured logging: one JSON object per line, with the correlation IDs of the
+ * request being handled (requestId, callId, tenantId) added to every line
+ * logged while handling it, however deep in the code.
+ *
+ * The server routes `console` through the logger (captureConsole), so the
+ * existing console calls in the server and lib modules come out structured too.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+// Errors keep their stack and code; JSON.stringify would drop them
+function serializeError(error) {
+  return {
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.response?.status && { status: error.response.status }),
+    stack: error.stack
+  };
+}
+
+/**
+ * Creates a logger.
+ * @param {object} [options]
+ * @param {string} [options.level='info'] - Lowest level written: debug, info, warn or error
+ * @param {string} [options.format='json'] - 'json', or 'text' for reading locally
+ * @param {function(string, string): void} [options.write] - Writes a line (receives the level too)
+ * @param {function(): Date} [options.now] - Clock, replaceable for tests
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ */
+function createLogger({ level = 'info', format = 'json', write, now = () => new Date() } = {}) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level "${level}". Expected one of: ${Object.keys(LEVELS).join(', ')}.`);
+  }
+  if (!['json', 'text'].includes(format)) {
+    throw new Error(`Unknown log format "${format}". Expected json or text.`);
+  }
+  // Warnings and errors go to stderr, like console's
+  const output = write || ((line, lineLevel) => (LEVELS[lineLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n'));
+
+  const log = lineLevel => (message, fields = {}) => {
+    if (LEVELS[lineLevel] < LEVELS[level]) return;
+    const entry = { time: now().toISOString(), level: lineLevel, msg: message, ...context.getStore(), ...fields };
+    if (entry.error instanceof Error) entry.error = serializeError(entry.error);
+    if (format === 'json') {
+      output(JSON.stringify(entry), lineLevel);
+      return;
+    }
+    const { time, msg, error, ...rest } = entry;
+    delete rest.level;
+    const extra = Object.entries(rest).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    output([time, lineLevel.toUpperCase(), msg, ...extra].join(' ') + (error ? `\n${error.stack || error.message}` : ''), lineLevel);
+  };
+
+  return { debug: log('debug'), info: log('info'), warn: log('warn'), error: log('error') };
+}
+
+/**
+ * Routes console.log/info/debug/warn/error through a logger. Arguments are
+ * formatted like console's, except that an Error goes to the `error` field.
+ * @param {object} logger - Logger from createLogger
+ * @returns {function(): void} - Restores the original console methods
+ */
+function captureConsole(logger) {
+  const methods = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+  const originals = {};
+  for (const [method, level] of Object.entries(methods)) {
+    originals[method] = console[method];
+    console[method] = (...args) => {
+      const error = args.find(arg => arg instanceof Error);
+      const message = util.format(...args.filter(arg => arg !== error)).replace(/:\s*$/, '');
+      logger[level](message, error ? { error } : {});
+    };
+  }
+  return () => Object.assign(console, originals);
+}
+
+/**
+ * Middleware that gives each request its correlation IDs: a request ID (taken
+ * from X-Request-Id when a proxy set one, and echoed back) and the call ID.
+ * Handlers can add more (e.g., the tenant) with logContext().
+ * @param {function(object): (string|undefined)} callIdFor - Reads the call ID from a request
+ * @returns {function} - Express middleware
+ */
+function correlate(callIdFor) {
+  return (req, res, next) => {
+    const requestId = req.get('X-Request-Id') || crypto.randomUUID();
+    res.set('X-Request-Id', requestId);
+    const callId = callIdFor(req);
+    context.run({ requestId, ...(callId && { callId }) }, next);
+  };
+}
+
+/**
+ * The correlation fields of the request being handled, for adding to.
+ * @returns {object} - Mutable fields (an empty throwaway object outside a request)
+ */
+function logContext() {
+  return context.getStore() || {};
+}
+
+module.exports = { LEVELS, createLogger, captureConsole, correlate, logContext };
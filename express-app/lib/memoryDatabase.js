@@ -0,0 +1,154 @@
+/**
+ * In-process stand-in for the PostgreSQL customers table (db/customers.sql),
+ * selected with DATABASE_URL=memory://<name>. It runs the flow offline and
+ * backs the conversation simulator (../simulator).
+ *
+ * Only the statements the server issues are understood, matched by their
+ * shape; anything else throws, so a new query shows up as a failing scenario
+ * until it is taught here. Connections to the same URL share one table, which
+ * lets the simulator seed customers the server then finds.
+ */
+
+const COLUMNS = ['id', 'tenant_id', 'first_name', 'last_name', 'email', 'phone_number', 'timezone', 'preferred_language', 'easy_appointments_id', 'created_at'];
+
+const databases = new Map();
+
+const isMemoryUrl = url => typeof url === 'string' && url.startsWith('memory://');
+
+// Whitespace-insensitive, so statements can be written over several lines
+const normalize = sql => sql.replace(/\s+/g, ' ').trim();
+
+// The server's tenant of a row (CUSTOMER_TENANT): rows without one, or saved by a
+// single-business server, belong to the default tenant, whose ID is $4
+const TENANT_OF = /COALESCE\(NULLIF\(tenant_id, 'default'\), \$4\)/.source;
+const tenantOf = (row, params) => (row.tenant_id == null || row.tenant_id === 'default' ? params[3] ?? null : row.tenant_id);
+
+// Reads a RETURNING or SELECT list: plain columns, or the row's tenant AS name
+function projection(list, params) {
+  const fields = list.split(/,(?![^(]*\))/).map(field => field.trim());
+  return row => Object.fromEntries(fields.map(field => {
+    const tenant = field.match(new RegExp(`^${TENANT_OF} AS (\\w+)$`, 'i'));
+    if (tenant) return [tenant[1], tenantOf(row, params)];
+    if (!COLUMNS.includes(field)) throw new Error(`Unknown customers column "${field}".`);
+    return [field, row[field]];
+  }));
+}
+
+/**
+ * Creates an empty customers table.
+ * @returns {object} - Client with pg's Pool interface (query, on, end) and direct access to the rows
+ */
+function createMemoryDatabase() {
+  const rows = [];
+  let nextId = 1;
+
+  const insert = values => {
+    const row = {
+      ...Object.fromEntries(COLUMNS.map(column => [column, null])),
+      last_name: '',
+      created_at: new Date(),
+      ...values,
+      id: nextId++
+    };
+    rows.push(row);
+    return row;
+  };
+  const onLine = (row, params) => row.phone_number === params[0] || row.phone_number === params[1];
+
+  const statements = [
+    {
+      pattern: /^SELECT 1$/,
+      run: () => [{ '?column?': 1 }]
+    },
+    {
+      pattern: new RegExp(`^SELECT (.+) FROM customers WHERE \\(phone_number = \\$1 OR phone_number = \\$2\\) AND ${TENANT_OF} = \\$3 ORDER BY id$`),
+      run: (params, match) => rows
+        .filter(row => onLine(row, params) && tenantOf(row, params) === params[2])
+        .map(projection(match[1], params))
+    },
+    {
+      pattern: /^INSERT INTO customers \(([\w, ]+)\) VALUES \(([$\d, ]+)\) RETURNING (.+)$/,
+      run: (params, match) => {
+        const columns = match[1].split(',').map(column => column.trim());
+        const values = match[2].split(',').map(value => params[Number(value.trim().slice(1)) - 1]);
+        return [projection(match[3], params)(insert(Object.fromEntries(columns.map((column, index) => [column, values[index] ?? null]))))];
+      }
+    },
+    {
+      pattern: /^UPDATE customers SET (\w+) = \$1 WHERE id = \$2$/,
+      run: (params, match) => {
+        if (!COLUMNS.includes(match[1])) throw new Error(`Unknown customers column "${match[1]}".`);
+        const updated = rows.filter(row => String(row.id) === String(params[1]));
+        updated.forEach(row => { row[match[1]] = params[0]; });
+        return { rows: [], rowCount: updated.length };
+      }
+    },
+    {
+      pattern: new RegExp(`^DELETE FROM customers WHERE \\(phone_number = \\$1 OR phone_number = \\$2\\) AND \\(\\$3::text IS NULL OR ${TENANT_OF} = \\$3\\) RETURNING (.+)$`),
+      run: (params, match) => {
+        const deleted = rows.filter(row => onLine(row, params) && (params[2] == null || tenantOf(row, params) === params[2]));
+        deleted.forEach(row => rows.splice(rows.indexOf(row), 1));
+        return deleted.map(projection(match[1], params));
+      }
+    }
+  ];
+
+  const database = {
+    /**
+     * Runs one of the server's statements.
+     * @param {string} sql - Statement with $n placeholders
+     * @param {Array} [params] - Placeholder values
+     * @returns {Promise<{rows: object[], rowCount: number}>}
+     */
+    async query(sql, params = []) {
+      const text = normalize(sql);
+      for (const { pattern, run } of statements) {
+        const match = text.match(pattern);
+        if (!match) continue;
+        const result = run(params, match);
+        return Array.isArray(result) ? { rows: result, rowCount: result.length } : result;
+      }
+      throw new Error(`The in-memory database does not understand: ${text}`);
+    },
+
+    on() {
+      return database;
+    },
+
+    // Forgets the URL, so the next connection to it starts empty
+    async end() {
+      for (const [url, open] of databases) {
+        if (open === database) databases.delete(url);
+      }
+    },
+
+    /**
+     * Adds customers directly (e.g., a scenario's known callers).
+     * @param {object[]} customers - Rows; unset columns are NULL
+     * @returns {object[]} - The stored rows, with their IDs
+     */
+    seed(customers) {
+      return customers.map(customer => ({ ...insert(customer) }));
+    },
+
+    /**
+     * @returns {object[]} - Copies of every row, in insertion order
+     */
+    rows() {
+      return rows.map(row => ({ ...row }));
+    }
+  };
+  return database;
+}
+
+/**
+ * Opens the in-memory database named by a memory:// URL, creating it on first use.
+ * @param {string} url - e.g., memory://local
+ * @returns {object} - Database (see createMemoryDatabase)
+ */
+function connectMemoryDatabase(url) {
+  if (!databases.has(url)) databases.set(url, createMemoryDatabase());
+  return databases.get(url);
+}
+
+module.exports = { isMemoryUrl, createMemoryDatabase, connectMemoryDatabase };
@@ -0,0 +1,184 @@
+/**
+ * In-process stand-in for Redis, selected with REDIS_URL=memory://<name>.
+ * Unlike the Map fallbacks used when REDIS_URL is unset, it goes through the
+ * same Redis code paths as production (the lang: cache included), which is
+ * what the conversation simulator (../simulator) needs.
+ *
+ * Implements the commands the server uses, with ioredis' calling conventions:
+ * strings (get, set with EX/PX/NX/XX, mget, del, incr, expire), sets (sadd,
+ * smembers, srem), sorted sets (zadd, zrem, zrange, zrangebyscore with LIMIT),
+ * multi/exec, ping and quit. Connections to the same URL share one keyspace.
+ */
+
+const instances = new Map();
+
+/**
+ * Creates an empty keyspace.
+ * @param {object} [options]
+ * @param {function(): number} [options.now] - Clock in milliseconds (expiry), replaceable for tests
+ * @returns {object} - Client
+ */
+function createMemoryRedis({ now = () => Date.now() } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  const read = key => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt != null && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+  const write = (key, value, expiresAt = null) => {
+    entries.set(key, { value, expiresAt });
+  };
+  // Collections are created on first write and removed once empty, as in Redis
+  const collection = (key, create) => {
+    const entry = read(key);
+    if (entry) return entry.value;
+    if (!create) return null;
+    const value = create();
+    write(key, value);
+    return value;
+  };
+  const dropIfEmpty = key => {
+    const entry = read(key);
+    if (entry && entry.value.size === 0) entries.delete(key);
+  };
+  const sortedMembers = key => [...(collection(key) || new Map()).entries()]
+    .sort(([a, scoreA], [b, scoreB]) => scoreA - scoreB || (a < b ? -1 : 1))
+    .map(([member]) => member);
+
+  const commands = {
+    get: key => read(key)?.value ?? null,
+
+    set(key, value, ...options) {
+      const flags = options.map(option => String(option).toUpperCase());
+      if (flags.includes('NX') && read(key)) return null;
+      if (flags.includes('XX') && !read(key)) return null;
+      const ex = flags.indexOf('EX');
+      const px = flags.indexOf('PX');
+      const ttlMs = ex >= 0 ? Number(options[ex + 1]) * 1000 : px >= 0 ? Number(options[px + 1]) : null;
+      write(key, String(value), ttlMs == null ? null : now() + ttlMs);
+      return 'OK';
+    },
+
+    mget: (...keys) => keys.flat().map(key => commands.get(key)),
+
+    del: (...keys) => keys.flat().filter(key => read(key) && entries.delete(key)).length,
+
+    incr(key) {
+      const entry = read(key);
+      const value = Number(entry?.value ?? 0) + 1;
+      write(key, String(value), entry?.expiresAt ?? null);
+      return value;
+    },
+
+    expire(key, seconds) {
+      const entry = read(key);
+      if (!entry) return 0;
+      entry.expiresAt = now() + Number(seconds) * 1000;
+      return 1;
+    },
+
+    sadd(key, ...members) {
+      const set = collection(key, () => new Set());
+      const before = set.size;
+      members.flat().forEach(member => set.add(String(member)));
+      return set.size - before;
+    },
+
+    smembers: key => [...(collection(key) || [])],
+
+    srem(key, ...members) {
+      const set = collection(key);
+      if (!set) return 0;
+      const removed = members.flat().filter(member => set.delete(String(member))).length;
+      dropIfEmpty(key);
+      return removed;
+    },
+
+    zadd(key, ...pairs) {
+      const scores = collection(key, () => new Map());
+      let added = 0;
+      for (let index = 0; index < pairs.length; index += 2) {
+        if (!scores.has(String(pairs[index + 1]))) added += 1;
+        scores.set(String(pairs[index + 1]), Number(pairs[index]));
+      }
+      return added;
+    },
+
+    zrem(key, ...members) {
+      const scores = collection(key);
+      if (!scores) return 0;
+      const removed = members.flat().filter(member => scores.delete(String(member))).length;
+      dropIfEmpty(key);
+      return removed;
+    },
+
+    zrange(key, start, stop) {
+      const members = sortedMembers(key);
+      const from = Number(start) < 0 ? members.length + Number(start) : Number(start);
+      const to = Number(stop) < 0 ? members.length + Number(stop) : Number(stop);
+      return members.slice(Math.max(0, from), to + 1);
+    },
+
+    zrangebyscore(key, min, max, ...options) {
+      const scores = collection(key) || new Map();
+      const bound = value => (value === '-inf' ? -Infinity : value === '+inf' ? Infinity : Number(value));
+      let members = sortedMembers(key).filter(member => scores.get(member) >= bound(min) && scores.get(member) <= bound(max));
+      const limit = options.findIndex(option => String(option).toUpperCase() === 'LIMIT');
+      if (limit >= 0) {
+        const offset = Number(options[limit + 1]);
+        const count = Number(options[limit + 2]);
+        members = members.slice(offset, count < 0 ? undefined : offset + count);
+      }
+      return members;
+    },
+
+    ping: () => 'PONG'
+  };
+
+  const client = {
+    ...Object.fromEntries(Object.entries(commands).map(([name, command]) => [name, async (...args) => command(...args)])),
+
+    /**
+     * Queues commands and runs them together, like a MULTI/EXEC transaction.
+     * @returns {object} - Chainable commands and exec() -> Promise<Array<[null, *]>>
+     */
+    multi() {
+      const queued = [];
+      const transaction = Object.fromEntries(Object.keys(commands).map(name => [name, (...args) => {
+        queued.push(() => commands[name](...args));
+        return transaction;
+      }]));
+      transaction.exec = async () => queued.map(run => [null, run()]);
+      return transaction;
+    },
+
+    on() {
+      return client;
+    },
+
+    // Forgets the URL, so the next connection to it starts empty
+    async quit() {
+      for (const [url, open] of instances) {
+        if (open === client) instances.delete(url);
+      }
+      return 'OK';
+    }
+  };
+  return client;
+}
+
+/**
+ * Opens the keyspace named by a memory:// URL, creating it on first use.
+ * @param {string} url - e.g., memory://local
+ * @returns {object} - Client (see createMemoryRedis)
+ */
+function connectMemoryRedis(url) {
+  if (!instances.has(url)) instances.set(url, createMemoryRedis());
+  return instances.get(url);
+}
+
+module.exports = { createMemoryRedis, connectMemoryRedis };
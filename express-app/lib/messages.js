@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const { baseLanguage } = require('./intent');
+
+const DEFAULT_CATALOG_DIR = path.join(__dirname, 'locales');
+
+/**
+ * Spoken prompts, kept as ICU-style templates in one reviewed JSON catalog per
+ * language (lib/locales/<language>.json).
+ *
+ * Templates support `{name}` placeholders and `{name, plural, ...}` /
+ * `{name, select, ...}` choices, e.g.
+ *   "{count, plural, one {The nearest open time is {options}.} other {The nearest open times are {options}.}}"
+ * Inside a plural branch `#` stands for the number. Apostrophe quoting is not
+ * supported, so templates may use apostrophes freely.
+ *
+ * The source-language catalog (English) defines every key. A key missing from
+ * the caller's catalog, or a language without a catalog, falls back to the
+ * source template run through the translator, and is remembered so staff can
+ * see which prompts are still machine-translated.
+ */
+
+/**
+ * Finds the closing brace matching the opening brace at `start`.
+ * @param {string} template - Template text
+ * @param {number} start - Index of an opening brace
+ * @returns {number} - Index of the matching closing brace
+ */
+function closingBrace(template, start) {
+  let depth = 0;
+  for (let i = start; i < template.length; i++) {
+    if (template[i] === '{') depth++;
+    if (template[i] === '}' && --depth === 0) return i;
+  }
+  throw new Error(`Unbalanced braces in message template: ${template}`);
+}
+
+/**
+ * Splits the branches of a plural/select argument ("one {..} other {..}").
+ * @param {string} text - Branch list
+ * @returns {Object<string, string>} - Branch templates by selector
+ */
+function parseBranches(text) {
+  const branches = {};
+  let i = 0;
+  while (i < text.length) {
+    const open = text.indexOf('{', i);
+    if (open < 0) break;
+    const close = closingBrace(text, open);
+    branches[text.slice(i, open).trim()] = text.slice(open + 1, close);
+    i = close + 1;
+  }
+  return branches;
+}
+
+/**
+ * Fills an ICU-style template.
+ * @param {string} template - Message template
+ * @param {object} [values] - Placeholder values
+ * @param {string} [locale='en'] - Locale used for plural rules
+ * @returns {string} - Formatted message
+ */
+function formatMessage(template, values = {}, locale = 'en') {
+  let output = '';
+  let i = 0;
+  while (i < template.length) {
+    const open = template.indexOf('{', i);
+    if (open < 0) {
+      output += template.slice(i);
+      break;
+    }
+    const close = closingBrace(template, open);
+    output += template.slice(i, open);
+    i = close + 1;
+
+    const [name, type, ...rest] = template.slice(open + 1, close).split(',');
+    const key = name.trim();
+    const value = values[key];
+    if (!type) {
+      output += value == null ? '' : String(value);
+      continue;
+    }
+
+    const branches = parseBranches(rest.join(','));
+    if (type.trim() === 'plural') {
+      const number = Number(value);
+      const branch = branches[`=${number}`] ?? branches[new Intl.PluralRules(locale).select(number)] ?? branches.other ?? '';
+      output += formatMessage(branch, values, locale).replace(/#/g, String(number));
+    } else if (type.trim() === 'select') {
+      output += formatMessage(branches[String(value)] ?? branches.other ?? '', values, locale);
+    } else {
+      throw new Error(`Unsupported argument type "${type.trim()}" in message template: ${template}`);
+    }
+  }
+  return output;
+}
+
+/**
+ * Loads every <language>.json catalog in a directory.
+ * @param {string} catalogDir - Directory holding the catalogs
+ * @returns {Object<string, Object<string, string>>} - Templates by language, then key
+ */
+function loadCatalogs(catalogDir) {
+  const catalogs = {};
+  for (const file of fs.readdirSync(catalogDir)) {
+    if (path.extname(file) !== '.json') continue;
+    catalogs[path.basename(file, '.json').toLowerCase()] = JSON.parse(fs.readFileSync(path.join(catalogDir, file), 'utf8'));
+  }
+  return catalogs;
+}
+
+/**
+ * Creates the message catalog.
+ * @param {object} options
+ * @param {object} options.translator - Translation provider used for missing keys
+ * @param {string} [options.catalogDir] - Directory of <language>.json catalogs (defaults to lib/locales)
+ * @param {string} [options.sourceLanguage='en'] - Language of the complete catalog
+ * @returns {object} - Catalog with render(), untranslated() and languages()
+ */
+function createMessageCatalog({ translator, catalogDir = DEFAULT_CATALOG_DIR, sourceLanguage = 'en' }) {
+  const catalogs = loadCatalogs(catalogDir);
+  const source = catalogs[sourceLanguage];
+  if (!source) {
+    throw new Error(`Message catalog for source language "${sourceLanguage}" not found in ${catalogDir}.`);
+  }
+  // Keys served through runtime translation, by requested language
+  const runtimeTranslated = new Map();
+
+  // Exact tag first ("pt-br"), then the base language ("pt")
+  const catalogFor = language => catalogs[(language || '').toLowerCase()] || catalogs[baseLanguage(language)];
+
+  return {
+    /**
+     * Renders a prompt in the caller's language.
+     * @param {string} key - Message key
+     * @param {object} [values] - Placeholder values (already localized, e.g. formatted dates)
+     * @param {string} [language] - Language code of the caller
+     * @returns {Promise<string>} - Prompt text
+     */
+    async render(key, values = {}, language = sourceLanguage) {
+      if (!Object.prototype.hasOwnProperty.call(source, key)) {
+        throw new Error(`Unknown message key "${key}".`);
+      }
+      const catalog = catalogFor(language);
+      if (catalog && Object.prototype.hasOwnProperty.call(catalog, key)) {
+        return formatMessage(catalog[key], values, language);
+      }
+
+      const text = formatMessage(source[key], values, sourceLanguage);
+      if (baseLanguage(language) === sourceLanguage) return text;
+
+      if (!runtimeTranslated.has(language)) runtimeTranslated.set(language, new Set());
+      runtimeTranslated.get(language).add(key);
+      console.warn(`No "${language}" catalog entry for "${key}"; translating at runtime.`);
+      try {
+        return await translator.translate(text, sourceLanguage, language);
+      } catch (error) {
+        console.error(`Error translating "${key}" to ${language}:`, error);
+        return text;
+      }
+    },
+
+    /**
+     * Lists the catalog gaps: keys each catalog is missing compared to the
+     * source language, and keys that were translated at runtime since startup.
+     * @returns {{sourceLanguage: string, keys: number, missing: Object<string, string[]>, runtimeTranslated: Object<string, string[]>}}
+     */
+    untranslated() {
+      const keys = Object.keys(source);
+      const missing = {};
+      for (const [language, catalog] of Object.entries(catalogs)) {
+        if (language === sourceLanguage) continue;
+        missing[language] = keys.filter(key => !Object.prototype.hasOwnProperty.call(catalog, key));
+      }
+      const runtime = {};
+      for (const [language, used] of runtimeTranslated) {
+        runtime[language] = [...used].sort();
+      }
+      return { sourceLanguage, keys: keys.length, missing, runtimeTranslated: runtime };
+    },
+
+    /**
+     * @returns {string[]} - Languages with a catalog
+     */
+    languages() {
+      return Object.keys(catalogs).sort();
+    }
+  };
+}
+
+module.exports = { createMessageCatalog, formatMessage };
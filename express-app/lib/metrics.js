@@ -0,0 +1,153 @@
+/**
+ * Prometheus metrics, kept in process and served as text by GET /metrics.
+ *
+ * Only what the server uses is implemented: counters, gauges and histograms
+ * with labels. Values are per server instance; Prometheus adds them up.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = labels => {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+/**
+ * Creates a metrics registry.
+ * @returns {object} - Registry: counter(), gauge(), histogram(), render()
+ */
+function createMetrics() {
+  const families = [];
+
+  // One series per distinct label set, keyed by its rendering
+  function family(type, name, help, labelNames) {
+    const series = new Map();
+    const seriesFor = (labels, create) => {
+      const picked = Object.fromEntries(labelNames.map(label => [label, labels[label] ?? '']));
+      const key = formatLabels(picked);
+      if (!series.has(key)) series.set(key, create(picked));
+      return series.get(key);
+    };
+    families.push({ type, name, help, series });
+    return seriesFor;
+  }
+
+  return {
+    /**
+     * @param {string} name - Metric name (ends in _total by convention)
+     * @param {string} help - Description
+     * @param {string[]} [labelNames]
+     * @returns {{inc: function(object=, number=): void}}
+     */
+    counter(name, help, labelNames = []) {
+      const seriesFor = family('counter', name, help, labelNames);
+      return {
+        inc(labels = {}, value = 1) {
+          seriesFor(labels, picked => ({ labels: picked, value: 0 })).value += value;
+        }
+      };
+    },
+
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {string[]} [labelNames]
+     * @returns {{set: function(object, number): void, inc: function(object=, number=): void, dec: function(object=, number=): void}}
+     */
+    gauge(name, help, labelNames = []) {
+      const seriesFor = family('gauge', name, help, labelNames);
+      const entry = labels => seriesFor(labels, picked => ({ labels: picked, value: 0 }));
+      return {
+        set(labels, value) { entry(labels).value = value; },
+        inc(labels = {}, value = 1) { entry(labels).value += value; },
+        dec(labels = {}, value = 1) { entry(labels).value -= value; }
+      };
+    },
+
+    /**
+     * @param {string} name - Metric name (ends in _seconds for durations)
+     * @param {string} help - Description
+     * @param {string[]} [labelNames]
+     * @param {number[]} [buckets] - Upper bounds, ascending
+     * @returns {{observe: function(object, number): void, startTimer: function(object=): function(object=): number}}
+     */
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const seriesFor = family('histogram', name, help, labelNames);
+      const observe = (labels, value) => {
+        const entry = seriesFor(labels, picked => ({ labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0, buckets }));
+        buckets.forEach((bound, index) => { if (value <= bound) entry.counts[index] += 1; });
+        entry.sum += value;
+        entry.count += 1;
+      };
+      return {
+        observe,
+        // Returns a function that records the seconds elapsed (with any labels only known at the end)
+        startTimer(labels = {}) {
+          const start = process.hrtime.bigint();
+          return (endLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            observe({ ...labels, ...endLabels }, seconds);
+            return seconds;
+          };
+        }
+      };
+    },
+
+    /**
+     * Renders every metric in the Prometheus text exposition format.
+     * @returns {string}
+     */
+    render() {
+      const lines = [];
+      for (const { type, name, help, series } of families) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const entry of series.values()) {
+          if (type !== 'histogram') {
+            lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+            continue;
+          }
+          entry.buckets.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+          lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+          lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        }
+      }
+      return lines.join('\n') + '\n';
+    }
+  };
+}
+
+/**
+ * Wraps an adapter so calls to its async methods are timed and failures counted.
+ * @param {object} target - Adapter (e.g., a translator or scheduler client)
+ * @param {object} options
+ * @param {string} options.service - Service name for the error counter (e.g., 'translator')
+ * @param {object} options.stages - Pipeline stage per method to time, e.g., { translate: 'translate' }
+ * @param {object} options.stageDuration - Histogram labelled by stage
+ * @param {object} options.externalErrors - Counter labelled by service and operation
+ * @returns {object} - The adapter with those methods wrapped; everything else as it was
+ */
+function instrument(target, { service, stages, stageDuration, externalErrors }) {
+  const wrapped = { ...target };
+  for (const [method, stage] of Object.entries(stages)) {
+    if (typeof target[method] !== 'function') continue;
+    wrapped[method] = async (...args) => {
+      const end = stageDuration.startTimer({ stage });
+      try {
+        return await target[method](...args);
+      } catch (error) {
+        externalErrors.inc({ service, operation: method });
+        throw error;
+      } finally {
+        end();
+      }
+    };
+  }
+  return wrapped;
+}
+
+module.exports = { DEFAULT_BUCKETS, createMetrics, instrument };
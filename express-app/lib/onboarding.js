@@ -0,0 +1,107 @@
+const { baseLanguage } = require('./intent');
+
+/**
+ * Understanding the answers collected while onboarding a new caller or
+ * identifying who is calling on a shared (family) line: spoken names,
+ * spelled-out email addresses and matching a name against the customers
+ * registered on the number.
+ */
+
+// Lead-ins callers put before their name ("my name is ...", "me llamo ...")
+const NAME_PREFIXES = {
+  en: ['my name is', "my name's", 'this is', "it's", 'it is', "i'm", 'i am', 'call me'],
+  es: ['me llamo', 'mi nombre es', 'soy', 'habla'],
+  de: ['ich heiße', 'mein name ist', 'ich bin', 'hier ist', 'hier spricht'],
+  fr: ["je m'appelle", 'mon nom est', 'je suis', "c'est", 'ici'],
+  pt: ['meu nome é', 'me chamo', 'sou', 'aqui é', 'aqui fala'],
+  it: ['mi chiamo', 'il mio nome è', 'sono', 'parla'],
+  nl: ['mijn naam is', 'ik heet', 'ik ben', 'met', 'u spreekt met']
+};
+
+// Spoken email symbols, longest phrases first so "at sign" wins over "at"
+const EMAIL_WORDS = [
+  ['_', ['underscore', 'guion bajo', 'unterstrich', 'tiret bas', 'sublinhado', 'trattino basso', 'laag streepje']],
+  ['@', ['at sign', 'arroba', 'arobase', 'chiocciola', 'apenstaartje', 'at', 'ät']],
+  ['.', ['dot', 'period', 'punto', 'punkt', 'point', 'ponto', 'punt']],
+  ['-', ['dash', 'hyphen', 'minus', 'guion', 'guión', 'bindestrich', 'tiret', 'hífen', 'trattino', 'streepje']]
+];
+
+const EMAIL = /^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/;
+
+function escape(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Lowercase without accents, for comparing spoken and stored names
+function normalize(text) {
+  return (text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().trim();
+}
+
+function capitalize(word) {
+  return word.charAt(0).toLocaleUpperCase() + word.slice(1);
+}
+
+/**
+ * Pulls a person's name out of an answer like "My name is ana lópez, thanks".
+ * @param {string} text - Caller utterance
+ * @param {string} [language='en'] - Language of the utterance
+ * @returns {string|null} - Capitalized name (at most four words), or null if none was heard
+ */
+function extractName(text, language = 'en') {
+  let answer = (text || '').trim();
+  const prefixes = [...(NAME_PREFIXES[baseLanguage(language)] || []), ...NAME_PREFIXES.en];
+  const prefix = new RegExp(`^(?:(?:hi|hello|hola|hallo|bonjour|olá|ciao|yes|sí|ja|oui|sim),?\\s+)?(?:${prefixes.map(escape).join('|')})\\s+`, 'iu');
+  answer = answer.replace(prefix, '');
+  // The name ends where the sentence does
+  answer = answer.split(/[.,!?;]/)[0];
+  const words = answer.match(/[\p{L}][\p{L}'’-]*/gu) || [];
+  if (words.length === 0) return null;
+  return words.slice(0, 4).map(capitalize).join(' ');
+}
+
+/**
+ * Splits a full name for Easy!Appointments' first/last name fields.
+ * @param {string} name - Full name
+ * @returns {{firstName: string, lastName: string}}
+ */
+function splitName(name) {
+  const [firstName, ...rest] = name.trim().split(/\s+/);
+  return { firstName, lastName: rest.join(' ') };
+}
+
+/**
+ * Reads an email address from a spoken answer ("ana dot lopez at example dot com").
+ * @param {string} text - Caller utterance
+ * @returns {string|null} - Email address, or null if none could be read
+ */
+function parseSpokenEmail(text) {
+  let answer = normalize(text).replace(/^(?:my email is|it's|it is|mi correo es|meine e-mail ist|mon e-mail est)\s+/, '');
+  for (const [symbol, spoken] of EMAIL_WORDS) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${spoken.map(word => escape(normalize(word))).join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+    answer = answer.replace(pattern, ` ${symbol} `);
+  }
+  answer = answer.replace(/\s+/g, '').replace(/[.,!?]+$/, '');
+  return EMAIL.test(answer) ? answer : null;
+}
+
+/**
+ * Works out which of the customers sharing a phone number is calling.
+ * A full-name match wins over a first-name match; two customers with the
+ * same first name need the full name.
+ * @param {string} text - Caller's answer to "who am I speaking with?"
+ * @param {object[]} candidates - Customers on the line ({ id, first_name, last_name })
+ * @returns {{customer: (object|undefined), ambiguous: boolean}}
+ */
+function matchCustomer(text, candidates) {
+  const answer = normalize(text);
+  const mentions = name => name && new RegExp(`(?<![\\p{L}\\p{N}])${escape(normalize(name))}(?![\\p{L}\\p{N}])`, 'u').test(answer);
+
+  const fullMatches = candidates.filter(candidate => candidate.last_name && mentions(`${candidate.first_name} ${candidate.last_name}`));
+  if (fullMatches.length === 1) return { customer: fullMatches[0], ambiguous: false };
+
+  const firstMatches = candidates.filter(candidate => mentions(candidate.first_name));
+  if (firstMatches.length === 1) return { customer: firstMatches[0], ambiguous: false };
+  return { customer: undefined, ambiguous: firstMatches.length > 1 };
+}
+
+module.exports = { extractName, splitName, parseSpokenEmail, matchCustomer };
@@ -0,0 +1,42 @@
+/**
+ * Phone number normalization to E.164 (+<country code><number>), the format
+ * customers.phone_number is stored and looked up in.
+ *
+ * Telephony providers normally send E.164 already; numbers typed elsewhere
+ * ("(555) 123-4567", "0044 20 7946 0958") are normalized without a full
+ * numbering-plan database: an international prefix ("+" or "00") is kept as
+ * the country code, anything else is treated as a national number in the
+ * default country with its trunk prefix ("0") removed.
+ */
+
+const E164 = /^\+[1-9]\d{6,14}$/;
+
+/**
+ * Normalizes a phone number to E.164.
+ * @param {string} raw - Phone number as received or typed
+ * @param {string} [defaultCallingCode='1'] - Country calling code for national numbers (e.g., '1', '44')
+ * @returns {string|null} - E.164 number, or null if it is not a phone number (e.g., "anonymous", "client:alice")
+ */
+function normalizePhoneNumber(raw, defaultCallingCode = '1') {
+  if (!raw) return null;
+  const number = String(raw).trim()
+    .replace(/^tel:/i, '')
+    .replace(/\s*(?:ext\.?|x)\s*\d+$/i, ''); // Extensions are not part of E.164
+  if (/[a-z]/i.test(number)) return null;
+
+  let digits = number.replace(/\D/g, '');
+  let e164;
+  if (number.startsWith('+')) {
+    e164 = `+${digits}`;
+  } else if (digits.startsWith('00')) {
+    e164 = `+${digits.slice(2)}`;
+  } else if (defaultCallingCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+    e164 = `+${digits}`; // North American numbers dialled with the leading 1
+  } else {
+    digits = digits.replace(/^0/, ''); // National trunk prefix
+    e164 = `+${defaultCallingCode}${digits}`;
+  }
+  return E164.test(e164) ? e164 : null;
+}
+
+module.exports = { normalizePhoneNumber };
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DICTIONARY = path.join(__dirname, 'dictionary.json');
+
+/**
+ * Offline translator that looks phrases up in a JSON dictionary.
+ *
+ * The dictionary maps "<from>><to>" pairs (e.g., "en>es") to phrase tables.
+ * Text is matched whole first, then sentence by sentence; anything not in the
+ * dictionary is returned untranslated, which keeps the flow running offline.
+ * @param {object} [options]
+ * @param {string} [options.dictionaryPath] - JSON dictionary file (defaults to the bundled one)
+ * @returns {{translate: function(string, string, string): Promise<string>}}
+ */
+function createDictionaryTranslator({ dictionaryPath = DEFAULT_DICTIONARY } = {}) {
+  const raw = JSON.parse(fs.readFileSync(dictionaryPath, 'utf8'));
+  const normalize = text => text.trim().replace(/\s+/g, ' ').toLowerCase();
+
+  // Pre-normalize keys so lookups are case- and whitespace-insensitive
+  const tables = {};
+  for (const [pair, phrases] of Object.entries(raw)) {
+    tables[pair] = new Map(Object.entries(phrases).map(([source, target]) => [normalize(source), target]));
+  }
+
+  return {
+    /**
+     * Translates text using the dictionary.
+     * @param {string} text - Text to translate
+     * @param {string} sourceLang - Source language code
+     * @param {string} targetLang - Target language code
+     * @returns {Promise<string>} - Translated text (untranslated parts are kept as-is)
+     */
+    async translate(text, sourceLang, targetLang) {
+      const table = tables[`${sourceLang}>${targetLang}`];
+      if (!table) return text;
+      if (table.has(normalize(text))) return table.get(normalize(text));
+      return text
+        .split(/(?<=[.!?])\s+/)
+        .map(sentence => table.get(normalize(sentence)) || sentence)
+        .join(' ');
+    }
+  };
+}
+
+module.exports = { createDictionaryTranslator };
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Local TTS stub: writes the text that would have been spoken to a file and
+ * returns a file:// URL to it. Lets the /voice flow run without a TTS service
+ * and leaves a readable record of every prompt.
+ * @param {object} options
+ * @param {string} options.outputDir - Directory for the generated files
+ * @returns {{synthesize: function(string, string): Promise<string>}}
+ */
+function createFileTts({ outputDir }) {
+  return {
+    /**
+     * "Synthesizes" speech by saving the text.
+     * @param {string} text - Text to synthesize
+     * @param {string} language - Language code (e.g., 'en', 'es')
+     * @returns {Promise<string>} - file:// URL of the written file
+     */
+    async synthesize(text, language) {
+      const hash = crypto.createHash('sha1').update(`${language}:${text}`).digest('hex').slice(0, 12);
+      const file = path.join(outputDir, `${language}_${hash}.txt`);
+      await fs.promises.mkdir(outputDir, { recursive: true });
+      await fs.promises.writeFile(file, text, 'utf8');
+      console.log(`[File TTS] ${language}: ${text.length} characters -> ${file}`);
+      return `file://${file}`;
+    }
+  };
+}
+
+module.exports = { createFileTts };
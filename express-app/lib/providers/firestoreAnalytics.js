@@ -0,0 +1,163 @@
+const admin = require('firebase-admin');
+const { ANONYMIZED_FIELDS } = require('../retention');
+
+const BATCH_SIZE = 200; // Firestore allows 500 writes per batch; a record can take two
+const IN_LIMIT = 10; // Values per "in" filter
+
+// Stored in `call_transcripts` under the record's ID, so security rules can show
+// them only to the roles allowed to read transcripts (see firestore.rules). The
+// search words are the transcript's words, so they go with it.
+const TRANSCRIPT_FIELDS = ['transcript', 'transcriptEnglish', 'searchTokens'];
+
+/**
+ * Analytics storage in the Firestore `call_analytics` collection (read by the
+ * dashboard), with transcripts and their search words in `call_transcripts`.
+ * @param {object} options
+ * @param {string} options.serviceAccount - JSON string of the Firebase service account key
+ * @returns {{record: function(object): Promise<void>, purge: function(object): Promise<number>, deleteCaller: function(object): Promise<number>, fillMissing: function(object): Promise<number>, ping: function(): Promise<void>}}
+ */
+function createFirestoreAnalytics({ serviceAccount }) {
+  if (!admin.apps.length) {
+    admin.initializeApp({
+      credential: admin.credential.cert(JSON.parse(serviceAccount))
+    });
+    console.log('Firebase Admin SDK Initialized.');
+  }
+  const firestore = admin.firestore();
+  const collection = firestore.collection('call_analytics');
+  const transcripts = firestore.collection('call_transcripts');
+
+  // Deletes documents in batches (deleting one that does not exist is no error)
+  async function deleteAll(refs) {
+    for (let index = 0; index < refs.length; index += 2 * BATCH_SIZE) {
+      const batch = firestore.batch();
+      refs.slice(index, index + 2 * BATCH_SIZE).forEach(ref => batch.delete(ref));
+      await batch.commit();
+    }
+  }
+
+  return {
+    /**
+     * Stores one analytics record, stamped with the server time.
+     * @param {object} record - Fields to store
+     * @returns {Promise<void>}
+     */
+    async record(record) {
+      const timestamp = admin.firestore.FieldValue.serverTimestamp(); // Use server timestamp
+      const fields = Object.fromEntries(Object.entries(record).filter(([field]) => !TRANSCRIPT_FIELDS.includes(field)));
+      const ref = collection.doc();
+      const batch = firestore.batch();
+      // anonymized: see ../retention.js; hasTranscript tells the dashboard there is one to read
+      batch.set(ref, { anonymized: false, ...fields, hasTranscript: Boolean(record.transcript), timestamp });
+      if (record.transcript) {
+        // With a copy of the call's fields, so the call log can filter a transcript search
+        batch.set(transcripts.doc(ref.id), {
+          ...fields,
+          tenantId: record.tenantId || null,
+          subscriberEmail: record.subscriberEmail || null,
+          ...Object.fromEntries(TRANSCRIPT_FIELDS.map(field => [field, record[field] ?? null])),
+          timestamp
+        });
+      }
+      await batch.commit();
+    },
+
+    /**
+     * Anonymizes or deletes records stored before a time.
+     * Anonymizing only finds records saved with `anonymized: false`.
+     * @param {object} options
+     * @param {Date} options.before - Records older than this are changed
+     * @param {'anonymize'|'delete'} options.action - What to do with them
+     * @returns {Promise<number>} - Number of records changed
+     */
+    async purge({ before, action }) {
+      const cutoff = admin.firestore.Timestamp.fromDate(before);
+      const anonymized = {
+        ...Object.fromEntries(ANONYMIZED_FIELDS.map(field => [field, admin.firestore.FieldValue.delete()])),
+        anonymized: true
+      };
+      let changed = 0;
+      for (;;) {
+        const query = action === 'delete'
+          ? collection.where('timestamp', '<', cutoff)
+          : collection.where('anonymized', '==', false).where('timestamp', '<', cutoff);
+        const snapshot = await query.limit(BATCH_SIZE).get();
+        if (snapshot.empty) return changed;
+        const batch = firestore.batch();
+        snapshot.docs.forEach(doc => {
+          batch.delete(transcripts.doc(doc.id));
+          if (action === 'delete') batch.delete(doc.ref);
+          else batch.update(doc.ref, anonymized);
+        });
+        await batch.commit();
+        changed += snapshot.size;
+      }
+    },
+
+    /**
+     * Deletes every record about a caller.
+     * @param {object} options
+     * @param {string|null} options.callerHash - Caller pseudonym (see ../redaction.js callerKey)
+     * @param {string[]} [options.subscriberEmails] - Email addresses of the caller's customer records
+     * @param {string} [options.tenantId] - Only this tenant's records
+     * @returns {Promise<number>} - Number of records deleted
+     */
+    async deleteCaller({ callerHash, subscriberEmails = [], tenantId }) {
+      const scoped = tenantId ? collection.where('tenantId', '==', tenantId) : collection;
+      const queries = callerHash ? [scoped.where('callerHash', '==', callerHash)] : [];
+      for (let index = 0; index < subscriberEmails.length; index += IN_LIMIT) {
+        queries.push(scoped.where('subscriberEmail', 'in', subscriberEmails.slice(index, index + IN_LIMIT)));
+      }
+      const refs = new Map();
+      for (const query of queries) {
+        (await query.get()).docs.forEach(doc => refs.set(doc.id, doc.ref));
+      }
+      await deleteAll([...refs.keys()].flatMap(id => [refs.get(id), transcripts.doc(id)]));
+      return refs.size;
+    },
+
+    /**
+     * Writes default values onto stored records (and their transcripts) that
+     * lack the fields, for records saved by earlier versions: Firestore queries
+     * never match a field that is missing. Reads every document once.
+     * @param {object} defaults - Value per field, set where the field is missing or null
+     * @returns {Promise<number>} - Number of documents changed
+     */
+    async fillMissing(defaults) {
+      let changed = 0;
+      for (const stored of [collection, transcripts]) {
+        // Transcripts are deleted rather than anonymized, so they carry no `anonymized`
+        const fields = Object.entries(defaults).filter(([field]) => stored === collection || field !== 'anonymized');
+        let last = null;
+        for (;;) {
+          let query = stored.orderBy(admin.firestore.FieldPath.documentId());
+          if (last) query = query.startAfter(last);
+          const snapshot = await query.limit(2 * BATCH_SIZE).get();
+          if (snapshot.empty) break;
+          const batch = firestore.batch();
+          let updates = 0;
+          snapshot.docs.forEach(doc => {
+            const missing = Object.fromEntries(fields.filter(([field]) => doc.get(field) == null));
+            if (Object.keys(missing).length === 0) return;
+            batch.update(doc.ref, missing);
+            updates++;
+          });
+          if (updates > 0) await batch.commit();
+          changed += updates;
+          last = snapshot.docs[snapshot.docs.length - 1];
+        }
+      }
+      return changed;
+    },
+
+    /**
+     * Checks that Firestore answers (for the readiness check).
+     * @returns {Promise<void>}
+     */
+    async ping() {
+      await collection.limit(1).get();
+    }
+  };
+}
+
+module.exports = { createFirestoreAnalytics };
@@ -0,0 +1,48 @@
+const { Translate } = require('@google-cloud/translate').v2;
+
+/**
+ * Translation and language detection backed by Google Cloud Translate (v2 API).
+ * @param {object} options
+ * @param {string} options.projectId - Google Cloud project ID
+ * @returns {{translator: object, languageDetector: object}}
+ */
+function createGoogleTranslate({ projectId }) {
+  const client = new Translate({ projectId });
+
+  const translator = {
+    /**
+     * Translates text. Returns the original text if translation fails.
+     * @param {string} text - Text to translate
+     * @param {string} sourceLang - Source language code
+     * @param {string} targetLang - Target language code
+     * @returns {Promise<string>} - Translated text
+     */
+    async translate(text, sourceLang, targetLang) {
+      try {
+        const [translation] = await client.translate(text, { from: sourceLang, to: targetLang });
+        console.log(`Translated ${text.length} characters (${sourceLang}) to ${targetLang}`);
+        return translation;
+      } catch (error) {
+        console.error(`Error translating text from ${sourceLang} to ${targetLang}:`, error);
+        return text; // Return original text on error
+      }
+    }
+  };
+
+  const languageDetector = {
+    /**
+     * Detects the language of an utterance.
+     * @param {string} text - Text to inspect
+     * @returns {Promise<{language: string, confidence: number}>}
+     */
+    async detect(text) {
+      const [detection] = await client.detect(text);
+      const result = Array.isArray(detection) ? detection[0] : detection; // Handle potential array response
+      return { language: result.language, confidence: result.confidence };
+    }
+  };
+
+  return { translator, languageDetector };
+}
+
+module.exports = { createGoogleTranslate };
@@ -0,0 +1,82 @@
+/**
+ * Offline language detection from scripts and common words.
+ *
+ * Non-Latin scripts are identified by their Unicode ranges. Latin-script text
+ * is scored against short lists of frequent words per language; confidence is
+ * the share of recognized words that point to the winner, so short or
+ * ambiguous utterances come back with low confidence.
+ */
+
+const SCRIPTS = [
+  ['ja', /[\u3040-\u30FF]/u], // Hiragana/Katakana (checked before Han)
+  ['ko', /[\uAC00-\uD7AF]/u],
+  ['zh', /[\u4E00-\u9FFF]/u],
+  ['uk', /[\u0456\u0457\u0454\u0491]/iu], // Ukrainian-only Cyrillic letters
+  ['ru', /[\u0400-\u04FF]/u],
+  ['ar', /[\u0600-\u06FF]/u],
+  ['hi', /[\u0900-\u097F]/u],
+  ['el', /[\u0370-\u03FF]/u],
+  ['he', /[\u0590-\u05FF]/u],
+  ['th', /[\u0E00-\u0E7F]/u]
+];
+
+const COMMON_WORDS = {
+  en: ['the', 'and', 'i', 'you', 'to', 'is', 'my', 'at', 'on', 'for', 'please', 'yes', 'no', 'appointment', 'tomorrow', 'next', 'would', 'like', 'can', 'want'],
+  es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'por', 'para', 'una', 'cita', 'mañana', 'sí', 'quiero', 'las', 'tarde', 'gracias', 'hola', 'próximo', 'puedo'],
+  de: ['der', 'die', 'das', 'und', 'ich', 'ist', 'nicht', 'ein', 'einen', 'termin', 'morgen', 'bitte', 'ja', 'nein', 'um', 'uhr', 'möchte', 'gerne', 'nächste', 'übermorgen'],
+  fr: ['le', 'la', 'les', 'et', 'je', 'un', 'une', 'est', 'pas', 'pour', 'rendez-vous', 'demain', 'oui', 'non', 'merci', 'voudrais', 'à', 'heures', 'prochain', 'bonjour'],
+  pt: ['o', 'a', 'os', 'que', 'e', 'do', 'da', 'em', 'um', 'uma', 'consulta', 'amanhã', 'sim', 'não', 'obrigado', 'quero', 'às', 'horas', 'próxima', 'marcar'],
+  it: ['il', 'la', 'di', 'che', 'e', 'un', 'una', 'per', 'non', 'sono', 'appuntamento', 'domani', 'sì', 'grazie', 'vorrei', 'alle', 'ore', 'prossimo', 'buongiorno', 'prenotare'],
+  nl: ['de', 'het', 'een', 'en', 'ik', 'is', 'niet', 'van', 'afspraak', 'morgen', 'ja', 'nee', 'om', 'uur', 'graag', 'wil', 'volgende', 'dank', 'maken', 'overmorgen']
+};
+
+const LOOKUP = new Map();
+for (const [language, words] of Object.entries(COMMON_WORDS)) {
+  for (const word of words) {
+    if (!LOOKUP.has(word)) LOOKUP.set(word, []);
+    LOOKUP.get(word).push(language);
+  }
+}
+
+/**
+ * Creates the heuristic detector.
+ * @param {object} [options]
+ * @param {string} [options.defaultLanguage='en'] - Returned (with zero confidence) when nothing is recognized
+ * @returns {{detect: function(string): Promise<{language: string, confidence: number}>}}
+ */
+function createHeuristicLanguageDetector({ defaultLanguage = 'en' } = {}) {
+  return {
+    /**
+     * Detects the language of an utterance.
+     * @param {string} text - Text to inspect
+     * @returns {Promise<{language: string, confidence: number}>}
+     */
+    async detect(text) {
+      const script = SCRIPTS.find(([, pattern]) => pattern.test(text));
+      if (script) {
+        return { language: script[0], confidence: 0.9 };
+      }
+
+      const scores = {};
+      let recognized = 0;
+      for (const token of text.toLowerCase().match(/[\p{L}'-]+/gu) || []) {
+        const languages = LOOKUP.get(token);
+        if (!languages) continue;
+        recognized++;
+        // Words shared by several languages count for each, but less
+        for (const language of languages) {
+          scores[language] = (scores[language] || 0) + 1 / languages.length;
+        }
+      }
+
+      const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+      if (ranked.length === 0) {
+        return { language: defaultLanguage, confidence: 0 };
+      }
+      const [language, score] = ranked[0];
+      return { language, confidence: Math.round((score / recognized) * 100) / 100 };
+    }
+  };
+}
+
+module.exports = { createHeuristicLanguageDetector };
@@ -0,0 +1,131 @@
+const os = require('os');
+const path = require('path');
+const { createGoogleTranslate } = require('./googleTranslate');
+const { createDictionaryTranslator } = require('./dictionaryTranslator');
+const { createHeuristicLanguageDetector } = require('./heuristicLanguageDetector');
+const { createUltravoxTts } = require('./ultravoxTts');
+const { createFileTts } = require('./fileTts');
+const { createMemoryCalendar } = require('./memoryCalendar');
+const { createFirestoreAnalytics } = require('./firestoreAnalytics');
+const { createJsonFileAnalytics } = require('./jsonFileAnalytics');
+const { createTwilioSms } = require('./twilioSms');
+const { createSendgridEmail } = require('./sendgridEmail');
+const { createOutbox } = require('./outbox');
+const { createEasyAppointmentsClient } = require('../easyAppointments');
+
+/**
+ * Provider adapters used by the /voice flow.
+ *
+ * Each external dependency sits behind a small interface:
+ *   translator        translate(text, from, to) -> Promise<string>
+ *   languageDetector  detect(text) -> Promise<{ language, confidence }>
+ *   tts               synthesize(text, language) -> Promise<string>
+ *   scheduler         Easy!Appointments client interface (see ../easyAppointments.js)
+ *   analytics         record(record) -> Promise<void>, purge({ before, action }) -> Promise<number>,
+ *                     deleteCaller({ callerHash, subscriberEmails, tenantId }) -> Promise<number>,
+ *                     ping() -> Promise<void>
+ *   sms               send({ to, from, body }) -> Promise<void>
+ *   email             send({ to, from, subject, text }) -> Promise<void>
+ *
+ * The implementation of each is chosen by a *_PROVIDER setting. When a
+ * setting is left empty, the cloud implementation is used if its credentials
+ * are configured and the local one otherwise, so the whole flow runs offline
+ * with no configuration at all.
+ */
+
+const CHOICES = {
+  translator: ['google', 'dictionary'],
+  languageDetector: ['google', 'heuristic'],
+  tts: ['ultravox', 'file'],
+  scheduler: ['easyappointments', 'memory'],
+  analytics: ['firestore', 'jsonfile'],
+  sms: ['twilio', 'outbox'],
+  email: ['sendgrid', 'outbox']
+};
+
+function choose(kind, requested, cloudConfigured) {
+  const [cloud, local] = CHOICES[kind];
+  const choice = (requested || (cloudConfigured ? cloud : local)).toLowerCase();
+  if (!CHOICES[kind].includes(choice)) {
+    throw new Error(`Unknown ${kind} provider "${requested}". Expected one of: ${CHOICES[kind].join(', ')}.`);
+  }
+  if (choice === local) {
+    console.warn(`Using local ${kind} provider "${local}".`);
+  }
+  return choice;
+}
+
+/**
+ * Builds the scheduling client from configuration.
+ * @param {object} config - Configuration values (EASY_APPOINTMENTS_*, SCHEDULING_PROVIDER, BUSINESS_TIMEZONE, BUSINESS_HOURS, ...)
+ * @returns {{name: string, scheduler: object}}
+ */
+function createScheduler(config) {
+  const name = choose('scheduler', config.SCHEDULING_PROVIDER, Boolean(config.EASY_APPOINTMENTS_URL && config.EASY_APPOINTMENTS_API_KEY));
+  const scheduler = name === 'easyappointments'
+    ? createEasyAppointmentsClient({ baseUrl: config.EASY_APPOINTMENTS_URL, apiKey: config.EASY_APPOINTMENTS_API_KEY })
+    : createMemoryCalendar({
+      timeZone: config.BUSINESS_TIMEZONE,
+      durationMinutes: Number(config.DEFAULT_APPOINTMENT_DURATION),
+      ...(config.SERVICE_DURATIONS && { serviceDurations: config.SERVICE_DURATIONS }),
+      ...(config.SLOT_GRANULARITY_MINUTES && { slotMinutes: Number(config.SLOT_GRANULARITY_MINUTES) }),
+      ...(config.BUSINESS_HOURS && { workingHours: config.BUSINESS_HOURS })
+    });
+  return { name, scheduler };
+}
+
+/**
+ * Builds the text-to-speech client from configuration.
+ * @param {object} config - Configuration values (ULTRAVOX_TTS_URL, TTS_VOICE, TTS_PROVIDER, ...)
+ * @returns {{name: string, tts: object}}
+ */
+function createTts(config) {
+  const name = choose('tts', config.TTS_PROVIDER, Boolean(config.ULTRAVOX_TTS_URL));
+  const tts = name === 'ultravox'
+    ? createUltravoxTts({ url: config.ULTRAVOX_TTS_URL, voice: config.TTS_VOICE })
+    : createFileTts({ outputDir: config.TTS_OUTPUT_DIR || path.join(os.tmpdir(), 'voice-agent-tts') });
+  return { name, tts };
+}
+
+/**
+ * Builds the providers shared by every tenant from configuration (normally
+ * process.env). Scheduling and TTS belong to each business and are built per
+ * tenant with createScheduler/createTts (see ../tenants.js).
+ * @param {object} config - Configuration values
+ * @returns {{translator: object, languageDetector: object, analytics: object, sms: object, email: object, names: object}}
+ */
+function createProviders(config) {
+  const names = {
+    translator: choose('translator', config.TRANSLATION_PROVIDER, Boolean(config.GOOGLE_PROJECT_ID)),
+    languageDetector: choose('languageDetector', config.LANGUAGE_DETECTION_PROVIDER, Boolean(config.GOOGLE_PROJECT_ID)),
+    analytics: choose('analytics', config.ANALYTICS_PROVIDER, Boolean(config.FIREBASE_SERVICE_ACCOUNT)),
+    sms: choose('sms', config.SMS_PROVIDER, Boolean(config.TWILIO_ACCOUNT_SID && config.TWILIO_AUTH_TOKEN)),
+    email: choose('email', config.EMAIL_PROVIDER, Boolean(config.SENDGRID_API_KEY))
+  };
+  const outboxFile = config.OUTBOX_FILE || path.join(__dirname, '..', '..', 'data', 'outbox.jsonl');
+
+  const google = (names.translator === 'google' || names.languageDetector === 'google')
+    ? createGoogleTranslate({ projectId: config.GOOGLE_PROJECT_ID })
+    : null;
+
+  return {
+    names,
+    translator: names.translator === 'google'
+      ? google.translator
+      : createDictionaryTranslator({ dictionaryPath: config.DICTIONARY_FILE || undefined }),
+    languageDetector: names.languageDetector === 'google'
+      ? google.languageDetector
+      : createHeuristicLanguageDetector(),
+    analytics: names.analytics === 'firestore'
+      ? createFirestoreAnalytics({ serviceAccount: config.FIREBASE_SERVICE_ACCOUNT })
+      : createJsonFileAnalytics({ filePath: config.ANALYTICS_FILE || path.join(__dirname, '..', '..', 'data', 'call_analytics.jsonl') }),
+    sms: names.sms === 'twilio'
+      ? createTwilioSms({ accountSid: config.TWILIO_ACCOUNT_SID, authToken: config.TWILIO_AUTH_TOKEN })
+      : createOutbox({ filePath: outboxFile, channel: 'sms' }),
+    email: names.email === 'sendgrid'
+      ? createSendgridEmail({ apiKey: config.SENDGRID_API_KEY })
+      : createOutbox({ filePath: outboxFile, channel: 'email' })
+  };
+}
+
+module.exports = { createProviders, createScheduler, createTts };
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { anonymizeRecord } = require('../retention');
+
+/**
+ * Local analytics sink: appends each record as one JSON line to a file.
+ * Purging rewrites the file; writes are serialized so none is lost meanwhile.
+ * @param {object} options
+ * @param {string} options.filePath - Output file (created if missing)
+ * @returns {{record: function(object): Promise<void>, purge: function(object): Promise<number>, deleteCaller: function(object): Promise<number>, ping: function(): Promise<void>}}
+ */
+function createJsonFileAnalytics({ filePath }) {
+  let pending = Promise.resolve();
+  // Runs file operations one at a time
+  const exclusive = operation => {
+    const result = pending.then(operation);
+    pending = result.catch(() => {});
+    return result;
+  };
+
+  /**
+   * Rewrites the stored records.
+   * @param {function(object): (object|null)} change - New record, the same one, or null to delete it
+   * @returns {Promise<number>} - Number of records changed
+   */
+  const rewrite = change => exclusive(async () => {
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+    let changed = 0;
+    const lines = [];
+    for (const line of content.split('\n').filter(Boolean)) {
+      const record = JSON.parse(line);
+      const result = change(record);
+      if (result !== record) changed += 1;
+      if (result) lines.push(JSON.stringify(result));
+    }
+    if (changed > 0) {
+      const temporary = `${filePath}.tmp`;
+      await fs.promises.writeFile(temporary, lines.map(line => line + '\n').join(''), 'utf8');
+      await fs.promises.rename(temporary, filePath);
+    }
+    return changed;
+  });
+
+  return {
+    /**
+     * Appends one analytics record, stamped with the current time.
+     * @param {object} record - Fields to store
+     * @returns {Promise<void>}
+     */
+    record: record => exclusive(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const line = JSON.stringify({ anonymized: false, ...record, timestamp: new Date().toISOString() });
+      await fs.promises.appendFile(filePath, line + '\n', 'utf8');
+    }),
+
+    /**
+     * Anonymizes or deletes records stored before a time.
+     * @param {object} options
+     * @param {Date} options.before - Records older than this are changed
+     * @param {'anonymize'|'delete'} options.action - What to do with them
+     * @returns {Promise<number>} - Number of records changed
+     */
+    purge: ({ before, action }) => rewrite(record => {
+      if (!(new Date(record.timestamp) < before)) return record;
+      if (action === 'delete') return null;
+      return record.anonymized ? record : anonymizeRecord(record);
+    }),
+
+    /**
+     * Deletes every record about a caller.
+     * @param {object} options
+     * @param {string|null} options.callerHash - Caller pseudonym (see ../redaction.js callerKey)
+     * @param {string[]} [options.subscriberEmails] - Email addresses of the caller's customer records
+     * @param {string} [options.tenantId] - Only this tenant's records
+     * @returns {Promise<number>} - Number of records deleted
+     */
+    deleteCaller: ({ callerHash, subscriberEmails = [], tenantId }) => rewrite(record => {
+      if (tenantId && record.tenantId !== tenantId) return record;
+      const matches = (callerHash && record.callerHash === callerHash) || subscriberEmails.includes(record.subscriberEmail);
+      return matches ? null : record;
+    }),
+
+    /**
+     * Checks that records can be written (for the readiness check).
+     * @returns {Promise<void>}
+     */
+    ping: async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.access(path.dirname(filePath), fs.constants.W_OK);
+    }
+  };
+}
+
+module.exports = { createJsonFileAnalytics };
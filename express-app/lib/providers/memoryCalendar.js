@@ -0,0 +1,128 @@
+const { addMinutesToWallClock, toWallClock } = require('../time');
+
+/**
+ * In-memory scheduling backend with the same interface as the
+ * Easy!Appointments client (see ../easyAppointments.js).
+ *
+ * Providers work fixed weekly hours; free slots are every `slotMinutes` within
+ * those hours that do not overlap an existing appointment. All dates and times
+ * are wall-clock values in `timeZone`, like Easy!Appointments'. Data lives for
+ * the life of the process.
+ * @param {object} options
+ * @param {string} options.timeZone - IANA timezone the calendar runs in
+ * @param {number} [options.durationMinutes=30] - Length of appointments for services without their own
+ * @param {Object<string, number>} [options.serviceDurations] - Appointment length per service ID
+ * @param {number} [options.slotMinutes=30] - Spacing of bookable start times
+ * @param {object[]} [options.providers] - Providers ({ id, name, services: [serviceId] })
+ * @param {object|object[]} [options.workingHours] - Weekdays (0 = Sunday) and HH:MM bounds ({ days, start, end }), or a list of them
+ * @param {object[]} [options.appointments] - Pre-existing appointments
+ * @param {function(): Date} [options.now] - Clock, replaceable for tests
+ * @returns {object} - Scheduling client
+ */
+function createMemoryCalendar({
+  timeZone,
+  durationMinutes = 30,
+  serviceDurations = {},
+  slotMinutes = 30,
+  providers = [{ id: 1, name: 'Local Provider', services: [] }],
+  workingHours = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' },
+  appointments = [],
+  now = () => new Date()
+}) {
+  const store = new Map(appointments.map(appointment => [String(appointment.id), { ...appointment }]));
+  let nextId = Math.max(0, ...appointments.map(appointment => Number(appointment.id) || 0)) + 1;
+  const customers = new Map();
+  let nextCustomerId = 1;
+
+  const offersService = (provider, serviceId) =>
+    provider.services.length === 0 || provider.services.map(String).includes(String(serviceId));
+
+  const overlaps = (providerId, start, end, ignoreId) => [...store.values()].some(appointment =>
+    String(appointment.providerId) === String(providerId) &&
+    String(appointment.id) !== String(ignoreId) &&
+    appointment.start < end && start < appointment.end
+  );
+
+  const hours = Array.isArray(workingHours) ? workingHours : [workingHours];
+
+  const endOf = (start, serviceId) => {
+    const [date, time] = start.split(' ');
+    const end = addMinutesToWallClock({ date, time: time.slice(0, 5) }, serviceDurations[serviceId] ?? durationMinutes, timeZone);
+    return `${end.date} ${end.time}:00`;
+  };
+
+  const conflict = message => {
+    const error = new Error(message);
+    error.response = { status: 409, data: { message } };
+    return error;
+  };
+
+  return {
+    async listProviders(serviceId) {
+      return providers.filter(provider => !serviceId || offersService(provider, serviceId));
+    },
+
+    async getAvailabilities(providerId, serviceId, date) {
+      const weekday = new Date(`${date}T12:00:00Z`).getUTCDay();
+      const current = toWallClock(now(), timeZone);
+      const times = [];
+      for (const range of hours.filter(candidate => candidate.days.includes(weekday))) {
+        let slot = { date, time: range.start };
+        while (slot.date === date && slot.time < range.end) {
+          const start = `${date} ${slot.time}:00`;
+          const end = endOf(start, serviceId);
+          const inFuture = date > current.date || (date === current.date && slot.time > current.time);
+          if (inFuture && end <= `${date} ${range.end}:00` && !overlaps(providerId, start, end)) {
+            times.push(slot.time);
+          }
+          slot = addMinutesToWallClock(slot, slotMinutes, timeZone);
+        }
+      }
+      return times.sort();
+    },
+
+    async createCustomer(customer) {
+      const created = { ...customer, id: nextCustomerId++ };
+      customers.set(String(created.id), created);
+      return { ...created };
+    },
+
+    async createAppointment(appointment) {
+      if (overlaps(appointment.providerId, appointment.start, appointment.end)) {
+        throw conflict(`Provider ${appointment.providerId} is already booked at ${appointment.start}.`);
+      }
+      const created = { ...appointment, id: nextId++ };
+      store.set(String(created.id), created);
+      return { ...created };
+    },
+
+    async listAppointments(customerId) {
+      return [...store.values()]
+        .filter(appointment => String(appointment.customerId) === String(customerId))
+        .sort((a, b) => a.start.localeCompare(b.start))
+        .map(appointment => ({ ...appointment }));
+    },
+
+    async updateAppointment(appointmentId, changes) {
+      const existing = store.get(String(appointmentId));
+      if (!existing) throw new Error(`Appointment ${appointmentId} not found.`);
+      const updated = { ...existing, ...changes };
+      if (overlaps(updated.providerId, updated.start, updated.end, appointmentId)) {
+        throw conflict(`Provider ${updated.providerId} is already booked at ${updated.start}.`);
+      }
+      store.set(String(appointmentId), updated);
+      return { ...updated };
+    },
+
+    async deleteAppointment(appointmentId) {
+      store.delete(String(appointmentId));
+    },
+
+    // There is no back office to link to
+    appointmentUrl() {
+      return null;
+    }
+  };
+}
+
+module.exports = { createMemoryCalendar };
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+const { maskPhone, maskEmail } = require('../redaction');
+
+/**
+ * Local message stub for SMS or email: appends each message that would have
+ * been sent as one JSON line to a file, so reminders can be tried without a
+ * messaging account.
+ * @param {object} options
+ * @param {string} options.filePath - Output file (created if missing)
+ * @param {string} options.channel - 'sms' or 'email', stored with each message
+ * @returns {{send: function(object): Promise<void>}}
+ */
+function createOutbox({ filePath, channel }) {
+  return {
+    /**
+     * "Sends" a message by saving it.
+     * @param {object} message - Message fields (to, from, body or subject/text)
+     * @returns {Promise<void>}
+     */
+    async send(message) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const line = JSON.stringify({ channel, ...message, timestamp: new Date().toISOString() });
+      await fs.promises.appendFile(filePath, line + '\n', 'utf8');
+      console.log(`[Outbox] ${channel} to ${channel === 'email' ? maskEmail(message.to) : maskPhone(message.to)} -> ${filePath}`);
+    }
+  };
+}
+
+module.exports = { createOutbox };
@@ -0,0 +1,35 @@
+const axios = require('axios');
+const { maskEmail } = require('../redaction');
+
+/**
+ * Email through the SendGrid v3 mail API.
+ * @param {object} options
+ * @param {string} options.apiKey - SendGrid API key
+ * @returns {{send: function(object): Promise<void>}}
+ */
+function createSendgridEmail({ apiKey }) {
+  return {
+    /**
+     * Sends one plain-text email.
+     * @param {object} message
+     * @param {string} message.to - Recipient address
+     * @param {string} message.from - Sender address (must be verified in SendGrid)
+     * @param {string} message.subject - Subject line
+     * @param {string} message.text - Body
+     * @returns {Promise<void>}
+     */
+    async send({ to, from, subject, text }) {
+      await axios.post('https://api.sendgrid.com/v3/mail/send', {
+        personalizations: [{ to: [{ email: to }] }],
+        from: { email: from },
+        subject,
+        content: [{ type: 'text/plain', value: text }]
+      }, {
+        headers: { 'Authorization': `Bearer ${apiKey}` }
+      });
+      console.log(`[Email] Sent "${subject}" to ${maskEmail(to)}`);
+    }
+  };
+}
+
+module.exports = { createSendgridEmail };
@@ -0,0 +1,31 @@
+const axios = require('axios');
+const { maskPhone } = require('../redaction');
+
+/**
+ * Text messages through the Twilio Messages REST API.
+ * @param {object} options
+ * @param {string} options.accountSid - Twilio account SID
+ * @param {string} options.authToken - Twilio auth token
+ * @returns {{send: function(object): Promise<void>}}
+ */
+function createTwilioSms({ accountSid, authToken }) {
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+  return {
+    /**
+     * Sends one text message.
+     * @param {object} message
+     * @param {string} message.to - Recipient (E.164)
+     * @param {string} message.from - Sending number (E.164), one of the account's numbers
+     * @param {string} message.body - Message text
+     * @returns {Promise<void>}
+     */
+    async send({ to, from, body }) {
+      const response = await axios.post(url, new URLSearchParams({ To: to, From: from, Body: body }), {
+        auth: { username: accountSid, password: authToken }
+      });
+      console.log(`[SMS] Sent ${response.data.sid} to ${maskPhone(to)}`);
+    }
+  };
+}
+
+module.exports = { createTwilioSms };
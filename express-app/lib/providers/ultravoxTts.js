@@ -0,0 +1,40 @@
+const axios = require('axios');
+
+/**
+ * Text-to-speech through the Ultravox TTS endpoint.
+ * @param {object} options
+ * @param {string} options.url - TTS endpoint, e.g., https://ultravox.yourdomain.com/tts
+ * @param {string} [options.voice] - Voice to speak with (the service default if omitted)
+ * @returns {{synthesize: function(string, string): Promise<string>}}
+ */
+function createUltravoxTts({ url, voice }) {
+  return {
+    /**
+     * Synthesizes speech.
+     * @param {string} text - Text to synthesize
+     * @param {string} language - Language code (e.g., 'en', 'es')
+     * @returns {Promise<string>} - Audio URL or identifier
+     */
+    async synthesize(text, language) {
+      console.log(`[TTS] Request: ${text.length} characters, Lang="${language}"`);
+      try {
+        // Replace with actual API call structure for Ultravox
+        const response = await axios.post(url, {
+          text: text,
+          language: language,
+          ...(voice && { voice })
+          // Add any other required parameters (format, etc.)
+        });
+        console.log(`[TTS] Response:`, response.data);
+        // Adjust based on the actual response structure from Ultravox
+        return response.data.audio_url || response.data.audio_id || `error_getting_audio_url`;
+      } catch (error) {
+        console.error(`Error calling Ultravox TTS API:`, error.response ? error.response.data : error.message);
+        // Fallback or error indicator
+        return `error_generating_tts_${language}`;
+      }
+    }
+  };
+}
+
+module.exports = { createUltravoxTts };
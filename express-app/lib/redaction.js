@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+/**
+ * PII redaction for what the agent stores and logs: transcripts, failure
+ * reasons, log lines. Masks phone numbers, email addresses (written or spoken,
+ * "maria at example dot com"), payment card numbers, dates of birth (full dates
+ * in a past year; appointment dates are kept) and the caller's own names from
+ * the customer record. Pattern-based, so it errs towards masking: a long
+ * reference number may read as a phone number.
+ */
+
+const PLACEHOLDER = {
+  email: '[email]',
+  card: '[card]',
+  dateOfBirth: '[date of birth]',
+  phone: '[phone]',
+  name: '[name]'
+};
+
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// Spoken addresses as speech-to-text writes them, in the languages we serve
+const SPOKEN_EMAIL = /\b[\w.+-]+\s+(?:at|arroba|ät|chez)\s+[\w-]+(?:\s+(?:dot|punto|punkt|point)\s+[\w-]+)+/giu;
+const CARD = /\b\d(?:[ -]?\d){12,18}\b/g;
+const NUMERIC_DATE = /\b(?:(\d{4})-\d{1,2}-\d{1,2}|\d{1,2}[./-]\d{1,2}[./-](\d{4}|\d{2}))\b/g;
+const DAY_MONTH_YEAR = /\b\d{1,2}(?:st|nd|rd|th|\.)?\s+(?:de\s+)?\p{L}{3,}\.?,?\s+(?:de\s+)?(\d{4})\b/gu;
+const MONTH_DAY_YEAR = /\b\p{L}{3,}\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+(\d{4})\b/gu;
+const PHONE = /(?<![\w@])\+?\d[\d\s().-]{5,}\d(?!\w)/g;
+
+// Luhn checksum, so only real card numbers are masked as cards
+function isCardNumber(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Two-digit years are read as the most recent year they can be
+function fullYear(year, currentYear) {
+  if (year.length === 4) return Number(year);
+  const short = Number(year);
+  return short > currentYear % 100 ? 1900 + short : 2000 + short;
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Masks PII in free text.
+ * @param {string} text - Text to redact
+ * @param {object} [options]
+ * @param {string[]} [options.names] - Names to mask (e.g., from the customer record)
+ * @param {Date} [options.now] - Today, which decides what counts as a past year
+ * @returns {string} - Text with PII replaced by placeholders such as [phone]
+ */
+function redactText(text, { names = [], now = new Date() } = {}) {
+  if (typeof text !== 'string' || !text) return text;
+  const currentYear = now.getFullYear();
+  const pastDate = (match, ...years) => {
+    const year = years.find(value => typeof value === 'string' && /^\d+$/.test(value));
+    return year && fullYear(year, currentYear) < currentYear ? PLACEHOLDER.dateOfBirth : match;
+  };
+
+  let redacted = text
+    .replace(EMAIL, PLACEHOLDER.email)
+    .replace(SPOKEN_EMAIL, PLACEHOLDER.email)
+    .replace(CARD, match => (isCardNumber(match.replace(/\D/g, '')) ? PLACEHOLDER.card : match))
+    .replace(NUMERIC_DATE, pastDate)
+    .replace(DAY_MONTH_YEAR, pastDate)
+    .replace(MONTH_DAY_YEAR, pastDate)
+    .replace(PHONE, match => {
+      const digits = match.replace(/\D/g, '');
+      // Dates and times left in the text ("2026-10-20") are not phone numbers
+      if (digits.length < 7 || digits.length > 15 || /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/.test(match.trim())) return match;
+      return PLACEHOLDER.phone;
+    });
+
+  for (const name of names.filter(candidate => candidate && candidate.trim().length >= 2)) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(name.trim())}(?![\\p{L}\\p{N}])`, 'giu');
+    redacted = redacted.replace(pattern, PLACEHOLDER.name);
+  }
+  return redacted;
+}
+
+/**
+ * Masks PII in every string of a value (e.g., a request body before logging it).
+ * @param {*} value - String, array or plain object
+ * @param {object} [options] - As for redactText
+ * @returns {*} - Copy with strings redacted
+ */
+function redactValue(value, options) {
+  if (typeof value === 'string') return redactText(value, options);
+  if (Array.isArray(value)) return value.map(item => redactValue(item, options));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, options)]));
+  }
+  return value;
+}
+
+/**
+ * Names worth masking for a customer.
+ * @param {object} [customer] - Customer record ({ first_name, last_name })
+ * @returns {string[]}
+ */
+function customerNames(customer) {
+  if (!customer) return [];
+  const names = [customer.first_name, customer.last_name].filter(Boolean);
+  // The full name first, so "Maria Lopez" becomes one placeholder
+  return names.length > 1 ? [names.join(' '), ...names] : names;
+}
+
+/**
+ * Shortens a phone number for logs (+15551234567 -> ***4567).
+ * @param {string} [number]
+ * @returns {string}
+ */
+function maskPhone(number) {
+  const digits = String(number || '').replace(/\D/g, '');
+  return digits ? `***${digits.slice(-4)}` : 'N/A';
+}
+
+/**
+ * Shortens an email address for logs (maria@example.com -> m***@example.com).
+ * @param {string} [email]
+ * @returns {string}
+ */
+function maskEmail(email) {
+  const [local, domain] = String(email || '').split('@');
+  return domain ? `${local.slice(0, 1)}***@${domain}` : 'N/A';
+}
+
+/**
+ * Stable pseudonym for a caller, stored with analytics instead of their number
+ * so their records can still be found (and deleted) on request.
+ * @param {string} phoneNumber - E.164 number
+ * @param {string} [secret] - Key, so the pseudonym cannot be reversed by hashing every number
+ * @returns {string|null}
+ */
+function callerKey(phoneNumber, secret = '') {
+  if (!phoneNumber) return null;
+  return crypto.createHmac('sha256', secret).update(String(phoneNumber)).digest('hex').slice(0, 32);
+}
+
+module.exports = { PLACEHOLDER, redactText, redactValue, customerNames, maskPhone, maskEmail, callerKey };
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+
+/**
+ * Appointment reminders: a small job queue of messages due before each
+ * appointment, and reading the caller's reply to one.
+ *
+ * Jobs live in Redis: a sorted set of job IDs scored by due time, one key per
+ * job and a set of job IDs per appointment so a cancelled or moved appointment
+ * drops its pending reminders. Without Redis an in-process store stands in
+ * (local dev only: it is not shared between server instances and is lost on
+ * restart). Claiming a job removes it from the sorted set first, so with
+ * several servers polling each job is still sent once.
+ */
+
+const DUE_KEY = 'reminders:due';
+const RETRY_DELAY_MS = 5 * 60000; // Wait before retrying a failed delivery
+const MAX_ATTEMPTS = 3;
+
+// Reply words, by meaning; single letters are what the reminder asks for
+const REPLIES = {
+  confirm: ['c', 'confirm', 'confirmed', 'yes', 'ok', 'si', 'confirmar', 'confirmo', 'ja', 'bestatigen', 'oui', 'confirmer'],
+  reschedule: ['r', 'reschedule', 'change', 'reprogramar', 'cambiar', 'verschieben', 'andern', 'reporter', 'deplacer', 'changer']
+};
+
+const appointmentKey = (tenantId, appointmentId) => `reminders:appointment:${tenantId}:${appointmentId}`;
+const replyKey = (tenantId, phoneNumber) => `reminders:reply:${tenantId}:${phoneNumber}`;
+
+/**
+ * Reads reminder offsets ("24h,2h", "90m", "1d", or a list of them).
+ * @param {string|string[]} value - Offsets before the appointment
+ * @returns {number[]} - Minutes before the appointment, largest first
+ */
+function parseOffsets(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  const units = { m: 1, h: 60, d: 1440 };
+  return items.map(item => String(item).trim()).filter(Boolean).map(item => {
+    const match = item.match(/^(\d+)\s*([mhd])$/i);
+    if (!match || Number(match[1]) === 0) throw new Error(`Reminder offset "${item}" must look like 90m, 24h or 2d`);
+    return Number(match[1]) * units[match[2].toLowerCase()];
+  }).sort((a, b) => b - a);
+}
+
+/**
+ * Works out what a reply to a reminder asks for.
+ * @param {string} text - Message body
+ * @returns {'confirm'|'reschedule'|null}
+ */
+function parseReply(text) {
+  const word = (text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().trim().split(/[^\p{L}]+/u)[0];
+  return Object.keys(REPLIES).find(meaning => REPLIES[meaning].includes(word)) || null;
+}
+
+/**
+ * Creates the job store (Redis, or an in-process fallback).
+ * @param {import('ioredis').Redis} [redis] - Redis client
+ * @param {function(): number} now - Clock in milliseconds
+ * @returns {object} - Store
+ */
+function createStore(redis, now) {
+  if (redis) {
+    return {
+      async add(job) {
+        await redis.multi()
+          .set(`reminder:${job.id}`, JSON.stringify(job))
+          .zadd(DUE_KEY, job.dueAt, job.id)
+          .sadd(appointmentKey(job.tenantId, job.appointmentId), job.id)
+          .exec();
+      },
+      async removeForAppointment(tenantId, appointmentId) {
+        const key = appointmentKey(tenantId, appointmentId);
+        const ids = await redis.smembers(key);
+        if (ids.length === 0) return 0;
+        await redis.multi()
+          .zrem(DUE_KEY, ...ids)
+          .del(...ids.map(id => `reminder:${id}`), key)
+          .exec();
+        return ids.length;
+      },
+      async claimDue(limit) {
+        const ids = await redis.zrangebyscore(DUE_KEY, 0, now(), 'LIMIT', 0, limit);
+        const jobs = [];
+        for (const id of ids) {
+          if (await redis.zrem(DUE_KEY, id) !== 1) continue; // Another server claimed it
+          const job = JSON.parse(await redis.get(`reminder:${id}`));
+          await redis.del(`reminder:${id}`);
+          if (!job) continue;
+          await redis.srem(appointmentKey(job.tenantId, job.appointmentId), id);
+          jobs.push(job);
+        }
+        return jobs;
+      },
+      async setReplyTarget(tenantId, phoneNumber, target, ttlSeconds) {
+        await redis.set(replyKey(tenantId, phoneNumber), JSON.stringify(target), 'EX', ttlSeconds);
+      },
+      async getReplyTarget(tenantId, phoneNumber) {
+        return JSON.parse(await redis.get(replyKey(tenantId, phoneNumber)));
+      },
+      async removeForPhone(tenantId, phoneNumber) {
+        const ids = await redis.zrange(DUE_KEY, 0, -1);
+        const stored = ids.length > 0 ? await redis.mget(...ids.map(id => `reminder:${id}`)) : [];
+        const matching = stored.map(json => JSON.parse(json))
+          .filter(job => job && job.tenantId === tenantId && job.phone === phoneNumber);
+        const multi = redis.multi().del(replyKey(tenantId, phoneNumber));
+        for (const job of matching) {
+          multi.zrem(DUE_KEY, job.id).del(`reminder:${job.id}`).srem(appointmentKey(job.tenantId, job.appointmentId), job.id);
+        }
+        await multi.exec();
+        return matching.length;
+      }
+    };
+  }
+
+  const jobs = new Map();
+  const replies = new Map();
+  return {
+    async add(job) {
+      jobs.set(job.id, job);
+    },
+    async removeForAppointment(tenantId, appointmentId) {
+      const ids = [...jobs.values()]
+        .filter(job => job.tenantId === tenantId && String(job.appointmentId) === String(appointmentId))
+        .map(job => job.id);
+      ids.forEach(id => jobs.delete(id));
+      return ids.length;
+    },
+    async claimDue(limit) {
+      const due = [...jobs.values()].filter(job => job.dueAt <= now()).sort((a, b) => a.dueAt - b.dueAt).slice(0, limit);
+      due.forEach(job => jobs.delete(job.id));
+      return due;
+    },
+    async setReplyTarget(tenantId, phoneNumber, target, ttlSeconds) {
+      replies.set(replyKey(tenantId, phoneNumber), { target, expiresAt: now() + ttlSeconds * 1000 });
+    },
+    async getReplyTarget(tenantId, phoneNumber) {
+      const entry = replies.get(replyKey(tenantId, phoneNumber));
+      return entry && entry.expiresAt > now() ? entry.target : null;
+    },
+    async removeForPhone(tenantId, phoneNumber) {
+      const ids = [...jobs.values()]
+        .filter(job => job.tenantId === tenantId && job.phone === phoneNumber)
+        .map(job => job.id);
+      ids.forEach(id => jobs.delete(id));
+      replies.delete(replyKey(tenantId, phoneNumber));
+      return ids.length;
+    }
+  };
+}
+
+/**
+ * Creates the reminder queue.
+ * @param {object} options
+ * @param {import('ioredis').Redis} [options.redis] - Redis client
+ * @param {function(object): Promise<void>} options.deliver - Sends one due reminder; a rejection is retried later
+ *   with the reminder as deliver left it (e.g., narrowed to the channels that failed)
+ * @param {number} [options.batchSize=20] - Reminders claimed per poll
+ * @param {function(): number} [options.now] - Clock in milliseconds, replaceable for tests
+ * @returns {object} - Queue
+ */
+function createReminderQueue({ redis, deliver, batchSize = 20, now = Date.now }) {
+  const store = createStore(redis, now);
+  let timer = null;
+
+  /**
+   * Sends every reminder that is due.
+   * @returns {Promise<number>} - Number of reminders delivered
+   */
+  async function runDue() {
+    let delivered = 0;
+    let jobs;
+    do {
+      jobs = await store.claimDue(batchSize);
+      for (const job of jobs) {
+        try {
+          await deliver(job);
+          delivered += 1;
+        } catch (error) {
+          const attempts = (job.attempts || 0) + 1;
+          console.error(`Reminder ${job.id} for appointment ${job.appointmentId} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`, error.message);
+          if (attempts < MAX_ATTEMPTS) await store.add({ ...job, attempts, dueAt: now() + RETRY_DELAY_MS });
+        }
+      }
+    } while (jobs.length === batchSize);
+    return delivered;
+  }
+
+  return {
+    /**
+     * Queues reminders for an appointment, replacing any queued before (e.g., when it is moved).
+     * Offsets whose time has already passed are skipped.
+     * @param {object} appointment - { tenantId, appointmentId, start: Date, ... } plus whatever deliver needs
+     * @param {number[]} offsets - Minutes before the start
+     * @returns {Promise<number>} - Number of reminders queued
+     */
+    async schedule(appointment, offsets) {
+      await store.removeForAppointment(appointment.tenantId, appointment.appointmentId);
+      const start = new Date(appointment.start).getTime();
+      const due = offsets.map(offset => ({ offset, dueAt: start - offset * 60000 })).filter(({ dueAt }) => dueAt > now());
+      for (const { offset, dueAt } of due) {
+        await store.add({
+          ...appointment,
+          start: new Date(start).toISOString(),
+          id: crypto.randomUUID(),
+          offsetMinutes: offset,
+          dueAt,
+          attempts: 0
+        });
+      }
+      return due.length;
+    },
+
+    /**
+     * Drops an appointment's queued reminders (e.g., when it is cancelled).
+     * @param {string} tenantId - Tenant ID
+     * @param {string|number} appointmentId - Appointment ID
+     * @returns {Promise<number>} - Number of reminders dropped
+     */
+    cancel: (tenantId, appointmentId) => store.removeForAppointment(tenantId, appointmentId),
+
+    /**
+     * Remembers which appointment a reply from this number is about.
+     * @param {string} tenantId - Tenant ID
+     * @param {string} phoneNumber - E.164 number the reminder went to
+     * @param {object} target - Appointment details for handling the reply
+     * @param {number} ttlSeconds - How long a reply is accepted
+     */
+    expectReply: (tenantId, phoneNumber, target, ttlSeconds) => store.setReplyTarget(tenantId, phoneNumber, target, ttlSeconds),
+
+    /**
+     * Finds the appointment a reply from this number is about.
+     * @param {string} tenantId - Tenant ID
+     * @param {string} phoneNumber - E.164 number the reply came from
+     * @returns {Promise<object|null>}
+     */
+    replyTarget: (tenantId, phoneNumber) => store.getReplyTarget(tenantId, phoneNumber),
+
+    /**
+     * Drops everything queued for a phone number: its pending reminders and the
+     * appointment a reply from it would be about (e.g., when the caller asks to be forgotten).
+     * @param {string} tenantId - Tenant ID
+     * @param {string} phoneNumber - E.164 number
+     * @returns {Promise<number>} - Number of reminders dropped
+     */
+    forgetCaller: (tenantId, phoneNumber) => store.removeForPhone(tenantId, phoneNumber),
+
+    runDue,
+
+    /**
+     * Polls for due reminders until stopped.
+     * @param {number} intervalMs - Poll interval
+     */
+    start(intervalMs) {
+      if (timer) return;
+      let running = false;
+      timer = setInterval(async () => {
+        if (running) return; // A slow batch is still sending
+        running = true;
+        try {
+          await runDue();
+        } catch (error) {
+          console.error('Reminder queue error:', error);
+        } finally {
+          running = false;
+        }
+      }, intervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createReminderQueue, parseOffsets, parseReply };
@@ -0,0 +1,157 @@
+/**
+ * Rate limiting and idempotency middleware for webhooks.
+ *
+ * Counters and cached responses live in Redis and fall back to an in-process
+ * Map when Redis is not configured (local dev only: the fallback is not shared
+ * between server instances). Store errors are logged and the request is let
+ * through, so a Redis outage does not take the phone line down with it.
+ */
+
+/**
+ * Wraps Redis (or an in-memory Map) in the few operations the guards need.
+ * @param {import('ioredis').Redis|undefined} redis - Redis client (optional)
+ * @param {function(): number} now - Clock in milliseconds
+ * @returns {object} - Store
+ */
+function createStore(redis, now) {
+  if (redis) {
+    return {
+      async increment(key, ttlSeconds) {
+        const count = await redis.incr(key);
+        if (count === 1) await redis.expire(key, ttlSeconds);
+        return count;
+      },
+      async claim(key, value, ttlSeconds) {
+        return (await redis.set(key, value, 'EX', ttlSeconds, 'NX')) === 'OK';
+      },
+      get: key => redis.get(key),
+      async set(key, value, ttlSeconds) {
+        await redis.set(key, value, 'EX', ttlSeconds);
+      },
+      async remove(key) {
+        await redis.del(key);
+      }
+    };
+  }
+
+  const entries = new Map();
+  const read = key => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+  const write = (key, value, ttlSeconds) => entries.set(key, { value, expiresAt: now() + ttlSeconds * 1000 });
+  return {
+    async increment(key, ttlSeconds) {
+      const entry = read(key);
+      if (entry) return ++entry.value;
+      write(key, 1, ttlSeconds);
+      return 1;
+    },
+    async claim(key, value, ttlSeconds) {
+      if (read(key)) return false;
+      write(key, value, ttlSeconds);
+      return true;
+    },
+    async get(key) {
+      return read(key)?.value ?? null;
+    },
+    async set(key, value, ttlSeconds) {
+      write(key, value, ttlSeconds);
+    },
+    async remove(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * Creates fixed-window rate limiting middleware. Each rule counts requests
+ * per key (e.g., caller number, source IP); exceeding any rule answers 429
+ * with a Retry-After header.
+ * @param {object} options
+ * @param {import('ioredis').Redis} [options.redis] - Redis client
+ * @param {number} [options.windowSeconds=60] - Window length
+ * @param {Array<{name: string, key: function(object): (string|undefined), max: number}>} options.rules - Limits; a rule with max 0 is off
+ * @param {function(): number} [options.now] - Clock in milliseconds, replaceable for tests
+ * @returns {function} - Express middleware
+ */
+function createRateLimiter({ redis, windowSeconds = 60, rules, now = Date.now }) {
+  const store = createStore(redis, now);
+
+  return async function rateLimit(req, res, next) {
+    const window = Math.floor(now() / (windowSeconds * 1000));
+    try {
+      for (const rule of rules) {
+        const id = rule.key(req);
+        if (!id || !rule.max) continue;
+        const count = await store.increment(`ratelimit:${rule.name}:${id}:${window}`, windowSeconds);
+        if (count > rule.max) {
+          const retryAfter = Math.ceil(((window + 1) * windowSeconds * 1000 - now()) / 1000);
+          console.warn(`Rate limit exceeded for ${rule.name} ${id} (${count}/${rule.max} in ${windowSeconds}s).`);
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({ error: 'Too many requests', retryAfter });
+        }
+      }
+    } catch (error) {
+      console.error('Rate limiter error (allowing request):', error);
+    }
+    next();
+  };
+}
+
+/**
+ * Creates middleware that processes each request key once. A repeat of a
+ * completed request gets the stored response back (with an Idempotent-Replay
+ * header); a repeat that arrives while the first is still running gets 409.
+ * Server errors (5xx) are not stored, so a retry after one is processed again.
+ * @param {object} options
+ * @param {import('ioredis').Redis} [options.redis] - Redis client
+ * @param {function(object): (string|null)} options.keyFor - Request key; null skips deduplication
+ * @param {number} [options.ttlSeconds=3600] - How long responses are kept
+ * @param {number} [options.pendingSeconds=60] - How long an unfinished request blocks repeats
+ * @param {function(): number} [options.now] - Clock in milliseconds, replaceable for tests
+ * @returns {function} - Express middleware
+ */
+function createIdempotencyGuard({ redis, keyFor, ttlSeconds = 3600, pendingSeconds = 60, now = Date.now }) {
+  const store = createStore(redis, now);
+
+  return async function idempotency(req, res, next) {
+    const requestKey = keyFor(req);
+    if (!requestKey) return next();
+    const key = `idempotency:${requestKey}`;
+
+    try {
+      if (!(await store.claim(key, JSON.stringify({ pending: true }), pendingSeconds))) {
+        const entry = JSON.parse(await store.get(key));
+        if (entry?.pending) {
+          console.warn(`Duplicate request ${requestKey} while the first is still processing.`);
+          return res.status(409).json({ error: 'Request already in progress' });
+        }
+        if (entry) {
+          console.log(`Replaying stored response for duplicate request ${requestKey}.`);
+          res.set('Idempotent-Replay', 'true');
+          return res.status(entry.status).json(entry.body);
+        }
+      }
+    } catch (error) {
+      console.error('Idempotency store error (processing request):', error);
+      return next();
+    }
+
+    const json = res.json.bind(res);
+    res.json = body => {
+      const stored = res.statusCode >= 500
+        ? store.remove(key)
+        : store.set(key, JSON.stringify({ status: res.statusCode, body }), ttlSeconds);
+      stored.catch(error => console.error('Error storing idempotent response:', error));
+      return json(body);
+    };
+    next();
+  };
+}
+
+module.exports = { createRateLimiter, createIdempotencyGuard };
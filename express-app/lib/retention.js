@@ -0,0 +1,110 @@
+/**
+ * Retention of call_analytics records. After the retention period a record is
+ * either deleted or anonymized: what could identify the caller (transcripts,
+ * search words, email, caller pseudonym, voicemail) is removed, and the counts
+ * the dashboard charts (outcome, language, sentiment, duration, funnel stage)
+ * are kept.
+ *
+ * Records are saved with `anonymized: false` so the providers can find the
+ * ones still to anonymize with an equality filter. Records saved before the
+ * field existed get it from `npm run backfill`; until then Firestore skips them.
+ */
+
+const DAY_MS = 24 * 3600000;
+
+const ACTIONS = ['anonymize', 'delete'];
+
+// Fields removed from a record when it is anonymized
+const ANONYMIZED_FIELDS = [
+  'transcript',
+  'transcriptEnglish',
+  'hasTranscript', // Firestore keeps transcripts apart (see providers/firestoreAnalytics.js)
+  'searchTokens',
+  'failureReason', // Server errors can quote what was said
+  'subscriberEmail',
+  'callerHash',
+  'callerNumber',
+  'recordingUrl'
+];
+
+/**
+ * Anonymized copy of a record.
+ * @param {object} record - Stored record
+ * @returns {object} - Record without ANONYMIZED_FIELDS, marked `anonymized: true`
+ */
+function anonymizeRecord(record) {
+  const kept = Object.fromEntries(Object.entries(record).filter(([field]) => !ANONYMIZED_FIELDS.includes(field)));
+  return { ...kept, anonymized: true };
+}
+
+/**
+ * Reads the retention action setting.
+ * @param {string} [value] - 'anonymize' (default) or 'delete'
+ * @returns {'anonymize'|'delete'}
+ */
+function parseRetentionAction(value) {
+  const action = (value || 'anonymize').trim().toLowerCase();
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown retention action "${value}". Expected one of: ${ACTIONS.join(', ')}.`);
+  }
+  return action;
+}
+
+/**
+ * Creates the job that applies the retention period to stored analytics.
+ * @param {object} options
+ * @param {object} options.analytics - Analytics provider (purge({ before, action }) -> Promise<number>)
+ * @param {number} options.days - Retention period in days; 0 keeps records forever
+ * @param {'anonymize'|'delete'} options.action - What happens to older records
+ * @param {function(): number} [options.now] - Clock in milliseconds, replaceable for tests
+ * @returns {object} - Sweeper
+ */
+function createRetentionSweeper({ analytics, days, action, now = Date.now }) {
+  let timer = null;
+
+  /**
+   * Anonymizes or deletes every record older than the retention period.
+   * @returns {Promise<number>} - Number of records changed
+   */
+  async function runOnce() {
+    if (!(days > 0)) return 0;
+    const before = new Date(now() - days * DAY_MS);
+    const changed = await analytics.purge({ before, action });
+    if (changed > 0) console.log(`Retention: ${action === 'delete' ? 'deleted' : 'anonymized'} ${changed} analytics record(s) from before ${before.toISOString()}`);
+    return changed;
+  }
+
+  return {
+    runOnce,
+
+    /**
+     * Sweeps now and then at every interval until stopped.
+     * @param {number} intervalMs - Sweep interval
+     */
+    start(intervalMs) {
+      if (timer || !(days > 0)) return;
+      let running = false;
+      const sweep = async () => {
+        if (running) return; // A slow sweep is still going
+        running = true;
+        try {
+          await runOnce();
+        } catch (error) {
+          console.error('Retention sweep error:', error);
+        } finally {
+          running = false;
+        }
+      };
+      timer = setInterval(sweep, intervalMs);
+      timer.unref();
+      sweep();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { ANONYMIZED_FIELDS, anonymizeRecord, parseRetentionAction, createRetentionSweeper };
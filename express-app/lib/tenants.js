@@ -0,0 +1,293 @@
+const fs = require('fs');
+const { normalizePhoneNumber } = require('./phone');
+const { baseLanguage } = require('./intent');
+const { createBookingRules } = require('./bookingRules');
+const { parseOffsets } = require('./reminders');
+const { normalizeQueues } = require('./handoff');
+
+/**
+ * Tenants: the businesses one server answers for.
+ *
+ * Each tenant owns one or more phone numbers and is picked by the number the
+ * caller dialed (the webhook's `To`). Tenants are listed in a JSON file
+ * (TENANTS_FILE, see tenants.example.json); without one, a single 'default'
+ * tenant is built from the global settings, so a one-business setup needs no
+ * file. Secrets in the file can be written as "env:NAME" to read them from the
+ * environment instead of storing them in it.
+ */
+
+const DEFAULT_TENANT_ID = 'default';
+const TENANT_ID = /^[a-z0-9][a-z0-9_-]*$/;
+const MESSAGE_CHANNELS = ['sms', 'email'];
+
+/**
+ * Replaces "env:NAME" with the value of environment variable NAME.
+ * @param {*} value - Configured value
+ * @param {object} env - Environment
+ * @param {string} field - Field name, for the error message
+ * @returns {*}
+ */
+function resolveSecret(value, env, field) {
+  if (typeof value !== 'string' || !value.startsWith('env:')) return value;
+  const name = value.slice(4);
+  if (env[name] === undefined) throw new Error(`${field} refers to environment variable ${name}, which is not set`);
+  return env[name];
+}
+
+/**
+ * Reads a JSON setting from the environment.
+ * @param {string} value - Setting value
+ * @param {string} name - Setting name, for the error message
+ * @returns {*} - Parsed value, or undefined when unset
+ */
+function jsonSetting(value, name) {
+  if (!value) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Reads closure dates from HOLIDAYS ("2026-12-25,2026-12-31..2027-01-01").
+ * @param {string} value - Setting value
+ * @returns {Array<string|object>|undefined}
+ */
+function holidaySetting(value) {
+  if (!value) return undefined;
+  return value.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+    const [from, to] = item.split('..');
+    return to ? { from, to } : from;
+  });
+}
+
+/**
+ * Validates one tenant entry and fills in defaults from the global settings.
+ * @param {object} entry - Tenant as written in the tenants file
+ * @param {object} env - Environment (global settings and "env:" secrets)
+ * @returns {object} - Tenant configuration
+ */
+function normalizeTenant(entry, env) {
+  const where = `Tenant ${entry?.id ?? '(no id)'}`;
+  if (!entry || !TENANT_ID.test(entry.id || '')) {
+    throw new Error(`${where}: id must be lowercase letters, digits, '-' or '_'`);
+  }
+
+  const callingCode = env.DEFAULT_COUNTRY_CALLING_CODE || '1';
+  const phoneNumbers = (entry.phoneNumbers || []).map(raw => {
+    const number = normalizePhoneNumber(raw, callingCode);
+    if (!number) throw new Error(`${where}: "${raw}" is not a phone number`);
+    return number;
+  });
+
+  const timeZone = entry.timezone || env.BUSINESS_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new Error(`${where}: unknown timezone "${timeZone}"`);
+  }
+
+  const languages = (entry.languages || []).map(baseLanguage);
+  const defaultLanguage = entry.defaultLanguage || languages[0] || env.DEFAULT_LANGUAGE || 'en';
+  if (languages.length > 0 && !languages.includes(baseLanguage(defaultLanguage))) {
+    throw new Error(`${where}: defaultLanguage ${defaultLanguage} is not one of its languages`);
+  }
+
+  const scheduling = entry.scheduling || {};
+  const tts = entry.tts || {};
+  const durationMinutes = Number(entry.appointmentDuration ?? env.DEFAULT_APPOINTMENT_DURATION);
+  if (!Number.isFinite(durationMinutes) || durationMinutes <= 0) {
+    throw new Error(`${where}: appointmentDuration must be a positive number of minutes`);
+  }
+  const serviceDurations = entry.serviceDurations ?? jsonSetting(env.SERVICE_DURATIONS, 'SERVICE_DURATIONS');
+
+  let rules;
+  try {
+    rules = createBookingRules({
+      timeZone,
+      openingHours: entry.businessHours ?? jsonSetting(env.BUSINESS_HOURS, 'BUSINESS_HOURS'),
+      closures: entry.holidays ?? holidaySetting(env.HOLIDAYS),
+      minLeadMinutes: Number(entry.minLeadMinutes ?? env.MIN_BOOKING_LEAD_MINUTES ?? 60),
+      maxDaysAhead: Number(entry.maxDaysAhead ?? env.MAX_BOOKING_DAYS_AHEAD ?? 90),
+      slotMinutes: Number(entry.slotMinutes ?? env.SLOT_GRANULARITY_MINUTES ?? 15),
+      defaultDurationMinutes: durationMinutes,
+      serviceDurations
+    });
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+
+  // Confirmations and reminders; texts go out from the tenant's own number so replies come back to it
+  const messaging = entry.reminders || {};
+  let offsets;
+  try {
+    offsets = parseOffsets(messaging.offsets ?? env.REMINDER_OFFSETS ?? '24h,2h');
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+  const channels = messaging.channels ?? (env.REMINDER_CHANNELS ?? 'sms,email').split(',').map(item => item.trim()).filter(Boolean);
+  const unknownChannel = channels.find(channel => !MESSAGE_CHANNELS.includes(channel));
+  if (unknownChannel) {
+    throw new Error(`${where}: reminder channel "${unknownChannel}" must be one of ${MESSAGE_CHANNELS.join(', ')}`);
+  }
+  const rawSmsFrom = messaging.smsFrom ?? phoneNumbers[0] ?? env.SMS_FROM_NUMBER;
+  const smsFrom = rawSmsFrom ? normalizePhoneNumber(rawSmsFrom, callingCode) : null;
+  if (rawSmsFrom && !smsFrom) throw new Error(`${where}: "${rawSmsFrom}" is not a phone number`);
+
+  // Staff to hand calls to, and when to do it
+  const handoff = entry.handoff || {};
+  let staffQueues;
+  try {
+    staffQueues = normalizeQueues(handoff.queues ?? jsonSetting(env.HANDOFF_QUEUES, 'HANDOFF_QUEUES') ?? {}, callingCode);
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+
+  return {
+    id: entry.id,
+    name: entry.name ?? entry.id,
+    isDefault: entry.default === true,
+    phoneNumbers,
+    timeZone,
+    languages,
+    defaultLanguage,
+    greeting: entry.greeting || {},
+    serviceId: String(entry.defaultServiceId ?? env.DEFAULT_APPOINTMENT_SERVICE_ID),
+    durationMinutes,
+    rules,
+    reminders: {
+      offsets,
+      channels,
+      confirmations: messaging.confirmations ?? String(env.BOOKING_CONFIRMATIONS ?? 'true') === 'true',
+      smsFrom,
+      emailFrom: messaging.emailFrom ?? env.EMAIL_FROM ?? null,
+      callbackNumber: phoneNumbers[0] ?? smsFrom // Given in messages as the number to call
+    },
+    handoff: {
+      queues: staffQueues,
+      dialTimeoutSeconds: Number(handoff.dialTimeoutSeconds ?? env.HANDOFF_DIAL_TIMEOUT ?? 20),
+      negativeTurns: Number(handoff.negativeTurns ?? env.HANDOFF_NEGATIVE_TURNS ?? 2),
+      maxFailedParses: Number(handoff.maxFailedParses ?? env.HANDOFF_MAX_FAILED_PARSES ?? 2),
+      voicemailMaxSeconds: Number(handoff.voicemailMaxSeconds ?? env.VOICEMAIL_MAX_SECONDS ?? 120)
+    },
+    // Provider settings in the shape createScheduler/createTts read; anything
+    // the tenant leaves out comes from the global settings
+    providerConfig: {
+      ...env,
+      BUSINESS_TIMEZONE: timeZone,
+      DEFAULT_APPOINTMENT_DURATION: durationMinutes,
+      BUSINESS_HOURS: rules.openingHours,
+      SLOT_GRANULARITY_MINUTES: rules.slotMinutes,
+      SERVICE_DURATIONS: serviceDurations,
+      SCHEDULING_PROVIDER: scheduling.provider ?? env.SCHEDULING_PROVIDER,
+      EASY_APPOINTMENTS_URL: scheduling.url ?? env.EASY_APPOINTMENTS_URL,
+      EASY_APPOINTMENTS_API_KEY: resolveSecret(scheduling.apiKey, env, `${where} scheduling.apiKey`) ?? env.EASY_APPOINTMENTS_API_KEY,
+      TTS_PROVIDER: tts.provider ?? env.TTS_PROVIDER,
+      ULTRAVOX_TTS_URL: tts.url ?? env.ULTRAVOX_TTS_URL,
+      TTS_VOICE: tts.voice ?? env.TTS_VOICE
+    }
+  };
+}
+
+/**
+ * Reads the tenant list.
+ * @param {object} env - Environment (TENANTS_FILE and the global settings)
+ * @returns {object[]} - Tenant configurations
+ */
+function loadTenants(env) {
+  if (!env.TENANTS_FILE) {
+    return [normalizeTenant({ id: DEFAULT_TENANT_ID, name: env.BUSINESS_NAME || '', default: true }, env)];
+  }
+
+  const entries = JSON.parse(fs.readFileSync(env.TENANTS_FILE, 'utf8'));
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`${env.TENANTS_FILE} must contain a non-empty array of tenants`);
+  }
+  const tenants = entries.map(entry => normalizeTenant(entry, env));
+
+  const ids = new Set();
+  const owners = new Map();
+  for (const tenant of tenants) {
+    if (ids.has(tenant.id)) throw new Error(`Tenant id ${tenant.id} is used twice`);
+    ids.add(tenant.id);
+    for (const number of tenant.phoneNumbers) {
+      if (owners.has(number)) throw new Error(`${number} belongs to both ${owners.get(number)} and ${tenant.id}`);
+      owners.set(number, tenant.id);
+    }
+  }
+  if (tenants.filter(tenant => tenant.isDefault).length > 1) {
+    throw new Error('Only one tenant can be the default');
+  }
+  // Customers saved by a single-business server are filed under it (see defaultId below)
+  if (tenants.some(tenant => tenant.id === DEFAULT_TENANT_ID && !tenant.isDefault && tenants.length > 1)) {
+    throw new Error(`Tenant id ${DEFAULT_TENANT_ID} is reserved for the default tenant`);
+  }
+  return tenants;
+}
+
+/**
+ * Creates the tenant registry, building each tenant's scheduling and TTS clients.
+ * @param {object[]} tenants - Tenant configurations (see loadTenants)
+ * @param {object} factories
+ * @param {function(object): {name: string, scheduler: object}} factories.createScheduler
+ * @param {function(object): {name: string, tts: object}} factories.createTts
+ * @returns {{resolve: function(string): (object|undefined), get: function(string): (object|undefined), list: function(): object[], defaultId: (string|null)}}
+ */
+function createTenantRegistry(tenants, { createScheduler, createTts }) {
+  const byId = new Map();
+  const byNumber = new Map();
+
+  for (const { providerConfig, ...settings } of tenants) {
+    const scheduling = createScheduler(providerConfig);
+    const speech = createTts(providerConfig);
+    const tenant = {
+      ...settings,
+      scheduler: scheduling.scheduler,
+      tts: speech.tts,
+      providerNames: { scheduler: scheduling.name, tts: speech.name }
+    };
+    byId.set(tenant.id, tenant);
+    tenant.phoneNumbers.forEach(number => byNumber.set(number, tenant));
+  }
+
+  // Calls to numbers no tenant lists go to the default tenant, or to the only
+  // tenant when there is just one
+  const fallback = [...byId.values()].find(tenant => tenant.isDefault) ||
+    (byId.size === 1 ? [...byId.values()][0] : undefined);
+
+  return {
+    /**
+     * Finds the tenant that owns the dialed number.
+     * @param {string} dialedNumber - Number the caller dialed (webhook `To`)
+     * @param {string} [defaultCallingCode='1'] - Country calling code for national numbers
+     * @returns {object|undefined} - Tenant, or undefined if no tenant answers this number
+     */
+    resolve(dialedNumber, defaultCallingCode = '1') {
+      const number = normalizePhoneNumber(dialedNumber, defaultCallingCode);
+      const owner = number && byNumber.get(number);
+      if (owner) return owner;
+      if (fallback && byId.size > 1) {
+        console.warn(`Dialed number ${dialedNumber || 'N/A'} belongs to no tenant; answering as the default tenant ${fallback.id}.`);
+      }
+      return fallback;
+    },
+    get: id => byId.get(id),
+    list: () => [...byId.values()],
+    // Tenant that customers saved before tenants existed (no tenant_id) or by a
+    // single-business server (tenant_id 'default') belong to, whatever its ID
+    defaultId: fallback ? fallback.id : null
+  };
+}
+
+/**
+ * Whether a tenant serves callers in a language.
+ * @param {object} tenant - Tenant
+ * @param {string} language - Language code
+ * @returns {boolean}
+ */
+function supportsLanguage(tenant, language) {
+  return tenant.languages.length === 0 || tenant.languages.includes(baseLanguage(language));
+}
+
+module.exports = { DEFAULT_TENANT_ID, loadTenants, createTenantRegistry, supportsLanguage };
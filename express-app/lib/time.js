@@ -0,0 +1,137 @@
+/**
+ * Timezone-aware date/time helpers built on the Intl API.
+ *
+ * Booking slots are kept as wall-clock values ({ date: 'YYYY-MM-DD', time: 'HH:MM' })
+ * in a named IANA zone. These helpers convert between wall-clock values and
+ * instants (Date) so that arithmetic happens on instants and day rollover and
+ * DST transitions come out right.
+ */
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Returns true if the value is a timezone name Intl understands (e.g., 'Europe/Berlin').
+ * @param {string} timeZone - Timezone name
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Splits an instant into its wall-clock parts in a timezone.
+ * @param {Date} instant - Instant to split
+ * @param {string} timeZone - IANA timezone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZonedParts(instant, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(instant)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in minutes (e.g., -240 for EDT).
+ * @param {Date} instant - Instant at which to evaluate the offset
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} - Offset in minutes
+ */
+function getOffsetMinutes(instant, timeZone) {
+  const p = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Formats an instant as a wall-clock date/time in a timezone.
+ * @param {Date} instant - Instant to format
+ * @param {string} timeZone - IANA timezone name
+ * @returns {{date: string, time: string}} - Date (YYYY-MM-DD) and time (HH:MM)
+ */
+function toWallClock(instant, timeZone) {
+  const p = getZonedParts(instant, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  return { date: `${p.year}-${pad(p.month)}-${pad(p.day)}`, time: `${pad(p.hour)}:${pad(p.minute)}` };
+}
+
+/**
+ * Converts a wall-clock date/time in a timezone to an instant.
+ * Times skipped by a DST jump (e.g., 02:30 on spring-forward day) are moved
+ * forward by the size of the jump; times that occur twice resolve to the first.
+ * @param {{date: string, time: string}} wallClock - Date (YYYY-MM-DD) and time (HH:MM)
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} - Instant
+ */
+function fromWallClock({ date, time }, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const naive = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Transitions are never closer than a day apart, so the offsets a day either
+  // side cover every offset that can apply to this wall-clock time
+  const oneDay = 24 * 60 * 60000;
+  const offsets = new Set([naive - oneDay, naive, naive + oneDay].map(t => getOffsetMinutes(new Date(t), timeZone)));
+  const candidates = [...offsets].map(offset => naive - offset * 60000);
+  const exact = candidates.filter(candidate => {
+    const wall = toWallClock(new Date(candidate), timeZone);
+    return wall.date === date && wall.time === time;
+  });
+  return new Date(exact.length > 0 ? Math.min(...exact) : Math.max(...candidates));
+}
+
+/**
+ * Adds minutes to a wall-clock date/time, rolling over days and DST transitions.
+ * @param {{date: string, time: string}} wallClock - Start date/time
+ * @param {number} minutes - Minutes to add
+ * @param {string} timeZone - IANA timezone name
+ * @returns {{date: string, time: string}} - Resulting date/time
+ */
+function addMinutesToWallClock(wallClock, minutes, timeZone) {
+  const instant = fromWallClock(wallClock, timeZone);
+  return toWallClock(new Date(instant.getTime() + minutes * 60000), timeZone);
+}
+
+/**
+ * Re-expresses a wall-clock date/time from one timezone in another.
+ * @param {{date: string, time: string}} wallClock - Date/time in `fromZone`
+ * @param {string} fromZone - Source IANA timezone name
+ * @param {string} toZone - Target IANA timezone name
+ * @returns {{date: string, time: string}} - Date/time in `toZone`
+ */
+function convertWallClock(wallClock, fromZone, toZone) {
+  if (fromZone === toZone) return { date: wallClock.date, time: wallClock.time };
+  return toWallClock(fromWallClock(wallClock, fromZone), toZone);
+}
+
+module.exports = {
+  isValidTimeZone,
+  getOffsetMinutes,
+  toWallClock,
+  fromWallClock,
+  addMinutesToWallClock,
+  convertWallClock
+};
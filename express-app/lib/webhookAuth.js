@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+/**
+ * Webhook signature verification for /voice.
+ *
+ * Three schemes are accepted, each enabled by configuring its secret:
+ *   Twilio      X-Twilio-Signature: base64 HMAC-SHA1 of the URL followed by the
+ *               sorted form parameters (JSON bodies: the URL only, with the body
+ *               hash in its bodySHA256 query parameter)
+ *   SignalWire  X-SignalWire-Signature: the same scheme, keyed with the project's signing key
+ *   Shared      X-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *               with X-Signature-Timestamp (Unix seconds), for our own services
+ *               such as the Twilio stream function
+ * The URL is the public one the provider calls, so it is built from a
+ * configured base URL rather than from headers a proxy may have rewritten.
+ */
+
+const SHARED_SIGNATURE_TOLERANCE_SECONDS = 300; // Replay window for shared-secret signatures
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a || '');
+  const right = Buffer.from(b || '');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Computes a Twilio-style request signature.
+ * @param {string} authToken - Twilio auth token or SignalWire signing key
+ * @param {string} url - Full public URL of the request, including the query string
+ * @param {object} [params] - Form parameters (none for JSON bodies)
+ * @returns {string} - Base64 signature
+ */
+function twilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params).sort().reduce((text, key) => {
+    const values = Array.isArray(params[key]) ? [...params[key]].sort() : [params[key]];
+    return text + values.map(value => `${key}${value}`).join('');
+  }, url);
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf8')).digest('base64');
+}
+
+/**
+ * Checks a Twilio-style signature against a request.
+ * @param {string} authToken - Twilio auth token or SignalWire signing key
+ * @param {string} signature - Signature header value
+ * @param {string} url - Full public URL of the request
+ * @param {object} req - Express request (body and rawBody)
+ * @returns {boolean}
+ */
+function verifyTwilioSignature(authToken, signature, url, req) {
+  const bodyHash = new URL(url).searchParams.get('bodySHA256');
+  if (bodyHash) {
+    const actual = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+    return safeEqual(actual, bodyHash) && safeEqual(twilioSignature(authToken, url), signature);
+  }
+  const params = req.is('application/x-www-form-urlencoded') ? req.body : {};
+  return safeEqual(twilioSignature(authToken, url, params), signature);
+}
+
+/**
+ * Computes a shared-secret signature header value.
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Unix seconds sent in X-Signature-Timestamp
+ * @param {string|Buffer} rawBody - Exact request body
+ * @returns {string} - "sha256=<hex>"
+ */
+function sharedSignature(secret, timestamp, rawBody) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody || '').digest('hex')}`;
+}
+
+/**
+ * Creates middleware that rejects requests without a valid signature (401).
+ * When no secret is configured every request is rejected, unless unsigned
+ * requests are explicitly allowed (for local development).
+ * @param {object} options
+ * @param {string} [options.twilioAuthToken] - Enables X-Twilio-Signature
+ * @param {string} [options.signalwireSigningKey] - Enables X-SignalWire-Signature
+ * @param {string} [options.sharedSecret] - Enables X-Signature
+ * @param {string} [options.baseUrl] - Public base URL of this app, e.g. https://api.yourdomain.com
+ * @param {boolean} [options.allowUnsigned=false] - Lets every request through when no secret is configured
+ * @param {function(): number} [options.now] - Clock in milliseconds, replaceable for tests
+ * @returns {function} - Express middleware
+ */
+function createWebhookVerifier({ twilioAuthToken, signalwireSigningKey, sharedSecret, baseUrl, allowUnsigned = false, now = Date.now }) {
+  const enabled = Boolean(twilioAuthToken || signalwireSigningKey || sharedSecret);
+
+  return function verifyWebhook(req, res, next) {
+    if (!enabled && allowUnsigned) return next();
+
+    const url = `${(baseUrl || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '')}${req.originalUrl}`;
+    const twilio = req.get('X-Twilio-Signature');
+    const signalwire = req.get('X-SignalWire-Signature');
+    const shared = req.get('X-Signature');
+    let valid = false;
+
+    if (shared && sharedSecret) {
+      const timestamp = Number(req.get('X-Signature-Timestamp'));
+      const fresh = Math.abs(now() / 1000 - timestamp) <= SHARED_SIGNATURE_TOLERANCE_SECONDS;
+      valid = fresh && safeEqual(sharedSignature(sharedSecret, timestamp, req.rawBody), shared);
+    } else if (signalwire && signalwireSigningKey) {
+      valid = verifyTwilioSignature(signalwireSigningKey, signalwire, url, req);
+    } else if (twilio && (twilioAuthToken || signalwireSigningKey)) {
+      // SignalWire's compatibility API also sends X-Twilio-Signature
+      valid = [twilioAuthToken, signalwireSigningKey].some(key => key && verifyTwilioSignature(key, twilio, url, req));
+    }
+
+    if (!valid) {
+      console.warn(`Rejected ${req.method} ${req.originalUrl} from ${req.ip}: missing or invalid webhook signature.`);
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+    next();
+  };
+}
+
+module.exports = { createWebhookVerifier, twilioSignature, sharedSignature };
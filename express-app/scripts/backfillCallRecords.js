@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const { DEFAULT_TENANT_ID } = require('../lib/tenants');
+const { createFirestoreAnalytics } = require('../lib/providers/firestoreAnalytics');
+
+/**
+ * Brings call records saved by earlier versions of the voice agent up to date
+ * in Firestore, so the dashboard and the retention sweep find them. Safe to
+ * run again.
+ *
+ *   npm run backfill
+ *
+ * Reads FIREBASE_SERVICE_ACCOUNT from the environment or .env, like the server.
+ */
+
+const DEFAULTS = {
+  tenantId: DEFAULT_TENANT_ID, // Calls recorded before tenants existed were all for the single business
+  anonymized: false // Lets retention find them (see lib/retention.js)
+};
+
+async function main() {
+  const { FIREBASE_SERVICE_ACCOUNT } = process.env;
+  if (!FIREBASE_SERVICE_ACCOUNT) throw new Error('FIREBASE_SERVICE_ACCOUNT is not set.');
+  const analytics = createFirestoreAnalytics({ serviceAccount: FIREBASE_SERVICE_ACCOUNT });
+  const changed = await analytics.fillMissing(DEFAULTS);
+  console.log(`Updated ${changed} record${changed === 1 ? '' : 's'} (${Object.keys(DEFAULTS).join(', ')}).`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -1,10 +1,30 @@
 const express = require('express');
-const axios = require('axios');
-const { Translate } = require('@google-cloud/translate').v2;
 const { Pool } = require('pg');
 const Redis = require('ioredis');
-const chrono = require('chrono-node');
-const admin = require('firebase-admin'); // For Firestore
+const { createProviders, createScheduler, createTts } = require('./lib/providers');
+const { DEFAULT_TENANT_ID, loadTenants, createTenantRegistry, supportsLanguage } = require('./lib/tenants');
+const { createMessageCatalog } = require('./lib/messages');
+const { createWebhookVerifier } = require('./lib/webhookAuth');
+const { createRateLimiter, createIdempotencyGuard } = require('./lib/requestGuards');
+const { createReminderQueue, parseReply } = require('./lib/reminders');
+const { escalationReason, staffNumbers, transferTwiml, voicemailTwiml, hangupTwiml } = require('./lib/handoff');
+const { transcriptTurns, formatTurns, searchTokens, callOutcome, isFurtherStage } = require('./lib/callRecords');
+const { STATUS, loadSession, saveSession, mergeSlots, missingSlots } = require('./lib/dialogueSession');
+const { toEasyAppointmentsRange, parseEasyAppointmentsDateTime } = require('./lib/easyAppointments');
+const { findSlot } = require('./lib/availability');
+const { INTENT, baseLanguage, hasKeywords, classifyIntent, isAffirmative, isNegative, pickOrdinal } = require('./lib/intent');
+const { parseSlots, hasNativeParser } = require('./lib/dateParsing');
+const { languageName, matchLanguageChoice } = require('./lib/languageChoice');
+const { normalizePhoneNumber } = require('./lib/phone');
+const { extractName, splitName, parseSpokenEmail, matchCustomer } = require('./lib/onboarding');
+const { isValidTimeZone, fromWallClock, toWallClock, convertWallClock } = require('./lib/time');
+const { redactText, redactValue, customerNames, maskPhone, callerKey } = require('./lib/redaction');
+const { parseRetentionAction, createRetentionSweeper } = require('./lib/retention');
+const { createLogger, captureConsole, correlate, logContext } = require('./lib/logger');
+const { createMetrics, instrument } = require('./lib/metrics');
+const { createHealthMonitor } = require('./lib/health');
+const { isMemoryUrl, connectMemoryDatabase } = require('./lib/memoryDatabase');
+const { connectMemoryRedis } = require('./lib/memoryRedis');
 
 // --- Configuration ---
 // Load environment variables (using dotenv or similar is recommended)
@@ -13,154 +33,830 @@ require('dotenv').config();
 const {
   PORT = 3000,
   GOOGLE_PROJECT_ID,
-  DATABASE_URL,
-  REDIS_URL,
+  DATABASE_URL, // memory://<name> uses an in-process customers table (lib/memoryDatabase.js)
+  REDIS_URL, // memory://<name> uses an in-process stand-in (lib/memoryRedis.js)
   EASY_APPOINTMENTS_API_KEY,
   EASY_APPOINTMENTS_URL, // e.g., https://easyappointments.yourdomain.com
-  FIREBASE_SERVICE_ACCOUNT, // Path to or JSON string of your service account key
+  FIREBASE_SERVICE_ACCOUNT, // JSON string of your service account key
   DEFAULT_APPOINTMENT_SERVICE_ID = 'default_service', // Default service ID for Easy!Appointments
   DEFAULT_APPOINTMENT_DURATION = 30, // Default duration in minutes
-  ULTRAVOX_TTS_URL // e.g., https://ultravox.yourdomain.com/tts
+  SERVICE_DURATIONS, // JSON minutes per service ID, e.g., {"1": 30, "2": 60}; others use DEFAULT_APPOINTMENT_DURATION
+  BUSINESS_HOURS = '[{"days":[1,2,3,4,5],"start":"09:00","end":"17:00"}]', // JSON weekly opening hours (0 = Sunday) in BUSINESS_TIMEZONE
+  HOLIDAYS, // Closed dates, e.g., 2026-12-25,2026-12-31..2027-01-01
+  MIN_BOOKING_LEAD_MINUTES = 60, // How soon an appointment may start
+  MAX_BOOKING_DAYS_AHEAD = 90, // How many days ahead appointments are booked (0 for no limit)
+  SLOT_GRANULARITY_MINUTES = 15, // Requested times snap to this grid (2:10 -> 2:15)
+  DIALOGUE_SESSION_TTL = 1800, // Seconds a call's dialogue session is kept after its last turn
+  AVAILABILITY_SEARCH_DAYS = 7, // Days ahead to search for alternatives when a slot is taken
+  ALTERNATIVE_SLOT_COUNT = 3, // Number of alternative slots offered to the caller
+  ULTRAVOX_TTS_URL, // e.g., https://ultravox.yourdomain.com/tts
+  BUSINESS_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone, // IANA zone of the business and Easy!Appointments, e.g., America/New_York
+  BUSINESS_NAME, // Name spoken in the greeting when no tenants file is used
+  TENANTS_FILE, // JSON list of businesses served by this server (see tenants.example.json); unset serves one business from these settings
+  DEFAULT_COUNTRY_CALLING_CODE = '1', // Country calling code assumed for phone numbers without one
+  DEFAULT_LANGUAGE = 'en', // Language spoken when the caller's cannot be determined
+  LANGUAGE_CONFIDENCE_THRESHOLD = 0.8, // Detections below this confidence ask the caller which language to use
+  MESSAGE_CATALOG_DIR, // Directory of <language>.json prompt catalogs (defaults to lib/locales)
+  ADMIN_API_KEY, // Bearer token required by the /admin endpoints
+  PUBLIC_BASE_URL, // URL the telephony provider calls, e.g., https://api.yourdomain.com (signatures cover it)
+  TWILIO_AUTH_TOKEN, // Verifies X-Twilio-Signature
+  SIGNALWIRE_SIGNING_KEY, // Verifies X-SignalWire-Signature
+  WEBHOOK_SHARED_SECRET, // Verifies X-Signature from our own services (e.g., the Twilio stream function)
+  ALLOW_UNSIGNED_WEBHOOKS = 'false', // 'true' lets webhooks in unsigned when none of the secrets above is set (local development only)
+  TRUST_PROXY, // Express "trust proxy" setting, so rate limits see the caller's IP behind a load balancer
+  RATE_LIMIT_WINDOW = 60, // Seconds per rate-limit window
+  RATE_LIMIT_PER_CALLER = 30, // /voice requests per caller number per window (0 disables)
+  RATE_LIMIT_PER_IP = 300, // /voice requests per source IP per window; providers send many calls from few IPs (0 disables)
+  IDEMPOTENCY_TTL = 3600, // Seconds a /voice response is kept for replaying retried webhooks
+  BOOKING_CONFIRMATIONS = 'true', // Text/email a confirmation as soon as an appointment is booked or moved
+  REMINDER_OFFSETS = '24h,2h', // When reminders go out before an appointment (m, h or d; comma-separated; empty disables)
+  REMINDER_CHANNELS = 'sms,email', // How confirmations and reminders are sent
+  REMINDER_POLL_INTERVAL = 30, // Seconds between checks for due reminders
+  REMINDER_CONFIRMED_STATUS = 'Confirmed', // Appointment status set when the caller replies C
+  REMINDER_RESCHEDULE_STATUS = 'Reschedule requested', // Appointment status set when the caller replies R
+  SMS_FROM_NUMBER, // Number texts are sent from for tenants without a number of their own
+  EMAIL_FROM, // Sender address of confirmation and reminder emails
+  HANDOFF_QUEUES, // JSON staff numbers per language for transfers, e.g., {"en": "+12125550150", "es": ["+12125550151"], "*": "+12125550159"}
+  HANDOFF_DIAL_TIMEOUT = 20, // Seconds staff phones ring before the caller is offered voicemail
+  HANDOFF_NEGATIVE_TURNS = 2, // Consecutive upset caller turns before a transfer (0 disables)
+  HANDOFF_MAX_FAILED_PARSES = 2, // Turns in a row without an understandable request before a transfer (0 disables)
+  VOICEMAIL_MAX_SECONDS = 120, // Longest voicemail recorded when staff do not answer
+  PII_REDACTION = 'true', // Mask phone numbers, emails, card numbers, dates of birth and customer names in stored transcripts and logs
+  PII_HASH_SECRET, // Key for the caller pseudonym stored with analytics (callerHash); without it pseudonyms can be matched to numbers
+  ANALYTICS_RETENTION_DAYS = 0, // Days call_analytics records are kept in full (0 keeps them forever)
+  ANALYTICS_RETENTION_ACTION = 'anonymize', // What then happens to them: 'anonymize' (keep the counts, drop transcripts and caller details) or 'delete'
+  RETENTION_SWEEP_INTERVAL = 3600, // Seconds between retention sweeps
+  LOG_LEVEL = 'info', // Lowest level logged: debug, info, warn or error
+  LOG_FORMAT = 'json', // 'json' (one object per line, for log collectors) or 'text' (for reading locally)
+  METRICS_TOKEN, // Bearer token required by GET /metrics (unset leaves it open, e.g., behind a private network)
+  HEALTH_CHECK_INTERVAL = 15, // Seconds between dependency checks; calls are turned away while the database is down
+  SHUTDOWN_TIMEOUT = 30 // Seconds in-flight requests get to finish on SIGTERM before the process exits anyway
 } = process.env;
 
+// Every console call below (and in lib/) becomes a structured line carrying the request's correlation IDs
+const logger = createLogger({ level: LOG_LEVEL, format: LOG_FORMAT });
+captureConsole(logger);
+
+if (!isValidTimeZone(BUSINESS_TIMEZONE)) {
+  throw new Error(`BUSINESS_TIMEZONE "${BUSINESS_TIMEZONE}" is not a valid IANA timezone.`);
+}
+
 // --- Initialization ---
 const app = express();
-app.use(express.json()); // Middleware to parse JSON bodies
-app.use(express.urlencoded({ extended: true })); // Middleware for form data (if needed)
-
-// Initialize Google Translate Client
-let translationClient;
-if (GOOGLE_PROJECT_ID) {
-  translationClient = new Translate({ projectId: GOOGLE_PROJECT_ID });
-  console.log('Google Translate Client Initialized.');
-} else {
-  console.warn('GOOGLE_PROJECT_ID not set. Translation features disabled.');
+
+// Initialize Metrics (served in the Prometheus format by GET /metrics)
+const metrics = createMetrics();
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests handled', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'Time to answer HTTP requests', ['method', 'route']);
+const httpInFlight = metrics.gauge('http_requests_in_flight', 'HTTP requests being handled');
+const stageDuration = metrics.histogram('voice_stage_duration_seconds', 'Time spent per /voice pipeline stage', ['stage']);
+const externalErrors = metrics.counter('external_call_errors_total', 'Failed calls to external services', ['service', 'operation']);
+const languageCacheLookups = metrics.counter('language_cache_lookups_total', 'Lookups of detected languages in the Redis lang: cache', ['result']);
+const bookingAttempts = metrics.counter('booking_attempts_total', 'Attempts to book, move or cancel an appointment once the caller confirmed', ['intent', 'result']);
+const dependencyUp = metrics.gauge('dependency_up', 'Whether a dependency answered its latest health check (1) or not (0)', ['dependency']);
+const processMemory = metrics.gauge('process_resident_memory_bytes', 'Resident memory size');
+const processUptime = metrics.gauge('process_uptime_seconds', 'Seconds since the process started');
+
+app.use((req, res, next) => {
+  const end = httpDuration.startTimer({ method: req.method });
+  httpInFlight.inc();
+  // While draining for shutdown, clients are told not to reuse the connection
+  if (health.isShuttingDown()) res.set('Connection', 'close');
+  res.on('close', () => {
+    const route = req.route ? req.route.path : 'unmatched'; // The route pattern, so IDs in paths do not make new series
+    end({ route });
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpInFlight.dec();
+  });
+  next();
+});
+
+// Keep the exact body bytes; webhook signatures are computed over them
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(express.json({ verify: keepRawBody })); // Middleware to parse JSON bodies
+app.use(express.urlencoded({ extended: true, verify: keepRawBody })); // Middleware for form data (if needed)
+// Lines logged while handling a request carry its requestId and, for telephony webhooks, the call's ID
+app.use(correlate(req => req.body?.call_id || req.body?.CallSid || req.query.callId));
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
 }
 
 // Initialize PostgreSQL Client
 let db;
-if (DATABASE_URL) {
+if (isMemoryUrl(DATABASE_URL)) {
+  db = connectMemoryDatabase(DATABASE_URL);
+  console.warn(`Using the in-memory customers table (${DATABASE_URL}); it is lost on restart.`);
+} else if (DATABASE_URL) {
   db = new Pool({ connectionString: DATABASE_URL });
-  db.connect()
-    .then(() => console.log('PostgreSQL Connected.'))
-    .catch(err => console.error('PostgreSQL Connection Error:', err));
+  // Connections are checked by the health monitor (below); this catches idle ones that break
+  db.on('error', err => {
+    externalErrors.inc({ service: 'database', operation: 'connection' });
+    console.error('PostgreSQL Connection Error:', err);
+  });
 } else {
   console.warn('DATABASE_URL not set. Database features disabled.');
 }
 
 // Initialize Redis Client
 let redis;
-if (REDIS_URL) {
+if (isMemoryUrl(REDIS_URL)) {
+  redis = connectMemoryRedis(REDIS_URL);
+  console.warn(`Using the in-memory Redis stand-in (${REDIS_URL}); it is not shared between servers.`);
+} else if (REDIS_URL) {
   redis = new Redis(REDIS_URL);
   redis.on('connect', () => console.log('Redis Connected.'));
-  redis.on('error', err => console.error('Redis Connection Error:', err));
+  redis.on('error', err => {
+    externalErrors.inc({ service: 'redis', operation: 'connection' });
+    console.error('Redis Connection Error:', err);
+  });
 } else {
   console.warn('REDIS_URL not set. Caching features disabled.');
 }
 
-// Initialize Firebase Admin SDK
-try {
-  if (FIREBASE_SERVICE_ACCOUNT) {
-    const serviceAccount = JSON.parse(FIREBASE_SERVICE_ACCOUNT);
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount)
-    });
-    console.log('Firebase Admin SDK Initialized.');
-  } else {
-    console.warn('FIREBASE_SERVICE_ACCOUNT not set. Firebase features disabled.');
+// Initialize Providers (translation, language detection, analytics)
+// Each is chosen by its *_PROVIDER setting; local implementations stand in for unconfigured services
+const providers = createProviders(process.env);
+// Timed per pipeline stage; failures count as external call errors
+Object.assign(providers, {
+  translator: instrument(providers.translator, { service: 'translator', stages: { translate: 'translate' }, stageDuration, externalErrors }),
+  languageDetector: instrument(providers.languageDetector, { service: 'languageDetector', stages: { detect: 'detect' }, stageDuration, externalErrors }),
+  analytics: instrument(providers.analytics, { service: 'analytics', stages: { record: 'analytics' }, stageDuration, externalErrors }),
+  sms: instrument(providers.sms, { service: 'sms', stages: { send: 'notify' }, stageDuration, externalErrors }),
+  email: instrument(providers.email, { service: 'email', stages: { send: 'notify' }, stageDuration, externalErrors })
+});
+
+// Initialize Tenants (each business's numbers, settings, scheduling backend and TTS voice)
+const tenants = createTenantRegistry(
+  loadTenants({
+    ...process.env,
+    BUSINESS_TIMEZONE,
+    DEFAULT_APPOINTMENT_DURATION,
+    DEFAULT_APPOINTMENT_SERVICE_ID,
+    DEFAULT_LANGUAGE,
+    BUSINESS_HOURS,
+    MIN_BOOKING_LEAD_MINUTES,
+    MAX_BOOKING_DAYS_AHEAD,
+    SLOT_GRANULARITY_MINUTES,
+    BOOKING_CONFIRMATIONS,
+    REMINDER_OFFSETS,
+    REMINDER_CHANNELS,
+    HANDOFF_DIAL_TIMEOUT,
+    HANDOFF_NEGATIVE_TURNS,
+    HANDOFF_MAX_FAILED_PARSES,
+    VOICEMAIL_MAX_SECONDS
+  }),
+  {
+    // Each business's clients are timed like the shared providers (listProviders is left out: health checks call it)
+    createScheduler: config => {
+      const built = createScheduler(config);
+      return {
+        ...built,
+        scheduler: instrument(built.scheduler, {
+          service: 'scheduler',
+          stages: {
+            createCustomer: 'register',
+            listAppointments: 'availability',
+            getAvailabilities: 'availability',
+            createAppointment: 'book',
+            updateAppointment: 'book',
+            deleteAppointment: 'book'
+          },
+          stageDuration,
+          externalErrors
+        })
+      };
+    },
+    createTts: config => {
+      const built = createTts(config);
+      return { ...built, tts: instrument(built.tts, { service: 'tts', stages: { synthesize: 'tts' }, stageDuration, externalErrors }) };
+    }
   }
-} catch (error) {
-  console.error('Error initializing Firebase Admin SDK:', error);
-}
-const firestore = admin.firestore();
+);
+
+// Initialize Message Catalog (reviewed prompts per language; runtime translation fills the gaps)
+const messages = createMessageCatalog({ translator: providers.translator, catalogDir: MESSAGE_CATALOG_DIR || undefined });
+
+// Initialize Retention Sweeper (anonymizes or deletes analytics older than the retention period; runs once the server starts)
+const retention = createRetentionSweeper({
+  analytics: providers.analytics,
+  days: Number(ANALYTICS_RETENTION_DAYS),
+  action: parseRetentionAction(ANALYTICS_RETENTION_ACTION)
+});
+
+// Initialize Reminder Queue (appointment reminders due for sending; polled once the server starts)
+const reminders = createReminderQueue({ redis, deliver: deliverReminder });
+app.locals.reminders = reminders;
+app.locals.tenants = tenants;
+
+// Work that carries on after the response (analytics, confirmations); shutdown and the simulator wait for it
+const background = new Set();
+app.locals.settled = () => Promise.all([...background]);
+
+// Initialize Health Monitor (checks dependencies once the server starts; see GET /readyz)
+// Only the database is critical: without it callers cannot be found or registered
+const health = createHealthMonitor({
+  checks: [
+    ...(db ? [{ name: 'database', critical: true, check: () => db.query('SELECT 1') }] : []),
+    ...(redis ? [{ name: 'redis', check: () => redis.ping() }] : []),
+    { name: 'analytics', check: () => providers.analytics.ping() },
+    ...tenants.list().map(tenant => ({
+      name: `scheduler:${tenant.id}`,
+      check: () => tenant.scheduler.listProviders(tenant.serviceId)
+    }))
+  ],
+  onReport: report => Object.entries(report.dependencies).forEach(([dependency, { status }]) => {
+    dependencyUp.set({ dependency }, status === 'up' ? 1 : 0);
+  })
+});
+
+// Columns read for every customer record
+const CUSTOMER_COLUMNS = 'id, email, first_name, last_name, timezone, preferred_language, easy_appointments_id';
+
+// Tenant of a customer record, given the default tenant's ID as $4: records saved before tenants
+// existed have none and those saved by a single-business server say 'default', and both belong to
+// the default tenant even when TENANTS_FILE gives it another ID
+const CUSTOMER_TENANT = `COALESCE(NULLIF(tenant_id, '${DEFAULT_TENANT_ID}'), $4)`;
 
 // --- Helper Functions ---
 
 /**
- * Mock Ultravox TTS function (replace with actual Ultravox API call)
- * @param {string} text - Text to synthesize
- * @param {string} language - Language code (e.g., 'en', 'es')
- * @returns {Promise<string>} - Promise resolving to the audio URL or identifier
+ * Tracks work left running after the response is sent.
+ * @param {Promise} work - Promise that handles its own errors
  */
-async function ultravoxTextToSpeech(text, language) {
-  console.log(`[Mock TTS] Request: Text="${text}", Lang="${language}"`);
-  if (!ULTRAVOX_TTS_URL) {
-    console.warn("ULTRAVOX_TTS_URL not set. Returning placeholder TTS info.");
-    return `placeholder_audio_for_${language}_${text.substring(0, 10)}.mp3`; // Placeholder
-  }
-  try {
-    // Replace with actual API call structure for Ultravox
-    const response = await axios.post(ULTRAVOX_TTS_URL, {
-      text: text,
-      language: language,
-      // Add any other required parameters (voice model, format, etc.)
-    });
-    console.log(`[Mock TTS] Response:`, response.data);
-    // Adjust based on the actual response structure from Ultravox
-    return response.data.audio_url || response.data.audio_id || `error_getting_audio_url`;
-  } catch (error) {
-    console.error(`Error calling Ultravox TTS API:`, error.response ? error.response.data : error.message);
-    // Fallback or error indicator
-    return `error_generating_tts_${language}`;
-  }
+function inBackground(work) {
+  background.add(work);
+  work.finally(() => background.delete(work));
 }
 
 /**
- * Adds minutes to a time string (HH:MM).
- * @param {string} time - Time string (HH:MM)
- * @param {number} minutesToAdd - Minutes to add
- * @returns {string} - New time string (HH:MM)
+ * Masks PII in text before it is stored or logged (see lib/redaction.js).
+ * @param {string} text - Text to redact
+ * @param {object} [customer] - Customer record; their names are masked too
+ * @returns {string} - Redacted text, or the text itself when PII_REDACTION is off
  */
-function addMinutesToTime(time, minutesToAdd) {
-  try {
-    const [hour, minute] = time.split(':').map(Number);
-    const date = new Date();
-    date.setHours(hour, minute + minutesToAdd, 0, 0); // Set hours and minutes
-    return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false }); // Use 24-hour format consistently
-  } catch (e) {
-    console.error("Error adding minutes to time:", e);
-    // Fallback: return original time + fixed duration (less ideal)
-    const originalMinutes = parseInt(time.split(':')[1] || '0');
-    const newMinutes = (originalMinutes + minutesToAdd) % 60;
-    const hourIncrement = Math.floor((originalMinutes + minutesToAdd) / 60);
-    const originalHour = parseInt(time.split(':')[0] || '0');
-    const newHour = (originalHour + hourIncrement) % 24;
-    return `${String(newHour).padStart(2, '0')}:${String(newMinutes).padStart(2, '0')}`;
-  }
+function redact(text, customer) {
+  return PII_REDACTION === 'true' ? redactText(text, { names: customerNames(customer) }) : text;
+}
+
+/**
+ * Pseudonym analytics records carry instead of the caller's number, so a caller's
+ * records can be found and deleted on request.
+ * @param {string} phoneNumber - E.164 number
+ * @returns {string|null}
+ */
+function callerHash(phoneNumber) {
+  return callerKey(phoneNumber, PII_HASH_SECRET);
 }
 
 /**
- * Translates text using Google Cloud Translate.
+ * Translates text with the configured translation provider.
  * @param {string} text - Text to translate.
  * @param {string} sourceLang - Source language code.
  * @param {string} targetLang - Target language code.
  * @returns {Promise<string>} - Translated text.
  */
 async function translateText(text, sourceLang, targetLang) {
-  if (!translationClient || !text || sourceLang === targetLang) {
-    return text; // No translation needed or possible
+  if (!text || sourceLang === targetLang) {
+    return text; // No translation needed
   }
+  return providers.translator.translate(text, sourceLang, targetLang);
+}
+
+/**
+ * Renders a catalog prompt in the caller's language and synthesizes it in the tenant's voice.
+ * @param {object} tenant - Tenant the call is for
+ * @param {string} key - Message catalog key (see lib/locales/en.json)
+ * @param {object} values - Placeholder values
+ * @param {string} language - Caller's language code
+ * @param {string|null} [notice] - Already rendered text to say first (e.g., why a time was not accepted)
+ * @returns {Promise<string>} - Promise resolving to the audio URL or identifier
+ */
+async function speak(tenant, key, values, language, notice = null) {
+  const text = await messages.render(key, values, language);
+  return tenant.tts.synthesize(notice ? `${notice} ${text}` : text, language);
+}
+
+/**
+ * Asks, in each of the offered languages, which one the caller wants to continue in.
+ * @param {object} tenant - Tenant the call is for
+ * @param {string[]} choices - Offered language codes, most likely first
+ * @returns {Promise<string>} - Promise resolving to the audio URL or identifier
+ */
+async function askLanguage(tenant, choices) {
+  const [first, second] = choices;
+  const questions = await Promise.all(choices.map(language => messages.render('language.choose', {
+    first: languageName(first, language),
+    second: languageName(second, language)
+  }, language)));
+  return tenant.tts.synthesize(questions.join(' '), first);
+}
+
+/**
+ * Greets a new call with the tenant's own greeting, translated when the tenant
+ * has none in the caller's language, or the catalog's standard one.
+ * @param {object} tenant - Tenant the call is for
+ * @param {string} language - Caller's language code
+ * @returns {Promise<string>} - Promise resolving to the audio URL or identifier
+ */
+async function greet(tenant, language) {
+  const own = tenant.greeting[language] || tenant.greeting[baseLanguage(language)];
+  if (own) return tenant.tts.synthesize(own, language);
+  const fallback = tenant.greeting[tenant.defaultLanguage];
+  if (fallback) return tenant.tts.synthesize(await translateText(fallback, tenant.defaultLanguage, language), language);
+  return speak(tenant, 'greeting.default', { business: tenant.name || 'none' }, language);
+}
+
+/**
+ * Stores the language a caller chose so their future calls start in it.
+ * @param {object} customer - Customer record ({ id })
+ * @param {string} language - Chosen language code
+ */
+async function savePreferredLanguage(customer, language) {
+  if (!db || !customer) return;
   try {
-    const [translation] = await translationClient.translate(text, { from: sourceLang, to: targetLang });
-    console.log(`Translated "${text}" (${sourceLang}) to "${translation}" (${targetLang})`);
-    return translation;
-  } catch (error) {
-    console.error(`Error translating text from ${sourceLang} to ${targetLang}:`, error);
-    return text; // Return original text on error
+    await db.query('UPDATE customers SET preferred_language = $1 WHERE id = $2', [language, customer.id]);
+    customer.preferred_language = language;
+    console.log(`Saved preferred language for customer ${customer.id}: ${language}`);
+  } catch (dbError) {
+    console.error('Database error saving preferred language:', dbError);
+  }
+}
+
+/**
+ * Returns the id a customer has in the scheduler. Customers registered before
+ * onboarding existed share their id with Easy!Appointments.
+ * @param {object} customer - Customer record
+ * @returns {string|number} - Scheduler customer ID
+ */
+function schedulerCustomerId(customer) {
+  return customer.easy_appointments_id ?? customer.id;
+}
+
+/**
+ * Creates a customer in the tenant's scheduler and in the customers table.
+ * @param {object} tenant - Tenant the call is for
+ * @param {string} name - Full name
+ * @param {string|null} email - Email address, if the caller gave one
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {string} language - Language the caller used
+ * @returns {Promise<object>} - New customer record
+ */
+async function registerCustomer(tenant, name, email, phoneNumber, language) {
+  const { firstName, lastName } = splitName(name);
+  const scheduled = await tenant.scheduler.createCustomer({
+    firstName,
+    lastName,
+    phone: phoneNumber,
+    ...(email && { email })
+  });
+  const result = await db.query(
+    `INSERT INTO customers (tenant_id, first_name, last_name, email, phone_number, preferred_language, easy_appointments_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING ${CUSTOMER_COLUMNS}`,
+    [tenant.id, firstName, lastName, email, phoneNumber, language, scheduled.id]
+  );
+  const customer = result.rows[0];
+  console.log(`Registered customer for tenant ${tenant.id}: ID=${customer.id}, Easy!Appointments ID=${scheduled.id}`);
+  return customer;
+}
+
+/**
+ * Runs one turn of working out who is calling from a number without a single
+ * customer: asking which person is calling on a shared line, or onboarding a
+ * new caller (name, then an optional email). Progress is kept in
+ * session.onboarding, and the caller's first request in session.pendingUtterance.
+ * @param {object} tenant - Tenant the call is for
+ * @param {object} session - Dialogue session
+ * @param {object[]} lineCustomers - Customers registered on the number
+ * @param {string} speechResult - Caller utterance
+ * @param {string} language - Caller's language code
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {Promise<{customer: (object|undefined), registered: (boolean|undefined), reply: (string|undefined), values: (object|undefined)}>}
+ *   The identified customer, or the prompt to ask next
+ */
+async function identifyCaller(tenant, session, lineCustomers, speechResult, language, phoneNumber) {
+  const state = session.onboarding;
+  // Yes/no answers are not names
+  const heardName = () => (isAffirmative(speechResult, language) || isNegative(speechResult, language))
+    ? null
+    : extractName(speechResult, language);
+
+  if (!state) {
+    session.pendingUtterance = speechResult || null;
+    if (lineCustomers.length > 1) {
+      session.onboarding = { step: 'identify' };
+      return { reply: 'identify.ask', values: {} };
+    }
+    session.onboarding = { step: 'name' };
+    return { reply: 'onboarding.askName', values: {} };
+  }
+
+  if (state.step === 'identify') {
+    const { customer, ambiguous } = matchCustomer(speechResult, lineCustomers);
+    if (customer) return { customer };
+    if (ambiguous) return { reply: 'identify.askFullName', values: {} };
+    // Not anyone on file: a new member of the household
+    const name = heardName();
+    if (!name) return { reply: 'identify.ask', values: {} };
+    Object.assign(state, { step: 'email', name, attempts: 0 });
+    return { reply: 'identify.newMember', values: { name } };
+  }
+
+  if (state.step === 'name') {
+    const name = heardName();
+    if (!name) return { reply: 'onboarding.repeatName', values: {} };
+    Object.assign(state, { step: 'email', name, attempts: 0 });
+    return { reply: 'onboarding.askEmail', values: { name } };
   }
+
+  // Email is optional: a "no", or a second answer we cannot read, skips it
+  const email = parseSpokenEmail(speechResult);
+  if (!email && !isNegative(speechResult, language) && state.attempts === 0) {
+    state.attempts += 1;
+    return { reply: 'onboarding.repeatEmail', values: {} };
+  }
+  return { customer: await registerCustomer(tenant, state.name, email, phoneNumber, language), registered: true };
+}
+
+/**
+ * Translates a transcript into English turn by turn, so staff can read it next to the original.
+ * @param {string} transcript - "Speaker: text" lines
+ * @param {string} language - Language the call was in
+ * @returns {Promise<string|null>} - English transcript, or null when the call was in English
+ */
+async function englishTranscript(transcript, language) {
+  if (!transcript || baseLanguage(language || 'en') === 'en') return null;
+  const turns = transcriptTurns(transcript);
+  const translated = await Promise.all(turns.map(turn => translateText(turn.text, language, 'en').catch(error => {
+    console.error('Error translating transcript turn:', error.message);
+    return turn.text;
+  })));
+  return formatTurns(turns.map((turn, index) => ({ ...turn, text: translated[index] })));
+}
+
+/**
+ * Saves a call_analytics record without blocking the response.
+ * Call records (those without a `type`) also get what the dashboard's call log
+ * filters and searches on: an outcome, an English transcript and search tokens.
+ * The transcript and failure reason are redacted first, so the translation and
+ * search tokens never see what was masked.
+ * @param {object} customer - Customer record ({ id, email, first_name, last_name })
+ * @param {object} fields - Call-specific fields to store
+ */
+function recordCallAnalytics(customer, fields) {
+  if (!customer) return;
+  inBackground((async () => {
+    const redacted = {
+      ...fields,
+      ...(fields.transcript && { transcript: redact(fields.transcript, customer) }),
+      ...(fields.failureReason && { failureReason: redact(fields.failureReason, customer) })
+    };
+    let callLogFields = {};
+    if (!fields.type) {
+      const transcriptEnglish = redact(await englishTranscript(redacted.transcript, fields.detectedLanguage), customer);
+      callLogFields = {
+        outcome: callOutcome(fields),
+        transcriptEnglish,
+        searchTokens: searchTokens(redacted.transcript, transcriptEnglish)
+      };
+    }
+    await providers.analytics.record({
+      subscriberEmail: customer.email,
+      ...redacted,
+      ...callLogFields
+    });
+  })().catch(err => console.error("Error saving analytics:", err))); // Log error but don't block response
+}
+
+/**
+ * Records how far a call has got through the booking funnel, once per stage
+ * (a `type: 'funnel'` record; the dashboard keeps each call's furthest stage).
+ * Unlike call records these are saved before the caller is known.
+ * @param {object} tenant - Tenant the call is for
+ * @param {object} session - Dialogue session (remembers the stage recorded)
+ * @param {string|undefined} callId - Call ID; calls without one are not tracked
+ * @param {object|undefined} customer - Customer record, once known
+ * @param {string|undefined} language - Caller's language, once known
+ * @param {string} stage - 'started', 'customerFound' or 'dateParsed'
+ * @param {string|null} caller - Caller pseudonym (see callerHash)
+ */
+function recordFunnelStage(tenant, session, callId, customer, language, stage, caller) {
+  if (!callId || !isFurtherStage(session.funnelStage, stage)) return;
+  session.funnelStage = stage;
+  inBackground(providers.analytics.record({
+    type: 'funnel',
+    tenantId: tenant.id,
+    callId,
+    subscriberEmail: customer?.email || null,
+    callerHash: caller,
+    stage,
+    detectedLanguage: language || null
+  }).catch(err => console.error("Error saving analytics:", err)));
+}
+
+/**
+ * Builds the appointment start instant from collected slots.
+ * @param {{date: string, time: string}} slots - Collected slots (wall-clock in `timeZone`)
+ * @param {string} timeZone - IANA timezone of the slots
+ * @returns {Date} - Appointment start
+ */
+function slotsToDate(slots, timeZone) {
+  return fromWallClock(slots, timeZone);
+}
+
+/**
+ * Formats an appointment start for a spoken confirmation.
+ * @param {Date} start - Appointment start
+ * @param {string} language - Language code used for formatting
+ * @param {string} timeZone - IANA timezone to speak the time in
+ * @returns {{date: string, time: string}} - Localized date and time strings
+ */
+function formatForSpeech(start, language, timeZone) {
+  return {
+    date: start.toLocaleDateString(language, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone }),
+    time: start.toLocaleTimeString(language, { hour: 'numeric', minute: '2-digit', timeZone }) // 12- or 24-hour clock as usual for the language
+  };
+}
+
+/**
+ * Texts and/or emails a confirmation or reminder about an appointment in the caller's language.
+ * A channel is skipped when the customer has no address for it or the tenant no sender.
+ * @param {object} tenant - Tenant the appointment is with
+ * @param {string} kind - 'confirmation' or 'reminder' (message catalog prefix)
+ * @param {object} appointment - { start, language, timeZone, phone, email }
+ * @param {string[]} channels - Channels to send on ('sms', 'email')
+ * @returns {Promise<{sent: string[], failed: string[]}>} - Channels by outcome
+ */
+async function sendAppointmentMessage(tenant, kind, appointment, channels) {
+  const { language } = appointment;
+  const { smsFrom, emailFrom, callbackNumber } = tenant.reminders;
+  const values = {
+    business: tenant.name || 'none',
+    phone: callbackNumber || 'none',
+    ...formatForSpeech(new Date(appointment.start), language, appointment.timeZone)
+  };
+  const outgoing = {
+    sms: appointment.phone && smsFrom && (async () => providers.sms.send({
+      to: appointment.phone,
+      from: smsFrom,
+      body: await messages.render(`${kind}.sms`, values, language)
+    })),
+    email: appointment.email && emailFrom && (async () => providers.email.send({
+      to: appointment.email,
+      from: emailFrom,
+      subject: await messages.render(`${kind}.emailSubject`, values, language),
+      text: await messages.render(`${kind}.emailBody`, values, language)
+    }))
+  };
+
+  const result = { sent: [], failed: [] };
+  for (const channel of channels.filter(channel => outgoing[channel])) {
+    try {
+      await outgoing[channel]();
+      result.sent.push(channel);
+    } catch (error) {
+      console.error(`Error sending ${kind} by ${channel} for appointment ${appointment.appointmentId}:`, error.response ? JSON.stringify(error.response.data) : error.message);
+      result.failed.push(channel);
+    }
+  }
+  return result;
+}
+
+/**
+ * Confirms a booked or moved appointment and queues its reminders, without blocking the response.
+ * @param {object} tenant - Tenant the appointment is with
+ * @param {object} appointment - { appointmentId, start, language, timeZone, phone, email, subscriberEmail }
+ */
+function notifyAppointment(tenant, appointment) {
+  const { offsets, channels, confirmations } = tenant.reminders;
+  inBackground((async () => {
+    if (confirmations) {
+      const { sent } = await sendAppointmentMessage(tenant, 'confirmation', appointment, channels);
+      console.log(`Confirmation for appointment ${appointment.appointmentId} sent by: ${sent.join(', ') || 'none'}`);
+    }
+    const queued = await reminders.schedule({ ...appointment, tenantId: tenant.id, channels }, offsets);
+    console.log(`Queued ${queued} reminder(s) for appointment ${appointment.appointmentId}`);
+  })().catch(err => console.error('Error confirming appointment or queuing reminders:', err)));
+}
+
+/**
+ * Sends one due reminder (the reminder queue's deliver callback). A texted
+ * reminder can be answered; the reply is accepted until the appointment starts.
+ * Channels that fail are left on the reminder for the queue to retry.
+ * @param {object} reminder - Queued reminder (see notifyAppointment)
+ */
+async function deliverReminder(reminder) {
+  const tenant = tenants.get(reminder.tenantId);
+  if (!tenant) {
+    console.warn(`Dropping reminder for appointment ${reminder.appointmentId}: tenant ${reminder.tenantId} no longer exists`);
+    return;
+  }
+  const { sent, failed } = await sendAppointmentMessage(tenant, 'reminder', reminder, reminder.channels);
+  console.log(`Reminder (${reminder.offsetMinutes} min before) for appointment ${reminder.appointmentId} sent by: ${sent.join(', ') || 'none'}`);
+  if (sent.includes('sms')) {
+    const ttlSeconds = Math.max(60, Math.round((new Date(reminder.start) - Date.now()) / 1000));
+    await reminders.expectReply(tenant.id, reminder.phone, {
+      appointmentId: reminder.appointmentId,
+      start: reminder.start,
+      language: reminder.language,
+      timeZone: reminder.timeZone,
+      subscriberEmail: reminder.subscriberEmail
+    }, ttlSeconds);
+  }
+  if (failed.length > 0) {
+    reminder.channels = failed;
+    throw new Error(`Could not send by ${failed.join(', ')}`);
+  }
+}
+
+/**
+ * Checks the session's requested slot against the tenant's Easy!Appointments availability.
+ * Easy!Appointments works in business time; slots and alternatives are in the caller's.
+ * @param {object} tenant - Tenant the call is for
+ * @param {object} session - Dialogue session with date, time and service slots
+ * @returns {Promise<{available: boolean, providerId: (string|number|null), alternatives: object[]}>}
+ */
+async function checkSlotAvailability(tenant, session) {
+  const requested = convertWallClock(session.slots, session.timeZone, tenant.timeZone);
+  const result = await findSlot(tenant.scheduler, {
+    date: requested.date,
+    time: requested.time,
+    serviceId: session.slots.service,
+    providerId: session.slots.provider,
+    searchDays: Number(AVAILABILITY_SEARCH_DAYS),
+    maxAlternatives: Number(ALTERNATIVE_SLOT_COUNT),
+    accept: slot => tenant.rules.isAllowed(slot, session.slots.service)
+  });
+  result.alternatives = result.alternatives.map(slot => ({
+    ...slot,
+    ...convertWallClock(slot, tenant.timeZone, session.timeZone)
+  }));
+  return result;
+}
+
+/**
+ * Applies the tenant's booking rules to the session's requested slot: snaps it
+ * to the slot grid and, when the time is not accepted, replaces it with the
+ * nearest accepted one.
+ * @param {object} tenant - Tenant the call is for
+ * @param {object} session - Dialogue session with date, time and service slots
+ * @returns {object|null} - The rejection ({ reason, requested, nearest, ... }), or null if the time was accepted
+ */
+function applyBookingRules(tenant, session) {
+  const requested = tenant.rules.snap(convertWallClock(session.slots, session.timeZone, tenant.timeZone));
+  const rejection = tenant.rules.check(requested, session.slots.service);
+  const allowed = rejection ? tenant.rules.nearest(requested, session.slots.service) : requested;
+  if (rejection) console.log(`Booking rules rejected ${requested.date} ${requested.time} (${rejection.reason}); nearest allowed: ${allowed ? `${allowed.date} ${allowed.time}` : 'none'}`);
+  if (allowed) Object.assign(session.slots, convertWallClock(allowed, tenant.timeZone, session.timeZone));
+  return rejection && { ...rejection, requested, nearest: allowed };
+}
+
+/**
+ * Renders why the booking rules did not accept a time.
+ * @param {object} tenant - Tenant the call is for
+ * @param {object} session - Dialogue session
+ * @param {object} rejection - Rejection from applyBookingRules
+ * @param {string} language - Caller's language code
+ * @returns {Promise<string>} - Explanation text
+ */
+async function describeRejection(tenant, session, rejection, language) {
+  const spoken = time => formatForSpeech(fromWallClock({ date: rejection.requested.date, time }, tenant.timeZone), language, session.timeZone);
+  const { date } = spoken(rejection.requested.time);
+  const duration = (value, unit) => new Intl.NumberFormat(language, { style: 'unit', unit, unitDisplay: 'long' }).format(value);
+
+  switch (rejection.reason) {
+    case 'tooSoon': {
+      const minutes = rejection.minLeadMinutes;
+      return messages.render('rules.tooSoon', { lead: minutes % 60 === 0 ? duration(minutes / 60, 'hour') : duration(minutes, 'minute') }, language);
+    }
+    case 'tooFar':
+      return messages.render('rules.tooFar', { horizon: duration(rejection.maxDaysAhead, 'day') }, language);
+    case 'holiday':
+      return messages.render('rules.holiday', { date, name: rejection.name || 'none' }, language);
+    case 'closedDay':
+      return messages.render('rules.closedDay', { date }, language);
+    default: {
+      const ranges = await Promise.all(rejection.openingHours.map(range => messages.render('rules.hoursRange', {
+        open: spoken(range.start).time,
+        close: spoken(range.end).time
+      }, language)));
+      return messages.render('rules.outsideHours', { date, hours: new Intl.ListFormat(language, { type: 'conjunction' }).format(ranges) }, language);
+    }
+  }
+}
+
+/**
+ * Renders the prompt offering alternative slots for a taken time.
+ * Alternatives on the requested day are read as times only.
+ * @param {object} session - Dialogue session holding the requested slot
+ * @param {object[]} alternatives - Open slots ({ date, time })
+ * @param {string} language - Caller's language code
+ * @returns {Promise<string>} - Prompt text
+ */
+async function describeAlternatives(session, alternatives, language) {
+  const requested = formatForSpeech(slotsToDate(session.slots, session.timeZone), language, session.timeZone);
+  if (alternatives.length === 0) {
+    return messages.render('alternatives.none', requested, language);
+  }
+  const options = await Promise.all(alternatives.map(slot => {
+    const spoken = formatForSpeech(slotsToDate(slot, session.timeZone), language, session.timeZone);
+    return slot.date === session.slots.date ? spoken.time : messages.render('alternatives.otherDay', spoken, language);
+  }));
+  return messages.render('alternatives.offer', {
+    ...requested,
+    count: options.length,
+    options: new Intl.ListFormat(language, { type: 'disjunction' }).format(options)
+  }, language);
+}
+
+/**
+ * Finds a customer's next upcoming appointment, optionally on a given day.
+ * @param {object} tenant - Tenant the call is for
+ * @param {string|number} customerId - Customer ID
+ * @param {string} timeZone - Caller's IANA timezone (the zone `date` is in)
+ * @param {string|null} [date] - Only consider appointments on this day (YYYY-MM-DD)
+ * @returns {Promise<object|undefined>} - Easy!Appointments appointment record
+ */
+async function findUpcomingAppointment(tenant, customerId, timeZone, date = null) {
+  const now = new Date();
+  const appointments = await tenant.scheduler.listAppointments(customerId);
+  return appointments.find(appointment => {
+    const start = parseEasyAppointmentsDateTime(appointment.start, tenant.timeZone);
+    return start > now && (!date || toWallClock(start, timeZone).date === date);
+  });
+}
+
+/**
+ * Builds an absolute URL of this app for the telephony provider to call back.
+ * @param {object} req - Current request (its host is used when PUBLIC_BASE_URL is not set)
+ * @param {string} path - Path, e.g., /handoff/voicemail
+ * @param {object} params - Query parameters
+ * @returns {string}
+ */
+function publicUrl(req, path, params) {
+  const base = (PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  return `${base}${path}?${new URLSearchParams(params)}`;
+}
+
+// --- Webhook Guards ---
+
+// Rejects unsigned requests (401). Without any webhook secret the server does not start,
+// unless unsigned requests are explicitly allowed.
+if (!TWILIO_AUTH_TOKEN && !SIGNALWIRE_SIGNING_KEY && !WEBHOOK_SHARED_SECRET) {
+  if (ALLOW_UNSIGNED_WEBHOOKS !== 'true') {
+    throw new Error('No webhook secret set: set TWILIO_AUTH_TOKEN, SIGNALWIRE_SIGNING_KEY or WEBHOOK_SHARED_SECRET (or ALLOW_UNSIGNED_WEBHOOKS=true for local development).');
+  }
+  console.warn('ALLOW_UNSIGNED_WEBHOOKS is set and no webhook secret is: webhooks accept unsigned requests.');
+}
+const verifyWebhook = createWebhookVerifier({
+  twilioAuthToken: TWILIO_AUTH_TOKEN,
+  signalwireSigningKey: SIGNALWIRE_SIGNING_KEY,
+  sharedSecret: WEBHOOK_SHARED_SECRET,
+  baseUrl: PUBLIC_BASE_URL,
+  allowUnsigned: ALLOW_UNSIGNED_WEBHOOKS === 'true'
+});
+
+// Throttles each caller number and source IP (429)
+const rateLimitVoice = createRateLimiter({
+  redis,
+  windowSeconds: Number(RATE_LIMIT_WINDOW),
+  rules: [
+    { name: 'caller', key: req => normalizePhoneNumber(req.body.caller_id || req.body.From, DEFAULT_COUNTRY_CALLING_CODE), max: Number(RATE_LIMIT_PER_CALLER) },
+    { name: 'ip', key: req => req.ip, max: Number(RATE_LIMIT_PER_IP) }
+  ]
+});
+
+// Provider retries of the same turn get the first response instead of a second booking.
+// A turn is identified by Twilio's retry token or an explicit turn_id. Requests with neither
+// are not deduplicated: a caller may well say the same thing twice in one call.
+const deduplicateVoice = createIdempotencyGuard({
+  redis,
+  ttlSeconds: Number(IDEMPOTENCY_TTL),
+  keyFor: req => {
+    const callId = req.body.call_id || req.body.CallSid;
+    const turn = req.get('I-Twilio-Idempotency-Token') || req.body.turn_id;
+    return callId && turn ? `${callId}:${turn}` : null;
+  }
+});
+
+// Turns webhooks away (503) while shutting down or while the database is down, so the telephony
+// provider retries or fails over to another instance instead of callers hearing errors
+function requireReady(req, res, next) {
+  if (health.isReady()) return next();
+  res.set('Retry-After', String(Number(HEALTH_CHECK_INTERVAL)));
+  res.status(503).json({ error: health.isShuttingDown() ? 'Shutting down' : 'A required dependency is unavailable' });
 }
 
 // --- API Endpoint ---
 
-app.post('/voice', async (req, res) => {
-  console.log('Received /voice request:', JSON.stringify(req.body, null, 2));
+app.post('/voice', requireReady, verifyWebhook, rateLimitVoice, deduplicateVoice, async (req, res) => {
+  logger.info('Received /voice request', { body: PII_REDACTION === 'true' ? redactValue(req.body) : req.body });
 
   // --- 1. Extract Data ---
   // Adjust these based on the actual payload from SignalWire or your interaction service
   const phoneNumber = req.body.caller_id || req.body.From;
   const callId = req.body.call_id || req.body.CallSid;
   const duration = req.body.duration || req.body.CallDuration; // May not be final duration yet
-  const speechResult = req.body.ultravox_transcription || req.body.SpeechResult; // User's speech input
+  let speechResult = req.body.ultravox_transcription || req.body.SpeechResult; // User's speech input
   const interactionData = req.body.interaction_result; // Potential data from a prior step (like the /stream function)
 
   // Prioritize data from interaction_result if available
@@ -168,30 +864,53 @@ app.post('/voice', async (req, res) => {
   let detectedLanguage = interactionData?.detectedLanguage; // Language from interaction
   let sentiment = interactionData?.sentiment || 'neutral'; // Sentiment from interaction
 
+  // --- 1a. Resolve Tenant ---
+  // The dialed number says which business the caller wants
+  const dialedNumber = req.body.called_number || req.body.To;
+  const tenant = tenants.resolve(dialedNumber, DEFAULT_COUNTRY_CALLING_CODE);
+  if (!tenant) {
+    console.error(`No tenant for dialed number: ${dialedNumber || 'N/A'}`);
+    return res.status(404).json({ error: 'Unknown dialed number' });
+  }
+  logContext().tenantId = tenant.id; // Carried by the rest of this request's log lines
+  console.log(`Tenant: ${tenant.id}`);
+
   // --- 2. Validate Input ---
   if (!phoneNumber) {
     console.error('Missing caller_id/From in request.');
-    // Cannot respond without knowing language, default to English error
-    const response = await ultravoxTextToSpeech('An internal error occurred. Missing caller information.', 'en');
+    // Cannot respond without knowing language, use the tenant's default
+    const response = await speak(tenant, 'error.missingCaller', {}, tenant.defaultLanguage);
     return res.status(400).json({ voiceResponse: response });
   }
 
   // --- 3. Get Customer ---
+  // Numbers are stored in E.164; the raw value also matches rows saved before normalization.
+  // Customers belong to a tenant; older rows belong to the default one (see CUSTOMER_TENANT).
+  const normalizedPhone = normalizePhoneNumber(phoneNumber, DEFAULT_COUNTRY_CALLING_CODE);
+  const caller = callerHash(normalizedPhone || phoneNumber); // Stored with analytics instead of the number
   let customer;
+  let lineCustomers = []; // Everyone registered on this number (family lines have several)
   if (db) {
+    const endLookup = stageDuration.startTimer({ stage: 'lookup' });
     try {
-      const result = await db.query('SELECT id, email FROM customers WHERE phone_number = $1', [phoneNumber]);
-      if (result.rows.length > 0) {
-        customer = result.rows[0];
-        console.log(`Found customer: ID=${customer.id}, Email=${customer.email}`);
+      const result = await db.query(
+        `SELECT ${CUSTOMER_COLUMNS} FROM customers
+         WHERE (phone_number = $1 OR phone_number = $2) AND ${CUSTOMER_TENANT} = $3 ORDER BY id`,
+        [normalizedPhone || phoneNumber, phoneNumber, tenant.id, tenants.defaultId]
+      );
+      endLookup();
+      lineCustomers = result.rows;
+      if (lineCustomers.length === 1) {
+        customer = lineCustomers[0];
+        console.log(`Found customer: ID=${customer.id}`);
       } else {
-        console.log(`Customer not found for phone number: ${phoneNumber}`);
-        const response = await ultravoxTextToSpeech('Sorry, we could not find your record in our system.', detectedLanguage || 'en');
-        return res.json({ voiceResponse: response }); // Respond in detected language if possible
+        console.log(`${lineCustomers.length} customers found for phone number: ${maskPhone(normalizedPhone || phoneNumber)}`);
       }
     } catch (dbError) {
+      endLookup();
+      externalErrors.inc({ service: 'database', operation: 'findCustomer' });
       console.error('Database error fetching customer:', dbError);
-      const response = await ultravoxTextToSpeech('Sorry, we encountered a database error. Please try again later.', detectedLanguage || 'en');
+      const response = await speak(tenant, 'error.database', {}, detectedLanguage || tenant.defaultLanguage);
       return res.status(500).json({ voiceResponse: response });
     }
   } else {
@@ -201,184 +920,815 @@ app.post('/voice', async (req, res) => {
     customer = { id: 'demo_customer', email: 'demo@example.com' };
   }
 
+  // --- 3a. Load Dialogue Session ---
+  // Keyed by call so slots and language carry over between turns of the same call
+  const session = await loadSession(redis, callId || `${tenant.id}:${phoneNumber}`, {
+    service: tenant.serviceId,
+    provider: null // Any provider offering the service
+  });
+  session.intent = session.intent || INTENT.BOOK;
+  // On a shared line, the caller identified on an earlier turn
+  if (!customer && session.customerId != null) {
+    customer = lineCustomers.find(candidate => String(candidate.id) === String(session.customerId));
+  }
+  // Dates are heard and spoken in the caller's zone, falling back to the business's
+  session.timeZone = isValidTimeZone(customer?.timezone) ? customer.timezone : tenant.timeZone;
+  session.turns += 1;
+  // Without the stream function's transcript, keep our own of what the caller has said so far
+  if (!interactionData?.transcript && speechResult) {
+    session.transcript = `${session.transcript || ''}Caller: ${redact(speechResult, customer)}\n`;
+    transcript = session.transcript;
+  }
+  if (!detectedLanguage && session.language) {
+    detectedLanguage = session.language;
+    console.log(`Using session language: ${detectedLanguage}`);
+  }
+
   // --- 4. Detect Language (if not provided by interaction) ---
-  if (!detectedLanguage && speechResult && translationClient) {
+  if (!detectedLanguage && speechResult && session.languageChoices.length > 0) {
+    // --- 4a. Caller Answered "Which Language?" ---
+    // A named language wins; otherwise a confidently detected offered language; otherwise the default
+    let chosen = matchLanguageChoice(speechResult, session.languageChoices);
+    if (!chosen) {
+      try {
+        const detection = await providers.languageDetector.detect(speechResult);
+        const offered = session.languageChoices.find(language => baseLanguage(language) === baseLanguage(detection.language));
+        if (offered && detection.confidence >= Number(LANGUAGE_CONFIDENCE_THRESHOLD)) chosen = offered;
+      } catch (langError) {
+        console.error('Error detecting language:', langError);
+      }
+    }
+    detectedLanguage = chosen || tenant.defaultLanguage;
+    console.log(`Caller chose language: ${detectedLanguage}${chosen ? '' : ' (no clear answer, using default)'}`);
+    await savePreferredLanguage(customer, detectedLanguage);
+    // Carry on with what the caller said before we asked
+    speechResult = session.pendingUtterance;
+    session.languageChoices = [];
+    session.pendingUtterance = null;
+  } else if (!detectedLanguage && speechResult) {
     const cacheKey = `lang:${speechResult}`;
     try {
       if (redis) {
         detectedLanguage = await redis.get(cacheKey);
+        languageCacheLookups.inc({ result: detectedLanguage ? 'hit' : 'miss' });
         if (detectedLanguage) {
           console.log(`Language cache hit: ${detectedLanguage}`);
         }
       }
       if (!detectedLanguage) {
-        const [detection] = await translationClient.detect(speechResult);
-        detectedLanguage = Array.isArray(detection) ? detection[0].language : detection.language; // Handle potential array response
-        const confidence = Array.isArray(detection) ? detection[0].confidence : detection.confidence;
-        console.log(`Detected language: ${detectedLanguage} (Confidence: ${confidence})`);
+        const detection = await providers.languageDetector.detect(speechResult);
+        const confidence = detection.confidence;
+        console.log(`Detected language: ${detection.language} (Confidence: ${confidence})`);
 
-        // TODO: Implement language confirmation logic if confidence is low
-        // if (confidence < 0.8) { ... }
-
-        if (redis && detectedLanguage) {
-          await redis.set(cacheKey, detectedLanguage, 'EX', 3600); // Cache for 1 hour
-          console.log(`Language cached: ${detectedLanguage}`);
+        if (confidence >= Number(LANGUAGE_CONFIDENCE_THRESHOLD)) {
+          detectedLanguage = detection.language;
+          if (redis && detectedLanguage) {
+            await redis.set(cacheKey, detectedLanguage, 'EX', 3600); // Cache for 1 hour (confident detections only)
+            console.log(`Language cached: ${detectedLanguage}`);
+          }
+        } else if (customer?.preferred_language) {
+          // Short answers like "yes" or "10am" say little about the language; trust the caller's history
+          detectedLanguage = customer.preferred_language;
+          console.log(`Low confidence, using preferred language: ${detectedLanguage}`);
+        } else if (baseLanguage(detection.language) === baseLanguage(tenant.defaultLanguage)) {
+          detectedLanguage = tenant.defaultLanguage;
+        } else if (!supportsLanguage(tenant, detection.language)) {
+          // Nothing to ask: replies are in the tenant's default language either way (below)
+          detectedLanguage = detection.language;
+        } else {
+          // --- 4b. Unsure: Ask Which Language to Continue In ---
+          session.languageChoices = [detection.language, tenant.defaultLanguage];
+          session.pendingUtterance = speechResult;
+          console.log(`Low confidence, asking caller to choose: ${session.languageChoices.join(' or ')}`);
+          const voiceResponse = await askLanguage(tenant, session.languageChoices);
+          res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+          await saveSession(redis, session, Number(DIALOGUE_SESSION_TTL));
+          return;
         }
       }
     } catch (langError) {
       console.error('Error detecting language:', langError);
-      detectedLanguage = 'en'; // Fallback to English
-      console.log('Falling back to default language: en');
+      detectedLanguage = tenant.defaultLanguage;
+      console.log(`Falling back to default language: ${tenant.defaultLanguage}`);
     }
   } else if (!detectedLanguage) {
-    detectedLanguage = 'en'; // Fallback if no speech or no translation client
-    console.log('Using default language: en');
+    detectedLanguage = customer?.preferred_language || tenant.defaultLanguage; // Fallback if no speech
+    console.log(`Using default language: ${detectedLanguage}`);
+  }
+  // Businesses only take calls in the languages they serve; what the caller said is still read in the language they spoke
+  const heardLanguage = detectedLanguage;
+  if (!supportsLanguage(tenant, detectedLanguage)) {
+    console.log(`Tenant ${tenant.id} does not serve ${detectedLanguage}; using ${tenant.defaultLanguage}`);
+    detectedLanguage = tenant.defaultLanguage;
   }
+  recordFunnelStage(tenant, session, callId, customer, detectedLanguage, customer ? 'customerFound' : 'started', caller);
 
-  // --- 5. Translate Input for Parsing (to English) ---
+  // --- 4c. Greet a New Call ---
+  if (!speechResult && session.turns === 1) {
+    session.language = detectedLanguage;
+    const voiceResponse = await greet(tenant, detectedLanguage);
+    res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+    await saveSession(redis, session, Number(DIALOGUE_SESSION_TTL));
+    return;
+  }
+
+  // --- 4d. Identify the Caller (New Numbers and Shared Lines) ---
+  let justIdentified = null; // 'identified' or 'registered' on the turn the caller becomes known
+  if (!customer) {
+    try {
+      const identified = await identifyCaller(tenant, session, lineCustomers, speechResult, detectedLanguage, normalizedPhone || phoneNumber);
+      if (!identified.customer) {
+        session.language = detectedLanguage;
+        const voiceResponse = await speak(tenant, identified.reply, identified.values, detectedLanguage);
+        res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+        await saveSession(redis, session, Number(DIALOGUE_SESSION_TTL));
+        return;
+      }
+      customer = identified.customer;
+      justIdentified = identified.registered ? 'registered' : 'identified';
+      console.log(`Caller ${justIdentified}: ID=${customer.id}`);
+      recordFunnelStage(tenant, session, callId, customer, detectedLanguage, 'customerFound', caller);
+      session.customerId = customer.id;
+      session.onboarding = null;
+      session.timeZone = isValidTimeZone(customer.timezone) ? customer.timezone : tenant.timeZone;
+      // Carry on with what the caller asked for before we asked who they were
+      speechResult = session.pendingUtterance;
+      session.pendingUtterance = null;
+    } catch (error) {
+      console.error('Error identifying caller:', error.response ? JSON.stringify(error.response.data, null, 2) : error.message);
+      const voiceResponse = await speak(tenant, 'error.generic', {}, detectedLanguage);
+      res.status(500).json({ voiceResponse });
+      await saveSession(redis, session, Number(DIALOGUE_SESSION_TTL));
+      return;
+    }
+  }
+  const timeZone = session.timeZone;
+
+  // --- 5. Choose How to Understand the Input ---
+  // Dates are parsed in the caller's own language when chrono has a parser for it;
+  // only other languages pay for a translation to English first
   let textToParse = speechResult;
-  if (speechResult && detectedLanguage !== 'en') {
-    textToParse = await translateText(speechResult, detectedLanguage, 'en');
+  let parseLanguage = baseLanguage(heardLanguage);
+  let dateParser = 'native';
+  if (speechResult && !hasNativeParser(parseLanguage)) {
+    textToParse = await translateText(speechResult, heardLanguage, 'en');
+    parseLanguage = 'en';
+    dateParser = 'translated';
+  }
+  // Intent and yes/no keywords cover fewer languages than chrono does
+  let textToClassify = textToParse;
+  let classifyLanguage = parseLanguage;
+  if (speechResult && !hasKeywords(parseLanguage)) {
+    textToClassify = await translateText(speechResult, heardLanguage, 'en');
+    classifyLanguage = 'en';
   }
 
   // --- 6. Parse Appointment Time ---
-  let appointmentStart;
+  let heardSlots = { date: null, time: null };
   if (textToParse) {
+    const endParse = stageDuration.startTimer({ stage: 'parse' });
     try {
-      const results = chrono.parse(textToParse, new Date(), { forwardDate: true });
-      if (results.length > 0) {
-        appointmentStart = results[0].start.date();
-        console.log(`Parsed appointment time (UTC): ${appointmentStart.toISOString()}`);
+      heardSlots = parseSlots(textToParse, { timeZone, language: parseLanguage });
+      endParse();
+      if (heardSlots.date || heardSlots.time) {
+        console.log(`Parsed slots (${dateParser}, ${parseLanguage}): Date=${heardSlots.date || '-'}, Time=${heardSlots.time || '-'}`);
       } else {
-        console.log(`Could not parse date/time from: "${textToParse}"`);
+        console.log(`Could not parse date/time from: "${redact(textToParse, customer)}"`);
       }
     } catch (parseError) {
+      endParse();
       console.error('Error parsing date/time:', parseError);
     }
   }
 
-  // --- 7. Process Result (Book or Handle Failure) ---
+  // --- 6a. Classify Intent ---
+  // Utterances without an explicit intent ("3pm", "yes") continue the current one
+  const heardIntent = classifyIntent(textToClassify, classifyLanguage);
+  if (heardIntent && heardIntent !== session.intent) {
+    console.log(`Intent changed: ${session.intent} -> ${heardIntent}`);
+    session.intent = heardIntent;
+    session.status = STATUS.COLLECTING;
+    session.targetAppointment = null;
+    session.alternatives = [];
+    session.request = null;
+    session.slots.date = null;
+    session.slots.time = null;
+    session.slots.provider = null;
+  }
+
+  // A new request after a completed booking starts a fresh set of slots
+  if (session.status === STATUS.CONFIRMED && (heardSlots.date || heardSlots.time)) {
+    session.request = null;
+    session.slots.date = null;
+    session.slots.time = null;
+    session.status = STATUS.COLLECTING;
+    session.intent = INTENT.BOOK;
+    session.targetAppointment = null;
+  }
+  // An ordinal answer ("the second one") selects one of the alternatives offered last turn
+  if (session.alternatives?.length && !heardSlots.time) {
+    const chosen = pickOrdinal(textToClassify, session.alternatives, classifyLanguage);
+    if (chosen) {
+      heardSlots = { date: chosen.date, time: chosen.time, provider: chosen.providerId };
+    }
+  }
+  // When cancelling, a spoken date picks which appointment rather than a new slot
+  const slotsChanged = session.intent === INTENT.CANCEL ? false : mergeSlots(session, heardSlots);
+  if (slotsChanged) {
+    session.alternatives = [];
+    session.dateParser = dateParser;
+    // A newly spoken time may suit a different provider than the one held for the old one
+    if (heardSlots.provider == null) session.slots.provider = null;
+  }
+  session.language = detectedLanguage;
+  if (session.slots.date && session.slots.time) {
+    recordFunnelStage(tenant, session, callId, customer, detectedLanguage, 'dateParsed', caller);
+  }
+
+  // --- 6c. Track Whether the Caller Is Upset ---
+  // Sentiment comes from the stream function, per caller turn
+  if (speechResult) {
+    session.negativeTurns = sentiment === 'negative' ? (session.negativeTurns || 0) + 1 : 0;
+  }
+
+  const analyticsFields = () => ({
+    tenantId: tenant.id,
+    callId: callId || 'N/A',
+    callerHash: caller,
+    duration: parseInt(duration || '0', 10), // Ensure duration is a number
+    sentiment: sentiment,
+    transcript: transcript,
+    detectedLanguage: detectedLanguage,
+    intent: session.intent,
+    dateParser: session.dateParser // Which path ('native' or 'translated') produced the date, if any
+  });
+  const offerAlternatives = async (slotCheck, notice = null) => {
+    session.status = STATUS.COLLECTING;
+    session.slots.provider = null;
+    session.alternatives = slotCheck.alternatives;
+    const prompt = await describeAlternatives(session, slotCheck.alternatives, detectedLanguage);
+    const voiceResponse = await tenant.tts.synthesize(notice ? `${notice} ${prompt}` : prompt, detectedLanguage);
+    res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+  };
+  // Checks the collected slot against the booking rules and availability, then asks the caller to confirm it.
+  // A time the rules do not accept is explained and replaced by the nearest one they do.
+  const proposeSlot = async (target) => {
+    session.request ??= speechResult; // Kept while alternatives are offered and the booking is re-checked
+    const rejection = applyBookingRules(tenant, session);
+    const notice = rejection ? await describeRejection(tenant, session, rejection, detectedLanguage) : null;
+    if (rejection && !rejection.nearest) {
+      session.status = STATUS.COLLECTING;
+      session.request = null;
+      session.slots.date = null;
+      session.slots.time = null;
+      const voiceResponse = await speak(tenant, 'rules.noTimes', {}, detectedLanguage, notice);
+      return res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+    }
+    const slotCheck = await checkSlotAvailability(tenant, session);
+    if (!slotCheck.available) {
+      return offerAlternatives(slotCheck, notice);
+    }
+    session.slots.provider = slotCheck.providerId;
+    session.status = STATUS.AWAITING_CONFIRMATION;
+    const proposed = formatForSpeech(slotsToDate(session.slots, timeZone), detectedLanguage, timeZone);
+    const voiceResponse = session.intent === INTENT.RESCHEDULE
+      ? await speak(tenant, 'reschedule.propose', { fromDate: target.date, fromTime: target.time, ...proposed }, detectedLanguage, notice)
+      : await speak(tenant, 'booking.propose', proposed, detectedLanguage, notice);
+    res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+  };
+  // Transfers the call to the tenant's staff for the caller's language, falling back to voicemail.
+  // The telephony layer runs `handoff.twiml`; the reason and transcript go to analytics for staff.
+  const handOff = async (reason) => {
+    const numbers = staffNumbers(tenant.handoff.queues, detectedLanguage, tenant.defaultLanguage);
+    const text = await messages.render(numbers.length > 0 ? 'handoff.transfer' : 'handoff.voicemail', { reason }, detectedLanguage);
+    const voiceResponse = await tenant.tts.synthesize(text, detectedLanguage);
+    const announcement = { text, language: detectedLanguage, audioUrl: voiceResponse };
+    const params = { tenant: tenant.id, language: detectedLanguage, reason, ...(callId && { callId }) };
+    const twiml = numbers.length > 0
+      ? transferTwiml({ announcement, numbers, timeoutSeconds: tenant.handoff.dialTimeoutSeconds, actionUrl: publicUrl(req, '/handoff/dial-status', params) })
+      : voicemailTwiml({ announcement, maxSeconds: tenant.handoff.voicemailMaxSeconds, actionUrl: publicUrl(req, '/handoff/voicemail', params) });
+    session.handoff = { reason, at: new Date().toISOString() };
+    console.log(`Handing off call ${callId || 'N/A'} (${reason}) to ${numbers.length > 0 ? numbers.join(', ') : 'voicemail'}`);
+    res.json({ voiceResponse, dialogueState: session.status, intent: session.intent, action: 'handoff', handoff: { reason, language: detectedLanguage, twiml } });
+    recordCallAnalytics(customer, {
+      ...analyticsFields(),
+      appointmentBooked: false,
+      handoffReason: reason,
+      handoffTarget: numbers.length > 0 ? 'staff' : 'voicemail'
+    });
+  };
+
+  let attempt = null; // Intent of the change being made in the scheduler, counted as failed if it throws
   try {
-    if (appointmentStart && customer) {
-      // --- 7a. Book Appointment ---
-      const startDate = appointmentStart.toISOString().split('T')[0]; // YYYY-MM-DD
-      const startTime = appointmentStart.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false }); // HH:MM
-      const endTime = addMinutesToTime(startTime, DEFAULT_APPOINTMENT_DURATION);
-      const startDateTime = `${startDate} ${startTime}:00`; // Format for Easy!Appointments
-      const endDateTime = `${startDate} ${endTime}:00`;
-
-      console.log(`Attempting to book appointment: Service=${DEFAULT_APPOINTMENT_SERVICE_ID}, Customer=${customer.id}, Start=${startDateTime}, End=${endDateTime}`);
-
-      if (!EASY_APPOINTMENTS_URL || !EASY_APPOINTMENTS_API_KEY) {
-         throw new Error("Easy!Appointments URL or API Key not configured.");
+    // --- 6b. Find the Existing Appointment (Reschedule / Cancel) ---
+    const needsTarget = session.intent === INTENT.RESCHEDULE || session.intent === INTENT.CANCEL;
+    if (needsTarget && !session.targetAppointment) {
+      const target = await findUpcomingAppointment(tenant, schedulerCustomerId(customer), timeZone, session.intent === INTENT.CANCEL ? heardSlots.date : null);
+      if (target) {
+        session.targetAppointment = { id: target.id, start: target.start, serviceId: target.serviceId };
+        if (session.intent === INTENT.RESCHEDULE) session.slots.service = target.serviceId;
+        console.log(`Target appointment for ${session.intent}: ID=${target.id}, Start=${target.start}`);
       }
+    }
+    const target = session.targetAppointment
+      ? formatForSpeech(parseEasyAppointmentsDateTime(session.targetAppointment.start, tenant.timeZone), detectedLanguage, timeZone)
+      : null;
+
+    // --- 7. Route by Intent ---
+    // Only 7p counts a turn as not understood; any other branch breaks the run
+    const failedBefore = session.failedParses || 0;
+    session.failedParses = 0;
+    const escalation = escalationReason({
+      requested: session.intent === INTENT.HUMAN_HANDOFF,
+      negativeTurns: session.negativeTurns
+    }, tenant.handoff);
+    if (escalation) {
+      // --- 7a. Human Handoff (Asked For, or the Caller Is Upset) ---
+      await handOff(escalation);
+
+    } else if (session.intent === INTENT.QUERY_UPCOMING) {
+      // --- 7b. Tell the Caller Their Next Appointment ---
+      const upcoming = await findUpcomingAppointment(tenant, schedulerCustomerId(customer), timeZone);
+      const voiceResponse = upcoming
+        ? await speak(tenant, 'upcoming.next', formatForSpeech(parseEasyAppointmentsDateTime(upcoming.start, tenant.timeZone), detectedLanguage, timeZone), detectedLanguage)
+        : await speak(tenant, 'upcoming.none', {}, detectedLanguage);
+      res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+      recordCallAnalytics(customer, { ...analyticsFields(), appointmentBooked: false, appointmentId: upcoming?.id || null });
+      session.intent = INTENT.BOOK; // Further date/time answers are booking requests
+
+    } else if (needsTarget && !session.targetAppointment) {
+      // --- 7c. Nothing to Reschedule or Cancel ---
+      const voiceResponse = await speak(tenant, 'target.none', {}, detectedLanguage);
+      res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+      recordCallAnalytics(customer, { ...analyticsFields(), appointmentBooked: false, failureReason: 'No upcoming appointment', failureCode: 'noUpcomingAppointment' });
+      session.intent = INTENT.BOOK;
 
-      const eaResponse = await axios.post(`${EASY_APPOINTMENTS_URL}/index.php/api/v1/appointments`, {
-        start: startDateTime,
-        end: endDateTime,
-        notes: `Booked via Voice Agent. Original request: "${speechResult}"`,
-        customerId: customer.id, // Ensure field names match Easy!Appointments API v1.x
-        serviceId: DEFAULT_APPOINTMENT_SERVICE_ID,
-        providerId: 1 // Assuming provider ID 1, adjust if needed
-      }, {
-        headers: {
-          'Authorization': `Bearer ${EASY_APPOINTMENTS_API_KEY}`,
-          'Content-Type': 'application/json'
-         }
+    } else if (session.intent === INTENT.CANCEL && session.status === STATUS.AWAITING_CONFIRMATION && isAffirmative(textToClassify, classifyLanguage)) {
+      // --- 7d. Cancel Appointment ---
+      attempt = session.intent;
+      await tenant.scheduler.deleteAppointment(session.targetAppointment.id);
+      bookingAttempts.inc({ intent: attempt, result: 'succeeded' });
+      attempt = null;
+      console.log(`Cancelled appointment: ID=${session.targetAppointment.id}`);
+      inBackground(reminders.cancel(tenant.id, session.targetAppointment.id)
+        .catch(err => console.error('Error dropping reminders:', err)));
+      session.status = STATUS.CONFIRMED;
+      const voiceResponse = await speak(tenant, 'cancel.done', target, detectedLanguage);
+      res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+      recordCallAnalytics(customer, {
+        ...analyticsFields(),
+        appointmentBooked: false,
+        appointmentCancelled: true,
+        appointmentId: session.targetAppointment.id
       });
 
-      console.log('Easy!Appointments API Response:', eaResponse.data);
-      const bookedAppointmentId = eaResponse.data.id; // Adjust based on actual response
-
-      // --- 7b. Prepare Confirmation ---
-      // Format date/time in a user-friendly way for the confirmation message
-      const confirmationDate = appointmentStart.toLocaleDateString(detectedLanguage, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
-      const confirmationTime = appointmentStart.toLocaleTimeString(detectedLanguage, { hour: 'numeric', minute: '2-digit', hour12: true });
-      const confirmationText = `Okay, your appointment is booked for ${confirmationDate} at ${confirmationTime}.`; // Base confirmation in English
-      const translatedConfirmation = await translateText(confirmationText, 'en', detectedLanguage);
-
-      // --- 7c. Generate TTS Response ---
-      const voiceResponse = await ultravoxTextToSpeech(translatedConfirmation, detectedLanguage);
-      res.json({ voiceResponse }); // Send TTS response back to SignalWire/caller
-
-      // --- 7d. Save Analytics (Asynchronously) ---
-      if (firestore) {
-        firestore.collection('call_analytics').add({
-          subscriberEmail: customer.email,
-          callId: callId || 'N/A',
-          timestamp: admin.firestore.FieldValue.serverTimestamp(), // Use server timestamp
-          duration: parseInt(duration || '0', 10), // Ensure duration is a number
-          sentiment: sentiment,
-          transcript: transcript,
-          detectedLanguage: detectedLanguage,
-          appointmentBooked: true,
-          appointmentId: bookedAppointmentId,
-          appointmentTime: appointmentStart // Store as Firestore Timestamp
-        }).catch(err => console.error("Error saving analytics to Firestore:", err)); // Log error but don't block response
+    } else if (session.intent === INTENT.CANCEL && session.status === STATUS.AWAITING_CONFIRMATION && isNegative(textToClassify, classifyLanguage)) {
+      // --- 7e. Caller Kept the Appointment ---
+      session.status = STATUS.CONFIRMED;
+      const voiceResponse = await speak(tenant, 'cancel.kept', target, detectedLanguage);
+      res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+
+    } else if (session.intent === INTENT.CANCEL && session.status === STATUS.CONFIRMED) {
+      // --- 7f. Cancellation Already Handled ---
+      const voiceResponse = await speak(tenant, 'general.anythingElse', {}, detectedLanguage);
+      res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+
+    } else if (session.intent === INTENT.CANCEL) {
+      // --- 7g. Ask Before Cancelling ---
+      session.status = STATUS.AWAITING_CONFIRMATION;
+      const voiceResponse = await speak(tenant, 'cancel.ask', target, detectedLanguage);
+      res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+
+    } else if (session.status === STATUS.AWAITING_CONFIRMATION && !slotsChanged && isAffirmative(textToClassify, classifyLanguage)) {
+      // --- 7h. Book or Move the Appointment ---
+      // Re-check first: the lead time may have run out, or the slot been taken, since it was proposed
+      if (!tenant.rules.isAllowed(convertWallClock(session.slots, timeZone, tenant.timeZone), session.slots.service)) {
+        bookingAttempts.inc({ intent: session.intent, result: 'rejected' });
+        return proposeSlot(target);
+      }
+      const slotCheck = await checkSlotAvailability(tenant, session);
+      if (!slotCheck.available) {
+        bookingAttempts.inc({ intent: session.intent, result: 'unavailable' });
+        return offerAlternatives(slotCheck);
       }
+      session.slots.provider = slotCheck.providerId;
+
+      const appointmentStart = slotsToDate(session.slots, timeZone);
+      // Easy!Appointments takes wall-clock times in the business zone; the end may fall on the next day
+      const { start: startDateTime, end: endDateTime } = toEasyAppointmentsRange(
+        session.slots,
+        tenant.rules.durationFor(session.slots.service),
+        timeZone,
+        tenant.timeZone
+      );
+
+      let appointment;
+      const confirmation = formatForSpeech(appointmentStart, detectedLanguage, timeZone);
+      attempt = session.intent;
+      if (session.intent === INTENT.RESCHEDULE) {
+        console.log(`Attempting to move appointment ${session.targetAppointment.id}: Provider=${session.slots.provider}, Start=${startDateTime}, End=${endDateTime}`);
+        appointment = await tenant.scheduler.updateAppointment(session.targetAppointment.id, {
+          start: startDateTime,
+          end: endDateTime,
+          providerId: session.slots.provider
+        });
+      } else {
+        console.log(`Attempting to book appointment: Service=${session.slots.service}, Provider=${session.slots.provider}, Customer=${customer.id}, Start=${startDateTime}, End=${endDateTime}`);
+        appointment = await tenant.scheduler.createAppointment({
+          start: startDateTime,
+          end: endDateTime,
+          notes: `Booked via Voice Agent. Original request: "${redact(session.request ?? speechResult, customer)}"`,
+          customerId: schedulerCustomerId(customer), // Ensure field names match Easy!Appointments API v1.x
+          serviceId: session.slots.service,
+          providerId: session.slots.provider
+        });
+        console.log(`Easy!Appointments created appointment: ID=${appointment.id}`);
+      }
+      bookingAttempts.inc({ intent: attempt, result: 'succeeded' });
+      attempt = null;
+      const appointmentId = session.intent === INTENT.RESCHEDULE ? session.targetAppointment.id : appointment.id; // Adjust based on actual response
+      session.status = STATUS.CONFIRMED;
+
+      const voiceResponse = await speak(tenant, session.intent === INTENT.RESCHEDULE ? 'reschedule.moved' : 'booking.booked', confirmation, detectedLanguage);
+      res.json({ voiceResponse, dialogueState: session.status, intent: session.intent }); // Send TTS response back to SignalWire/caller
+
+      recordCallAnalytics(customer, {
+        ...analyticsFields(),
+        appointmentBooked: session.intent === INTENT.BOOK,
+        appointmentRescheduled: session.intent === INTENT.RESCHEDULE,
+        appointmentId: appointmentId,
+        appointmentTime: appointmentStart, // Store as Firestore Timestamp
+        appointmentUrl: tenant.scheduler.appointmentUrl(appointment) // Where staff open it in the scheduler, if it has a back office
+      });
+
+      // --- 7h-i. Confirm by Text/Email and Queue Reminders (Asynchronously) ---
+      // Moving an appointment replaces the reminders queued for its old time
+      notifyAppointment(tenant, {
+        appointmentId,
+        start: appointmentStart,
+        language: detectedLanguage,
+        timeZone,
+        phone: normalizedPhone,
+        email: customer.email,
+        subscriberEmail: customer.email
+      });
+
+    } else if (session.status === STATUS.AWAITING_CONFIRMATION && !slotsChanged && isNegative(textToClassify, classifyLanguage)) {
+      // --- 7i. Caller Declined the Proposed Time ---
+      session.request = null;
+      session.slots.date = null;
+      session.slots.time = null;
+      session.slots.provider = null;
+      session.status = STATUS.COLLECTING;
+      const voiceResponse = await speak(tenant, 'booking.declined', {}, detectedLanguage);
+      res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+
+    } else if (session.status === STATUS.CONFIRMED) {
+      // --- 7j. Already Booked, Nothing New Requested ---
+      const booked = formatForSpeech(slotsToDate(session.slots, timeZone), detectedLanguage, timeZone);
+      const voiceResponse = await speak(tenant, 'booking.alreadyBooked', booked, detectedLanguage);
+      res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+
+    } else if (missingSlots(session).length === 0) {
+      // --- 7k. All Slots Collected: Check Rules and Availability, Then Ask for Confirmation ---
+      await proposeSlot(target);
+
+    } else if (session.slots.date || session.slots.time) {
+      // --- 7l. Partial Request: Ask for the Missing Slot ---
+      session.status = STATUS.COLLECTING;
+      let voiceResponse;
+      if (!session.slots.time) {
+        const day = slotsToDate({ date: session.slots.date, time: '12:00' }, timeZone)
+          .toLocaleDateString(detectedLanguage, { weekday: 'long', month: 'long', day: 'numeric', timeZone });
+        voiceResponse = await speak(tenant, 'booking.askTime', { day }, detectedLanguage);
+      } else {
+        voiceResponse = await speak(tenant, 'booking.askDay', {}, detectedLanguage);
+      }
+      res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+
+    } else if (session.intent === INTENT.RESCHEDULE) {
+      // --- 7m. Ask for the New Time ---
+      const voiceResponse = await speak(tenant, 'reschedule.askNewTime', target, detectedLanguage);
+      res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+
+    } else if (heardIntent === INTENT.BOOK) {
+      // --- 7n. Booking Requested Without a Time ---
+      const voiceResponse = await speak(tenant, 'booking.askDayAndTime', {}, detectedLanguage);
+      res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+
+    } else if (justIdentified) {
+      // --- 7o. Caller Just Identified, Nothing Requested Yet ---
+      const voiceResponse = await speak(tenant, justIdentified === 'registered' ? 'onboarding.done' : 'identify.done', { name: customer.first_name }, detectedLanguage);
+      res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
 
     } else {
-      // --- 7e. Handle Parsing Failure or Missing Info ---
-      console.log('Appointment not booked (parsing failed or missing info).');
-      const errorMessage = 'Sorry, I couldn’t understand the date or time you requested. Could you please try again?';
-      const translatedError = await translateText(errorMessage, 'en', detectedLanguage);
-      const voiceResponse = await ultravoxTextToSpeech(translatedError, detectedLanguage);
-      res.json({ voiceResponse });
-
-       // --- 7f. Save Analytics for Failed Attempt (Asynchronously) ---
-       if (firestore && customer) {
-         firestore.collection('call_analytics').add({
-           subscriberEmail: customer.email,
-           callId: callId || 'N/A',
-           timestamp: admin.firestore.FieldValue.serverTimestamp(),
-           duration: parseInt(duration || '0', 10),
-           sentiment: sentiment,
-           transcript: transcript,
-           detectedLanguage: detectedLanguage,
-           appointmentBooked: false,
-           failureReason: 'Parsing failed'
-         }).catch(err => console.error("Error saving analytics to Firestore:", err));
-       }
+      // --- 7p. Handle Parsing Failure or Missing Info ---
+      // Asking again only goes so far; after repeated failures a person takes over
+      session.failedParses = failedBefore + 1;
+      const giveUp = escalationReason({ failedParses: session.failedParses }, tenant.handoff);
+      console.log(`Appointment not booked (parsing failed or missing info, ${session.failedParses} in a row).`);
+      if (giveUp) {
+        await handOff(giveUp);
+      } else {
+        const voiceResponse = await speak(tenant, 'error.notUnderstood', {}, detectedLanguage);
+        res.json({ voiceResponse, dialogueState: session.status, intent: session.intent });
+
+        // --- 7q. Save Analytics for Failed Attempt (Asynchronously) ---
+        recordCallAnalytics(customer, {
+          ...analyticsFields(),
+          appointmentBooked: false,
+          failureReason: 'Parsing failed',
+          failureCode: 'parsingFailed'
+        });
+      }
     }
   } catch (error) {
     // --- 8. Handle General Errors ---
-    console.error('Error processing /voice request:', error.response ? JSON.stringify(error.response.data, null, 2) : error.message);
-    console.error(error.stack); // Log stack trace
+    if (attempt) bookingAttempts.inc({ intent: attempt, result: 'failed' });
+    console.error('Error processing /voice request:', error.response ? JSON.stringify(error.response.data) : error.message, error);
 
-    let genericErrorMessage = 'Sorry, an unexpected error occurred while processing your request.';
-    // Try to translate the generic error message
-    const translatedGenericError = await translateText(genericErrorMessage, 'en', detectedLanguage);
-    const voiceResponse = await ultravoxTextToSpeech(translatedGenericError, detectedLanguage);
+    const voiceResponse = await speak(tenant, 'error.generic', {}, detectedLanguage);
     res.status(500).json({ voiceResponse });
 
      // --- 8a. Save Analytics for General Error (Asynchronously) ---
-     if (firestore && customer) {
-       firestore.collection('call_analytics').add({
-         subscriberEmail: customer.email,
-         callId: callId || 'N/A',
-         timestamp: admin.firestore.FieldValue.serverTimestamp(),
-         duration: parseInt(duration || '0', 10),
-         sentiment: sentiment,
-         transcript: transcript,
-         detectedLanguage: detectedLanguage,
-         appointmentBooked: false,
-         failureReason: `Server error: ${error.message}`
-       }).catch(err => console.error("Error saving analytics to Firestore:", err));
-     }
+     recordCallAnalytics(customer, {
+       ...analyticsFields(),
+       appointmentBooked: false,
+       failureReason: `Server error: ${error.message}`,
+       failureCode: 'serverError'
+     });
+  } finally {
+    // --- 9. Persist Dialogue Session ---
+    await saveSession(redis, session, Number(DIALOGUE_SESSION_TTL));
   }
 });
 
-// --- Start Server ---
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log('--- Configured Settings ---');
-  console.log(`PORT: ${PORT}`);
-  console.log(`GOOGLE_PROJECT_ID: ${GOOGLE_PROJECT_ID ? 'Set' : 'Not Set'}`);
-  console.log(`DATABASE_URL: ${DATABASE_URL ? 'Set' : 'Not Set'}`);
-  console.log(`REDIS_URL: ${REDIS_URL ? 'Set' : 'Not Set'}`);
-  console.log(`EASY_APPOINTMENTS_URL: ${EASY_APPOINTMENTS_URL || 'Not Set'}`);
-  console.log(`EASY_APPOINTMENTS_API_KEY: ${EASY_APPOINTMENTS_API_KEY ? 'Set' : 'Not Set'}`);
-  console.log(`FIREBASE_SERVICE_ACCOUNT: ${FIREBASE_SERVICE_ACCOUNT ? 'Set' : 'Not Set'}`);
-  console.log(`ULTRAVOX_TTS_URL: ${ULTRAVOX_TTS_URL || 'Not Set (Mock TTS will be used)'}`);
-  console.log('---------------------------');
+// --- Handoff Callbacks ---
+
+// The transfer's <Dial> reports how it ended; a call nobody answered goes to voicemail
+app.post('/handoff/dial-status', verifyWebhook, async (req, res) => {
+  const tenant = tenants.get(req.query.tenant);
+  if (!tenant) return res.status(404).json({ error: 'Unknown tenant' });
+  const language = req.query.language || tenant.defaultLanguage;
+  const status = req.body.DialCallStatus || req.body.DialStatus;
+  res.type('text/xml');
+  if (status === 'completed' || status === 'answered') {
+    return res.send(hangupTwiml());
+  }
+  console.log(`Handoff of call ${req.query.callId || req.body.CallSid || 'N/A'} not answered (${status || 'unknown'}); taking a voicemail`);
+  const text = await messages.render('handoff.voicemailAfterDial', {}, language);
+  res.send(voicemailTwiml({
+    announcement: { text, language },
+    maxSeconds: tenant.handoff.voicemailMaxSeconds,
+    actionUrl: publicUrl(req, '/handoff/voicemail', req.query)
+  }));
+});
+
+// Recorded voicemails are stored with the call's analytics so staff can call back
+app.post('/handoff/voicemail', verifyWebhook, async (req, res) => {
+  const tenant = tenants.get(req.query.tenant);
+  if (!tenant) return res.status(404).json({ error: 'Unknown tenant' });
+  const language = req.query.language || tenant.defaultLanguage;
+  console.log(`Voicemail for call ${req.query.callId || req.body.CallSid || 'N/A'}: ${req.body.RecordingUrl || 'no recording'}`);
+  if (req.body.RecordingUrl) {
+    const callerNumber = normalizePhoneNumber(req.body.From, DEFAULT_COUNTRY_CALLING_CODE) || req.body.From || null;
+    inBackground(providers.analytics.record({
+      type: 'voicemail',
+      tenantId: tenant.id,
+      callId: req.query.callId || req.body.CallSid || 'N/A',
+      callerNumber, // Kept so staff can call back; removed with the caller's other data
+      callerHash: callerHash(callerNumber),
+      detectedLanguage: language,
+      handoffReason: req.query.reason || null,
+      recordingUrl: req.body.RecordingUrl,
+      recordingDuration: parseInt(req.body.RecordingDuration || '0', 10)
+    }).catch(err => console.error('Error saving voicemail:', err)));
+  }
+  const text = await messages.render('handoff.voicemailSaved', {}, language);
+  res.type('text/xml').send(hangupTwiml({ text, language }));
+});
+
+// --- Reminder Replies ---
+
+// The telephony provider posts texts sent to a tenant's number here (From, To, Body).
+// A reply to a reminder confirms the appointment (C) or asks to move it (R);
+// the answer goes back by text, so the webhook itself returns an empty TwiML response.
+app.post('/sms', requireReady, verifyWebhook, async (req, res) => {
+  const from = normalizePhoneNumber(req.body.From, DEFAULT_COUNTRY_CALLING_CODE);
+  const tenant = tenants.resolve(req.body.To, DEFAULT_COUNTRY_CALLING_CODE);
+  if (!tenant || !from) {
+    console.error(`Ignoring text from ${maskPhone(req.body.From)} to ${req.body.To || 'N/A'}: unknown number`);
+    return res.status(404).json({ error: 'Unknown number' });
+  }
+
+  const target = await reminders.replyTarget(tenant.id, from);
+  const meaning = parseReply(req.body.Body);
+  const language = target?.language || tenant.defaultLanguage;
+  let reply;
+  try {
+    if (!target) {
+      reply = 'reminder.noAppointment';
+    } else if (!meaning) {
+      reply = 'reminder.replyHelp';
+    } else {
+      const status = meaning === 'confirm' ? REMINDER_CONFIRMED_STATUS : REMINDER_RESCHEDULE_STATUS;
+      await tenant.scheduler.updateAppointment(target.appointmentId, { status });
+      console.log(`Reminder reply for appointment ${target.appointmentId}: ${meaning} (status "${status}")`);
+      reply = meaning === 'confirm' ? 'reminder.confirmed' : 'reminder.rescheduleRequested';
+      recordCallAnalytics({ email: target.subscriberEmail }, {
+        type: 'reminderReply',
+        tenantId: tenant.id,
+        callerHash: callerHash(from),
+        appointmentId: target.appointmentId,
+        detectedLanguage: language,
+        reminderReply: meaning === 'confirm' ? 'confirmed' : 'rescheduleRequested'
+      });
+    }
+  } catch (error) {
+    console.error('Error handling reminder reply:', error.response ? JSON.stringify(error.response.data, null, 2) : error.message);
+    reply = 'reminder.replyFailed';
+  }
+
+  try {
+    const values = {
+      phone: tenant.reminders.callbackNumber || 'none',
+      ...(target && formatForSpeech(new Date(target.start), language, target.timeZone))
+    };
+    if (tenant.reminders.smsFrom) {
+      await providers.sms.send({ to: from, from: tenant.reminders.smsFrom, body: await messages.render(reply, values, language) });
+    }
+  } catch (error) {
+    console.error('Error answering reminder reply:', error.message);
+  }
+  res.type('text/xml').send('<Response></Response>');
+});
+
+// --- Health and Metrics ---
+
+// Liveness: the process is up and answering (restart it if not)
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: every dependency, checked now; 503 while a critical one is down or the server is shutting down
+app.get('/readyz', async (req, res) => {
+  const report = await health.run();
+  res.status(report.ready ? 200 : 503).json({ ...report, shuttingDown: health.isShuttingDown() });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && req.get('Authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  processMemory.set({}, process.memoryUsage().rss);
+  processUptime.set({}, process.uptime());
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// --- Admin Endpoints ---
+
+/**
+ * Restricts admin endpoints to requests bearing ADMIN_API_KEY.
+ * When the key is not configured the endpoints are disabled.
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return res.status(503).json({ error: 'Admin endpoints are disabled. Set ADMIN_API_KEY to enable them.' });
+  }
+  if (req.get('Authorization') !== `Bearer ${ADMIN_API_KEY}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+// Which prompts still lack a reviewed translation, per language
+app.get('/admin/messages/untranslated', requireAdmin, (req, res) => {
+  res.json({ languages: messages.languages(), ...messages.untranslated() });
 });
+
+// Deletes what we store about a caller, on their request: their customer records, every
+// call_analytics record about them (by caller pseudonym and customer email) and their queued
+// reminders. ?tenant=<id> limits it to one business. Appointments and customers in the
+// scheduler are the business's records and stay; the response lists the scheduler customer IDs.
+app.delete('/admin/callers/:phoneNumber', requireAdmin, async (req, res) => {
+  const phoneNumber = normalizePhoneNumber(req.params.phoneNumber, DEFAULT_COUNTRY_CALLING_CODE);
+  if (!phoneNumber) return res.status(400).json({ error: 'Invalid phone number' });
+  const tenantId = req.query.tenant || null;
+  if (tenantId && !tenants.get(tenantId)) return res.status(404).json({ error: 'Unknown tenant' });
+  try {
+    let customers = [];
+    if (db) {
+      // The raw value also matches rows saved before numbers were normalized
+      const result = await db.query(
+        `DELETE FROM customers
+         WHERE (phone_number = $1 OR phone_number = $2) AND ($3::text IS NULL OR ${CUSTOMER_TENANT} = $3)
+         RETURNING id, email, easy_appointments_id, ${CUSTOMER_TENANT} AS tenant_id`,
+        [phoneNumber, req.params.phoneNumber, tenantId, tenants.defaultId]
+      );
+      customers = result.rows;
+    }
+    const analyticsDeleted = await providers.analytics.deleteCaller({
+      callerHash: callerHash(phoneNumber),
+      subscriberEmails: [...new Set(customers.map(customer => customer.email).filter(Boolean))],
+      ...(tenantId && { tenantId })
+    });
+    let remindersDropped = 0;
+    for (const tenant of tenantId ? [tenants.get(tenantId)] : tenants.list()) {
+      remindersDropped += await reminders.forgetCaller(tenant.id, phoneNumber);
+    }
+    console.log(`Deleted data of caller ${maskPhone(phoneNumber)}: ${customers.length} customer(s), ${analyticsDeleted} analytics record(s), ${remindersDropped} reminder(s)`);
+    res.json({
+      customersDeleted: customers.length,
+      analyticsDeleted,
+      remindersDropped,
+      schedulerCustomers: customers.map(customer => ({ tenantId: customer.tenant_id, customerId: schedulerCustomerId(customer) }))
+    });
+  } catch (error) {
+    console.error('Error deleting caller data:', error);
+    res.status(500).json({ error: 'Could not delete the caller\'s data' });
+  }
+});
+
+// --- Start Server ---
+if (require.main === module) {
+  reminders.start(Number(REMINDER_POLL_INTERVAL) * 1000);
+  retention.start(Number(RETENTION_SWEEP_INTERVAL) * 1000);
+  health.start(Number(HEALTH_CHECK_INTERVAL) * 1000);
+  const server = app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log('--- Configured Settings ---');
+    console.log(`PORT: ${PORT}`);
+    console.log(`GOOGLE_PROJECT_ID: ${GOOGLE_PROJECT_ID ? 'Set' : 'Not Set'}`);
+    console.log(`DATABASE_URL: ${DATABASE_URL ? 'Set' : 'Not Set'}`);
+    console.log(`REDIS_URL: ${REDIS_URL ? 'Set' : 'Not Set'}`);
+    console.log(`EASY_APPOINTMENTS_URL: ${EASY_APPOINTMENTS_URL || 'Not Set'}`);
+    console.log(`EASY_APPOINTMENTS_API_KEY: ${EASY_APPOINTMENTS_API_KEY ? 'Set' : 'Not Set'}`);
+    console.log(`FIREBASE_SERVICE_ACCOUNT: ${FIREBASE_SERVICE_ACCOUNT ? 'Set' : 'Not Set'}`);
+    console.log(`ULTRAVOX_TTS_URL: ${ULTRAVOX_TTS_URL || 'Not Set'}`);
+    console.log(`BUSINESS_TIMEZONE: ${BUSINESS_TIMEZONE}`);
+    console.log(`BUSINESS_NAME: ${BUSINESS_NAME || 'Not Set'}`);
+    console.log(`Providers: ${Object.entries(providers.names).map(([kind, name]) => `${kind}=${name}`).join(', ')}`);
+    console.log(`TENANTS_FILE: ${TENANTS_FILE || 'Not Set (single business)'}`);
+    tenants.list().forEach(tenant => console.log(
+      `Tenant ${tenant.id}${tenant.isDefault ? ' (default)' : ''}: numbers=${tenant.phoneNumbers.join(', ') || 'any'}, ` +
+      `timezone=${tenant.timeZone}, languages=${tenant.languages.join(', ') || 'any'}, ` +
+      `scheduler=${tenant.providerNames.scheduler}, tts=${tenant.providerNames.tts}`
+    ));
+    console.log(`Booking rules (defaults): hours=${BUSINESS_HOURS}, holidays=${HOLIDAYS || 'none'}, lead=${MIN_BOOKING_LEAD_MINUTES}min, ` +
+      `horizon=${MAX_BOOKING_DAYS_AHEAD}d, grid=${SLOT_GRANULARITY_MINUTES}min, service durations=${SERVICE_DURATIONS || 'none'}`);
+    console.log(`DEFAULT_COUNTRY_CALLING_CODE: ${DEFAULT_COUNTRY_CALLING_CODE}`);
+    console.log(`DEFAULT_LANGUAGE: ${DEFAULT_LANGUAGE}`);
+    console.log(`LANGUAGE_CONFIDENCE_THRESHOLD: ${LANGUAGE_CONFIDENCE_THRESHOLD}`);
+    console.log(`Message catalogs: ${messages.languages().join(', ')}`);
+    console.log(`ADMIN_API_KEY: ${ADMIN_API_KEY ? 'Set' : 'Not Set'}`);
+    console.log(`PUBLIC_BASE_URL: ${PUBLIC_BASE_URL || 'Not Set'}`);
+    console.log(`Webhook signatures: ${[TWILIO_AUTH_TOKEN && 'twilio', SIGNALWIRE_SIGNING_KEY && 'signalwire', WEBHOOK_SHARED_SECRET && 'shared'].filter(Boolean).join(', ') || 'Not Verified'}`);
+    console.log(`Rate limits: ${RATE_LIMIT_PER_CALLER}/caller, ${RATE_LIMIT_PER_IP}/IP per ${RATE_LIMIT_WINDOW}s`);
+    console.log(`Reminders (defaults): offsets=${REMINDER_OFFSETS || 'none'}, channels=${REMINDER_CHANNELS || 'none'}, ` +
+      `confirmations=${BOOKING_CONFIRMATIONS}, every ${REMINDER_POLL_INTERVAL}s`);
+    console.log(`SMS_FROM_NUMBER: ${SMS_FROM_NUMBER || 'Not Set'}, EMAIL_FROM: ${EMAIL_FROM || 'Not Set'}`);
+    console.log(`Reminder reply statuses: "${REMINDER_CONFIRMED_STATUS}" / "${REMINDER_RESCHEDULE_STATUS}"`);
+    console.log(`Handoff (defaults): queues=${HANDOFF_QUEUES || 'none (voicemail)'}, ring ${HANDOFF_DIAL_TIMEOUT}s, ` +
+      `after ${HANDOFF_NEGATIVE_TURNS} upset / ${HANDOFF_MAX_FAILED_PARSES} not understood turns, voicemail up to ${VOICEMAIL_MAX_SECONDS}s`);
+    console.log(`PII redaction: ${PII_REDACTION === 'true' ? 'on' : 'off'}, PII_HASH_SECRET: ${PII_HASH_SECRET ? 'Set' : 'Not Set'}`);
+    console.log(`Analytics retention: ${Number(ANALYTICS_RETENTION_DAYS) > 0 ? `${ANALYTICS_RETENTION_ACTION} after ${ANALYTICS_RETENTION_DAYS} days` : 'kept forever'}`);
+    console.log(`Logging: ${LOG_LEVEL} as ${LOG_FORMAT}, METRICS_TOKEN: ${METRICS_TOKEN ? 'Set' : 'Not Set'}`);
+    console.log(`Health checks every ${HEALTH_CHECK_INTERVAL}s, shutdown drains for up to ${SHUTDOWN_TIMEOUT}s`);
+    console.log('---------------------------');
+  });
+
+  // --- Graceful Shutdown ---
+  // Stop taking new requests (readiness fails, so load balancers move on), let in-flight
+  // ones finish, then close the connections to Redis and PostgreSQL
+  let stopping = false;
+  const shutdown = signal => {
+    if (stopping) return;
+    stopping = true;
+    console.log(`${signal} received; finishing in-flight requests before exiting`);
+    health.markShuttingDown();
+    health.stop();
+    reminders.stop();
+    retention.stop();
+    const forced = setTimeout(() => {
+      console.error(`Requests still running after ${SHUTDOWN_TIMEOUT}s; exiting anyway`);
+      process.exit(1);
+    }, Number(SHUTDOWN_TIMEOUT) * 1000);
+    forced.unref();
+    // Idle keep-alive connections are closed at once; busy ones once their response is sent
+    server.close(async () => {
+      try {
+        await app.locals.settled(); // Analytics and confirmations of the last calls
+        await Promise.all([redis?.quit(), db?.end()]);
+      } catch (error) {
+        console.error('Error closing connections:', error);
+      }
+      console.log('Shutdown complete.');
+      process.exit(0);
+    });
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = app;
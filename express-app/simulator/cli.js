@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { loadScenarios, validateScenario } = require('./scenario');
+const { scriptsSentiment, runScenario } = require('./runner');
+const { readRecords, findCallRecord, scenarioFromRecord } = require('./replay');
+
+/**
+ * Conversation simulator command line.
+ *
+ *   npm run simulate -- run [scenario files or directories] [--stream] [--verbose]
+ *     Plays scenarios (default: simulator/scenarios) and reports each one; exits 1 if any fails.
+ *
+ *   npm run simulate -- replay <call_analytics file> [--call <call ID>] [--save <file>] [--stream] [--verbose]
+ *     Plays a recorded call's caller turns again and prints what the app says now.
+ *     --save writes the call as a scenario, to add expectations to and keep as a regression test.
+ *
+ * --stream speaks the caller turns through twilio-functions/stream.js instead of posting them to /voice;
+ * --verbose shows the app's own logs.
+ */
+
+const USAGE = `Usage:
+  simulate run [scenario files or directories] [--stream] [--verbose]
+  simulate replay <call_analytics file> [--call <call ID>] [--save <file>] [--stream] [--verbose]`;
+
+function parseArguments(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, paths: [], via: 'http', logLevel: 'error' };
+  for (let index = 0; index < rest.length; index++) {
+    const argument = rest[index];
+    if (argument === '--stream') options.via = 'stream';
+    else if (argument === '--verbose') options.logLevel = 'debug';
+    else if (argument === '--call' || argument === '--save') {
+      if (!rest[index + 1]) throw new Error(`${argument} needs a value.`);
+      options[argument.slice(2)] = rest[++index];
+    } else if (argument.startsWith('--')) throw new Error(`Unknown option ${argument}.`);
+    else options.paths.push(argument);
+  }
+  return options;
+}
+
+function printTurns(result) {
+  result.turns.forEach(turn => {
+    if (turn.say != null) console.log(`    Caller:       ${turn.say}`);
+    const details = [turn.status !== 200 && `status ${turn.status}`, turn.state, turn.intent, turn.action].filter(Boolean).join(', ');
+    console.log(`    Receptionist: ${turn.reply}${details ? `  [${details}]` : ''}`);
+  });
+}
+
+function printResult(result, { verbose }) {
+  console.log(`${result.passed ? '✓' : '✗'} ${result.name}`);
+  result.failures.forEach(failure => console.log(`    ${failure}`));
+  if (verbose || !result.passed) printTurns(result);
+}
+
+async function run(options) {
+  const scenarios = loadScenarios(options.paths.length > 0 ? options.paths : [path.join(__dirname, 'scenarios')]);
+  let failed = 0;
+  let skipped = 0;
+  for (const scenario of scenarios) {
+    if (options.via === 'stream' && scriptsSentiment(scenario)) {
+      skipped += 1;
+      console.log(`- ${scenario.name} (skipped: scripts sentiment, which stream.js cannot be given)`);
+      continue;
+    }
+    let result;
+    try {
+      result = await runScenario(scenario, options);
+    } catch (error) {
+      result = { name: scenario.name, passed: false, failures: [error.message], turns: [] };
+    }
+    if (!result.passed) failed += 1;
+    printResult(result, { verbose: options.logLevel === 'debug' });
+  }
+  console.log(`\n${scenarios.length - failed - skipped} passed, ${failed} failed${skipped ? `, ${skipped} skipped` : ''}`);
+  return failed === 0;
+}
+
+async function replay(options) {
+  if (options.paths.length !== 1) throw new Error('replay takes one call_analytics file.');
+  const record = findCallRecord(readRecords(options.paths[0]), options.call);
+  const scenario = validateScenario(scenarioFromRecord(record));
+  if (options.save) {
+    fs.writeFileSync(options.save, JSON.stringify(scenario, null, 2) + '\n');
+    console.log(`Saved as ${options.save}; add expectations to keep it as a regression test.`);
+  }
+  const result = await runScenario(scenario, options);
+  console.log(`${scenario.name} (${scenario.turns.length - 1} caller turns, starting ${scenario.now})`);
+  printTurns(result);
+  console.log(`\nOutcome now: ${result.outcome ?? 'none'}; on the call: ${scenario.source.outcome ?? 'none'}${scenario.source.failureCode ? ` (${scenario.source.failureCode})` : ''}`);
+  if (result.appointments.length > 0) console.log(`Appointments: ${result.appointments.join(', ')}`);
+  result.failures.forEach(failure => console.log(`  ${failure}`));
+  return result.passed;
+}
+
+async function main(argv) {
+  const options = parseArguments(argv);
+  if (options.command === 'run') return run(options);
+  if (options.command === 'replay') return replay(options);
+  console.error(USAGE);
+  return false;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(passed => { process.exitCode = passed ? 0 : 1; })
+    .catch(error => {
+      console.error(error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { parseArguments, main };
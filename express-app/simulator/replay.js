@@ -0,0 +1,94 @@
+const fs = require('fs');
+const { transcriptTurns } = require('../lib/callRecords');
+const { DEFAULT_CALLER } = require('./runner');
+
+/**
+ * Turns a saved call_analytics record into a scenario, so a call that went
+ * wrong in production can be played again locally.
+ *
+ * The caller's lines are replayed in order, in the language the call was
+ * detected in, with the clock set to when the call started. Stored transcripts
+ * are redacted and calls only keep a pseudonym of the caller's number, so the
+ * caller is seeded as a known customer under a stand-in number; appointments
+ * they already had are not in the record and can be added to a saved scenario.
+ */
+
+/**
+ * Reads exported analytics records: a JSON object, a JSON list, or one JSON
+ * object per line (the jsonfile provider's call_analytics.jsonl).
+ * @param {string} file - Path
+ * @returns {object[]}
+ */
+function readRecords(file) {
+  const text = fs.readFileSync(file, 'utf8').trim();
+  if (text.startsWith('[')) return JSON.parse(text);
+  try {
+    return [JSON.parse(text)];
+  } catch {
+    return text.split('\n').filter(line => line.trim()).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}, line ${index + 1}: ${error.message}`);
+      }
+    });
+  }
+}
+
+/**
+ * Finds a call's record: its latest call record (funnel records are skipped),
+ * which holds the transcript of the whole call.
+ * @param {object[]} records - Analytics records
+ * @param {string} [callId] - Call to find; without one, the file must hold a single call
+ * @returns {object}
+ * @throws {Error} - Listing the calls there are, when the call is missing or not named
+ */
+function findCallRecord(records, callId) {
+  const calls = records.filter(record => !record.type);
+  const ids = [...new Set(calls.map(record => record.callId).filter(Boolean))];
+  const matching = callId ? calls.filter(record => record.callId === callId) : ids.length <= 1 ? calls : [];
+  if (matching.length === 0) {
+    if (ids.length === 0) throw new Error('No call records found (funnel records have no transcript).');
+    throw new Error(`${callId ? `No call record for ${callId}.` : 'Several calls found; choose one with --call.'} Calls: ${ids.join(', ')}.`);
+  }
+  return matching.reduce((latest, record) => (String(record.timestamp) >= String(latest.timestamp) ? record : latest));
+}
+
+/**
+ * Builds the scenario that replays a call.
+ * @param {object} record - Call record from call_analytics
+ * @returns {object} - Scenario without expectations; `source` keeps what happened on the call
+ * @throws {Error} - If the record has no transcript left to replay
+ */
+function scenarioFromRecord(record) {
+  if (!record.transcript) {
+    throw new Error(`Call ${record.callId || '(unknown)'} has no transcript: it was anonymized by the retention sweep, or, with Firestore, the transcript is in the call_transcripts collection (add it to the record as "transcript").`);
+  }
+  const said = transcriptTurns(record.transcript)
+    .filter(turn => turn.speaker === 'Caller' && turn.text && turn.text !== 'N/A')
+    .map(turn => ({ say: turn.text }));
+  if (said.length === 0) throw new Error(`Call ${record.callId || '(unknown)'} has no caller turns to replay.`);
+  const ended = new Date(record.timestamp?._seconds != null ? record.timestamp._seconds * 1000 : record.timestamp);
+  if (Number.isNaN(ended.getTime())) throw new Error(`Call ${record.callId || '(unknown)'} has no usable timestamp.`);
+  const started = new Date(ended.getTime() - (Number(record.duration) || 0) * 1000);
+  return {
+    name: `Replay of call ${record.callId || '(unknown)'}`,
+    now: started.toISOString(),
+    ...(record.tenantId && record.tenantId !== 'default' && { tenant: record.tenantId }),
+    ...(record.detectedLanguage && { language: record.detectedLanguage }),
+    caller: DEFAULT_CALLER,
+    customers: [{
+      first_name: 'Caller',
+      ...(record.subscriberEmail && { email: record.subscriberEmail }),
+      ...(record.detectedLanguage && { preferred_language: record.detectedLanguage })
+    }],
+    turns: [{}, ...said],
+    source: {
+      callId: record.callId,
+      outcome: record.outcome ?? null,
+      ...(record.failureCode && { failureCode: record.failureCode })
+    }
+  };
+}
+
+module.exports = { readRecords, findCallRecord, scenarioFromRecord };
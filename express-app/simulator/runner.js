@@ -0,0 +1,456 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { fileURLToPath } = require('url');
+const { connectMemoryDatabase } = require('../lib/memoryDatabase');
+const { connectMemoryRedis } = require('../lib/memoryRedis');
+const { sharedSignature } = require('../lib/webhookAuth');
+const { addMinutesToWallClock } = require('../lib/time');
+const { STREAM_FUNCTION, loadWs, startFakeUltravox } = require('./ultravox');
+
+/**
+ * Plays a scenario (see scenario.js) against the express app, as one call.
+ *
+ * The app runs in this process with local stand-ins for everything outside
+ * it: the in-memory customers table and Redis, the memory scheduler for
+ * Easy!Appointments, file TTS (each reply is read back from its file), the
+ * dictionary translator, the heuristic language detector, and analytics,
+ * texts and emails written to a temporary directory. The clock is frozen at
+ * the scenario's `now`, so relative dates ("tomorrow at 3pm") always mean the
+ * same slot.
+ *
+ * Settings come only from the scenario: every setting in .env.example is
+ * cleared from the environment for the run and .env is not read, so results
+ * do not depend on the machine. Scenario fields:
+ *
+ *   name, now      Required; `now` is an ISO date and time
+ *   settings       Server settings, e.g., { "HANDOFF_NEGATIVE_TURNS": 1 }; relative *_FILE/*_DIR paths
+ *                  are read from the scenario's directory. BUSINESS_TIMEZONE defaults to America/New_York
+ *   caller         Caller's number (default +15550100000)
+ *   tenant/dialed  Business called: a tenant ID (its first number is dialed) or a number (default tenant otherwise)
+ *   language       Language the transcriber reports for every turn (a turn's own `language` wins); unset, the app detects it
+ *   customers      Known callers: customers table columns; phone_number defaults to the caller
+ *   appointments   Booked before the call: { customer: email, start: "YYYY-MM-DD HH:MM", service }, in the
+ *                  business's zone; without a customer the slot is taken by someone else
+ *   turns          { say, language, sentiment, expect }; a turn without `say` is the call's first webhook (the greeting).
+ *                  expect: reply (text or list of texts the reply includes, ignoring case), state, intent, status, action
+ *   expect         After the call: appointments (every customer's, as "YYYY-MM-DD HH:MM", sorted), outcome (of
+ *                  the call's last analytics record), customers (each must match a row on the given columns)
+ *
+ * A reply with a 5xx status fails the turn unless it expects that status.
+ */
+
+const DEFAULT_CALLER = '+15550100000';
+const WEBHOOK_SECRET = 'simulator'; // Signs the turns posted to /voice and those stream.js forwards
+const RESPONSE_TIMEOUT_MS = 10000;
+
+// Every setting the server reads, as documented in .env.example
+const DOCUMENTED_SETTINGS = fs.readFileSync(path.join(__dirname, '..', '.env.example'), 'utf8')
+  .split('\n')
+  .map(line => line.match(/^#?\s*([A-Z][A-Z0-9_]+)=/)?.[1])
+  .filter(Boolean);
+
+let runs = 0;
+
+// stream.js scores sentiment with the Google Natural Language API only, so scripted sentiment needs HTTP
+const scriptsSentiment = scenario => scenario.turns.some(turn => turn.sentiment);
+
+// Settings that keep a run local and repeatable; scenarios may override all but the stand-ins
+function baseSettings(directory, logLevel) {
+  return {
+    BUSINESS_TIMEZONE: 'America/New_York',
+    RATE_LIMIT_PER_CALLER: '0',
+    RATE_LIMIT_PER_IP: '0',
+    PII_HASH_SECRET: 'simulator',
+    LOG_LEVEL: logLevel,
+    LOG_FORMAT: 'text',
+    DICTIONARY_FILE: '',
+    MESSAGE_CATALOG_DIR: '',
+    ANALYTICS_FILE: path.join(directory, 'call_analytics.jsonl'),
+    OUTBOX_FILE: path.join(directory, 'outbox.jsonl'),
+    TTS_OUTPUT_DIR: path.join(directory, 'tts')
+  };
+}
+
+function standIns(run) {
+  return {
+    DATABASE_URL: `memory://simulator-${run}`,
+    REDIS_URL: `memory://simulator-${run}`,
+    SCHEDULING_PROVIDER: 'memory',
+    TTS_PROVIDER: 'file',
+    TRANSLATION_PROVIDER: 'dictionary',
+    LANGUAGE_DETECTION_PROVIDER: 'heuristic',
+    ANALYTICS_PROVIDER: 'jsonfile',
+    SMS_PROVIDER: 'outbox',
+    EMAIL_PROVIDER: 'outbox',
+    WEBHOOK_SHARED_SECRET: WEBHOOK_SECRET
+  };
+}
+
+// Environment values are strings; lists and objects (e.g., BUSINESS_HOURS) are written as JSON
+function scenarioSettings(scenario) {
+  const base = scenario.file ? path.dirname(scenario.file) : process.cwd();
+  return Object.fromEntries(Object.entries(scenario.settings || {}).map(([name, value]) => {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return [name, /_(FILE|DIR)$/.test(name) && text && !path.isAbsolute(text) ? path.resolve(base, text) : text];
+  }));
+}
+
+// Replaces the environment for the run; returns a function that puts it back
+function applyEnvironment(settings) {
+  const saved = { ...process.env };
+  DOCUMENTED_SETTINGS.forEach(name => delete process.env[name]);
+  Object.assign(process.env, settings);
+  return () => {
+    Object.keys(process.env).filter(name => !(name in saved)).forEach(name => delete process.env[name]);
+    Object.assign(process.env, saved);
+  };
+}
+
+// Stops the clock at `now` for the run; returns a function that restarts it
+function freezeClock(now) {
+  const RealDate = Date;
+  const frozen = new RealDate(now).getTime();
+  class FrozenDate extends RealDate {
+    constructor(...args) {
+      super(...(args.length > 0 ? args : [frozen]));
+    }
+
+    static now() {
+      return frozen;
+    }
+
+    // Dates made before the freeze are still Dates
+    static [Symbol.hasInstance](value) {
+      return value instanceof RealDate;
+    }
+  }
+  global.Date = FrozenDate;
+  return () => { global.Date = RealDate; };
+}
+
+// Loads a fresh copy of the app, so each run has its own providers, tenants and settings
+function loadApp() {
+  const server = require.resolve('../server');
+  delete require.cache[server];
+  return require(server);
+}
+
+// What a reply says: file TTS writes the spoken text to the file its URL points at
+function spokenText(voiceResponse) {
+  if (typeof voiceResponse !== 'string') return '';
+  if (!voiceResponse.startsWith('file://')) return voiceResponse;
+  try {
+    return fs.readFileSync(fileURLToPath(voiceResponse), 'utf8');
+  } catch {
+    return voiceResponse;
+  }
+}
+
+const wallClock = start => start.slice(0, 16);
+
+function readAnalytics(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+function chooseTenant(tenants, scenario) {
+  if (scenario.tenant) {
+    const tenant = tenants.get(scenario.tenant);
+    if (!tenant) throw new Error(`Unknown tenant "${scenario.tenant}". Tenants: ${tenants.list().map(candidate => candidate.id).join(', ')}.`);
+    return { tenant, dialed: scenario.dialed || tenant.phoneNumbers[0] || '' };
+  }
+  const tenant = tenants.resolve(scenario.dialed || '', process.env.DEFAULT_COUNTRY_CALLING_CODE || '1');
+  if (!tenant) throw new Error(`No tenant answers ${scenario.dialed || 'calls without a dialed number'}.`);
+  return { tenant, dialed: scenario.dialed || tenant.phoneNumbers[0] || '' };
+}
+
+// A tenants file can give a business its own scheduling or TTS service; those would be called for real
+function assertLocalTenants(tenants) {
+  for (const tenant of tenants.list()) {
+    const { scheduler, tts } = tenant.providerNames;
+    if (scheduler !== 'memory' || tts !== 'file') {
+      throw new Error(`Tenant ${tenant.id} uses ${scheduler} scheduling and ${tts} TTS; the simulator only runs against the memory scheduler and file TTS.`);
+    }
+  }
+}
+
+/**
+ * Seeds the scenario's customers (in the customers table and the scheduler,
+ * as registration does) and their appointments.
+ * @returns {Promise<void>}
+ */
+async function seed(scenario, { db, tenants, tenant, caller }) {
+  const tenantOf = row => tenants.get(row.tenant_id) || tenant;
+  const rows = [];
+  for (const customer of scenario.customers || []) {
+    const owner = tenants.get(customer.tenant_id) || tenant;
+    const row = { tenant_id: owner.id, phone_number: caller, ...customer };
+    if (row.easy_appointments_id == null) {
+      const scheduled = await owner.scheduler.createCustomer({
+        firstName: row.first_name,
+        lastName: row.last_name || '',
+        phone: row.phone_number,
+        ...(row.email && { email: row.email })
+      });
+      row.easy_appointments_id = scheduled.id;
+    }
+    rows.push(...db.seed([row]));
+  }
+  for (const [index, appointment] of (scenario.appointments || []).entries()) {
+    const row = appointment.customer && rows.find(candidate => candidate.email === appointment.customer);
+    if (appointment.customer && !row) {
+      throw new Error(`Appointment ${index + 1} is for ${appointment.customer}, who is not among the scenario's customers.`);
+    }
+    const owner = row ? tenantOf(row) : tenant;
+    const serviceId = appointment.service ?? owner.serviceId;
+    const [date, time] = appointment.start.split(' ');
+    const end = addMinutesToWallClock({ date, time }, owner.rules.durationFor(serviceId), owner.timeZone);
+    await owner.scheduler.createAppointment({
+      start: `${date} ${time}:00`,
+      end: `${end.date} ${end.time}:00`,
+      notes: 'Seeded by the simulator',
+      customerId: row ? row.easy_appointments_id : `other-${index + 1}`,
+      serviceId,
+      providerId: appointment.provider ?? 1
+    });
+  }
+}
+
+// Compares a turn's response with what it expects
+function checkTurn(turn, played, number) {
+  const failures = [];
+  const expect = turn.expect || {};
+  const label = `turn ${number}${turn.say ? ` ("${turn.say}")` : ' (greeting)'}`;
+  if (expect.status != null ? played.status !== expect.status : played.status >= 500) {
+    failures.push(`${label}: expected status ${expect.status ?? 'below 500'}, got ${played.status}`);
+  }
+  const replies = expect.reply == null ? [] : [].concat(expect.reply);
+  for (const text of replies) {
+    if (!played.reply.toLowerCase().includes(String(text).toLowerCase())) {
+      failures.push(`${label}: expected the reply to include "${text}", heard "${played.reply}"`);
+    }
+  }
+  for (const [field, key] of [['state', 'state'], ['intent', 'intent'], ['action', 'action']]) {
+    if (expect[field] !== undefined && expect[field] !== played[key]) {
+      failures.push(`${label}: expected ${field} ${JSON.stringify(expect[field])}, got ${JSON.stringify(played[key])}`);
+    }
+  }
+  return failures;
+}
+
+// Compares the state after the call with what the scenario expects
+function checkCall(expect = {}, outcome) {
+  const failures = [];
+  if (expect.appointments) {
+    const expected = [...expect.appointments].sort();
+    if (JSON.stringify(expected) !== JSON.stringify(outcome.appointments)) {
+      failures.push(`expected appointments ${JSON.stringify(expected)}, got ${JSON.stringify(outcome.appointments)}`);
+    }
+  }
+  if (expect.outcome !== undefined && expect.outcome !== outcome.outcome) {
+    failures.push(`expected outcome ${JSON.stringify(expect.outcome)}, got ${JSON.stringify(outcome.outcome)}`);
+  }
+  for (const wanted of expect.customers || []) {
+    const matches = outcome.customers.some(row => Object.entries(wanted).every(([column, value]) => String(row[column]) === String(value)));
+    if (!matches) failures.push(`expected a customer matching ${JSON.stringify(wanted)}, got ${JSON.stringify(outcome.customers)}`);
+  }
+  return failures;
+}
+
+/**
+ * Queues the app's /voice responses for whoever waits for the next one.
+ * @returns {{deliver: function(object): void, next: function(): Promise<object>}}
+ */
+function createResponseQueue() {
+  const arrived = [];
+  const waiting = [];
+  return {
+    deliver(response) {
+      if (waiting.length > 0) waiting.shift()(response);
+      else arrived.push(response);
+    },
+    next() {
+      if (arrived.length > 0) return Promise.resolve(arrived.shift());
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(settle), 1);
+          reject(new Error(`No /voice request arrived within ${RESPONSE_TIMEOUT_MS / 1000}s`));
+        }, RESPONSE_TIMEOUT_MS);
+        const settle = response => {
+          clearTimeout(timer);
+          resolve(response);
+        };
+        waiting.push(settle);
+      });
+    }
+  };
+}
+
+/**
+ * Runs one scenario.
+ * @param {object} scenario - Validated scenario
+ * @param {object} [options]
+ * @param {string} [options.via='http'] - 'http' posts each turn to /voice; 'stream' speaks caller
+ *   turns through twilio-functions/stream.js and a fake Ultravox socket
+ * @param {string} [options.logLevel='error'] - The app's log level during the run
+ * @returns {Promise<{name: string, passed: boolean, failures: string[], turns: object[], appointments: string[],
+ *   notes: string[], outcome: (string|null), customers: object[], stream: (object|null)}>} - notes: the appointments' notes, in the same order
+ */
+async function runScenario(scenario, { via = 'http', logLevel = 'error' } = {}) {
+  if (!['http', 'stream'].includes(via)) throw new Error(`Unknown way to run scenarios "${via}". Expected http or stream.`);
+  if (via === 'stream') {
+    loadWs(); // Fails early when the stream function's dependencies are missing
+    if (scriptsSentiment(scenario)) {
+      throw new Error(`"${scenario.name}" scripts sentiment, which stream.js only gets from the Google Natural Language API; run it over HTTP.`);
+    }
+  }
+  runs += 1;
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-simulator-'));
+  const settings = { ...baseSettings(directory, logLevel), ...scenarioSettings(scenario), ...standIns(runs) };
+  const caller = scenario.caller || DEFAULT_CALLER;
+  const callId = `simulator-${runs}`;
+  const consoleMethods = Object.fromEntries(['debug', 'log', 'info', 'warn', 'error'].map(method => [method, console[method]]));
+  const restoreEnvironment = applyEnvironment(settings);
+  const restartClock = freezeClock(scenario.now);
+  const workingDirectory = process.cwd();
+  let server;
+  try {
+    process.chdir(directory); // Keeps the developer's .env out of the run
+    const app = loadApp();
+    process.chdir(workingDirectory);
+    const { tenants, settled } = app.locals;
+    assertLocalTenants(tenants);
+    const { tenant, dialed } = chooseTenant(tenants, scenario);
+    const db = connectMemoryDatabase(settings.DATABASE_URL);
+    await seed(scenario, { db, tenants, tenant, caller });
+
+    // Responses to /voice are also handed to the stream runner, which does not make the requests itself
+    const responses = createResponseQueue();
+    server = http.createServer((req, res) => {
+      if (req.url === '/voice') {
+        res.json = body => {
+          responses.deliver({ status: res.statusCode, body });
+          return app.response.json.call(res, body);
+        };
+      }
+      app(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const post = async (fields, turnId) => {
+      const body = JSON.stringify({ caller_id: caller, call_id: callId, called_number: dialed, turn_id: turnId, ...fields });
+      const headers = { 'Content-Type': 'application/json' };
+      if (settings.WEBHOOK_SHARED_SECRET) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        headers['X-Signature-Timestamp'] = String(timestamp);
+        headers['X-Signature'] = sharedSignature(settings.WEBHOOK_SHARED_SECRET, timestamp, body);
+      }
+      const response = await fetch(`${baseUrl}/voice`, { method: 'POST', headers, body });
+      await response.text();
+      return responses.next();
+    };
+    const played = [];
+    const record = (turn, { status, body }) => {
+      const entry = {
+        say: turn.say ?? null,
+        status,
+        reply: spokenText(body?.voiceResponse) || body?.error || '',
+        state: body?.dialogueState ?? null,
+        intent: body?.intent ?? null,
+        action: body?.action ?? null
+      };
+      played.push(entry);
+      return entry;
+    };
+    const failures = [];
+
+    let stream = null;
+    if (via === 'http') {
+      for (const [index, turn] of scenario.turns.entries()) {
+        const language = turn.language || scenario.language;
+        const fields = turn.say == null ? {} : {
+          ultravox_transcription: turn.say,
+          ...((language || turn.sentiment) && {
+            interaction_result: { ...(language && { detectedLanguage: language }), ...(turn.sentiment && { sentiment: turn.sentiment }) }
+          })
+        };
+        failures.push(...checkTurn(turn, record(turn, await post(fields, String(index))), index + 1));
+      }
+    } else {
+      stream = await playThroughStream(scenario, { baseUrl, caller, callId, dialed, post, responses, record, failures });
+    }
+
+    await settled(); // Analytics and confirmations written after the responses
+    const customers = db.rows();
+    const booked = [];
+    for (const row of customers) {
+      const owner = tenants.get(row.tenant_id) || tenant;
+      booked.push(...await owner.scheduler.listAppointments(row.easy_appointments_id ?? row.id));
+    }
+    booked.sort((a, b) => wallClock(a.start).localeCompare(wallClock(b.start)));
+    const appointments = booked.map(appointment => wallClock(appointment.start));
+    const notes = booked.map(appointment => appointment.notes);
+    const callRecords = readAnalytics(settings.ANALYTICS_FILE).filter(entry => !entry.type && entry.callId === callId);
+    const outcome = callRecords.length > 0 ? callRecords[callRecords.length - 1].outcome ?? null : null;
+    failures.push(...checkCall(scenario.expect, { appointments, outcome, customers }));
+
+    return { name: scenario.name, passed: failures.length === 0, failures, turns: played, appointments, notes, outcome, customers, stream };
+  } finally {
+    process.chdir(workingDirectory);
+    if (server) await new Promise(resolve => server.close(() => resolve()));
+    await connectMemoryDatabase(settings.DATABASE_URL).end();
+    await connectMemoryRedis(settings.REDIS_URL).quit();
+    restartClock();
+    Object.assign(console, consoleMethods);
+    restoreEnvironment();
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Plays the turns as a live call: caller turns are spoken on a fake Ultravox
+ * socket that stream.js listens to and forwards to /voice, and each reply is
+ * spoken back as the agent. Greetings are posted directly, as the telephony
+ * provider does before the stream starts.
+ * @returns {Promise<object>} - The summary stream.js returned
+ */
+async function playThroughStream(scenario, { baseUrl, caller, callId, dialed, post, responses, record, failures }) {
+  const stream = require(STREAM_FUNCTION);
+  let summary;
+  const finished = new Promise(resolve => { summary = resolve; });
+  const ultravox = await startFakeUltravox(async call => {
+    let handedOff = false;
+    for (const [index, turn] of scenario.turns.entries()) {
+      if (handedOff) {
+        failures.push(`turn ${index + 1}: the call was handed to staff before it`);
+        continue;
+      }
+      if (turn.say == null) {
+        failures.push(...checkTurn(turn, record(turn, await post({}, `greeting-${index}`)), index + 1));
+        continue;
+      }
+      call.say('user', turn.say, turn.language || scenario.language);
+      const played = record(turn, await responses.next());
+      failures.push(...checkTurn(turn, played, index + 1));
+      handedOff = played.action === 'handoff';
+      if (!handedOff) call.say('agent', played.reply);
+    }
+    if (!handedOff) call.hangUp();
+  });
+  try {
+    stream.handler(
+      { VOICE_API_URL: baseUrl, WEBHOOK_SHARED_SECRET: WEBHOOK_SECRET },
+      { joinUrl: ultravox.url, From: caller, CallSid: callId, To: dialed },
+      (error, result) => summary(error ? { error: error.message } : result)
+    );
+    await ultravox.done;
+    return await finished;
+  } finally {
+    await ultravox.close();
+  }
+}
+
+module.exports = { DEFAULT_CALLER, scriptsSentiment, runScenario };
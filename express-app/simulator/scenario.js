@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Scenario files for the conversation simulator.
+ *
+ * A scenario is one scripted call (see runner.js for every field):
+ *
+ *   {
+ *     "name": "Books tomorrow afternoon",
+ *     "now": "2026-03-02T14:00:00Z",
+ *     "customers": [{ "first_name": "Maria", "email": "maria@example.com" }],
+ *     "turns": [
+ *       {},
+ *       { "say": "I'd like an appointment tomorrow at 3pm", "expect": { "state": "awaiting_confirmation" } },
+ *       { "say": "yes", "expect": { "reply": "is booked" } }
+ *     ],
+ *     "expect": { "appointments": ["2026-03-03 15:00"] }
+ *   }
+ *
+ * Files hold one scenario or a list of them, in JSON, or in YAML where the
+ * `yaml` package is installed.
+ */
+
+const TURN_EXPECTATIONS = ['reply', 'state', 'intent', 'status', 'action'];
+const CALL_EXPECTATIONS = ['appointments', 'outcome', 'customers'];
+
+// YAML is optional: the server does not need it, so it is not a dependency
+function parseYaml(text, file) {
+  let yaml;
+  try {
+    yaml = require('yaml');
+  } catch {
+    throw new Error(`${file}: YAML scenarios need the "yaml" package (npm install --no-save yaml); JSON works without it.`);
+  }
+  return yaml.parse(text);
+}
+
+/**
+ * Checks a scenario's shape, so a typo fails loudly instead of expecting nothing.
+ * @param {object} scenario - Parsed scenario
+ * @param {string} [source] - Where it came from, for error messages
+ * @returns {object} - The scenario
+ * @throws {Error} - Describing the first problem found
+ */
+function validateScenario(scenario, source = 'scenario') {
+  const fail = message => { throw new Error(`${source}${scenario?.name ? ` ("${scenario.name}")` : ''}: ${message}`); };
+  if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) fail('must be an object');
+  if (typeof scenario.name !== 'string' || !scenario.name.trim()) fail('"name" is required');
+  if (Number.isNaN(Date.parse(scenario.now))) fail('"now" must be a date and time, e.g., 2026-03-02T14:00:00Z');
+  if (!Array.isArray(scenario.turns) || scenario.turns.length === 0) fail('"turns" must list at least one turn');
+  scenario.turns.forEach((turn, index) => {
+    if (!turn || typeof turn !== 'object') fail(`turn ${index + 1} must be an object`);
+    if (turn.say != null && typeof turn.say !== 'string') fail(`turn ${index + 1}: "say" must be text`);
+    const unknown = Object.keys(turn.expect || {}).filter(key => !TURN_EXPECTATIONS.includes(key));
+    if (unknown.length > 0) fail(`turn ${index + 1}: unknown expectation "${unknown[0]}" (expected ${TURN_EXPECTATIONS.join(', ')})`);
+  });
+  const unknown = Object.keys(scenario.expect || {}).filter(key => !CALL_EXPECTATIONS.includes(key));
+  if (unknown.length > 0) fail(`unknown expectation "${unknown[0]}" (expected ${CALL_EXPECTATIONS.join(', ')})`);
+  for (const field of ['customers', 'appointments']) {
+    if (scenario[field] != null && !Array.isArray(scenario[field])) fail(`"${field}" must be a list`);
+  }
+  return scenario;
+}
+
+/**
+ * Reads the scenarios in one file.
+ * @param {string} file - .json, .yaml or .yml file
+ * @returns {object[]} - Validated scenarios, each with `file` set
+ */
+function readScenarioFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  let parsed;
+  try {
+    parsed = /\.ya?ml$/i.test(file) ? parseYaml(text, file) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(error.message.startsWith(file) ? error.message : `${file}: ${error.message}`);
+  }
+  const scenarios = Array.isArray(parsed) ? parsed : [parsed];
+  return scenarios.map((scenario, index) => ({
+    ...validateScenario(scenario, scenarios.length > 1 ? `${file} #${index + 1}` : file),
+    file: path.resolve(file)
+  }));
+}
+
+/**
+ * Reads scenarios from files and directories (every .json, .yaml and .yml file in them, by name).
+ * @param {string[]} paths - Files or directories
+ * @returns {object[]} - Validated scenarios
+ */
+function loadScenarios(paths) {
+  return paths.flatMap(entry => {
+    if (!fs.statSync(entry).isDirectory()) return readScenarioFile(entry);
+    return fs.readdirSync(entry)
+      .filter(name => /\.(json|ya?ml)$/i.test(name))
+      .sort()
+      .flatMap(name => readScenarioFile(path.join(entry, name)));
+  });
+}
+
+module.exports = { TURN_EXPECTATIONS, CALL_EXPECTATIONS, validateScenario, readScenarioFile, loadScenarios };
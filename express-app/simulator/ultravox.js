@@ -0,0 +1,80 @@
+const path = require('path');
+const { createRequire } = require('module');
+
+/**
+ * Fake Ultravox call socket for exercising twilio-functions/stream.js.
+ *
+ * stream.js joins the call's WebSocket and receives transcript events; this
+ * server plays them from a script instead of a live call. Speech is sent the
+ * way Ultravox sends it: as deltas followed by a final event, between state
+ * events and binary audio frames that carry no transcript.
+ */
+
+const STREAM_FUNCTION = path.join(__dirname, '..', '..', 'twilio-functions', 'stream.js');
+
+/**
+ * Loads the `ws` package the stream function depends on.
+ * @returns {object} - The ws module
+ * @throws {Error} - When the stream function's dependencies are not installed
+ */
+function loadWs() {
+  try {
+    return createRequire(STREAM_FUNCTION)('ws');
+  } catch {
+    throw new Error('Simulating stream.js needs its dependencies: run npm install in twilio-functions.');
+  }
+}
+
+/**
+ * Starts the fake server. The script runs once stream.js connects.
+ * @param {function(object): Promise<void>} script - Receives the call: say(role, text, language), hangUp(code)
+ * @returns {Promise<{url: string, done: Promise<void>, close: function(): Promise<void>}>}
+ */
+async function startFakeUltravox(script) {
+  const { WebSocketServer } = loadWs();
+  const server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+  await new Promise((resolve, reject) => {
+    server.once('listening', resolve);
+    server.once('error', reject);
+  });
+
+  let played;
+  const done = new Promise((resolve, reject) => { played = { resolve, reject }; });
+  server.once('connection', socket => {
+    let ordinal = 0;
+    const call = {
+      /**
+       * Speaks an utterance as Ultravox transcript events.
+       * @param {'user'|'agent'} role - Who speaks
+       * @param {string} text - What is said
+       * @param {string} [language] - Language the transcriber reports
+       */
+      say(role, text, language) {
+        ordinal += 1;
+        const words = text.split(' ');
+        const half = Math.ceil(words.length / 2);
+        const event = fields => JSON.stringify({ type: 'transcript', role, ordinal, ...(language && { language }), ...fields });
+        socket.send(JSON.stringify({ type: 'state', state: role === 'user' ? 'listening' : 'speaking' }));
+        socket.send(Buffer.alloc(160), { binary: true }); // Audio
+        socket.send(event({ delta: words.slice(0, half).join(' '), final: false }));
+        socket.send(event({ delta: words.length > half ? ` ${words.slice(half).join(' ')}` : '', final: false }));
+        socket.send(event({ final: true }));
+      },
+      hangUp(code = 1000) {
+        socket.close(code, 'call ended');
+      }
+    };
+    Promise.resolve().then(() => script(call)).then(played.resolve, played.reject);
+  });
+
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    done,
+    close: () => new Promise(resolve => {
+      server.clients.forEach(client => client.terminate());
+      server.close(() => resolve());
+    })
+  };
+}
+
+module.exports = { STREAM_FUNCTION, loadWs, startFakeUltravox };
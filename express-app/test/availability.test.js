@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findSlot, addDays, distanceInMinutes } = require('../lib/availability');
+
+// A scheduler whose providers have the given free times per day; records the days asked about
+function fakeClient(freeTimes) {
+  const asked = [];
+  return {
+    asked,
+    listProviders: async () => Object.keys(freeTimes).map(id => ({ id })),
+    getAvailabilities: async (providerId, serviceId, date) => {
+      asked.push(date);
+      return freeTimes[providerId][date] || [];
+    }
+  };
+}
+
+const slots = result => result.alternatives.map(slot => `${slot.date} ${slot.time}`);
+
+test('addDays crosses months and years and goes back', () => {
+  assert.equal(addDays('2026-10-19', 1), '2026-10-20');
+  assert.equal(addDays('2026-02-28', 1), '2026-03-01');
+  assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+  assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+});
+
+test('distanceInMinutes is absolute and spans days', () => {
+  assert.equal(distanceInMinutes({ date: '2026-10-19', time: '09:00' }, { date: '2026-10-19', time: '10:30' }), 90);
+  assert.equal(distanceInMinutes({ date: '2026-10-20', time: '00:30' }, { date: '2026-10-19', time: '23:30' }), 60);
+});
+
+test('a free slot is booked with the provider that has it', async () => {
+  const client = fakeClient({ 1: { '2026-10-19': ['09:00'] }, 2: { '2026-10-19': ['10:00'] } });
+  assert.deepEqual(
+    await findSlot(client, { date: '2026-10-19', time: '10:00', serviceId: 1 }),
+    { available: true, providerId: '2', alternatives: [] }
+  );
+  assert.deepEqual(client.asked, ['2026-10-19', '2026-10-19']);
+});
+
+test('only the preferred provider is checked when it offers the service', async () => {
+  const client = fakeClient({ 1: { '2026-10-19': ['09:00'] }, 2: { '2026-10-19': ['10:00'] } });
+  const result = await findSlot(client, { date: '2026-10-19', time: '10:00', serviceId: 1, providerId: 1 });
+  assert.equal(result.available, false);
+  assert.deepEqual(slots(result), ['2026-10-19 09:00']);
+  await assert.rejects(findSlot(fakeClient({}), { date: '2026-10-19', time: '10:00', serviceId: 7 }), /No provider offers service 7/);
+});
+
+test('alternatives are the nearest times, once each, in time order', async () => {
+  const client = fakeClient({
+    1: { '2026-10-19': ['09:00', '11:00', '16:00'], '2026-10-20': ['10:00'] },
+    2: { '2026-10-19': ['11:00', '13:30'] }
+  });
+  const result = await findSlot(client, { date: '2026-10-19', time: '12:00', serviceId: 1 });
+  assert.deepEqual(slots(result), ['2026-10-19 09:00', '2026-10-19 11:00', '2026-10-19 13:30']);
+});
+
+test('the search goes on while a later day can still be nearer', async () => {
+  // The same day has enough slots, but all of them further away than the next morning
+  const client = fakeClient({ 1: { '2026-10-19': ['08:00', '08:30', '09:00'], '2026-10-20': ['07:00', '07:30'] } });
+  const result = await findSlot(client, { date: '2026-10-19', time: '22:00', serviceId: 1 });
+  assert.deepEqual(slots(result), ['2026-10-19 09:00', '2026-10-20 07:00', '2026-10-20 07:30']);
+  assert.deepEqual(client.asked, ['2026-10-19', '2026-10-20']); // The day after cannot be nearer
+});
+
+test('the search stops once no later day can be nearer', async () => {
+  const client = fakeClient({ 1: { '2026-10-19': ['10:00', '11:00', '14:00'], '2026-10-20': ['12:00'] } });
+  const result = await findSlot(client, { date: '2026-10-19', time: '12:00', serviceId: 1 });
+  assert.deepEqual(slots(result), ['2026-10-19 10:00', '2026-10-19 11:00', '2026-10-19 14:00']);
+  assert.deepEqual(client.asked, ['2026-10-19']);
+});
+
+test('alternatives are searched up to searchDays ahead and no further', async () => {
+  const client = fakeClient({ 1: { '2026-10-22': ['09:00'], '2026-10-23': ['09:00'] } });
+  const result = await findSlot(client, { date: '2026-10-19', time: '09:00', serviceId: 1, searchDays: 3 });
+  assert.deepEqual(slots(result), ['2026-10-22 09:00']);
+  assert.deepEqual(client.asked, ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22']);
+  assert.deepEqual(slots(await findSlot(client, { date: '2026-10-19', time: '09:00', serviceId: 1, searchDays: 0 })), []);
+});
+
+test('slots the booking rules reject are not offered', async () => {
+  const client = fakeClient({ 1: { '2026-10-19': ['09:00', '10:00', '11:00'] } });
+  const result = await findSlot(client, {
+    date: '2026-10-19', time: '10:00', serviceId: 1, maxAlternatives: 2, searchDays: 0,
+    accept: slot => slot.time !== '10:00' && slot.time !== '11:00'
+  });
+  assert.equal(result.available, false);
+  assert.deepEqual(slots(result), ['2026-10-19 09:00']);
+});
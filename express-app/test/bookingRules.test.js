@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBookingRules } = require('../lib/bookingRules');
+
+const now = () => new Date('2026-10-19T12:00:00Z'); // Monday, 08:00 in New York
+
+const rules = createBookingRules({
+  timeZone: 'America/New_York',
+  openingHours: [
+    { days: [1, 2, 3, 4, 5], start: '09:00', end: '12:00' },
+    { days: [1, 2, 3, 4, 5], start: '13:00', end: '17:00' },
+    { days: [6], start: '10:00', end: '14:00' }
+  ],
+  closures: [{ date: '2026-12-25', name: 'Christmas' }, { from: '2026-10-28', to: '2026-10-29' }],
+  minLeadMinutes: 120,
+  maxDaysAhead: 90,
+  slotMinutes: 15,
+  defaultDurationMinutes: 30,
+  serviceDurations: { long: 90 },
+  now
+});
+
+test('snap rounds to the nearest slot on the grid', () => {
+  assert.deepEqual(rules.snap({ date: '2026-10-20', time: '14:10' }), { date: '2026-10-20', time: '14:15' });
+  assert.deepEqual(rules.snap({ date: '2026-10-20', time: '14:07' }), { date: '2026-10-20', time: '14:00' });
+  assert.deepEqual(rules.snap({ date: '2026-10-20', time: '23:55' }), { date: '2026-10-21', time: '00:00' });
+});
+
+test('check explains why a time is not accepted', () => {
+  assert.equal(rules.check({ date: '2026-10-20', time: '10:00' }, '1'), null);
+  assert.equal(rules.check({ date: '2026-10-19', time: '09:30' }, '1').reason, 'tooSoon');
+  assert.equal(rules.check({ date: '2027-01-20', time: '10:00' }, '1').reason, 'tooFar');
+  assert.deepEqual(rules.check({ date: '2026-12-25', time: '10:00' }, '1'), { reason: 'holiday', date: '2026-12-25', name: 'Christmas' });
+  assert.equal(rules.check({ date: '2026-10-29', time: '10:00' }, '1').reason, 'holiday');
+  assert.equal(rules.check({ date: '2026-10-25', time: '10:00' }, '1').reason, 'closedDay'); // Sunday
+  const lunch = rules.check({ date: '2026-10-20', time: '12:15' }, '1');
+  assert.equal(lunch.reason, 'outsideHours');
+  assert.deepEqual(lunch.openingHours, [{ start: '09:00', end: '12:00' }, { start: '13:00', end: '17:00' }]);
+});
+
+test('appointments must end within opening hours, using the service duration', () => {
+  assert.equal(rules.check({ date: '2026-10-20', time: '11:30' }, '1'), null);
+  assert.equal(rules.check({ date: '2026-10-20', time: '11:30' }, 'long').reason, 'outsideHours');
+  assert.equal(rules.durationFor('long'), 90);
+  assert.equal(rules.durationFor('other'), 30);
+});
+
+test('nearest finds the closest accepted start', () => {
+  // Lunch break: 12:15 is closer to 12:00 close (11:30 start) than to 13:00
+  assert.deepEqual(rules.nearest({ date: '2026-10-20', time: '12:15' }, '1'), { date: '2026-10-20', time: '11:30' });
+  assert.deepEqual(rules.nearest({ date: '2026-10-20', time: '12:45' }, '1'), { date: '2026-10-20', time: '13:00' });
+  // Sunday 11:00 is nearest to Saturday's last slot
+  assert.deepEqual(rules.nearest({ date: '2026-10-25', time: '11:00' }, '1'), { date: '2026-10-24', time: '13:30' });
+  // Too soon: the first start after the lead time
+  assert.deepEqual(rules.nearest({ date: '2026-10-19', time: '09:00' }, '1'), { date: '2026-10-19', time: '10:00' });
+  // Beyond the horizon: the last day bookings are taken on
+  assert.deepEqual(rules.nearest({ date: '2027-03-01', time: '10:00' }, '1'), { date: '2027-01-16', time: '13:30' });
+});
+
+test('invalid rules are rejected', () => {
+  assert.throws(() => createBookingRules({ timeZone: 'UTC', openingHours: { days: [1], start: '17:00', end: '09:00' } }), /opening hours/);
+  assert.throws(() => createBookingRules({ timeZone: 'UTC', closures: ['25/12/2026'] }), /closure/);
+  assert.throws(() => createBookingRules({ timeZone: 'UTC', slotMinutes: 7 }), /slotMinutes/);
+  assert.throws(() => createBookingRules({ timeZone: 'UTC', serviceDurations: { 1: 0 } }), /service 1/);
+});
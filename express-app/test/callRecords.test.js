@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { transcriptTurns, formatTurns, searchTokens, callOutcome, isFurtherStage } = require('../lib/callRecords');
+
+test('transcriptTurns splits speaker lines and joins continuations', () => {
+  const turns = transcriptTurns('Caller: Quiero una cita\nmañana por la tarde\nReceptionist: ¿A qué hora?\n\n');
+  assert.deepEqual(turns, [
+    { speaker: 'Caller', text: 'Quiero una cita mañana por la tarde' },
+    { speaker: 'Receptionist', text: '¿A qué hora?' }
+  ]);
+  assert.equal(formatTurns(turns), 'Caller: Quiero una cita mañana por la tarde\nReceptionist: ¿A qué hora?');
+  assert.deepEqual(transcriptTurns(''), []);
+});
+
+test('searchTokens folds case and accents and drops repeats and speaker labels', () => {
+  assert.deepEqual(
+    searchTokens('Caller: Mañana a las 10, MAÑANA!', 'Caller: Tomorrow at 10'),
+    ['manana', 'las', '10', 'tomorrow', 'at']
+  );
+  assert.deepEqual(searchTokens(null, undefined), []);
+});
+
+test('callOutcome sums a record up', () => {
+  assert.equal(callOutcome({ appointmentBooked: true }), 'booked');
+  assert.equal(callOutcome({ appointmentBooked: false, appointmentRescheduled: true }), 'rescheduled');
+  assert.equal(callOutcome({ appointmentCancelled: true }), 'cancelled');
+  assert.equal(callOutcome({ handoffReason: 'requested' }), 'handoff');
+  assert.equal(callOutcome({ appointmentBooked: false, failureReason: 'Parsing failed' }), 'failed');
+  assert.equal(callOutcome({ appointmentBooked: false }), 'other');
+});
+
+test('isFurtherStage only moves a call forward through the funnel', () => {
+  assert.equal(isFurtherStage(null, 'started'), true);
+  assert.equal(isFurtherStage('started', 'dateParsed'), true);
+  assert.equal(isFurtherStage('dateParsed', 'customerFound'), false);
+  assert.equal(isFurtherStage('customerFound', 'customerFound'), false);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSlots, hasNativeParser } = require('../lib/dateParsing');
+
+// Monday 2026-10-19 23:30 UTC: still Monday evening in New York, already Tuesday in Berlin
+const now = new Date('2026-10-19T23:30:00Z');
+
+test('parseSlots resolves relative days in the caller\'s zone', () => {
+  assert.deepEqual(parseSlots('tomorrow at 3pm', { timeZone: 'America/New_York', now }), { date: '2026-10-20', time: '15:00' });
+  assert.deepEqual(parseSlots('tomorrow at 3pm', { timeZone: 'Europe/Berlin', now }), { date: '2026-10-21', time: '15:00' });
+});
+
+test('parseSlots returns only the parts the caller said', () => {
+  assert.deepEqual(parseSlots('next Tuesday', { timeZone: 'America/New_York', now }), { date: '2026-10-27', time: null });
+  assert.deepEqual(parseSlots('around 3:30pm', { timeZone: 'America/New_York', now }), { date: null, time: '15:30' });
+  assert.deepEqual(parseSlots('yes please', { timeZone: 'America/New_York', now }), { date: null, time: null });
+});
+
+test('parseSlots keeps the spoken wall-clock time across a DST change', () => {
+  // Reference in EDT, requested date after the switch to EST
+  assert.deepEqual(
+    parseSlots('November 3 at 10am', { timeZone: 'America/New_York', now }),
+    { date: '2026-11-03', time: '10:00' }
+  );
+});
+
+test('parseSlots reads dates in the caller\'s own language', () => {
+  const options = { timeZone: 'Europe/Madrid', now };
+  assert.deepEqual(parseSlots('mañana a las 10', { ...options, language: 'es' }), { date: '2026-10-21', time: '10:00' });
+  assert.deepEqual(parseSlots('übermorgen um 15 Uhr', { ...options, language: 'de' }), { date: '2026-10-22', time: '15:00' });
+  assert.deepEqual(parseSlots('demain à 15h', { ...options, language: 'fr' }), { date: '2026-10-21', time: '15:00' });
+  assert.deepEqual(parseSlots('morgen om 15:00', { ...options, language: 'nl' }), { date: '2026-10-21', time: '15:00' });
+  assert.deepEqual(parseSlots('明日の午後3時', { ...options, language: 'ja' }), { date: '2026-10-21', time: '15:00' });
+});
+
+test('hasNativeParser accepts regional tags and rejects unsupported languages', () => {
+  assert.equal(hasNativeParser('pt-BR'), true);
+  assert.equal(hasNativeParser('es'), true);
+  assert.equal(hasNativeParser('hi'), false);
+  assert.equal(hasNativeParser('ar'), false);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STATUS, createSession, loadSession, saveSession, mergeSlots, missingSlots } = require('../lib/dialogueSession');
+
+// Enough of ioredis for sessions: get, and set with an EX expiry, on a replaceable clock
+function fakeRedis(now) {
+  const entries = new Map();
+  return {
+    get: async key => {
+      const entry = entries.get(key);
+      return entry && entry.expiresAt > now() ? entry.value : null;
+    },
+    set: async (key, value, mode, seconds) => {
+      assert.equal(mode, 'EX');
+      entries.set(key, { value, expiresAt: now() + seconds * 1000 });
+      return 'OK';
+    }
+  };
+}
+
+test('a new session starts collecting with the slot defaults', () => {
+  const session = createSession('CA1', { service: '2' });
+  assert.equal(session.status, STATUS.COLLECTING);
+  assert.deepEqual(session.slots, { date: null, time: null, service: '2', provider: null });
+  assert.deepEqual(missingSlots(session), ['date', 'time']);
+});
+
+test('mergeSlots keeps earlier values that a turn does not repeat', () => {
+  const session = createSession('CA1');
+  assert.equal(mergeSlots(session, { date: '2026-10-20', time: null }), true);
+  assert.equal(mergeSlots(session, { date: undefined, time: '15:00' }), true);
+  assert.deepEqual(missingSlots(session), []);
+  assert.equal(mergeSlots(session, { date: '2026-10-20' }), false); // Nothing new
+  assert.equal(mergeSlots(session, { time: '16:00' }), true);
+  assert.deepEqual([session.slots.date, session.slots.time], ['2026-10-20', '16:00']);
+});
+
+test('missingSlots only asks for what is empty', () => {
+  const session = createSession('CA1');
+  mergeSlots(session, { time: '09:30' });
+  assert.deepEqual(missingSlots(session), ['date']);
+});
+
+test('sessions are saved to and loaded from Redis with an expiry', async () => {
+  let now = 0;
+  const redis = fakeRedis(() => now);
+  const session = createSession('CA-redis');
+  mergeSlots(session, { date: '2026-10-20' });
+  session.turns = 2;
+  await saveSession(redis, session, 60);
+
+  const loaded = await loadSession(redis, 'CA-redis');
+  assert.equal(loaded.slots.date, '2026-10-20');
+  assert.equal(loaded.turns, 2);
+  assert.deepEqual(JSON.parse(await redis.get('session:CA-redis')), loaded);
+
+  now = 60000;
+  const expired = await loadSession(redis, 'CA-redis', { service: '1' });
+  assert.equal(expired.turns, 0);
+  assert.equal(expired.slots.service, '1');
+});
+
+test('without Redis sessions are kept in the process until they expire', async (t) => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const session = createSession('CA-memory');
+  mergeSlots(session, { time: '15:00' });
+  await saveSession(undefined, session, 60);
+
+  assert.equal((await loadSession(undefined, 'CA-memory')).slots.time, '15:00');
+  assert.equal((await loadSession(undefined, 'CA-other')).slots.time, null);
+
+  now += 61000;
+  assert.equal((await loadSession(undefined, 'CA-memory')).slots.time, null);
+});
+
+test('a Redis failure starts a fresh session instead of failing the turn', async (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const failing = {
+    get: async () => { throw new Error('connection lost'); },
+    set: async () => { throw new Error('connection lost'); }
+  };
+  const session = await loadSession(failing, 'CA1', { provider: '3' });
+  assert.deepEqual(session, { ...createSession('CA1', { provider: '3' }), updatedAt: session.updatedAt });
+  await saveSession(failing, session, 60);
+  assert.equal(errors.mock.callCount(), 2);
+});
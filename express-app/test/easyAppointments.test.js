@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEasyAppointmentsClient, toEasyAppointmentsRange, parseEasyAppointmentsDateTime } = require('../lib/easyAppointments');
+
+test('toEasyAppointmentsRange puts a late booking\'s end on the next day', () => {
+  assert.deepEqual(
+    toEasyAppointmentsRange({ date: '2026-10-20', time: '23:45' }, 30, 'Europe/Berlin', 'Europe/Berlin'),
+    { start: '2026-10-20 23:45:00', end: '2026-10-21 00:15:00' }
+  );
+});
+
+test('toEasyAppointmentsRange converts the caller\'s time to business time', () => {
+  assert.deepEqual(
+    toEasyAppointmentsRange({ date: '2026-10-20', time: '09:00' }, 30, 'America/Chicago', 'America/New_York'),
+    { start: '2026-10-20 10:00:00', end: '2026-10-20 10:30:00' }
+  );
+});
+
+test('parseEasyAppointmentsDateTime reads business wall-clock time', () => {
+  assert.equal(
+    parseEasyAppointmentsDateTime('2026-07-01 09:00:00', 'America/New_York').toISOString(),
+    '2026-07-01T13:00:00.000Z'
+  );
+});
+
+test('appointmentUrl links to the back office by appointment hash', () => {
+  const client = createEasyAppointmentsClient({ baseUrl: 'https://booking.example.com', apiKey: 'key' });
+  assert.equal(client.appointmentUrl({ id: 5, hash: 'abc123' }), 'https://booking.example.com/index.php/backend/index/abc123');
+  assert.equal(client.appointmentUrl({ id: 5 }), null);
+});
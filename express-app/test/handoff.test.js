@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { REASON, escalationReason, normalizeQueues, staffNumbers, transferTwiml, voicemailTwiml, hangupTwiml } = require('../lib/handoff');
+
+const policy = { negativeTurns: 2, maxFailedParses: 2 };
+
+test('escalationReason hands off on request, upset callers and repeated misunderstandings', () => {
+  assert.equal(escalationReason({ requested: true }, policy), REASON.REQUESTED);
+  assert.equal(escalationReason({ negativeTurns: 1 }, policy), null);
+  assert.equal(escalationReason({ negativeTurns: 2 }, policy), REASON.NEGATIVE_SENTIMENT);
+  assert.equal(escalationReason({ failedParses: 1 }, policy), null);
+  assert.equal(escalationReason({ failedParses: 2 }, policy), REASON.NOT_UNDERSTOOD);
+  assert.equal(escalationReason({ negativeTurns: 5, failedParses: 5 }, { negativeTurns: 0, maxFailedParses: 0 }), null);
+});
+
+test('staff queues are picked by language, then the default language, then "*"', () => {
+  const queues = normalizeQueues({ en: '(212) 555-0150', ES: ['+12125550151', '+12125550152'] }, '1');
+  assert.deepEqual(queues, { en: ['+12125550150'], es: ['+12125550151', '+12125550152'] });
+  assert.deepEqual(staffNumbers(queues, 'es-MX', 'en'), ['+12125550151', '+12125550152']);
+  assert.deepEqual(staffNumbers(queues, 'de', 'en'), ['+12125550150']);
+  assert.deepEqual(staffNumbers({ '*': ['+493012345600'] }, 'fr', 'de'), ['+493012345600']);
+  assert.deepEqual(staffNumbers({}, 'en', 'en'), []);
+  assert.throws(() => normalizeQueues({ en: 'front desk' }, '1'), /handoff queue "en"/);
+  assert.throws(() => normalizeQueues(['+12125550150'], '1'), /handoff queues/);
+});
+
+test('transferTwiml rings every staff number and reports back to the action URL', () => {
+  const twiml = transferTwiml({
+    announcement: { text: 'One moment.', language: 'en', audioUrl: 'https://tts.example.com/a.mp3' },
+    numbers: ['+12125550151', '+12125550152'],
+    timeoutSeconds: 20,
+    actionUrl: 'https://api.example.com/handoff/dial-status?tenant=north&language=es'
+  });
+  assert.match(twiml, /^<\?xml version="1.0" encoding="UTF-8"\?><Response><Play>https:\/\/tts.example.com\/a.mp3<\/Play>/);
+  assert.match(twiml, /<Dial timeout="20" action="https:\/\/api.example.com\/handoff\/dial-status\?tenant=north&amp;language=es">/);
+  assert.match(twiml, /<Number>\+12125550151<\/Number><Number>\+12125550152<\/Number><\/Dial><\/Response>$/);
+});
+
+test('voicemail and hang-up TwiML read the text when there is no audio URL', () => {
+  const voicemail = voicemailTwiml({
+    announcement: { text: 'Leave a message <after> the tone & we will call back.', language: 'en', audioUrl: 'file:///tmp/a.txt' },
+    maxSeconds: 120,
+    actionUrl: 'https://api.example.com/handoff/voicemail?tenant=north'
+  });
+  assert.match(voicemail, /<Say language="en">Leave a message &lt;after&gt; the tone &amp; we will call back.<\/Say>/);
+  assert.match(voicemail, /<Record maxLength="120" playBeep="true" action="https:\/\/api.example.com\/handoff\/voicemail\?tenant=north"\/>/);
+  assert.equal(hangupTwiml(), '<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>');
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHealthMonitor } = require('../lib/health');
+
+// A dependency whose health the test switches
+function dependency() {
+  const state = { up: true };
+  return { state, check: async () => { if (!state.up) throw new Error('connection refused'); } };
+}
+
+test('reports every dependency and stays ready while only non-critical ones are down', async () => {
+  const database = dependency();
+  const redis = dependency();
+  redis.state.up = false;
+  const monitor = createHealthMonitor({
+    checks: [{ name: 'database', critical: true, check: database.check }, { name: 'redis', check: redis.check }]
+  });
+  const report = await monitor.run();
+  assert.equal(report.status, 'degraded');
+  assert.equal(report.ready, true);
+  assert.equal(report.dependencies.database.status, 'up');
+  assert.deepEqual({ ...report.dependencies.redis, latencyMs: 0 }, { status: 'down', critical: false, latencyMs: 0, error: 'connection refused' });
+  assert.equal(monitor.isReady(), true);
+});
+
+test('is unready while a critical dependency is down, and ready again once it is back', async () => {
+  const database = dependency();
+  const monitor = createHealthMonitor({ checks: [{ name: 'database', critical: true, check: database.check }] });
+  assert.equal(monitor.isReady(), true); // Before the first check
+
+  database.state.up = false;
+  assert.equal((await monitor.run()).status, 'failing');
+  assert.equal(monitor.isReady(), false);
+
+  database.state.up = true;
+  assert.equal((await monitor.run()).status, 'ok');
+  assert.equal(monitor.isReady(), true);
+});
+
+test('counts a check that does not answer in time as down', async () => {
+  const monitor = createHealthMonitor({
+    checks: [{ name: 'scheduler:north', check: () => new Promise(() => {}) }],
+    timeoutMs: 20
+  });
+  const report = await monitor.run();
+  assert.equal(report.dependencies['scheduler:north'].status, 'down');
+  assert.match(report.dependencies['scheduler:north'].error, /No answer within 20 ms/);
+});
+
+test('is unready once shutting down', async () => {
+  const monitor = createHealthMonitor({ checks: [] });
+  monitor.markShuttingDown();
+  assert.equal(monitor.isShuttingDown(), true);
+  assert.equal(monitor.isReady(), false);
+  assert.equal((await monitor.run()).ready, false);
+});
+
+test('hands every report to onReport', async () => {
+  const reports = [];
+  const monitor = createHealthMonitor({ checks: [{ name: 'analytics', check: async () => {} }], onReport: report => reports.push(report) });
+  await monitor.run();
+  assert.equal(reports.length, 1);
+  assert.equal(monitor.last(), reports[0]);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { INTENT, hasKeywords, classifyIntent, isAffirmative, isNegative, pickOrdinal } = require('../lib/intent');
+
+test('classifyIntent recognizes explicit English requests', () => {
+  assert.equal(classifyIntent('I want to book an appointment tomorrow'), INTENT.BOOK);
+  assert.equal(classifyIntent('Can you move my appointment to Friday'), INTENT.RESCHEDULE);
+  assert.equal(classifyIntent('Please cancel my appointment'), INTENT.CANCEL);
+  assert.equal(classifyIntent('When is my next appointment?'), INTENT.QUERY_UPCOMING);
+  assert.equal(classifyIntent('Can I talk to a real person'), INTENT.HUMAN_HANDOFF);
+  assert.equal(classifyIntent('3pm'), null);
+});
+
+test('classifyIntent understands other languages without translation', () => {
+  assert.equal(classifyIntent('Quiero cancelar mi cita', 'es'), INTENT.CANCEL);
+  assert.equal(classifyIntent('Ich möchte meinen Termin verschieben', 'de'), INTENT.RESCHEDULE);
+  assert.equal(classifyIntent('Je voudrais prendre un rendez-vous', 'fr'), INTENT.BOOK);
+  assert.equal(classifyIntent('予約をキャンセルしたいです', 'ja'), INTENT.CANCEL);
+});
+
+test('classifyIntent hands off only when the caller asks for a person', () => {
+  assert.equal(classifyIntent('I need to speak to someone'), INTENT.HUMAN_HANDOFF);
+  assert.equal(classifyIntent('Let me talk to the receptionist'), INTENT.HUMAN_HANDOFF);
+  assert.equal(classifyIntent('Quiero hablar con una persona', 'es'), INTENT.HUMAN_HANDOFF);
+  assert.equal(classifyIntent("Je veux parler à quelqu'un", 'fr'), INTENT.HUMAN_HANDOFF);
+  assert.equal(classifyIntent('Vorrei parlare con un operatore', 'it'), INTENT.HUMAN_HANDOFF);
+  assert.equal(classifyIntent('Ich möchte mit einem Menschen sprechen', 'de'), INTENT.HUMAN_HANDOFF);
+  assert.equal(classifyIntent('Kann ich bitte mit einer Mitarbeiterin sprechen', 'de'), INTENT.HUMAN_HANDOFF);
+  assert.equal(classifyIntent('Please put me through to an operator'), INTENT.HUMAN_HANDOFF);
+  assert.equal(classifyIntent('Ik wil met een medewerker spreken', 'nl'), INTENT.HUMAN_HANDOFF);
+  assert.equal(classifyIntent('受付と話したいです', 'ja'), INTENT.HUMAN_HANDOFF);
+
+  assert.equal(classifyIntent('I want to book an appointment for a person who just moved here'), INTENT.BOOK);
+  assert.equal(classifyIntent('Can I talk to you to book a cleaning'), INTENT.BOOK);
+  assert.equal(classifyIntent('I want to speak to the dentist, I need to reschedule'), INTENT.RESCHEDULE);
+  assert.equal(classifyIntent('Quiero reservar una cita para una persona', 'es'), INTENT.BOOK);
+  assert.equal(classifyIntent('Quiero hablar con usted para cancelar mi cita', 'es'), INTENT.CANCEL);
+  assert.equal(classifyIntent('Je voudrais prendre rendez-vous pour une personne', 'fr'), INTENT.BOOK);
+  assert.equal(classifyIntent('Je voudrais parler à propos de mon rendez-vous, je dois annuler', 'fr'), INTENT.CANCEL);
+  assert.equal(classifyIntent('Vorrei prenotare per una persona', 'it'), INTENT.BOOK);
+  assert.equal(classifyIntent('Quero marcar para uma pessoa', 'pt'), INTENT.BOOK);
+});
+
+test('classifyIntent does not hand off when a person is only mentioned', () => {
+  assert.equal(classifyIntent('I need to book a checkup, my receptionist said'), INTENT.BOOK);
+  assert.equal(classifyIntent('The operator gave me this number to book a cleaning'), INTENT.BOOK);
+  assert.equal(classifyIntent('Your representative told me to cancel'), INTENT.CANCEL);
+  assert.equal(classifyIntent('Ich möchte einen Termin buchen, Mensch ist das schwer', 'de'), INTENT.BOOK);
+  assert.equal(classifyIntent('Der Mitarbeiter hat gesagt, ich soll den Termin verschieben', 'de'), INTENT.RESCHEDULE);
+  assert.equal(classifyIntent('Die Rezeption sagt, ich soll den Termin absagen', 'de'), INTENT.CANCEL);
+  assert.equal(classifyIntent('La recepcionista me dijo que tengo que reservar', 'es'), INTENT.BOOK);
+  assert.equal(classifyIntent('受付で予約をお願いします', 'ja'), INTENT.BOOK);
+});
+
+test('yes/no answers match whole words, including accented ones', () => {
+  assert.equal(isAffirmative('sí, por favor', 'es'), true);
+  assert.equal(isNegative('não, obrigado', 'pt-BR'), true);
+  assert.equal(isAffirmative('yesterday'), false);
+  assert.equal(isNegative('I know'), false);
+});
+
+test('a negation outweighs a yes-word', () => {
+  assert.equal(isAffirmative("No, that's not correct"), false);
+  assert.equal(isAffirmative('nein, das ist nicht richtig', 'de'), false);
+  assert.equal(isAffirmative("non, ce n'est pas correct", 'fr'), false);
+  assert.equal(isAffirmative('no, no es correcto', 'es'), false);
+  assert.equal(isNegative('no, no es correcto', 'es'), true);
+  assert.equal(isAffirmative("yes, that's correct"), true);
+});
+
+test('pickOrdinal selects the offered option', () => {
+  const options = ['09:00', '10:00', '11:00'];
+  assert.equal(pickOrdinal('the second one please', options), '10:00');
+  assert.equal(pickOrdinal('die letzte', options, 'de'), '11:00');
+  assert.equal(pickOrdinal('something else', options), undefined);
+});
+
+test('hasKeywords covers the keyword languages only', () => {
+  assert.equal(hasKeywords('it'), true);
+  assert.equal(hasKeywords('zh'), false);
+});
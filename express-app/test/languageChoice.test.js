@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { languageName, matchLanguageChoice } = require('../lib/languageChoice');
+
+test('languageName names a language in another language', () => {
+  assert.equal(languageName('es', 'es'), 'español');
+  assert.equal(languageName('es-MX', 'en'), 'Spanish');
+  assert.equal(languageName('de', 'fr'), 'allemand');
+});
+
+test('matchLanguageChoice recognizes the named language in any offered language', () => {
+  const choices = ['es', 'en'];
+  assert.equal(matchLanguageChoice('En español, por favor', choices), 'es');
+  assert.equal(matchLanguageChoice('espanol', choices), 'es');
+  assert.equal(matchLanguageChoice('English please', choices), 'en');
+  assert.equal(matchLanguageChoice('inglés', choices), 'en');
+  assert.equal(matchLanguageChoice('sí', choices), undefined);
+  assert.equal(matchLanguageChoice('Spanish or English, either', choices), undefined);
+});
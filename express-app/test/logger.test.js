@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, captureConsole, correlate, logContext } = require('../lib/logger');
+
+const NOW = new Date('2026-03-02T10:00:00.000Z');
+
+// A logger writing into an array
+function capture(options = {}) {
+  const lines = [];
+  const logger = createLogger({ now: () => NOW, write: line => lines.push(line), ...options });
+  return { logger, lines, entries: () => lines.map(line => JSON.parse(line)) };
+}
+
+// Runs a handler inside the correlation middleware, as Express would
+function handle(req, handler) {
+  const headers = {};
+  const request = { body: {}, query: {}, get: name => req.headers?.[name], ...req };
+  const response = { set: (name, value) => { headers[name] = value; } };
+  return new Promise(resolve => {
+    correlate(r => r.body.call_id)(request, response, async () => resolve({ headers, result: await handler() }));
+  });
+}
+
+test('writes one JSON object per line with the level and message', () => {
+  const { logger, entries } = capture();
+  logger.info('Booked', { appointmentId: 7 });
+  assert.deepEqual(entries(), [{ time: NOW.toISOString(), level: 'info', msg: 'Booked', appointmentId: 7 }]);
+});
+
+test('skips levels below the configured one', () => {
+  const { logger, entries } = capture({ level: 'warn' });
+  logger.debug('noise');
+  logger.info('noise');
+  logger.warn('careful');
+  logger.error('broken');
+  assert.deepEqual(entries().map(entry => entry.level), ['warn', 'error']);
+});
+
+test('rejects unknown levels and formats', () => {
+  assert.throws(() => createLogger({ level: 'verbose' }), /Unknown log level "verbose"/);
+  assert.throws(() => createLogger({ format: 'xml' }), /Unknown log format "xml"/);
+});
+
+test('keeps the message, code and stack of errors', () => {
+  const { logger, entries } = capture();
+  const error = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  logger.error('Redis Connection Error', { error });
+  const [entry] = entries();
+  assert.equal(entry.error.message, 'connect ECONNREFUSED');
+  assert.equal(entry.error.code, 'ECONNREFUSED');
+  assert.match(entry.error.stack, /^Error: connect ECONNREFUSED/);
+});
+
+test('adds the correlation IDs of the request to every line logged while handling it', async () => {
+  const { logger, entries } = capture();
+  const { headers } = await handle({ body: { call_id: 'CA42' }, headers: { 'X-Request-Id': 'req-1' } }, async () => {
+    logContext().tenantId = 'north';
+    await new Promise(resolve => setImmediate(resolve));
+    logger.info('Tenant resolved');
+  });
+  logger.info('Between requests');
+  assert.equal(headers['X-Request-Id'], 'req-1');
+  assert.deepEqual(entries().map(({ requestId, callId, tenantId }) => ({ requestId, callId, tenantId })), [
+    { requestId: 'req-1', callId: 'CA42', tenantId: 'north' },
+    { requestId: undefined, callId: undefined, tenantId: undefined }
+  ]);
+});
+
+test('gives requests without an X-Request-Id their own', async () => {
+  const first = await handle({}, async () => logContext().requestId);
+  const second = await handle({}, async () => logContext().requestId);
+  assert.match(first.result, /^[0-9a-f-]{36}$/);
+  assert.equal(first.headers['X-Request-Id'], first.result);
+  assert.notEqual(first.result, second.result);
+});
+
+test('routes console calls through the logger', () => {
+  const { logger, entries } = capture({ level: 'debug' });
+  const restore = captureConsole(logger);
+  try {
+    console.log(`Tenant: ${'north'}`);
+    console.warn('Using local %s provider', 'tts');
+    console.error('Error detecting language:', new Error('quota exceeded'));
+  } finally {
+    restore();
+  }
+  const logged = entries();
+  assert.deepEqual(logged.map(({ level, msg }) => ({ level, msg })), [
+    { level: 'info', msg: 'Tenant: north' },
+    { level: 'warn', msg: 'Using local tts provider' },
+    { level: 'error', msg: 'Error detecting language' }
+  ]);
+  assert.equal(logged[2].error.message, 'quota exceeded');
+});
+
+test('writes readable lines in text format', () => {
+  const { logger, lines } = capture({ format: 'text' });
+  logger.info('Booked', { callId: 'CA1', slots: { time: '15:00' } });
+  assert.deepEqual(lines, ['2026-03-02T10:00:00.000Z INFO Booked callId=CA1 slots={"time":"15:00"}']);
+});
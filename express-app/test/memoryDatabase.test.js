@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isMemoryUrl, createMemoryDatabase, connectMemoryDatabase } = require('../lib/memoryDatabase');
+
+const COLUMNS = 'id, email, first_name, last_name, timezone, preferred_language, easy_appointments_id';
+
+test('recognizes memory:// URLs', () => {
+  assert.equal(isMemoryUrl('memory://local'), true);
+  assert.equal(isMemoryUrl('postgres://localhost/voice'), false);
+  assert.equal(isMemoryUrl(undefined), false);
+});
+
+const TENANT = "COALESCE(NULLIF(tenant_id, 'default'), $4)";
+
+test("finds customers by either form of the number within a tenant, counting untagged and 'default' rows as the default tenant", async () => {
+  const db = createMemoryDatabase();
+  db.seed([
+    { first_name: 'Maria', email: 'maria@example.com', phone_number: '+12125550123' },
+    { first_name: 'Ana', email: 'ana@example.com', phone_number: '2125550123', tenant_id: 'default' },
+    { first_name: 'Other', email: 'other@example.com', phone_number: '+12125550123', tenant_id: 'uptown' }
+  ]);
+  const { rows } = await db.query(
+    `SELECT ${COLUMNS} FROM customers
+     WHERE (phone_number = $1 OR phone_number = $2) AND ${TENANT} = $3 ORDER BY id`,
+    ['+12125550123', '2125550123', 'main', 'main'] // The default tenant is called main in TENANTS_FILE
+  );
+  assert.deepEqual(rows.map(row => row.first_name), ['Maria', 'Ana']);
+  assert.deepEqual(Object.keys(rows[0]), COLUMNS.split(', '));
+  const uptown = await db.query(
+    `SELECT ${COLUMNS} FROM customers WHERE (phone_number = $1 OR phone_number = $2) AND ${TENANT} = $3 ORDER BY id`,
+    ['+12125550123', '2125550123', 'uptown', 'main']
+  );
+  assert.deepEqual(uptown.rows.map(row => row.first_name), ['Other']);
+});
+
+test('inserts, updates and deletes rows as the server does', async () => {
+  const db = createMemoryDatabase();
+  const inserted = await db.query(
+    `INSERT INTO customers (tenant_id, first_name, last_name, email, phone_number, preferred_language, easy_appointments_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING ${COLUMNS}`,
+    ['uptown', 'Jordan', 'Blake', null, '+15550100000', 'en', 7]
+  );
+  const [customer] = inserted.rows;
+  assert.deepEqual(customer, {
+    id: 1, email: null, first_name: 'Jordan', last_name: 'Blake', timezone: null, preferred_language: 'en', easy_appointments_id: 7
+  });
+
+  const updated = await db.query('UPDATE customers SET preferred_language = $1 WHERE id = $2', ['es', customer.id]);
+  assert.equal(updated.rowCount, 1);
+  assert.equal(db.rows()[0].preferred_language, 'es');
+
+  db.seed([{ first_name: 'Legacy', phone_number: '5550100000' }]);
+  const deleted = await db.query(
+    `DELETE FROM customers
+     WHERE (phone_number = $1 OR phone_number = $2) AND ($3::text IS NULL OR ${TENANT} = $3)
+     RETURNING id, email, easy_appointments_id, ${TENANT} AS tenant_id`,
+    ['+15550100000', '5550100000', null, 'main']
+  );
+  assert.deepEqual(deleted.rows, [
+    { id: 1, email: null, easy_appointments_id: 7, tenant_id: 'uptown' },
+    { id: 2, email: null, easy_appointments_id: null, tenant_id: 'main' }
+  ]);
+  assert.deepEqual(db.rows(), []);
+});
+
+test('rejects statements it does not understand', async () => {
+  const db = createMemoryDatabase();
+  assert.equal((await db.query('SELECT 1')).rowCount, 1);
+  await assert.rejects(db.query('SELECT * FROM appointments'), /does not understand: SELECT \* FROM appointments/);
+  await assert.rejects(db.query('UPDATE customers SET password = $1 WHERE id = $2', ['x', 1]), /Unknown customers column "password"/);
+});
+
+test('shares a table between connections to the same URL until it is ended', async () => {
+  const first = connectMemoryDatabase('memory://memory-database-test');
+  first.seed([{ first_name: 'Maria' }]);
+  assert.equal(connectMemoryDatabase('memory://memory-database-test').rows().length, 1);
+  assert.equal(connectMemoryDatabase('memory://another-test').rows().length, 0);
+
+  await first.end();
+  assert.equal(connectMemoryDatabase('memory://memory-database-test').rows().length, 0);
+});
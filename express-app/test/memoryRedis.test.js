@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRedis, connectMemoryRedis } = require('../lib/memoryRedis');
+
+test('stores strings with expiry and the NX/XX conditions', async () => {
+  let now = 0;
+  const redis = createMemoryRedis({ now: () => now });
+  assert.equal(await redis.set('lang:hola', 'es', 'EX', 60), 'OK');
+  assert.equal(await redis.set('lang:hola', 'pt', 'NX'), null);
+  assert.equal(await redis.set('missing', 'x', 'XX'), null);
+  assert.deepEqual(await redis.mget('lang:hola', 'missing'), ['es', null]);
+
+  now = 60000;
+  assert.equal(await redis.get('lang:hola'), null);
+});
+
+test('counts within a window that expire() starts', async () => {
+  let now = 0;
+  const redis = createMemoryRedis({ now: () => now });
+  assert.equal(await redis.incr('rate:caller'), 1);
+  assert.equal(await redis.expire('rate:caller', 10), 1);
+  assert.equal(await redis.incr('rate:caller'), 2);
+  now = 10000;
+  assert.equal(await redis.incr('rate:caller'), 1);
+  assert.equal(await redis.expire('missing', 10), 0);
+});
+
+test('keeps sets and sorted sets, removing them once empty', async () => {
+  const redis = createMemoryRedis();
+  assert.equal(await redis.sadd('members', 'a', 'b', 'a'), 2);
+  assert.deepEqual((await redis.smembers('members')).sort(), ['a', 'b']);
+  assert.equal(await redis.srem('members', 'a', 'b'), 2);
+  assert.deepEqual(await redis.smembers('members'), []);
+
+  await redis.zadd('due', 300, 'c', 100, 'a', 200, 'b');
+  assert.deepEqual(await redis.zrange('due', 0, -1), ['a', 'b', 'c']);
+  assert.deepEqual(await redis.zrangebyscore('due', '-inf', 250), ['a', 'b']);
+  assert.deepEqual(await redis.zrangebyscore('due', 0, '+inf', 'LIMIT', 1, 1), ['b']);
+  assert.equal(await redis.zrem('due', 'a', 'missing'), 1);
+  assert.equal(await redis.del('due', 'missing'), 1);
+  assert.deepEqual(await redis.zrange('due', 0, -1), []);
+});
+
+test('runs queued commands together with multi/exec', async () => {
+  const redis = createMemoryRedis();
+  const results = await redis.multi().set('a', '1').incr('a').get('a').exec();
+  assert.deepEqual(results, [[null, 'OK'], [null, 2], [null, '2']]);
+  assert.equal(await redis.ping(), 'PONG');
+});
+
+test('shares a keyspace between connections to the same URL until it quits', async () => {
+  const first = connectMemoryRedis('memory://memory-redis-test');
+  await first.set('key', 'value');
+  assert.equal(await connectMemoryRedis('memory://memory-redis-test').get('key'), 'value');
+
+  await first.quit();
+  assert.equal(await connectMemoryRedis('memory://memory-redis-test').get('key'), null);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMessageCatalog, formatMessage } = require('../lib/messages');
+
+const echoTranslator = { translate: async (text, from, to) => `[${to}] ${text}` };
+
+test('formatMessage fills placeholders and plural branches', () => {
+  assert.equal(formatMessage('Hello {name}.', { name: 'Ana' }), 'Hello Ana.');
+  const template = '{count, plural, =0 {None} one {# slot: {list}} other {# slots: {list}}}';
+  assert.equal(formatMessage(template, { count: 0, list: '' }), 'None');
+  assert.equal(formatMessage(template, { count: 1, list: '3 PM' }), '1 slot: 3 PM');
+  assert.equal(formatMessage(template, { count: 2, list: '3 PM or 4 PM' }), '2 slots: 3 PM or 4 PM');
+  assert.equal(formatMessage("{who, select, staff {l'équipe} other {vous}}", { who: 'staff' }), "l'équipe");
+});
+
+test('catalog prompts are used without translation', async () => {
+  const messages = createMessageCatalog({ translator: echoTranslator });
+  assert.equal(
+    await messages.render('cancel.done', { date: 'lunes, 20 de octubre', time: '15:00' }, 'es-MX'),
+    'Su cita del lunes, 20 de octubre a las 15:00 ha sido cancelada.'
+  );
+  assert.deepEqual(messages.untranslated().runtimeTranslated, {});
+});
+
+test('languages without a catalog fall back to runtime translation and are reported', async () => {
+  const messages = createMessageCatalog({ translator: echoTranslator });
+  assert.equal(await messages.render('booking.askDay', {}, 'ja'), '[ja] Which day would you like to come in?');
+  assert.deepEqual(messages.untranslated().runtimeTranslated, { ja: ['booking.askDay'] });
+  await assert.rejects(messages.render('no.such.key', {}, 'en'), /Unknown message key/);
+});
+
+test('keys missing from a catalog are listed and translated', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+  fs.writeFileSync(path.join(dir, 'en.json'), JSON.stringify({ greet: 'Hello {name}.', bye: 'Goodbye.' }));
+  fs.writeFileSync(path.join(dir, 'es.json'), JSON.stringify({ greet: 'Hola {name}.' }));
+  const messages = createMessageCatalog({ translator: echoTranslator, catalogDir: dir });
+  assert.equal(await messages.render('greet', { name: 'Ana' }, 'es'), 'Hola Ana.');
+  assert.equal(await messages.render('bye', {}, 'es'), '[es] Goodbye.');
+  assert.deepEqual(messages.untranslated().missing, { es: ['bye'] });
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('shipped catalogs use the same placeholders as English', () => {
+  const dir = path.join(__dirname, '..', 'lib', 'locales');
+  const placeholders = template => [...template.matchAll(/\{(\w+)\s*[,}]/g)].map(match => match[1]).sort();
+  const source = JSON.parse(fs.readFileSync(path.join(dir, 'en.json'), 'utf8'));
+  for (const file of fs.readdirSync(dir)) {
+    const catalog = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    for (const [key, template] of Object.entries(catalog)) {
+      assert.ok(key in source, `${file}: unknown key ${key}`);
+      assert.deepEqual([...new Set(placeholders(template))], [...new Set(placeholders(source[key]))], `${file}: ${key}`);
+    }
+  }
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics, instrument } = require('../lib/metrics');
+
+test('renders counters per label set', () => {
+  const metrics = createMetrics();
+  const lookups = metrics.counter('language_cache_lookups_total', 'Cache lookups', ['result']);
+  lookups.inc({ result: 'hit' });
+  lookups.inc({ result: 'hit' });
+  lookups.inc({ result: 'miss' });
+  assert.equal(metrics.render(), [
+    '# HELP language_cache_lookups_total Cache lookups',
+    '# TYPE language_cache_lookups_total counter',
+    'language_cache_lookups_total{result="hit"} 2',
+    'language_cache_lookups_total{result="miss"} 1',
+    ''
+  ].join('\n'));
+});
+
+test('ignores labels the metric does not have and escapes values', () => {
+  const metrics = createMetrics();
+  const errors = metrics.counter('external_call_errors_total', 'Errors', ['service']);
+  errors.inc({ service: 'say "hi"\\', extra: 'dropped' });
+  assert.match(metrics.render(), /^external_call_errors_total\{service="say \\"hi\\"\\\\"\} 1$/m);
+});
+
+test('gauges go up, down and are set', () => {
+  const metrics = createMetrics();
+  const inFlight = metrics.gauge('http_requests_in_flight', 'In flight');
+  inFlight.inc();
+  inFlight.inc();
+  inFlight.dec();
+  const up = metrics.gauge('dependency_up', 'Up', ['dependency']);
+  up.set({ dependency: 'database' }, 0);
+  const rendered = metrics.render();
+  assert.match(rendered, /^http_requests_in_flight 1$/m);
+  assert.match(rendered, /^dependency_up\{dependency="database"\} 0$/m);
+});
+
+test('histograms count observations into cumulative buckets', () => {
+  const metrics = createMetrics();
+  const duration = metrics.histogram('voice_stage_duration_seconds', 'Stage time', ['stage'], [0.1, 1]);
+  duration.observe({ stage: 'tts' }, 0.05);
+  duration.observe({ stage: 'tts' }, 0.5);
+  duration.observe({ stage: 'tts' }, 3);
+  const rendered = metrics.render();
+  assert.match(rendered, /^voice_stage_duration_seconds_bucket\{stage="tts",le="0.1"\} 1$/m);
+  assert.match(rendered, /^voice_stage_duration_seconds_bucket\{stage="tts",le="1"\} 2$/m);
+  assert.match(rendered, /^voice_stage_duration_seconds_bucket\{stage="tts",le="\+Inf"\} 3$/m);
+  assert.match(rendered, /^voice_stage_duration_seconds_sum\{stage="tts"\} 3.55$/m);
+  assert.match(rendered, /^voice_stage_duration_seconds_count\{stage="tts"\} 3$/m);
+});
+
+test('timers record the elapsed seconds with labels known at the end', async () => {
+  const metrics = createMetrics();
+  const duration = metrics.histogram('http_request_duration_seconds', 'Request time', ['method', 'route']);
+  const end = duration.startTimer({ method: 'POST' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.ok(end({ route: '/voice' }) >= 0.004);
+  assert.match(metrics.render(), /^http_request_duration_seconds_count\{method="POST",route="\/voice"\} 1$/m);
+});
+
+test('instrumented adapters time their stages and count failures', async () => {
+  const metrics = createMetrics();
+  const stageDuration = metrics.histogram('voice_stage_duration_seconds', 'Stage time', ['stage']);
+  const externalErrors = metrics.counter('external_call_errors_total', 'Errors', ['service', 'operation']);
+  let fail = false;
+  const translator = instrument({
+    translate: async text => {
+      if (fail) throw new Error('quota exceeded');
+      return text.toUpperCase();
+    },
+    name: 'dictionary'
+  }, { service: 'translator', stages: { translate: 'translate' }, stageDuration, externalErrors });
+
+  assert.equal(await translator.translate('hola'), 'HOLA');
+  fail = true;
+  await assert.rejects(translator.translate('hola'), /quota exceeded/);
+  assert.equal(translator.name, 'dictionary');
+  const rendered = metrics.render();
+  assert.match(rendered, /^voice_stage_duration_seconds_count\{stage="translate"\} 2$/m);
+  assert.match(rendered, /^external_call_errors_total\{service="translator",operation="translate"\} 1$/m);
+});
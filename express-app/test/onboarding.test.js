@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractName, splitName, parseSpokenEmail, matchCustomer } = require('../lib/onboarding');
+
+test('extractName strips lead-ins and capitalizes', () => {
+  assert.equal(extractName('my name is ana lópez, thanks'), 'Ana López');
+  assert.equal(extractName('Hola, me llamo María José García', 'es'), 'María José García');
+  assert.equal(extractName('Ich heiße Jürgen Groß.', 'de'), 'Jürgen Groß');
+  assert.equal(extractName('John'), 'John');
+  assert.equal(extractName('...'), null);
+});
+
+test('splitName separates first and last names', () => {
+  assert.deepEqual(splitName('María José García'), { firstName: 'María', lastName: 'José García' });
+  assert.deepEqual(splitName('John'), { firstName: 'John', lastName: '' });
+});
+
+test('parseSpokenEmail reads spelled-out addresses', () => {
+  assert.equal(parseSpokenEmail('ana dot lopez at example dot com'), 'ana.lopez@example.com');
+  assert.equal(parseSpokenEmail('my email is J Smith underscore 42 at gmail dot com'), 'jsmith_42@gmail.com');
+  assert.equal(parseSpokenEmail('ana arroba correo punto es'), 'ana@correo.es');
+  assert.equal(parseSpokenEmail('ana.lopez@example.com.'), 'ana.lopez@example.com');
+  assert.equal(parseSpokenEmail('no thanks'), null);
+});
+
+test('matchCustomer picks the caller on a shared line', () => {
+  const family = [
+    { id: 1, first_name: 'Ana', last_name: 'López' },
+    { id: 2, first_name: 'Luis', last_name: 'López' },
+    { id: 3, first_name: 'Ana', last_name: 'Pérez' }
+  ];
+  assert.equal(matchCustomer("It's Luis", family).customer.id, 2);
+  assert.equal(matchCustomer('ana perez', family).customer.id, 3);
+  assert.deepEqual(matchCustomer('Ana', family), { customer: undefined, ambiguous: true });
+  assert.deepEqual(matchCustomer('Carmen', family), { customer: undefined, ambiguous: false });
+});
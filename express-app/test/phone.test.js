@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePhoneNumber } = require('../lib/phone');
+
+test('normalizePhoneNumber produces E.164', () => {
+  assert.equal(normalizePhoneNumber('+1 (555) 123-4567'), '+15551234567');
+  assert.equal(normalizePhoneNumber('(555) 123-4567'), '+15551234567');
+  assert.equal(normalizePhoneNumber('1-555-123-4567'), '+15551234567');
+  assert.equal(normalizePhoneNumber('0044 20 7946 0958'), '+442079460958');
+  assert.equal(normalizePhoneNumber('020 7946 0958', '44'), '+442079460958');
+  assert.equal(normalizePhoneNumber('tel:+34 612 345 678'), '+34612345678');
+  assert.equal(normalizePhoneNumber('555-123-4567 ext. 12'), '+15551234567');
+});
+
+test('normalizePhoneNumber rejects values that are not phone numbers', () => {
+  assert.equal(normalizePhoneNumber('anonymous'), null);
+  assert.equal(normalizePhoneNumber('client:alice'), null);
+  assert.equal(normalizePhoneNumber('123'), null);
+  assert.equal(normalizePhoneNumber(''), null);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryCalendar } = require('../lib/providers/memoryCalendar');
+const { createDictionaryTranslator } = require('../lib/providers/dictionaryTranslator');
+const { createHeuristicLanguageDetector } = require('../lib/providers/heuristicLanguageDetector');
+
+const now = () => new Date('2026-10-19T12:00:00Z'); // Monday, 08:00 in New York
+
+test('memory calendar offers working-hour slots that are free', async () => {
+  const calendar = createMemoryCalendar({
+    timeZone: 'America/New_York',
+    now,
+    workingHours: { days: [1, 2, 3, 4, 5], start: '09:00', end: '11:00' },
+    appointments: [{ id: 7, providerId: 1, customerId: 'c1', start: '2026-10-20 09:30:00', end: '2026-10-20 10:00:00' }]
+  });
+  assert.deepEqual(await calendar.getAvailabilities(1, 's1', '2026-10-20'), ['09:00', '10:00', '10:30']);
+  assert.deepEqual(await calendar.getAvailabilities(1, 's1', '2026-10-24'), []); // Saturday
+});
+
+test('memory calendar rejects overlapping bookings and tracks changes', async () => {
+  const calendar = createMemoryCalendar({ timeZone: 'America/New_York', now });
+  const created = await calendar.createAppointment({ providerId: 1, customerId: 'c1', start: '2026-10-20 09:00:00', end: '2026-10-20 09:30:00' });
+  await assert.rejects(
+    calendar.createAppointment({ providerId: 1, customerId: 'c2', start: '2026-10-20 09:15:00', end: '2026-10-20 09:45:00' }),
+    error => error.response.status === 409
+  );
+  await calendar.updateAppointment(created.id, { start: '2026-10-21 09:00:00', end: '2026-10-21 09:30:00' });
+  assert.equal((await calendar.listAppointments('c1'))[0].start, '2026-10-21 09:00:00');
+  await calendar.deleteAppointment(created.id);
+  assert.deepEqual(await calendar.listAppointments('c1'), []);
+});
+
+test('dictionary translator translates known sentences and keeps the rest', async () => {
+  const translator = createDictionaryTranslator();
+  assert.equal(await translator.translate('Thank you for calling.', 'en', 'es'), 'Gracias por llamar.');
+  assert.equal(
+    await translator.translate('No problem. Something unknown.', 'en', 'de'),
+    'Kein Problem. Something unknown.'
+  );
+  assert.equal(await translator.translate('Thank you for calling.', 'en', 'xx'), 'Thank you for calling.');
+});
+
+test('heuristic detector recognizes scripts and common words', async () => {
+  const detector = createHeuristicLanguageDetector();
+  assert.equal((await detector.detect('Quiero una cita mañana')).language, 'es');
+  assert.equal((await detector.detect('Ich möchte einen Termin')).language, 'de');
+  assert.equal((await detector.detect('明日の午後3時')).language, 'ja');
+  assert.deepEqual(await detector.detect('10am'), { language: 'en', confidence: 0 });
+});
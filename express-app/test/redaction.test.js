@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redactText, redactValue, customerNames, maskPhone, maskEmail, callerKey } = require('../lib/redaction');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+test('phone numbers and email addresses are masked, written or spoken', () => {
+  assert.equal(
+    redactText('Call me at +1 (555) 123-4567 or 555.123.4567', { now }),
+    'Call me at [phone] or [phone]'
+  );
+  assert.equal(
+    redactText('It is maria.lopez@example.com, or maria at example dot com', { now }),
+    'It is [email], or [email]'
+  );
+  assert.equal(redactText('es maria arroba correo punto es', { now }), 'es [email]');
+});
+
+test('card numbers are masked only when their checksum holds', () => {
+  assert.equal(redactText('card 4111 1111 1111 1111', { now }), 'card [card]');
+  assert.equal(redactText('card 4111-1111-1111-1112', { now }), 'card 4111-1111-1111-1112');
+});
+
+test('dates in past years read as dates of birth; appointment dates stay', () => {
+  assert.equal(
+    redactText('born 03/15/1985, 1985-03-15, March 3, 1985, 3 de marzo de 1985, 3. März 1985', { now }),
+    'born [date of birth], [date of birth], [date of birth], [date of birth], [date of birth]'
+  );
+  assert.equal(
+    redactText('book 10/20/2026 at 10:30, or 2026-10-21 at 2pm', { now }),
+    'book 10/20/2026 at 10:30, or 2026-10-21 at 2pm'
+  );
+});
+
+test('the customer\'s names are masked as whole words', () => {
+  const names = customerNames({ first_name: 'Maria', last_name: 'Lopez' });
+  assert.deepEqual(names, ['Maria Lopez', 'Maria', 'Lopez']);
+  assert.equal(
+    redactText('Caller: I am Maria Lopez, maria here. Not Marianne.', { names, now }),
+    'Caller: I am [name], [name] here. Not Marianne.'
+  );
+  assert.deepEqual(customerNames(undefined), []);
+});
+
+test('short numbers and times are left alone', () => {
+  assert.equal(redactText('Party of 12 at 10:30, room 204', { now }), 'Party of 12 at 10:30, room 204');
+});
+
+test('redactValue masks every string in a request body', () => {
+  assert.deepEqual(
+    redactValue({ From: '+12125550123', SpeechResult: 'mail me at a@b.co', turn: 3, list: ['+12125550123'] }, { now }),
+    { From: '[phone]', SpeechResult: 'mail me at [email]', turn: 3, list: ['[phone]'] }
+  );
+});
+
+test('masks and pseudonyms for logs and records', () => {
+  assert.equal(maskPhone('+15551234567'), '***4567');
+  assert.equal(maskPhone(undefined), 'N/A');
+  assert.equal(maskEmail('maria@example.com'), 'm***@example.com');
+  assert.equal(callerKey('+15551234567', 'secret'), callerKey('+15551234567', 'secret'));
+  assert.notEqual(callerKey('+15551234567', 'secret'), callerKey('+15551234567', 'other'));
+  assert.match(callerKey('+15551234567', 'secret'), /^[0-9a-f]{32}$/);
+  assert.equal(callerKey(null, 'secret'), null);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createReminderQueue, parseOffsets, parseReply } = require('../lib/reminders');
+
+const HOUR = 3600000;
+
+function fakeClock(start) {
+  let time = new Date(start).getTime();
+  const now = () => time;
+  now.advance = ms => { time += ms; };
+  return now;
+}
+
+const appointment = {
+  tenantId: 'north',
+  appointmentId: 42,
+  start: new Date('2026-10-22T14:00:00Z'),
+  phone: '+12125550123',
+  language: 'es'
+};
+
+test('parseOffsets reads minutes, hours and days', () => {
+  assert.deepEqual(parseOffsets('2h, 24h'), [1440, 120]);
+  assert.deepEqual(parseOffsets(['90m', '1d']), [1440, 90]);
+  assert.deepEqual(parseOffsets(''), []);
+  assert.throws(() => parseOffsets('tomorrow'), /Reminder offset/);
+  assert.throws(() => parseOffsets('0h'), /Reminder offset/);
+});
+
+test('parseReply understands letters and words in the supported languages', () => {
+  assert.equal(parseReply('C'), 'confirm');
+  assert.equal(parseReply(' c. thanks'), 'confirm');
+  assert.equal(parseReply('Sí'), 'confirm');
+  assert.equal(parseReply('Bestätigen'), 'confirm');
+  assert.equal(parseReply('r'), 'reschedule');
+  assert.equal(parseReply('Déplacer svp'), 'reschedule');
+  assert.equal(parseReply('who is this?'), null);
+  assert.equal(parseReply(undefined), null);
+});
+
+test('reminders are sent at their offsets and skipped once past', async () => {
+  const now = fakeClock('2026-10-21T10:00:00Z'); // 28 hours before the appointment
+  const delivered = [];
+  const queue = createReminderQueue({ deliver: async job => { delivered.push(job); }, now });
+
+  assert.equal(await queue.schedule(appointment, [2880, 1440, 120]), 2); // Two days before has passed
+  assert.equal(await queue.runDue(), 0);
+  now.advance(4 * HOUR);
+  assert.equal(await queue.runDue(), 1);
+  assert.equal(delivered[0].offsetMinutes, 1440);
+  assert.equal(delivered[0].language, 'es');
+  assert.equal(delivered[0].start, '2026-10-22T14:00:00.000Z');
+  now.advance(22 * HOUR);
+  assert.equal(await queue.runDue(), 1);
+  assert.equal(await queue.runDue(), 0);
+  assert.deepEqual(delivered.map(job => job.offsetMinutes), [1440, 120]);
+});
+
+test('moving or cancelling an appointment replaces its reminders', async () => {
+  const now = fakeClock('2026-10-20T10:00:00Z');
+  const delivered = [];
+  const queue = createReminderQueue({ deliver: async job => { delivered.push(job); }, now });
+
+  await queue.schedule(appointment, [1440, 120]);
+  await queue.schedule({ ...appointment, start: new Date('2026-10-23T14:00:00Z') }, [1440, 120]);
+  await queue.schedule({ ...appointment, appointmentId: 43 }, [120]);
+  assert.equal(await queue.cancel('north', 43), 1);
+  now.advance(10 * 24 * HOUR);
+  assert.equal(await queue.runDue(), 2);
+  assert.ok(delivered.every(job => job.start === '2026-10-23T14:00:00.000Z'));
+});
+
+test('failed deliveries are retried with what deliver left to do, then dropped', async () => {
+  const now = fakeClock('2026-10-22T11:00:00Z');
+  const attempts = [];
+  const queue = createReminderQueue({
+    now,
+    deliver: async job => {
+      attempts.push([...job.channels]);
+      job.channels = ['email']; // SMS went out; email failed
+      throw new Error('mail server down');
+    }
+  });
+  await queue.schedule({ ...appointment, channels: ['sms', 'email'] }, [120]);
+  now.advance(HOUR);
+  for (let i = 0; i < 4; i++) {
+    await queue.runDue();
+    now.advance(10 * 60000);
+  }
+  assert.deepEqual(attempts, [['sms', 'email'], ['email'], ['email']]);
+});
+
+test('replies are matched to the reminded appointment until it expires', async () => {
+  const now = fakeClock('2026-10-22T12:00:00Z');
+  const queue = createReminderQueue({ deliver: async () => {}, now });
+  await queue.expectReply('north', '+12125550123', { appointmentId: 42 }, 7200);
+  assert.deepEqual(await queue.replyTarget('north', '+12125550123'), { appointmentId: 42 });
+  assert.equal(await queue.replyTarget('south', '+12125550123'), null);
+  now.advance(3 * HOUR);
+  assert.equal(await queue.replyTarget('north', '+12125550123'), null);
+});
+
+test('forgetting a caller drops their reminders and reply target only', async () => {
+  const now = fakeClock('2026-10-21T12:00:00Z');
+  const delivered = [];
+  const queue = createReminderQueue({ deliver: async job => { delivered.push(job.appointmentId); }, now });
+  await queue.schedule(appointment, [60]);
+  await queue.schedule({ ...appointment, appointmentId: 43, phone: '+12125550199' }, [60]);
+  await queue.expectReply('north', '+12125550123', { appointmentId: 42 }, 7 * 24 * 3600);
+  assert.equal(await queue.forgetCaller('north', '+12125550123'), 1);
+  assert.equal(await queue.replyTarget('north', '+12125550123'), null);
+  now.advance(2 * 24 * HOUR);
+  await queue.runDue();
+  assert.deepEqual(delivered, [43]);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, createIdempotencyGuard } = require('../lib/requestGuards');
+
+// Minimal Express stand-ins
+function request(body = {}, ip = '10.0.0.1') {
+  return { body, ip };
+}
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+async function run(middleware, req, handler = () => {}) {
+  const res = response();
+  let passed = false;
+  await middleware(req, res, () => { passed = true; handler(req, res); });
+  return { res, passed };
+}
+
+test('rate limiter answers 429 with Retry-After once a key exceeds its limit', async () => {
+  let now = 0;
+  const limit = createRateLimiter({
+    windowSeconds: 60,
+    now: () => now,
+    rules: [{ name: 'caller', key: req => req.body.caller_id, max: 2 }]
+  });
+  const caller = request({ caller_id: '+15551234567' });
+  assert.equal((await run(limit, caller)).passed, true);
+  assert.equal((await run(limit, caller)).passed, true);
+  now = 45_000;
+  const blocked = await run(limit, caller);
+  assert.equal(blocked.passed, false);
+  assert.equal(blocked.res.statusCode, 429);
+  assert.equal(blocked.res.headers['Retry-After'], '15');
+  assert.equal((await run(limit, request({ caller_id: '+15550000000' }))).passed, true);
+  now = 60_000;
+  assert.equal((await run(limit, caller)).passed, true);
+});
+
+test('idempotency guard replays completed requests and blocks concurrent ones', async () => {
+  const guard = createIdempotencyGuard({ keyFor: req => req.body.call_id });
+  const first = await run(guard, request({ call_id: 'c1' }));
+  assert.equal(first.passed, true);
+
+  const concurrent = await run(guard, request({ call_id: 'c1' }));
+  assert.equal(concurrent.res.statusCode, 409);
+
+  first.res.json({ voiceResponse: 'booked' });
+  await new Promise(resolve => setImmediate(resolve));
+  const retry = await run(guard, request({ call_id: 'c1' }));
+  assert.equal(retry.passed, false);
+  assert.deepEqual(retry.res.body, { voiceResponse: 'booked' });
+  assert.equal(retry.res.headers['Idempotent-Replay'], 'true');
+});
+
+test('idempotency guard lets a request be retried after a server error', async () => {
+  const guard = createIdempotencyGuard({ keyFor: req => req.body.call_id });
+  const failed = await run(guard, request({ call_id: 'c2' }));
+  failed.res.status(500).json({ error: 'boom' });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal((await run(guard, request({ call_id: 'c2' }))).passed, true);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { anonymizeRecord, parseRetentionAction, createRetentionSweeper } = require('../lib/retention');
+const { createJsonFileAnalytics } = require('../lib/providers/jsonFileAnalytics');
+
+const DAY = 24 * 3600000;
+
+const callRecord = {
+  tenantId: 'north',
+  callId: 'CA1',
+  callerHash: 'abc',
+  subscriberEmail: 'maria@example.com',
+  transcript: 'Caller: tomorrow at 3',
+  transcriptEnglish: null,
+  searchTokens: ['tomorrow'],
+  outcome: 'booked',
+  detectedLanguage: 'en',
+  duration: 42
+};
+
+// A JSON-lines analytics file with the given records already in it
+function analyticsFile(records) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-')), 'call_analytics.jsonl');
+  fs.writeFileSync(filePath, records.map(record => JSON.stringify(record) + '\n').join(''));
+  const read = () => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  return { analytics: createJsonFileAnalytics({ filePath }), read };
+}
+
+test('anonymizing keeps the counts and drops what identifies the caller', () => {
+  assert.deepEqual(anonymizeRecord({ ...callRecord, anonymized: false }), {
+    tenantId: 'north',
+    callId: 'CA1',
+    outcome: 'booked',
+    detectedLanguage: 'en',
+    duration: 42,
+    anonymized: true
+  });
+});
+
+test('parseRetentionAction accepts anonymize and delete', () => {
+  assert.equal(parseRetentionAction(undefined), 'anonymize');
+  assert.equal(parseRetentionAction(' Delete '), 'delete');
+  assert.throws(() => parseRetentionAction('archive'), /Unknown retention action "archive"/);
+});
+
+test('the sweeper purges records older than the retention period', async () => {
+  const { analytics, read } = analyticsFile([
+    { ...callRecord, anonymized: false, timestamp: '2026-09-01T10:00:00.000Z' },
+    { ...callRecord, callId: 'CA2', anonymized: false, timestamp: '2026-10-18T10:00:00.000Z' }
+  ]);
+  const now = () => new Date('2026-10-19T12:00:00Z').getTime();
+  const sweeper = createRetentionSweeper({ analytics, days: 30, action: 'anonymize', now });
+  assert.equal(await sweeper.runOnce(), 1);
+  assert.equal(await sweeper.runOnce(), 0); // Already anonymized
+  const [old, recent] = read();
+  assert.equal(old.anonymized, true);
+  assert.equal(old.transcript, undefined);
+  assert.equal(recent.transcript, callRecord.transcript);
+
+  assert.equal(await createRetentionSweeper({ analytics, days: 7, action: 'delete', now }).runOnce(), 1);
+  assert.deepEqual(read().map(record => record.callId), ['CA2']);
+  assert.equal(await createRetentionSweeper({ analytics, days: 0, action: 'delete', now }).runOnce(), 0);
+});
+
+test('records saved before the anonymized field existed are anonymized too', async () => {
+  const { analytics, read } = analyticsFile([{ ...callRecord, timestamp: '2026-01-01T10:00:00.000Z' }]);
+  assert.equal(await analytics.purge({ before: new Date('2026-10-01T00:00:00Z'), action: 'anonymize' }), 1);
+  assert.equal(await analytics.purge({ before: new Date('2026-10-01T00:00:00Z'), action: 'anonymize' }), 0);
+  const [legacy] = read();
+  assert.equal(legacy.anonymized, true);
+  assert.equal(legacy.transcript, undefined);
+});
+
+test('deleting a caller removes their records by pseudonym and email', async () => {
+  const { analytics, read } = analyticsFile([
+    { ...callRecord, timestamp: new Date(Date.now() - DAY).toISOString() },
+    { type: 'funnel', tenantId: 'north', callId: 'CA2', callerHash: 'abc', subscriberEmail: null, stage: 'started' },
+    { type: 'reminderReply', tenantId: 'north', subscriberEmail: 'maria@example.com', callerHash: null },
+    { ...callRecord, callId: 'CA3', tenantId: 'south' },
+    { ...callRecord, callId: 'CA4', callerHash: 'xyz', subscriberEmail: 'li@example.com' }
+  ]);
+  assert.equal(await analytics.deleteCaller({ callerHash: 'abc', subscriberEmails: ['maria@example.com'], tenantId: 'north' }), 3);
+  assert.deepEqual(read().map(record => record.callId), ['CA3', 'CA4']);
+  assert.equal(await analytics.deleteCaller({ callerHash: 'abc', subscriberEmails: [] }), 1);
+  assert.deepEqual(read().map(record => record.callId), ['CA4']);
+});
+
+test('records are saved as not yet anonymized, also while a purge runs', async () => {
+  const { analytics, read } = analyticsFile([]);
+  await Promise.all([
+    analytics.record({ callId: 'CA1' }),
+    analytics.purge({ before: new Date(), action: 'delete' }),
+    analytics.record({ callId: 'CA2' })
+  ]);
+  assert.deepEqual(read().map(({ callId, anonymized }) => [callId, anonymized]), [['CA1', false], ['CA2', false]]);
+});
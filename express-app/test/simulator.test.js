@@ -0,0 +1,167 @@
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScenarios, validateScenario } = require('../simulator/scenario');
+const { runScenario } = require('../simulator/runner');
+const { loadWs } = require('../simulator/ultravox');
+const { findCallRecord, scenarioFromRecord } = require('../simulator/replay');
+
+const SCENARIOS = path.join(__dirname, '..', 'simulator', 'scenarios');
+
+let streamMissing = false;
+try {
+  loadWs();
+} catch (error) {
+  streamMissing = error.message;
+}
+
+const bookTomorrow = {
+  name: 'Books tomorrow afternoon',
+  now: '2026-03-02T14:00:00Z',
+  customers: [{ first_name: 'Maria', email: 'maria@example.com' }],
+  turns: [{}, { say: "I'd like an appointment tomorrow at 3pm" }, { say: 'yes' }]
+};
+
+for (const scenario of loadScenarios([SCENARIOS])) {
+  test(`scenario: ${scenario.name}`, async () => {
+    const result = await runScenario(scenario);
+    assert.deepEqual(result.failures, []);
+  });
+}
+
+test('reports replies and bookings that differ from the expectations', async () => {
+  const result = await runScenario({
+    ...bookTomorrow,
+    turns: [{}, { say: "I'd like an appointment tomorrow at 3pm", expect: { reply: 'Wednesday', state: 'confirmed' } }, { say: 'yes' }],
+    expect: { appointments: ['2026-03-04 15:00'], outcome: 'booked' }
+  });
+  assert.equal(result.passed, false);
+  assert.match(result.failures[0], /turn 2 .*expected the reply to include "Wednesday", heard "I have Tuesday, March 3, 2026 at 3:00 PM/);
+  assert.match(result.failures[1], /turn 2 .*expected state "confirmed", got "awaiting_confirmation"/);
+  assert.equal(result.failures[2], 'expected appointments ["2026-03-04 15:00"], got ["2026-03-03 15:00"]');
+  assert.equal(result.outcome, 'booked');
+});
+
+test('the booking notes quote the request, not the confirmation', async () => {
+  const result = await runScenario({
+    ...bookTomorrow,
+    turns: [{}, { say: "I'd like an appointment tomorrow at 3pm" }, { say: 'yes' }]
+  });
+  assert.deepEqual(result.notes, ['Booked via Voice Agent. Original request: "I\'d like an appointment tomorrow at 3pm"']);
+
+  const picked = await runScenario({
+    ...bookTomorrow,
+    appointments: [{ start: '2026-03-03 15:00' }],
+    turns: [{}, { say: "I'd like an appointment tomorrow at 3pm" }, { say: 'the first one' }, { say: 'yes' }]
+  });
+  assert.equal(picked.appointments.length, 1);
+  assert.match(picked.notes[0], /Original request: "I'd like an appointment tomorrow at 3pm"$/);
+});
+
+test('a caller who says the proposed time is not right is not booked', async () => {
+  const refusals = [
+    ['en', "No, that's not correct"],
+    ['en', 'no that is not ok'],
+    ['de', 'nein, das ist nicht richtig'],
+    ['fr', "non, ce n'est pas correct"],
+    ['es', 'no, no es correcto']
+  ];
+  for (const [language, say] of refusals) {
+    const result = await runScenario({
+      ...bookTomorrow,
+      turns: [{}, { say: "I'd like an appointment tomorrow at 3pm" }, { say, language, expect: { state: 'collecting' } }],
+      expect: { appointments: [] }
+    });
+    assert.deepEqual(result.failures, [], say);
+  }
+});
+
+test('a caller who refuses the cancellation keeps the appointment', async () => {
+  const result = await runScenario({
+    name: 'Refuses to cancel',
+    now: '2026-03-02T14:00:00Z',
+    customers: [{ first_name: 'Sam', email: 'sam@example.com' }],
+    appointments: [{ customer: 'sam@example.com', start: '2026-03-04 10:00' }],
+    turns: [
+      {},
+      { say: 'I want to cancel my appointment', expect: { state: 'awaiting_confirmation' } },
+      { say: "No, that's not correct", expect: { reply: 'kept your appointment', state: 'confirmed' } }
+    ],
+    expect: { appointments: ['2026-03-04 10:00'] }
+  });
+  assert.deepEqual(result.failures, []);
+});
+
+test('leaves the environment, clock and console as they were', async () => {
+  const before = { env: { ...process.env }, date: Date, log: console.log };
+  await runScenario(bookTomorrow);
+  assert.deepEqual({ ...process.env }, before.env);
+  assert.equal(Date, before.date);
+  assert.equal(console.log, before.log);
+});
+
+test('speaks caller turns through stream.js and a fake Ultravox socket', { skip: streamMissing }, async () => {
+  const result = await runScenario({
+    ...bookTomorrow,
+    turns: [{}, { say: "I'd like an appointment tomorrow at 3pm", expect: { state: 'awaiting_confirmation' } }, { say: 'yes', expect: { reply: 'is booked' } }],
+    expect: { appointments: ['2026-03-03 15:00'], outcome: 'booked' }
+  }, { via: 'stream' });
+  assert.deepEqual(result.failures, []);
+  assert.equal(result.stream.endReason, 'closed');
+  assert.deepEqual(result.stream.turns.map(turn => turn.speaker), ['caller', 'agent', 'caller', 'agent']);
+  assert.equal(result.stream.lastResult.dialogueState, 'confirmed');
+});
+
+test('will not run scripted sentiment through stream.js', { skip: streamMissing }, async () => {
+  await assert.rejects(
+    runScenario({ ...bookTomorrow, turns: [{ say: 'This is ridiculous', sentiment: 'negative' }] }, { via: 'stream' }),
+    /sentiment.*run it over HTTP/
+  );
+});
+
+test('replays the caller turns of a recorded call', async () => {
+  const records = [
+    { type: 'funnel', callId: 'CA1', stage: 'started', timestamp: '2026-03-02T14:00:10.000Z' },
+    { callId: 'CA1', subscriberEmail: 'pat@example.com', detectedLanguage: 'en', duration: '60', transcript: 'Caller: N/A\n', timestamp: '2026-03-02T14:00:30.000Z' },
+    {
+      callId: 'CA1',
+      subscriberEmail: 'pat@example.com',
+      detectedLanguage: 'en',
+      tenantId: 'default',
+      duration: '60',
+      transcript: "Caller: I'd like an appointment next Monday at 9:30am\nReceptionist: ...\nCaller: yes\n",
+      outcome: 'failed',
+      failureCode: 'booking_failed',
+      timestamp: '2026-03-02T14:01:00.000Z'
+    },
+    { callId: 'CA2', outcome: 'booked', anonymized: true, timestamp: '2026-03-02T15:00:00.000Z' }
+  ];
+  assert.throws(() => findCallRecord(records), /Several calls found.*Calls: CA1, CA2\./);
+  assert.throws(() => findCallRecord(records, 'CA3'), /No call record for CA3/);
+  assert.throws(() => scenarioFromRecord(findCallRecord(records, 'CA2')), /CA2 has no transcript/);
+
+  const scenario = scenarioFromRecord(findCallRecord(records, 'CA1'));
+  assert.equal(scenario.now, '2026-03-02T14:00:00.000Z');
+  assert.equal(scenario.tenant, undefined);
+  assert.deepEqual(scenario.turns, [{}, { say: "I'd like an appointment next Monday at 9:30am" }, { say: 'yes' }]);
+  assert.deepEqual(scenario.customers, [{ first_name: 'Caller', email: 'pat@example.com', preferred_language: 'en' }]);
+  assert.deepEqual(scenario.source, { callId: 'CA1', outcome: 'failed', failureCode: 'booking_failed' });
+
+  const result = await runScenario(validateScenario(scenario));
+  assert.equal(result.outcome, 'booked');
+  assert.deepEqual(result.appointments, ['2026-03-09 09:30']);
+});
+
+test('rejects scenarios with missing fields or unknown expectations', () => {
+  assert.throws(() => validateScenario({ now: '2026-03-02T14:00:00Z', turns: [{}] }), /"name" is required/);
+  assert.throws(() => validateScenario({ name: 'x', now: 'soon', turns: [{}] }), /"now" must be a date and time/);
+  assert.throws(() => validateScenario({ name: 'x', now: '2026-03-02T14:00:00Z', turns: [] }), /at least one turn/);
+  assert.throws(
+    () => validateScenario({ name: 'x', now: '2026-03-02T14:00:00Z', turns: [{ say: 'hi', expect: { replies: 'Hello' } }] }),
+    /\("x"\): turn 1: unknown expectation "replies"/
+  );
+  assert.throws(
+    () => validateScenario({ name: 'x', now: '2026-03-02T14:00:00Z', turns: [{}], expect: { booked: [] } }),
+    /unknown expectation "booked"/
+  );
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTenants, createTenantRegistry, supportsLanguage } = require('../lib/tenants');
+const { createScheduler, createTts } = require('../lib/providers');
+
+const env = {
+  BUSINESS_TIMEZONE: 'America/New_York',
+  DEFAULT_APPOINTMENT_DURATION: '30',
+  DEFAULT_APPOINTMENT_SERVICE_ID: '1',
+  DEFAULT_LANGUAGE: 'en',
+  SCHEDULING_PROVIDER: 'memory',
+  TTS_PROVIDER: 'file',
+  CLINIC_KEY: 'secret-key'
+};
+
+function writeTenants(tenants) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-'));
+  const file = path.join(dir, 'tenants.json');
+  fs.writeFileSync(file, JSON.stringify(tenants));
+  return file;
+}
+
+test('without a tenants file one default tenant uses the global settings', () => {
+  const [tenant] = loadTenants({ ...env, BUSINESS_NAME: 'Downtown Dental' });
+  assert.equal(tenant.id, 'default');
+  assert.equal(tenant.name, 'Downtown Dental');
+  assert.equal(tenant.timeZone, 'America/New_York');
+  assert.equal(tenant.serviceId, '1');
+  assert.equal(tenant.durationMinutes, 30);
+  assert.deepEqual(tenant.languages, []);
+
+  const registry = createTenantRegistry([tenant], { createScheduler, createTts });
+  assert.equal(registry.resolve('+15550000000').id, 'default');
+  assert.equal(registry.resolve(undefined).id, 'default');
+  assert.equal(registry.defaultId, 'default');
+});
+
+test('tenants are resolved from the dialed number', () => {
+  const file = writeTenants([
+    { id: 'north', phoneNumbers: ['(212) 555-0101'], languages: ['en', 'es-MX'], scheduling: { apiKey: 'env:CLINIC_KEY' } },
+    { id: 'berlin', phoneNumbers: ['+49 30 1234567'], timezone: 'Europe/Berlin', languages: ['de'], appointmentDuration: 20 }
+  ]);
+  const configs = loadTenants({ ...env, TENANTS_FILE: file });
+  assert.equal(configs[0].providerConfig.EASY_APPOINTMENTS_API_KEY, 'secret-key');
+  assert.deepEqual(configs[0].languages, ['en', 'es']);
+  assert.equal(configs[1].defaultLanguage, 'de');
+
+  const registry = createTenantRegistry(configs, { createScheduler, createTts });
+  assert.equal(registry.resolve('+12125550101').id, 'north');
+  assert.equal(registry.resolve('tel:+49301234567').id, 'berlin');
+  assert.equal(registry.resolve('+19995550000'), undefined); // No default tenant
+  assert.equal(registry.defaultId, null);
+  assert.equal(registry.get('berlin').durationMinutes, 20);
+  assert.equal(registry.get('berlin').providerNames.scheduler, 'memory');
+  assert.equal(registry.get('berlin').reminders.smsFrom, '+49301234567'); // Texts go out from the tenant's number
+  assert.deepEqual(registry.get('berlin').reminders.offsets, [1440, 120]);
+});
+
+test('the default tenant answers numbers no tenant lists, with a warning', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const file = writeTenants([
+    { id: 'north', phoneNumbers: ['+12125550101'] },
+    { id: 'main', phoneNumbers: ['+12125550199'], default: true }
+  ]);
+  const registry = createTenantRegistry(loadTenants({ ...env, TENANTS_FILE: file }), { createScheduler, createTts });
+  assert.equal(registry.resolve('+13105550000').id, 'main');
+  assert.equal(registry.resolve('+12125550101').id, 'north');
+  const unknown = warn.mock.calls.map(call => call.arguments[0]).filter(line => line.includes('belongs to no tenant'));
+  assert.deepEqual(unknown, ['Dialed number +13105550000 belongs to no tenant; answering as the default tenant main.']);
+  assert.equal(registry.defaultId, 'main'); // Customers saved before tenants existed belong to it
+});
+
+test('a single tenant from a file is the default whatever its ID', () => {
+  const registry = createTenantRegistry(loadTenants({ ...env, TENANTS_FILE: writeTenants([{ id: 'acme', phoneNumbers: ['+12125550101'] }]) }), { createScheduler, createTts });
+  assert.equal(registry.defaultId, 'acme');
+  assert.throws(
+    () => loadTenants({ ...env, TENANTS_FILE: writeTenants([{ id: 'default' }, { id: 'main', default: true }]) }),
+    /Tenant id default is reserved for the default tenant/
+  );
+});
+
+test('tenant files with conflicting or invalid entries are rejected', () => {
+  const load = tenants => () => loadTenants({ ...env, TENANTS_FILE: writeTenants(tenants) });
+  assert.throws(load([]), /non-empty array/);
+  assert.throws(load([{ id: 'Bad Id' }]), /id must be/);
+  assert.throws(load([{ id: 'a', phoneNumbers: ['+12125550101'] }, { id: 'b', phoneNumbers: ['212-555-0101'] }]), /belongs to both a and b/);
+  assert.throws(load([{ id: 'a' }, { id: 'a' }]), /used twice/);
+  assert.throws(load([{ id: 'a', timezone: 'Mars/Olympus' }]), /unknown timezone/);
+  assert.throws(load([{ id: 'a', languages: ['de'], defaultLanguage: 'en' }]), /not one of its languages/);
+  assert.throws(load([{ id: 'a', businessHours: { days: [1], start: '17:00', end: '09:00' } }]), /opening hours/);
+  assert.throws(load([{ id: 'a', scheduling: { apiKey: 'env:MISSING_KEY' } }]), /MISSING_KEY/);
+  assert.throws(load([{ id: 'a', reminders: { offsets: ['soon'] } }]), /Reminder offset/);
+  assert.throws(load([{ id: 'a', reminders: { channels: ['fax'] } }]), /reminder channel "fax"/);
+});
+
+test('supportsLanguage accepts any language unless the tenant lists some', () => {
+  const [any] = loadTenants(env);
+  assert.equal(supportsLanguage(any, 'ja'), true);
+  const limited = { ...any, languages: ['en', 'es'] };
+  assert.equal(supportsLanguage(limited, 'es-MX'), true);
+  assert.equal(supportsLanguage(limited, 'fr'), false);
+});
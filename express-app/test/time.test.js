@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidTimeZone,
+  getOffsetMinutes,
+  toWallClock,
+  fromWallClock,
+  addMinutesToWallClock,
+  convertWallClock
+} = require('../lib/time');
+
+test('isValidTimeZone accepts IANA names and rejects garbage', () => {
+  assert.equal(isValidTimeZone('Europe/Berlin'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+  assert.equal(isValidTimeZone(undefined), false);
+});
+
+test('getOffsetMinutes follows DST', () => {
+  assert.equal(getOffsetMinutes(new Date('2026-01-15T12:00:00Z'), 'America/New_York'), -300);
+  assert.equal(getOffsetMinutes(new Date('2026-07-15T12:00:00Z'), 'America/New_York'), -240);
+  assert.equal(getOffsetMinutes(new Date('2026-07-15T12:00:00Z'), 'Asia/Kolkata'), 330);
+});
+
+test('toWallClock and fromWallClock round-trip', () => {
+  const instant = fromWallClock({ date: '2026-10-20', time: '15:00' }, 'Europe/Berlin');
+  assert.equal(instant.toISOString(), '2026-10-20T13:00:00.000Z');
+  assert.deepEqual(toWallClock(instant, 'Europe/Berlin'), { date: '2026-10-20', time: '15:00' });
+});
+
+test('toWallClock takes the date in the zone, not in UTC', () => {
+  // 23:30 in Los Angeles is already the next day in UTC
+  const instant = fromWallClock({ date: '2026-10-20', time: '23:30' }, 'America/Los_Angeles');
+  assert.equal(instant.toISOString(), '2026-10-21T06:30:00.000Z');
+  assert.deepEqual(toWallClock(instant, 'America/Los_Angeles'), { date: '2026-10-20', time: '23:30' });
+});
+
+test('fromWallClock moves times skipped by spring-forward past the gap', () => {
+  // 2026-03-08 02:30 does not exist in New York (02:00 -> 03:00)
+  const instant = fromWallClock({ date: '2026-03-08', time: '02:30' }, 'America/New_York');
+  assert.deepEqual(toWallClock(instant, 'America/New_York'), { date: '2026-03-08', time: '03:30' });
+});
+
+test('fromWallClock resolves times repeated by fall-back to the first occurrence', () => {
+  // 2026-11-01 01:30 happens twice in New York; the first is still EDT
+  const instant = fromWallClock({ date: '2026-11-01', time: '01:30' }, 'America/New_York');
+  assert.equal(instant.toISOString(), '2026-11-01T05:30:00.000Z');
+});
+
+test('addMinutesToWallClock rolls over midnight', () => {
+  assert.deepEqual(
+    addMinutesToWallClock({ date: '2026-10-20', time: '23:45' }, 30, 'Europe/Berlin'),
+    { date: '2026-10-21', time: '00:15' }
+  );
+  assert.deepEqual(
+    addMinutesToWallClock({ date: '2026-12-31', time: '23:45' }, 30, 'UTC'),
+    { date: '2027-01-01', time: '00:15' }
+  );
+});
+
+test('addMinutesToWallClock counts elapsed time across DST transitions', () => {
+  // Spring forward: 01:45 EST + 30 minutes is 03:15 EDT
+  assert.deepEqual(
+    addMinutesToWallClock({ date: '2026-03-08', time: '01:45' }, 30, 'America/New_York'),
+    { date: '2026-03-08', time: '03:15' }
+  );
+  // Fall back in Berlin: 02:45 CEST + 30 minutes is 02:15 CET
+  assert.deepEqual(
+    addMinutesToWallClock({ date: '2026-10-25', time: '02:45' }, 30, 'Europe/Berlin'),
+    { date: '2026-10-25', time: '02:15' }
+  );
+});
+
+test('convertWallClock re-expresses a time in another zone', () => {
+  assert.deepEqual(
+    convertWallClock({ date: '2026-10-20', time: '09:00' }, 'America/New_York', 'Europe/London'),
+    { date: '2026-10-20', time: '14:00' }
+  );
+  assert.deepEqual(
+    convertWallClock({ date: '2026-10-20', time: '21:00' }, 'America/New_York', 'Asia/Tokyo'),
+    { date: '2026-10-21', time: '10:00' }
+  );
+});
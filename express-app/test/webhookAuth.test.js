@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const { createWebhookVerifier, twilioSignature, sharedSignature } = require('../lib/webhookAuth');
+
+const BASE_URL = 'https://api.example.com';
+const NOW = 1_800_000_000_000;
+
+// Serves a verified /voice on a random port and returns a function that POSTs to it
+async function serve(options, t) {
+  const app = express();
+  const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+  app.use(express.json({ verify: keepRawBody }));
+  app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+  app.post('/voice', createWebhookVerifier({ baseUrl: BASE_URL, now: () => NOW, ...options }), (req, res) => res.json({ ok: true }));
+  const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  t.after(() => server.close());
+  return (path, body, headers) => fetch(`http://127.0.0.1:${server.address().port}${path}`, { method: 'POST', body, headers })
+    .then(response => response.status);
+}
+
+test('Twilio form webhooks need a valid X-Twilio-Signature', async (t) => {
+  const post = await serve({ twilioAuthToken: 'token' }, t);
+  const params = { From: '+15551234567', CallSid: 'CA1', SpeechResult: 'tomorrow at 10' };
+  const body = new URLSearchParams(params).toString();
+  const form = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  const signature = twilioSignature('token', `${BASE_URL}/voice`, params);
+  assert.equal(await post('/voice', body, { ...form, 'X-Twilio-Signature': signature }), 200);
+  assert.equal(await post('/voice', body.replace('10', '11'), { ...form, 'X-Twilio-Signature': signature }), 401);
+  assert.equal(await post('/voice', body, form), 401);
+});
+
+test('Twilio JSON webhooks are checked through bodySHA256', async (t) => {
+  const post = await serve({ twilioAuthToken: 'token' }, t);
+  const body = JSON.stringify({ caller_id: '+15551234567' });
+  const path = `/voice?bodySHA256=${crypto.createHash('sha256').update(body).digest('hex')}`;
+  const headers = { 'Content-Type': 'application/json', 'X-Twilio-Signature': twilioSignature('token', `${BASE_URL}${path}`) };
+  assert.equal(await post(path, body, headers), 200);
+  assert.equal(await post(path, body.replace('4567', '4568'), headers), 401);
+});
+
+test('shared-secret signatures must be fresh', async (t) => {
+  const post = await serve({ sharedSecret: 'secret' }, t);
+  const body = JSON.stringify({ call_id: 'c1' });
+  const sign = timestamp => ({
+    'Content-Type': 'application/json',
+    'X-Signature-Timestamp': String(timestamp),
+    'X-Signature': sharedSignature('secret', timestamp, body)
+  });
+  assert.equal(await post('/voice', body, sign(NOW / 1000)), 200);
+  assert.equal(await post('/voice', body, sign(NOW / 1000 - 3600)), 401);
+});
+
+test('requests are rejected when no secret is configured', async (t) => {
+  const post = await serve({}, t);
+  assert.equal(await post('/voice', '{}', { 'Content-Type': 'application/json' }), 401);
+});
+
+test('requests pass unchecked without a secret only when unsigned requests are allowed', async (t) => {
+  const post = await serve({ allowUnsigned: true }, t);
+  assert.equal(await post('/voice', '{}', { 'Content-Type': 'application/json' }), 200);
+  const signed = await serve({ allowUnsigned: true, sharedSecret: 'secret' }, t);
+  assert.equal(await signed('/voice', '{}', { 'Content-Type': 'application/json' }), 401);
+});
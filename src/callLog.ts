@@ -0,0 +1,169 @@
+import {
+  collection, doc, getDoc, query, where, orderBy, limit, startAfter, Timestamp,
+  DocumentData, DocumentSnapshot, QueryConstraint
+} from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import { CallAnalytic, CallOutcome, FailureCode, TranscriptTurn } from './types';
+
+// Querying the call log: filters run in Firestore, newest first, a page at a time.
+// firestore.indexes.json has one (owner, filter field, timestamp) index per filter;
+// Firestore merges them when several filters are combined.
+
+export const PAGE_SIZE = 20;
+
+export interface CallLogFilters {
+  from: string; // First day (YYYY-MM-DD, local time), '' for no limit
+  to: string; // Last day, inclusive
+  sentiment: CallAnalytic['sentiment'] | '';
+  language: string; // Detected language code, e.g. "es"
+  outcome: CallOutcome | '';
+  failureCode: FailureCode | '';
+  search: string; // Words that must all appear in the transcript (or its English translation)
+}
+
+export const EMPTY_FILTERS: CallLogFilters = {
+  from: '', to: '', sentiment: '', language: '', outcome: '', failureCode: '', search: ''
+};
+
+export const OUTCOME_LABELS: Record<CallOutcome, string> = {
+  booked: 'Booked',
+  rescheduled: 'Rescheduled',
+  cancelled: 'Cancelled',
+  handoff: 'Handed to staff',
+  failed: 'Failed',
+  other: 'No booking'
+};
+
+export const FAILURE_LABELS: Record<FailureCode, string> = {
+  parsingFailed: 'Not understood',
+  noUpcomingAppointment: 'No upcoming appointment',
+  serverError: 'Server error'
+};
+
+// Whose calls to list: a business's, or (without memberships) those addressed to the user's email
+export type CallLogScope = { tenantId: string } | { subscriberEmail: string };
+
+// Business the voice agent files calls under when it serves a single one (express-app/lib/tenants.js)
+export const DEFAULT_TENANT_ID = 'default';
+
+/**
+ * Limits a query to a scope. Calls addressed to an email are only those of the
+ * single business, as firestore.rules allows: Firestore refuses a query whose
+ * results the rules cannot all be shown to allow. Calls recorded before tenants
+ * existed match once `npm run backfill` (express-app) has filed them under it.
+ */
+export const scopeConstraints = (scope: CallLogScope): QueryConstraint[] => 'tenantId' in scope
+  ? [where('tenantId', '==', scope.tenantId)]
+  : [where('tenantId', '==', DEFAULT_TENANT_ID), where('subscriberEmail', '==', scope.subscriberEmail)];
+
+/**
+ * Folds text into search words the way the voice agent indexes transcripts
+ * (express-app/lib/callRecords.js searchTokens): lowercase, no accents.
+ */
+export const searchWords = (text: string): string[] => [...new Set(
+  text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 2)
+)];
+
+/**
+ * Reads a stored timestamp: a Firestore Timestamp, or an ISO string from older
+ * or file-based records.
+ */
+export const toDate = (value: unknown): Date => {
+  if (value instanceof Timestamp) return value.toDate();
+  if (typeof value === 'string' || typeof value === 'number') return new Date(value);
+  return new Date(NaN);
+};
+
+export const formatDate = (timestamp: string) => {
+  const date = new Date(timestamp);
+  return isNaN(date.getTime()) ? "Invalid Date" : date.toLocaleString();
+};
+
+export const startOfDay = (day: string) => new Date(`${day}T00:00:00`);
+
+export const startOfNextDay = (day: string) => {
+  const date = startOfDay(day);
+  date.setDate(date.getDate() + 1);
+  return date;
+};
+
+/**
+ * Builds the query for one page of the call log. A search runs on
+ * `call_transcripts`, which holds the search words and a copy of each call's
+ * fields, so only the roles allowed to read transcripts can search. Firestore
+ * allows one array-contains filter, so only the first search word is matched
+ * here; the rest are checked on the page (see matchesSearch), which can leave it short.
+ * @param cursor - Last document of the previous page
+ */
+export const buildCallLogQuery = (
+  scope: CallLogScope,
+  filters: CallLogFilters,
+  cursor?: DocumentSnapshot<DocumentData>
+) => {
+  const constraints = scopeConstraints(scope);
+  if (filters.sentiment) constraints.push(where('sentiment', '==', filters.sentiment));
+  if (filters.language) constraints.push(where('detectedLanguage', '==', filters.language.trim().toLowerCase()));
+  if (filters.outcome) constraints.push(where('outcome', '==', filters.outcome));
+  if (filters.failureCode) constraints.push(where('failureCode', '==', filters.failureCode));
+  const [firstWord] = searchWords(filters.search);
+  if (firstWord) constraints.push(where('searchTokens', 'array-contains', firstWord));
+  if (filters.from) constraints.push(where('timestamp', '>=', Timestamp.fromDate(startOfDay(filters.from))));
+  if (filters.to) constraints.push(where('timestamp', '<', Timestamp.fromDate(startOfNextDay(filters.to))));
+  constraints.push(orderBy('timestamp', 'desc'));
+  if (cursor) constraints.push(startAfter(cursor));
+  constraints.push(limit(PAGE_SIZE + 1)); // The extra record tells whether there is a next page
+  return query(collection(db, firstWord ? 'call_transcripts' : 'call_analytics'), ...constraints);
+};
+
+// Whether a call has every search word, not just the one Firestore matched
+export const matchesSearch = (call: CallAnalytic, search: string) => {
+  const tokens = new Set(call.searchTokens || []);
+  return searchWords(search).every(word => tokens.has(word));
+};
+
+// Turns a call_analytics (or, from a search, call_transcripts) document into a record with an ISO timestamp
+export const toCallRecord = (snapshot: DocumentSnapshot<DocumentData>): CallAnalytic => {
+  const data = snapshot.data() || {};
+  const timestamp = toDate(data.timestamp);
+  return {
+    ...data,
+    id: snapshot.id,
+    callId: data.callId && data.callId !== 'N/A' ? data.callId : snapshot.id,
+    timestamp: isNaN(timestamp.getTime()) ? '' : timestamp.toISOString()
+  } as CallAnalytic;
+};
+
+/**
+ * Adds the transcripts the voice agent keeps in `call_transcripts`, which only
+ * the roles allowed to read transcripts can load. Older records carry them inline.
+ */
+export const withTranscript = async (call: CallAnalytic): Promise<CallAnalytic> => {
+  if (!call.hasTranscript || !call.id || call.transcript) return call;
+  const snapshot = await getDoc(doc(db, 'call_transcripts', call.id));
+  if (!snapshot.exists()) return call;
+  const { transcript, transcriptEnglish } = snapshot.data();
+  return { ...call, transcript, transcriptEnglish };
+};
+
+/**
+ * Splits a transcript into speaker-labelled turns, like the voice agent does
+ * (express-app/lib/callRecords.js transcriptTurns): "Speaker: text" lines, with
+ * unlabelled lines continuing the turn before.
+ */
+export const transcriptTurns = (transcript: string | null | undefined): TranscriptTurn[] => {
+  const turns: TranscriptTurn[] = [];
+  for (const line of (transcript || '').split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const labelled = line.match(/^\s*([A-Za-z][\w ]{0,30}):\s*(.*)$/);
+    if (labelled) {
+      turns.push({ speaker: labelled[1], text: labelled[2].trim() });
+    } else if (turns.length > 0) {
+      turns[turns.length - 1].text = `${turns[turns.length - 1].text} ${line.trim()}`.trim();
+    } else {
+      turns.push({ speaker: '', text: line.trim() });
+    }
+  }
+  return turns;
+};
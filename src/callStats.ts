@@ -0,0 +1,163 @@
+import { CallAnalytic, FailureCode } from './types';
+import { CallLogScope, FAILURE_LABELS, startOfDay } from './callLog';
+
+// Dashboard statistics. The voice agent saves a record per event (a booking, a
+// failed turn, a funnel stage reached), so records are first grouped into calls
+// by call ID; counts below are of calls unless they say otherwise.
+
+// Booking funnel, in order. The voice agent records the first three as `funnel`
+// records; older records only show them indirectly (see recordStage).
+export const FUNNEL_STAGES = ['started', 'customerFound', 'dateParsed', 'booked'] as const;
+export const FUNNEL_LABELS = ['Calls', 'Customer found', 'Date parsed', 'Booked'];
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export interface CallSummary {
+  callId: string;
+  start: Date; // First record of the call
+  language: string; // Latest language detected ('' if none)
+  sentiment?: CallAnalytic['sentiment'];
+  duration: number; // Longest duration reported, in seconds (0 if none)
+  stage: number; // Furthest FUNNEL_STAGES index reached
+  booked: boolean;
+}
+
+export interface HeatmapCell {
+  calls: number;
+  booked: number;
+}
+
+// Local calendar day as YYYY-MM-DD, which sorts in date order across years
+export const toDayKey = (date: Date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Every day from `from` to `to` (YYYY-MM-DD, inclusive)
+export const dayKeys = (from: string, to: string): string[] => {
+  const keys: string[] = [];
+  const day = startOfDay(from);
+  const last = startOfDay(to);
+  while (day <= last) {
+    keys.push(toDayKey(day));
+    day.setDate(day.getDate() + 1);
+  }
+  return keys;
+};
+
+// Chart label for a day; the year is shown when the range spans more than one
+export const dayLabel = (key: string, withYear: boolean) =>
+  startOfDay(key).toLocaleDateString(undefined, { month: 'short', day: 'numeric', ...(withYear && { year: 'numeric' }) });
+
+// Furthest funnel stage a record shows the call reached
+const recordStage = (record: CallAnalytic): number => {
+  if (record.type === 'funnel') return FUNNEL_STAGES.indexOf(record.stage ?? 'started');
+  if (record.appointmentBooked) return 3;
+  if (record.dateParser) return 2; // A date/time was collected
+  return 1; // Call records are only saved once the caller is known
+};
+
+// Records that say something about a call (not reminder replies or voicemails)
+const isCallRecord = (record: CallAnalytic) => !record.type || record.type === 'funnel';
+
+// Groups records into calls; records without a call ID each count as a call
+export const summarizeCalls = (records: CallAnalytic[]): CallSummary[] => {
+  const calls = new Map<string, CallSummary>();
+  const inOrder = records.filter(isCallRecord)
+    .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+  for (const record of inOrder) {
+    const key = record.callId; // See toCallRecord: records without a call ID carry their document ID
+    const call = calls.get(key) ?? {
+      callId: key, start: new Date(record.timestamp), language: '', duration: 0, stage: 0, booked: false
+    };
+    if (record.detectedLanguage) call.language = record.detectedLanguage;
+    if (!record.type) {
+      if (record.sentiment) call.sentiment = record.sentiment;
+      call.duration = Math.max(call.duration, record.duration || 0);
+      call.booked = call.booked || Boolean(record.appointmentBooked);
+    }
+    call.stage = Math.max(call.stage, recordStage(record));
+    calls.set(key, call);
+  }
+  return [...calls.values()].filter(call => !isNaN(call.start.getTime()));
+};
+
+// First funnel stage a scope can count. A call's records carry the caller's email
+// only once the caller is identified, so calls addressed to an email start there
+export const firstFunnelStage = (scope: CallLogScope) => ('tenantId' in scope ? 0 : 1);
+
+// Calls that reached each funnel stage, from the first one given
+export const funnelCounts = (calls: CallSummary[], first = 0) =>
+  FUNNEL_STAGES.slice(first).map((_, index) => calls.filter(call => call.stage >= first + index).length);
+
+// Failure code of a record, read from the reason text on records saved before codes existed
+const failureCode = (record: CallAnalytic): FailureCode | 'other' | null => {
+  if (record.failureCode) return record.failureCode;
+  if (!record.failureReason) return null;
+  if (record.failureReason === 'Parsing failed') return 'parsingFailed';
+  if (record.failureReason === 'No upcoming appointment') return 'noUpcomingAppointment';
+  if (record.failureReason.startsWith('Server error')) return 'serverError';
+  return 'other';
+};
+
+// Failed turns by reason (a call can fail more than once), most common first
+export const failureCounts = (records: CallAnalytic[]): [string, number][] => {
+  const counts: Record<string, number> = {};
+  for (const record of records.filter(record => !record.type)) {
+    const code = failureCode(record);
+    if (!code) continue;
+    const label = code === 'other' ? 'Other' : FAILURE_LABELS[code];
+    counts[label] = (counts[label] || 0) + 1;
+  }
+  return Object.entries(counts).sort(([, a], [, b]) => b - a);
+};
+
+// Share of calls booked per language, in percent, busiest language first
+export const bookingRateByLanguage = (calls: CallSummary[]): { language: string; calls: number; rate: number }[] => {
+  const byLanguage = new Map<string, { calls: number; booked: number }>();
+  for (const call of calls) {
+    const language = call.language || 'Unknown';
+    const entry = byLanguage.get(language) ?? { calls: 0, booked: 0 };
+    entry.calls += 1;
+    if (call.booked) entry.booked += 1;
+    byLanguage.set(language, entry);
+  }
+  return [...byLanguage.entries()]
+    .sort(([, a], [, b]) => b.calls - a.calls)
+    .map(([language, { calls: count, booked }]) => ({ language, calls: count, rate: Math.round((booked / count) * 100) }));
+};
+
+// Calls and bookings by local weekday (rows, Sunday first) and hour the call started (columns)
+export const weekdayHourHeatmap = (calls: CallSummary[]): HeatmapCell[][] => {
+  const cells = WEEKDAY_LABELS.map(() => Array.from({ length: 24 }, () => ({ calls: 0, booked: 0 })));
+  for (const call of calls) {
+    const cell = cells[call.start.getDay()][call.start.getHours()];
+    cell.calls += 1;
+    if (call.booked) cell.booked += 1;
+  }
+  return cells;
+};
+
+// Calls per day, with days without calls as zero
+export const callsByDay = (calls: CallSummary[], days: string[]) => {
+  const counts = Object.fromEntries(days.map(day => [day, 0]));
+  for (const call of calls) {
+    const key = toDayKey(call.start);
+    if (key in counts) counts[key] += 1;
+  }
+  return days.map(day => counts[day]);
+};
+
+// Average call duration per day in seconds (null on days without a reported duration)
+export const averageDurationByDay = (calls: CallSummary[], days: string[]) => {
+  const totals = new Map<string, { seconds: number; calls: number }>();
+  for (const call of calls.filter(call => call.duration > 0)) {
+    const key = toDayKey(call.start);
+    const total = totals.get(key) ?? { seconds: 0, calls: 0 };
+    total.seconds += call.duration;
+    total.calls += 1;
+    totals.set(key, total);
+  }
+  return days.map(day => {
+    const total = totals.get(day);
+    return total ? Math.round(total.seconds / total.calls) : null;
+  });
+};
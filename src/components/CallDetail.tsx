@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from '../firebaseConfig';
+import { CallAnalytic } from '../types';
+import { FAILURE_LABELS, OUTCOME_LABELS, formatDate, toCallRecord, transcriptTurns, withTranscript } from '../callLog';
+import SentimentIcon from './SentimentIcon';
+import { ArrowLeft, Bot, CalendarCheck, Clock, ExternalLink, Languages, Phone, User } from 'lucide-react';
+
+interface CallDetailProps {
+  callId: string; // call_analytics document ID
+  showTranscript: boolean; // Whether the user's role may read transcripts
+  onBack: () => void;
+}
+
+// One call: what happened, and the transcript turn by turn next to its English translation
+const CallDetail: React.FC<CallDetailProps> = ({ callId, showTranscript, onBack }) => {
+  const [call, setCall] = useState<CallAnalytic | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    getDoc(doc(db, 'call_analytics', callId))
+      .then(async snapshot => {
+        if (!snapshot.exists()) {
+          if (!cancelled) setError("This call no longer exists.");
+          return;
+        }
+        const record = toCallRecord(snapshot);
+        const loaded = showTranscript ? await withTranscript(record) : record;
+        if (!cancelled) setCall(loaded);
+      })
+      .catch(err => {
+        console.error("Error fetching call:", err);
+        if (!cancelled) setError("Failed to load the call. Please try again later.");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [callId, showTranscript]);
+
+  const original = transcriptTurns(call?.transcript);
+  const english = transcriptTurns(call?.transcriptEnglish);
+  const showEnglish = english.length > 0;
+
+  const speakerLabel = (speaker: string) => (
+    <span className="flex items-center text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">
+      {speaker === 'Caller' ? <User size={12} className="mr-1" /> : <Bot size={12} className="mr-1" />}
+      {speaker || 'Transcript'}
+    </span>
+  );
+
+  return (
+    <div className="space-y-4">
+      <button
+        type="button"
+        onClick={onBack}
+        className="flex items-center text-sm text-indigo-600 hover:text-indigo-800"
+      >
+        <ArrowLeft size={16} className="mr-1" /> All calls
+      </button>
+
+      {error && <p className="bg-red-100 text-red-700 p-3 rounded text-center">{error}</p>}
+      {loading && <p className="text-center text-gray-500 py-4">Loading call...</p>}
+
+      {call && (
+        <>
+          <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
+            <span className="flex items-center"><Clock size={14} className="mr-1" /> {formatDate(call.timestamp)}</span>
+            <span className="flex items-center"><Phone size={14} className="mr-1" /> Duration: {call.duration}s</span>
+            <span className="flex items-center capitalize"><SentimentIcon sentiment={call.sentiment} /> {call.sentiment}</span>
+            <span className="flex items-center"><Languages size={16} className="text-blue-500 mr-1" /> {call.detectedLanguage}</span>
+            {call.outcome && (
+              <span className="text-xs font-medium bg-indigo-50 text-indigo-700 rounded-full px-2 py-0.5">{OUTCOME_LABELS[call.outcome]}</span>
+            )}
+          </div>
+
+          {call.failureReason && (
+            <p className="text-sm text-red-700">
+              {call.failureCode ? FAILURE_LABELS[call.failureCode] : 'Failed'}: {call.failureReason}
+            </p>
+          )}
+          {call.handoffReason && <p className="text-sm text-gray-700">Handed to staff ({call.handoffReason})</p>}
+
+          {call.appointmentId != null && (
+            <p className="flex items-center text-sm text-gray-700">
+              <CalendarCheck size={16} className="mr-1 text-green-600" />
+              {call.appointmentUrl ? (
+                <a href={call.appointmentUrl} target="_blank" rel="noopener noreferrer" className="flex items-center text-indigo-600 hover:underline">
+                  Appointment #{call.appointmentId} <ExternalLink size={12} className="ml-1" />
+                </a>
+              ) : (
+                <span>Appointment #{call.appointmentId}</span>
+              )}
+            </p>
+          )}
+
+          {!showTranscript ? (
+            <p className="text-center text-gray-500 py-4">Transcripts are not shown to your role.</p>
+          ) : original.length === 0 ? (
+            <p className="text-center text-gray-500 py-4">
+              {call.anonymized ? "The transcript was removed after the retention period." : "No transcript available."}
+            </p>
+          ) : (
+            <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+              <div className={`grid ${showEnglish ? 'grid-cols-2' : 'grid-cols-1'} gap-4 px-4 py-2 bg-gray-50 text-xs font-semibold text-gray-600`}>
+                <span>Original ({call.detectedLanguage})</span>
+                {showEnglish && <span>English</span>}
+              </div>
+              {original.map((turn, index) => (
+                <div
+                  key={index}
+                  className={`grid ${showEnglish ? 'grid-cols-2' : 'grid-cols-1'} gap-4 px-4 py-3 text-sm ${turn.speaker === 'Caller' ? 'bg-white' : 'bg-indigo-50/40'}`}
+                >
+                  <div>
+                    {speakerLabel(turn.speaker)}
+                    <p className="text-gray-800">{turn.text}</p>
+                  </div>
+                  {showEnglish && (
+                    <div>
+                      {speakerLabel(english[index]?.speaker ?? turn.speaker)}
+                      <p className="text-gray-600">{english[index]?.text ?? ''}</p>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CallDetail;
@@ -1,56 +1,48 @@
 import React from 'react';
 import { CallAnalytic } from '../types';
-import { Phone, Clock, Smile, MessageSquare, Languages } from 'lucide-react';
+import { OUTCOME_LABELS, formatDate } from '../callLog';
+import SentimentIcon from './SentimentIcon';
+import { Phone, Clock, ChevronRight, Languages } from 'lucide-react';
 
 interface CallListProps {
   calls: CallAnalytic[];
+  showTranscripts: boolean; // Whether to preview each transcript
+  onSelect: (id: string) => void;
 }
 
-const CallList: React.FC<CallListProps> = ({ calls }) => {
+// One page of the call log; choosing a call opens its detail view
+const CallList: React.FC<CallListProps> = ({ calls, showTranscripts, onSelect }) => {
   if (calls.length === 0) {
-    return <p className="text-center text-gray-500 py-4">No recent calls found.</p>;
+    return <p className="text-center text-gray-500 py-4">No calls found.</p>;
   }
 
-  const formatDate = (timestamp: string) => {
-    try {
-      return new Date(timestamp).toLocaleString();
-    } catch (e) {
-      return "Invalid Date";
-    }
-  };
-
-  const getSentimentIcon = (sentiment: CallAnalytic['sentiment']) => {
-    switch (sentiment) {
-      case 'positive': return <Smile size={16} className="text-green-500 mr-1" />;
-      case 'negative': return <Smile size={16} className="text-red-500 mr-1 rotate-180" />; // Simple way to show frown
-      case 'neutral': return <Smile size={16} className="text-yellow-500 mr-1" />;
-      default: return <Smile size={16} className="text-gray-400 mr-1" />;
-    }
-  };
-
   return (
     <div className="space-y-4">
-      {calls.slice(0, 10).map((call) => ( // Display latest 10 calls
-        <div key={call.callId} className="bg-white p-4 rounded-lg shadow hover:shadow-md transition-shadow duration-200 border border-gray-200">
+      {calls.map((call) => (
+        <button
+          key={call.id ?? call.callId}
+          type="button"
+          onClick={() => onSelect(call.id ?? call.callId)}
+          className="w-full text-left bg-white p-4 rounded-lg shadow hover:shadow-md transition-shadow duration-200 border border-gray-200 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        >
           <div className="flex justify-between items-center mb-2 text-sm text-gray-500">
             <span className="flex items-center"><Clock size={14} className="mr-1" /> {formatDate(call.timestamp)}</span>
             <span className="flex items-center"><Phone size={14} className="mr-1" /> Duration: {call.duration}s</span>
           </div>
-          <div className="flex items-center space-x-4 mb-3">
+          <div className="flex items-center space-x-4">
              <span className="flex items-center text-sm capitalize">
-               {getSentimentIcon(call.sentiment)} {call.sentiment}
+               <SentimentIcon sentiment={call.sentiment} /> {call.sentiment}
              </span>
              <span className="flex items-center text-sm"><Languages size={16} className="text-blue-500 mr-1" /> {call.detectedLanguage}</span>
+             {call.outcome && (
+               <span className="text-xs font-medium bg-indigo-50 text-indigo-700 rounded-full px-2 py-0.5">{OUTCOME_LABELS[call.outcome]}</span>
+             )}
+             <span className="flex-1 truncate text-sm text-gray-600">
+               {showTranscripts && (call.transcript || (call.anonymized ? "Transcript removed after the retention period." : "No transcript available."))}
+             </span>
+             <ChevronRight size={16} className="text-gray-400" />
           </div>
-          <details className="group">
-             <summary className="text-sm text-gray-600 cursor-pointer group-hover:text-indigo-600 flex items-center">
-                <MessageSquare size={14} className="mr-1"/> Transcript
-             </summary>
-             <p className="mt-2 text-sm text-gray-700 bg-gray-50 p-3 rounded border border-gray-200 max-h-32 overflow-y-auto">
-                {call.transcript || "No transcript available."}
-             </p>
-          </details>
-        </div>
+        </button>
       ))}
     </div>
   );
@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import { getDocs, DocumentData, DocumentSnapshot } from 'firebase/firestore';
+import { CallAnalytic, CallOutcome, FailureCode } from '../types';
+import {
+  PAGE_SIZE, EMPTY_FILTERS, OUTCOME_LABELS, FAILURE_LABELS, CallLogFilters,
+  buildCallLogQuery, matchesSearch, toCallRecord, withTranscript
+} from '../callLog';
+import CallList from './CallList';
+import CallDetail from './CallDetail';
+import { ChevronLeft, ChevronRight, Filter, Search } from 'lucide-react';
+
+interface CallLogProps {
+  tenantId: string | null; // Business whose calls to list
+  subscriberEmail: string | null; // Without a business: calls addressed to this email
+  showTranscripts: boolean; // Whether the user's role may read transcripts
+}
+
+// The open call is kept in the URL (#call=<id>) so it can be linked to and closed with Back
+const callIdFromHash = () => {
+  const match = window.location.hash.match(/^#call=(.+)$/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+const inputClass = "border border-gray-300 rounded-lg py-1 px-2 bg-white text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+// Every call, newest first, a page at a time, with filters, transcript search and a detail view
+const CallLog: React.FC<CallLogProps> = ({ tenantId, subscriberEmail, showTranscripts }) => {
+  const [draft, setDraft] = useState<CallLogFilters>(EMPTY_FILTERS);
+  const [filters, setFilters] = useState<CallLogFilters>(EMPTY_FILTERS);
+  // cursors[n] is the last document before page n (none for the first page)
+  const [cursors, setCursors] = useState<(DocumentSnapshot<DocumentData> | undefined)[]>([undefined]);
+  const [page, setPage] = useState(0);
+  const [calls, setCalls] = useState<CallAnalytic[]>([]);
+  const [lastDoc, setLastDoc] = useState<DocumentSnapshot<DocumentData> | undefined>(undefined);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [selectedId, setSelectedId] = useState<string | null>(callIdFromHash);
+
+  useEffect(() => {
+    const onPopState = () => setSelectedId(callIdFromHash());
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  useEffect(() => {
+    if (!tenantId && !subscriberEmail) return;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    const scope = tenantId ? { tenantId } : { subscriberEmail: subscriberEmail as string };
+    const search = showTranscripts ? filters.search : ''; // Searching reads transcripts
+    getDocs(buildCallLogQuery(scope, { ...filters, search }, cursors[page]))
+      .then(async snapshot => {
+        const docs = snapshot.docs.slice(0, PAGE_SIZE);
+        const pageCalls = docs.map(toCallRecord)
+          .filter(call => !call.type && matchesSearch(call, search)); // Reminder replies and voicemails are not calls
+        const shown = showTranscripts
+          ? await Promise.all(pageCalls.map(call => withTranscript(call).catch(() => call)))
+          : pageCalls;
+        if (cancelled) return;
+        setCalls(shown);
+        setLastDoc(docs[docs.length - 1]);
+        setHasMore(snapshot.docs.length > PAGE_SIZE);
+      })
+      .catch(err => {
+        // A filter combination without an index fails here; the error message links to creating it
+        console.error("Error fetching calls:", err);
+        if (!cancelled) setError("Failed to load calls. Please try again later.");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [tenantId, subscriberEmail, showTranscripts, filters, cursors, page]);
+
+  const applyFilters = (e: React.FormEvent) => {
+    e.preventDefault();
+    setFilters(draft);
+    setCursors([undefined]);
+    setPage(0);
+  };
+
+  const clearFilters = () => {
+    setDraft(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+    setCursors([undefined]);
+    setPage(0);
+  };
+
+  const nextPage = () => {
+    setCursors(previous => [...previous.slice(0, page + 1), lastDoc]);
+    setPage(page + 1);
+  };
+
+  const openCall = (id: string) => {
+    window.history.pushState(null, '', `#call=${encodeURIComponent(id)}`);
+    setSelectedId(id);
+  };
+
+  const closeCall = () => {
+    window.history.pushState(null, '', window.location.pathname + window.location.search);
+    setSelectedId(null);
+  };
+
+  const setField = <K extends keyof CallLogFilters>(field: K, value: CallLogFilters[K]) =>
+    setDraft(previous => ({ ...previous, [field]: value }));
+
+  if (selectedId) {
+    return <CallDetail callId={selectedId} showTranscript={showTranscripts} onBack={closeCall} />;
+  }
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={applyFilters} className="flex flex-wrap items-end gap-3">
+        {showTranscripts && (
+          <label className="flex items-center flex-1 min-w-[12rem]">
+            <Search size={16} className="mr-1 text-gray-500" />
+            <span className="sr-only">Search transcripts</span>
+            <input
+              type="search"
+              value={draft.search}
+              onChange={(e) => setField('search', e.target.value)}
+              placeholder="Search transcripts"
+              className={`${inputClass} w-full`}
+            />
+          </label>
+        )}
+        <label className="text-xs text-gray-600 flex flex-col">
+          From
+          <input type="date" value={draft.from} onChange={(e) => setField('from', e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600 flex flex-col">
+          To
+          <input type="date" value={draft.to} onChange={(e) => setField('to', e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600 flex flex-col">
+          Sentiment
+          <select
+            value={draft.sentiment}
+            onChange={(e) => setField('sentiment', e.target.value as CallLogFilters['sentiment'])}
+            className={inputClass}
+          >
+            <option value="">Any</option>
+            <option value="positive">Positive</option>
+            <option value="neutral">Neutral</option>
+            <option value="negative">Negative</option>
+          </select>
+        </label>
+        <label className="text-xs text-gray-600 flex flex-col">
+          Language
+          <input
+            type="text"
+            value={draft.language}
+            onChange={(e) => setField('language', e.target.value)}
+            placeholder="e.g. es"
+            className={`${inputClass} w-20`}
+          />
+        </label>
+        <label className="text-xs text-gray-600 flex flex-col">
+          Outcome
+          <select
+            value={draft.outcome}
+            onChange={(e) => setField('outcome', e.target.value as CallOutcome | '')}
+            className={inputClass}
+          >
+            <option value="">Any</option>
+            {Object.entries(OUTCOME_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600 flex flex-col">
+          Failure reason
+          <select
+            value={draft.failureCode}
+            onChange={(e) => setField('failureCode', e.target.value as FailureCode | '')}
+            className={inputClass}
+          >
+            <option value="">Any</option>
+            {Object.entries(FAILURE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="submit"
+          className="flex items-center bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-semibold py-1.5 px-3 rounded-lg transition duration-300"
+        >
+          <Filter size={14} className="mr-1" /> Apply
+        </button>
+        <button type="button" onClick={clearFilters} className="text-sm text-gray-600 hover:text-indigo-600 py-1.5">
+          Clear
+        </button>
+      </form>
+
+      {error && <p className="bg-red-100 text-red-700 p-3 rounded text-center">{error}</p>}
+      {loading ? <p className="text-center text-gray-500 py-4">Loading calls...</p> : <CallList calls={calls} showTranscripts={showTranscripts} onSelect={openCall} />}
+
+      <div className="flex justify-between items-center text-sm">
+        <button
+          type="button"
+          onClick={() => setPage(page - 1)}
+          disabled={page === 0 || loading}
+          className="flex items-center text-indigo-600 hover:text-indigo-800 disabled:text-gray-400"
+        >
+          <ChevronLeft size={16} /> Newer
+        </button>
+        <span className="text-gray-500">Page {page + 1}</span>
+        <button
+          type="button"
+          onClick={nextPage}
+          disabled={!hasMore || loading}
+          className="flex items-center text-indigo-600 hover:text-indigo-800 disabled:text-gray-400"
+        >
+          Older <ChevronRight size={16} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CallLog;
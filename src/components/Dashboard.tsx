@@ -1,45 +1,105 @@
 import React, { useState, useEffect } from 'react';
-import { User, signOut } from 'firebase/auth';
-import { collection, query, where, onSnapshot, FirestoreError } from 'firebase/firestore';
+import { User, sendEmailVerification, signOut } from 'firebase/auth';
+import { collection, query, where, orderBy, onSnapshot, FirestoreError, Timestamp } from 'firebase/firestore';
 import { auth, db } from '../firebaseConfig';
-import { CallAnalytic, ChartData } from '../types';
+import { CallAnalytic, ChartData, Role, Tenant } from '../types';
 import CallVolumeChart from './charts/CallVolumeChart';
 import SentimentChart from './charts/SentimentChart';
 import LanguageChart from './charts/LanguageChart';
-import CallList from './CallList';
-import { LogOut, BarChart3, PieChart, Languages as LanguagesIcon, List } from 'lucide-react';
+import FunnelChart from './charts/FunnelChart';
+import FailureReasonsChart from './charts/FailureReasonsChart';
+import BookingRateChart from './charts/BookingRateChart';
+import DurationTrendChart from './charts/DurationTrendChart';
+import BookingHeatmap from './charts/BookingHeatmap';
+import CallLog from './CallLog';
+import TenantSwitcher from './TenantSwitcher';
+import TeamPanel from './TeamPanel';
+import { ROLE_LABELS, acceptInvitations, canSeeTranscripts, loadTenants } from '../team';
+import { CallLogScope, scopeConstraints, startOfDay, startOfNextDay, toCallRecord } from '../callLog';
+import {
+  FUNNEL_LABELS, HeatmapCell, averageDurationByDay, bookingRateByLanguage, callsByDay, dayKeys, dayLabel,
+  failureCounts, firstFunnelStage, funnelCounts, summarizeCalls, toDayKey, weekdayHourHeatmap
+} from '../callStats';
+import { LogOut, BarChart3, PieChart, Languages as LanguagesIcon, List, CalendarRange, TrendingUp, Users } from 'lucide-react';
 
 interface DashboardProps {
   user: User;
   onLogout: () => void;
 }
 
+const SELECTED_TENANT_KEY = 'selectedTenantId'; // localStorage key remembering the last business viewed
+const DEFAULT_RANGE_DAYS = 30;
+
+// The last DEFAULT_RANGE_DAYS days, today included
+const defaultRange = () => {
+  const from = new Date();
+  from.setDate(from.getDate() - (DEFAULT_RANGE_DAYS - 1));
+  return { from: toDayKey(from), to: toDayKey(new Date()) };
+};
+
 const Dashboard: React.FC<DashboardProps> = ({ user, onLogout }) => {
   const [callVolumeData, setCallVolumeData] = useState<ChartData | null>(null);
   const [sentimentData, setSentimentData] = useState<ChartData | null>(null);
   const [languageData, setLanguageData] = useState<ChartData | null>(null);
-  const [analytics, setAnalytics] = useState<CallAnalytic[]>([]);
+  const [funnelData, setFunnelData] = useState<ChartData | null>(null);
+  const [failureData, setFailureData] = useState<ChartData | null>(null);
+  const [bookingRateData, setBookingRateData] = useState<ChartData | null>(null);
+  const [durationTrend, setDurationTrend] = useState<{ labels: string[]; seconds: (number | null)[] }>({ labels: [], seconds: [] });
+  const [heatmap, setHeatmap] = useState<HeatmapCell[][]>([]);
+  const [range, setRange] = useState(defaultRange);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [tenants, setTenants] = useState<Tenant[]>([]);
+  const [selectedTenantId, setSelectedTenantId] = useState<string | null>(null);
+  const [tenantsLoaded, setTenantsLoaded] = useState(false);
+  const [verificationSent, setVerificationSent] = useState(false);
+
+  const selectedTenant = tenants.find(tenant => tenant.id === selectedTenantId);
+
+  // Join the businesses the user was invited to, then load those they belong to with their role in each
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+
+    const loadMemberships = async () => {
+      try {
+        await acceptInvitations(user).catch(err => console.error("Error accepting invitations:", err));
+        const memberOf = await loadTenants(user);
+        if (cancelled) return;
+        setTenants(memberOf);
+        const saved = localStorage.getItem(SELECTED_TENANT_KEY);
+        setSelectedTenantId(memberOf.some(tenant => tenant.id === saved) ? saved : memberOf[0]?.id ?? null);
+      } catch (err) {
+        // Without memberships the dashboard shows the calls addressed to the user's email
+        console.error("Error loading businesses:", err);
+      } finally {
+        if (!cancelled) setTenantsLoaded(true);
+      }
+    };
+
+    loadMemberships();
+    return () => { cancelled = true; };
+  }, [user]);
 
   useEffect(() => {
-    if (!user || !user.email) return;
+    if (!user || !tenantsLoaded) return;
+    if (!selectedTenantId && !user.email) return;
 
     setLoading(true);
     setError(null);
 
+    const scope: CallLogScope = selectedTenantId ? { tenantId: selectedTenantId } : { subscriberEmail: user.email as string };
     const analyticsQuery = query(
       collection(db, 'call_analytics'),
-      where('subscriberEmail', '==', user.email)
-      // Consider adding orderBy('timestamp', 'desc') and limit() for performance
+      ...scopeConstraints(scope),
+      where('timestamp', '>=', Timestamp.fromDate(startOfDay(range.from))),
+      where('timestamp', '<', Timestamp.fromDate(startOfNextDay(range.to))),
+      orderBy('timestamp', 'desc')
     );
 
     const unsubscribe = onSnapshot(analyticsQuery, (snapshot) => {
-      const data = snapshot.docs.map(doc => ({ ...doc.data(), callId: doc.id })) as CallAnalytic[];
-      setAnalytics(data.sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime())); // Sort by newest first
-
       // Process data for charts
-      processChartData(data);
+      processChartData(snapshot.docs.map(toCallRecord), range.from, range.to, firstFunnelStage(scope));
       setLoading(false);
     }, (err: FirestoreError) => {
       console.error("Error fetching analytics:", err);
@@ -49,32 +109,63 @@ const Dashboard: React.FC<DashboardProps> = ({ user, onLogout }) => {
 
     // Cleanup listener on component unmount
     return () => unsubscribe();
-  }, [user]);
+  }, [user, tenantsLoaded, selectedTenantId, range]);
 
-  const processChartData = (data: CallAnalytic[]) => {
-     // Call Volume (by day - simple aggregation)
-    const volumeByDay: { [key: string]: number } = {};
-    data.forEach(call => {
-      try {
-        const day = new Date(call.timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
-        volumeByDay[day] = (volumeByDay[day] || 0) + 1;
-      } catch (e) { console.warn("Invalid date format for call:", call.callId)}
+  const handleSelectTenant = (tenantId: string) => {
+    setSelectedTenantId(tenantId);
+    localStorage.setItem(SELECTED_TENANT_KEY, tenantId);
+  };
+
+  const handleTranscriptRolesChange = (roles: Role[]) => {
+    setTenants(previous => previous.map(tenant => (tenant.id === selectedTenantId ? { ...tenant, transcriptRoles: roles } : tenant)));
+  };
+
+  const sendVerification = async () => {
+    try {
+      await sendEmailVerification(user);
+      setVerificationSent(true);
+    } catch (err) {
+      console.error("Error sending verification email:", err);
+    }
+  };
+
+  const processChartData = (records: CallAnalytic[], from: string, to: string, firstStage: number) => {
+    const calls = summarizeCalls(records);
+    const days = dayKeys(from, to);
+    const labels = days.map(day => dayLabel(day, from.slice(0, 4) !== to.slice(0, 4)));
+
+    // Call Volume (by day; day keys sort correctly across years)
+    setCallVolumeData({
+      labels,
+      datasets: [{ label: 'Call Volume', data: callsByDay(calls, days), backgroundColor: 'rgba(75, 192, 192, 0.6)', borderColor: 'rgba(75, 192, 192, 1)', borderWidth: 1 }]
     });
-    // Sort volume by date for better chart readability
-    const sortedVolumeEntries = Object.entries(volumeByDay).sort(([dayA], [dayB]) => {
-        // Basic sort assuming 'MMM D' format, might need refinement for year changes
-        const dateA = new Date(dayA + ', ' + new Date().getFullYear()); // Add year for Date parsing
-        const dateB = new Date(dayB + ', ' + new Date().getFullYear());
-        return dateA.getTime() - dateB.getTime();
+
+    // Booking Funnel
+    setFunnelData({
+      labels: FUNNEL_LABELS.slice(firstStage),
+      datasets: [{ label: 'Calls', data: funnelCounts(calls, firstStage), backgroundColor: ['#6366F1', '#818CF8', '#A5B4FC', '#4CAF50'].slice(firstStage) }]
     });
-    setCallVolumeData({
-      labels: sortedVolumeEntries.map(([day]) => day),
-      datasets: [{ label: 'Call Volume', data: sortedVolumeEntries.map(([, count]) => count), backgroundColor: 'rgba(75, 192, 192, 0.6)', borderColor: 'rgba(75, 192, 192, 1)', borderWidth: 1 }]
+
+    // Failure Reasons
+    const failures = failureCounts(records);
+    setFailureData({
+      labels: failures.map(([reason]) => reason),
+      datasets: [{ label: 'Failed turns', data: failures.map(([, count]) => count), backgroundColor: 'rgba(244, 67, 54, 0.6)', borderColor: 'rgba(244, 67, 54, 1)', borderWidth: 1 }]
     });
 
+    // Booking Rate by Language
+    const rates = bookingRateByLanguage(calls);
+    setBookingRateData({
+      labels: rates.map(({ language, calls: count }) => `${language} (${count})`),
+      datasets: [{ label: 'Booked', data: rates.map(({ rate }) => rate), backgroundColor: 'rgba(76, 175, 80, 0.6)', borderColor: 'rgba(76, 175, 80, 1)', borderWidth: 1 }]
+    });
+
+    setHeatmap(weekdayHourHeatmap(calls));
+    setDurationTrend({ labels, seconds: averageDurationByDay(calls, days) });
+
     // Sentiment Distribution
     const sentimentCounts: { [key in CallAnalytic['sentiment']]: number } = { positive: 0, negative: 0, neutral: 0 };
-    data.forEach(call => {
+    calls.forEach(call => {
         if (call.sentiment && sentimentCounts.hasOwnProperty(call.sentiment)) {
             sentimentCounts[call.sentiment]++;
         }
@@ -86,8 +177,8 @@ const Dashboard: React.FC<DashboardProps> = ({ user, onLogout }) => {
 
     // Language Distribution
     const languageCounts: { [key: string]: number } = {};
-    data.forEach(call => {
-      const lang = call.detectedLanguage || 'Unknown';
+    calls.forEach(call => {
+      const lang = call.language || 'Unknown';
       languageCounts[lang] = (languageCounts[lang] || 0) + 1;
     });
     const languageColors = ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40']; // Add more if needed
@@ -115,6 +206,10 @@ const Dashboard: React.FC<DashboardProps> = ({ user, onLogout }) => {
           Receptionist Dashboard
         </h1>
         <div className="flex items-center space-x-4">
+           <TenantSwitcher tenants={tenants} selectedId={selectedTenantId} onSelect={handleSelectTenant} />
+           {selectedTenant && (
+             <span className="text-xs font-medium bg-indigo-50 text-indigo-700 rounded-full px-2 py-0.5">{ROLE_LABELS[selectedTenant.role]}</span>
+           )}
            <span className="text-sm text-gray-600 hidden sm:block">{user.email}</span>
            <button
              onClick={handleLogout}
@@ -127,6 +222,40 @@ const Dashboard: React.FC<DashboardProps> = ({ user, onLogout }) => {
         </div>
       </header>
 
+      {!user.emailVerified && (
+        <p className="bg-yellow-50 text-yellow-800 p-3 rounded mb-6 text-sm text-center">
+          Verify your email address to join businesses you are invited to.{' '}
+          {verificationSent ? 'Check your inbox, then sign in again.' : (
+            <button type="button" onClick={sendVerification} className="underline hover:text-yellow-900">Send verification email</button>
+          )}
+        </p>
+      )}
+
+      {/* Period the charts cover */}
+      <div className="flex flex-wrap items-center gap-3 mb-6 text-sm text-gray-700">
+        <CalendarRange size={18} className="text-indigo-600" />
+        <label className="flex items-center">
+          <span className="mr-2">From</span>
+          <input
+            type="date"
+            value={range.from}
+            max={range.to}
+            onChange={(e) => e.target.value && setRange({ ...range, from: e.target.value })}
+            className="border border-gray-300 rounded-lg py-1 px-2 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+        </label>
+        <label className="flex items-center">
+          <span className="mr-2">To</span>
+          <input
+            type="date"
+            value={range.to}
+            min={range.from}
+            onChange={(e) => e.target.value && setRange({ ...range, to: e.target.value })}
+            className="border border-gray-300 rounded-lg py-1 px-2 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+        </label>
+      </div>
+
       {error && <p className="bg-red-100 text-red-700 p-3 rounded mb-6 text-center">{error}</p>}
 
       {loading ? (
@@ -159,19 +288,61 @@ const Dashboard: React.FC<DashboardProps> = ({ user, onLogout }) => {
                  <div className="bg-white p-4 rounded-lg shadow h-64 md:h-80 md:col-span-1 lg:col-span-1">
                     <LanguageChart data={languageData} />
                  </div>
-                 {/* Placeholder for potential future charts or info cards */}
-                 <div className="hidden md:block md:col-span-1 lg:col-span-2"></div>
+                 <div className="bg-white p-4 rounded-lg shadow h-64 md:h-80 md:col-span-1 lg:col-span-2">
+                    <BookingRateChart data={bookingRateData} />
+                 </div>
              </div>
            </section>
 
+          {/* Bookings Section */}
+          <section>
+             <h2 className="text-xl font-semibold text-gray-700 mb-4 flex items-center"><TrendingUp size={20} className="mr-2 text-indigo-600"/>Bookings & Failures</h2>
+             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="bg-white p-4 rounded-lg shadow h-64 md:h-80">
+                  <FunnelChart data={funnelData} />
+                </div>
+                <div className="bg-white p-4 rounded-lg shadow h-64 md:h-80">
+                  <FailureReasonsChart data={failureData} />
+                </div>
+                <div className="bg-white p-4 rounded-lg shadow h-64 md:h-80">
+                  <DurationTrendChart labels={durationTrend.labels} seconds={durationTrend.seconds} />
+                </div>
+                <div className="bg-white p-4 rounded-lg shadow">
+                  <h3 className="text-base font-semibold text-gray-700 mb-3 text-center">Calls and Bookings by Weekday and Hour</h3>
+                  <BookingHeatmap cells={heatmap} />
+                </div>
+             </div>
+          </section>
 
-          {/* Recent Calls Section */}
+
+          {/* Call Log Section */}
           <section>
-            <h2 className="text-xl font-semibold text-gray-700 mb-4 flex items-center"><List size={20} className="mr-2 text-indigo-600"/>Recent Calls</h2>
+            <h2 className="text-xl font-semibold text-gray-700 mb-4 flex items-center"><List size={20} className="mr-2 text-indigo-600"/>Call Log</h2>
             <div className="bg-white p-4 rounded-lg shadow">
-              <CallList calls={analytics} />
+              {/* Remounted per business so paging starts over */}
+              <CallLog
+                key={selectedTenantId ?? 'own'}
+                tenantId={selectedTenantId}
+                subscriberEmail={user.email}
+                showTranscripts={canSeeTranscripts(selectedTenant)}
+              />
             </div>
           </section>
+
+          {/* Team Section */}
+          {selectedTenant && (
+            <section>
+              <h2 className="text-xl font-semibold text-gray-700 mb-4 flex items-center"><Users size={20} className="mr-2 text-indigo-600"/>Team</h2>
+              <div className="bg-white p-4 rounded-lg shadow">
+                <TeamPanel
+                  key={selectedTenant.id}
+                  tenant={selectedTenant}
+                  user={user}
+                  onTranscriptRolesChange={handleTranscriptRolesChange}
+                />
+              </div>
+            </section>
+          )}
         </div>
       )}
     </div>
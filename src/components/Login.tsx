@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
-import { signInWithEmailAndPassword } from 'firebase/auth';
+import { createUserWithEmailAndPassword, sendEmailVerification, signInWithEmailAndPassword } from 'firebase/auth';
 import { auth } from '../firebaseConfig';
-import { LogIn } from 'lucide-react';
+import { LogIn, UserPlus } from 'lucide-react';
 
 interface LoginProps {
   onLoginSuccess: () => void;
@@ -12,13 +12,20 @@ const Login: React.FC<LoginProps> = ({ onLoginSuccess }) => {
   const [password, setPassword] = useState('');
   const [error, setError] = useState<string | null>(null);
   const [loading, setLoading] = useState(false);
+  const [signingUp, setSigningUp] = useState(false); // Invited teammates create their account here
 
   const handleLogin = async (e: React.FormEvent) => {
     e.preventDefault();
     setError(null);
     setLoading(true);
     try {
-      await signInWithEmailAndPassword(auth, email, password);
+      if (signingUp) {
+        // Invitations are matched by email, so the address must be verified before they apply
+        const { user } = await createUserWithEmailAndPassword(auth, email, password);
+        await sendEmailVerification(user);
+      } else {
+        await signInWithEmailAndPassword(auth, email, password);
+      }
       onLoginSuccess();
     } catch (err: any) {
       console.error('Login error:', err);
@@ -34,7 +41,7 @@ const Login: React.FC<LoginProps> = ({ onLoginSuccess }) => {
         <div className="flex justify-center mb-6">
            <LogIn size={48} className="text-indigo-600" />
         </div>
-        <h1 className="text-3xl font-bold text-center text-gray-800 mb-6">Dashboard Login</h1>
+        <h1 className="text-3xl font-bold text-center text-gray-800 mb-6">{signingUp ? 'Create Account' : 'Dashboard Login'}</h1>
         {error && <p className="bg-red-100 text-red-700 p-3 rounded mb-4 text-sm">{error}</p>}
         <form onSubmit={handleLogin}>
           <div className="mb-4">
@@ -75,12 +82,24 @@ const Login: React.FC<LoginProps> = ({ onLoginSuccess }) => {
                 <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                 <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
               </svg>
+            ) : signingUp ? (
+              <UserPlus size={20} className="mr-2" />
             ) : (
               <LogIn size={20} className="mr-2" />
             )}
-            {loading ? 'Logging In...' : 'Login'}
+            {loading ? (signingUp ? 'Creating Account...' : 'Logging In...') : (signingUp ? 'Create Account' : 'Login')}
           </button>
         </form>
+        <p className="mt-4 text-sm text-center text-gray-600">
+          {signingUp ? 'Already have an account?' : 'Invited to a team?'}{' '}
+          <button
+            type="button"
+            onClick={() => { setSigningUp(!signingUp); setError(null); }}
+            className="text-indigo-600 hover:text-indigo-800 font-semibold"
+          >
+            {signingUp ? 'Log in' : 'Create an account'}
+          </button>
+        </p>
       </div>
     </div>
   );
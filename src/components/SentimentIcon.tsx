@@ -0,0 +1,14 @@
+import React from 'react';
+import { CallAnalytic } from '../types';
+import { Smile } from 'lucide-react';
+
+const SentimentIcon: React.FC<{ sentiment: CallAnalytic['sentiment'] }> = ({ sentiment }) => {
+  switch (sentiment) {
+    case 'positive': return <Smile size={16} className="text-green-500 mr-1" />;
+    case 'negative': return <Smile size={16} className="text-red-500 mr-1 rotate-180" />; // Simple way to show frown
+    case 'neutral': return <Smile size={16} className="text-yellow-500 mr-1" />;
+    default: return <Smile size={16} className="text-gray-400 mr-1" />;
+  }
+};
+
+export default SentimentIcon;
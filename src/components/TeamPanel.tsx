@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { User } from 'firebase/auth';
+import { Invitation, Role, TeamMember, Tenant } from '../types';
+import {
+  ROLES, ROLE_LABELS, assignableRoles, cancelInvitation, changeRole, inviteMember,
+  loadInvitations, loadMembers, removeMember, setTranscriptRoles
+} from '../team';
+import { Mail, Trash2, UserPlus } from 'lucide-react';
+
+interface TeamPanelProps {
+  tenant: Tenant;
+  user: User;
+  onTranscriptRolesChange: (roles: Role[]) => void;
+}
+
+const inputClass = "border border-gray-300 rounded-lg py-1 px-2 bg-white text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+// A business's members and invitations; owners and managers manage them, owners also choose who reads transcripts
+const TeamPanel: React.FC<TeamPanelProps> = ({ tenant, user, onTranscriptRolesChange }) => {
+  const [members, setMembers] = useState<TeamMember[]>([]);
+  const [invitations, setInvitations] = useState<Invitation[]>([]);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState<Role>('staff');
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const assignable = assignableRoles(tenant.role);
+  const canManage = assignable.length > 0;
+
+  const reload = useCallback(async () => {
+    try {
+      setMembers(await loadMembers(tenant.id));
+      setInvitations(canManage ? await loadInvitations(tenant.id) : []);
+    } catch (err) {
+      console.error("Error loading team:", err);
+      setError("Failed to load the team. Please try again later.");
+    }
+  }, [tenant.id, canManage]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Runs a change, then shows the team as it now is
+  const apply = async (change: () => Promise<void>, failure: string) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await change();
+      await reload();
+    } catch (err) {
+      console.error(failure, err);
+      setError(failure);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const invite = (e: React.FormEvent) => {
+    e.preventDefault();
+    apply(async () => {
+      await inviteMember(tenant.id, email, role, user);
+      setEmail('');
+    }, "Failed to send the invitation.");
+  };
+
+  const toggleTranscriptRole = (toggled: Role) => {
+    const roles = tenant.transcriptRoles.includes(toggled)
+      ? tenant.transcriptRoles.filter(existing => existing !== toggled)
+      : [...tenant.transcriptRoles, toggled];
+    apply(async () => {
+      await setTranscriptRoles(tenant.id, roles);
+      onTranscriptRolesChange(roles);
+    }, "Failed to change who can read transcripts.");
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && <p className="bg-red-100 text-red-700 p-3 rounded text-center">{error}</p>}
+
+      <ul className="divide-y divide-gray-200">
+        {members.map(member => {
+          const manageable = member.uid !== user.uid && assignable.includes(member.role);
+          return (
+            <li key={member.uid} className="flex items-center justify-between py-2 text-sm">
+              <span className="text-gray-800">{member.email}{member.uid === user.uid && ' (you)'}</span>
+              <span className="flex items-center gap-2">
+                {manageable ? (
+                  <>
+                    <select
+                      value={member.role}
+                      disabled={busy}
+                      onChange={(e) => apply(() => changeRole(tenant.id, member.uid, e.target.value as Role), "Failed to change the role.")}
+                      className={inputClass}
+                      aria-label={`Role of ${member.email}`}
+                    >
+                      {assignable.map(option => <option key={option} value={option}>{ROLE_LABELS[option]}</option>)}
+                    </select>
+                    <button
+                      type="button"
+                      disabled={busy}
+                      onClick={() => apply(() => removeMember(tenant.id, member.uid), "Failed to remove the member.")}
+                      className="text-gray-500 hover:text-red-600"
+                      title="Remove from the team"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </>
+                ) : (
+                  <span className="text-xs font-medium bg-indigo-50 text-indigo-700 rounded-full px-2 py-0.5">{ROLE_LABELS[member.role]}</span>
+                )}
+              </span>
+            </li>
+          );
+        })}
+        {invitations.map(invitation => (
+          <li key={invitation.email} className="flex items-center justify-between py-2 text-sm text-gray-500">
+            <span className="flex items-center"><Mail size={14} className="mr-1" /> {invitation.email} (invited)</span>
+            <span className="flex items-center gap-2">
+              <span className="text-xs">{ROLE_LABELS[invitation.role]}</span>
+              {assignable.includes(invitation.role) && (
+                <button
+                  type="button"
+                  disabled={busy}
+                  onClick={() => apply(() => cancelInvitation(tenant.id, invitation.email), "Failed to cancel the invitation.")}
+                  className="text-gray-500 hover:text-red-600"
+                  title="Cancel the invitation"
+                >
+                  <Trash2 size={16} />
+                </button>
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {canManage && (
+        <form onSubmit={invite} className="flex flex-wrap items-end gap-3">
+          <label className="text-xs text-gray-600 flex flex-col flex-1 min-w-[12rem]">
+            Invite by email
+            <input
+              type="email"
+              required
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="teammate@example.com"
+              className={inputClass}
+            />
+          </label>
+          <label className="text-xs text-gray-600 flex flex-col">
+            Role
+            <select value={role} onChange={(e) => setRole(e.target.value as Role)} className={inputClass}>
+              {assignable.map(option => <option key={option} value={option}>{ROLE_LABELS[option]}</option>)}
+            </select>
+          </label>
+          <button
+            type="submit"
+            disabled={busy}
+            className="flex items-center bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-semibold py-1.5 px-3 rounded-lg transition duration-300 disabled:opacity-50"
+          >
+            <UserPlus size={14} className="mr-1" /> Invite
+          </button>
+        </form>
+      )}
+      {canManage && (
+        <p className="text-xs text-gray-500">Invitees sign in (or sign up) with the invited email and verify it to join.</p>
+      )}
+
+      {tenant.role === 'owner' && (
+        <fieldset className="text-sm text-gray-700">
+          <legend className="text-xs text-gray-600 mb-1">Who can read call transcripts</legend>
+          <div className="flex flex-wrap gap-4">
+            {ROLES.map(option => (
+              <label key={option} className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={tenant.transcriptRoles.includes(option)}
+                  disabled={busy || option === 'owner'} // Owners can always read them
+                  onChange={() => toggleTranscriptRole(option)}
+                  className="mr-1"
+                />
+                {ROLE_LABELS[option]}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      )}
+    </div>
+  );
+};
+
+export default TeamPanel;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { Tenant } from '../types';
+import { Building2 } from 'lucide-react';
+
+interface TenantSwitcherProps {
+  tenants: Tenant[];
+  selectedId: string | null;
+  onSelect: (tenantId: string) => void;
+}
+
+// Lets users who belong to several businesses choose whose calls they see
+const TenantSwitcher: React.FC<TenantSwitcherProps> = ({ tenants, selectedId, onSelect }) => {
+  if (tenants.length === 0) return null;
+
+  if (tenants.length === 1) {
+    return (
+      <span className="flex items-center text-sm font-medium text-gray-700">
+        <Building2 size={16} className="mr-1 text-indigo-600" />
+        {tenants[0].name}
+      </span>
+    );
+  }
+
+  return (
+    <label className="flex items-center text-sm text-gray-700">
+      <Building2 size={16} className="mr-1 text-indigo-600" />
+      <span className="sr-only">Business</span>
+      <select
+        value={selectedId ?? ''}
+        onChange={(e) => onSelect(e.target.value)}
+        className="border border-gray-300 rounded-lg py-1 px-2 bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      >
+        {tenants.map(tenant => (
+          <option key={tenant.id} value={tenant.id}>{tenant.name}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default TenantSwitcher;
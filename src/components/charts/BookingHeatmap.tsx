@@ -0,0 +1,56 @@
+import React from 'react';
+import { HeatmapCell, WEEKDAY_LABELS } from '../../callStats';
+
+interface BookingHeatmapProps {
+  cells: HeatmapCell[][]; // [weekday][hour], Sunday first
+}
+
+// When calls come in and how many of them book: shade is the booking rate, the number the call count
+const BookingHeatmap: React.FC<BookingHeatmapProps> = ({ cells }) => {
+  const hours = Array.from({ length: 24 }, (_, hour) => hour)
+    .filter(hour => cells.some(row => row[hour].calls > 0));
+  if (hours.length === 0) {
+    return <p className="text-center text-gray-500 py-4">No calls in this period.</p>;
+  }
+  // Business hours usually leave most of the day empty, so show only the hours with calls
+  const shown = Array.from({ length: hours[hours.length - 1] - hours[0] + 1 }, (_, index) => hours[0] + index);
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+        <thead>
+          <tr>
+            <th></th>
+            {shown.map(hour => <th key={hour} className="font-normal text-gray-500 w-8">{hour}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {WEEKDAY_LABELS.map((weekday, day) => (
+            <tr key={weekday}>
+              <th className="font-normal text-gray-500 pr-2 text-left">{weekday}</th>
+              {shown.map(hour => {
+                const { calls, booked } = cells[day][hour];
+                const rate = calls ? booked / calls : 0;
+                return (
+                  <td
+                    key={hour}
+                    title={calls ? `${weekday} ${hour}:00 - ${calls} calls, ${Math.round(rate * 100)}% booked` : undefined}
+                    className="w-8 h-7 text-center rounded"
+                    style={{
+                      backgroundColor: calls ? `rgba(79, 70, 229, ${0.15 + rate * 0.85})` : '#f3f4f6',
+                      color: rate > 0.5 ? 'white' : '#374151'
+                    }}
+                  >
+                    {calls || ''}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default BookingHeatmap;
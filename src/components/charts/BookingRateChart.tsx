@@ -0,0 +1,55 @@
+import React from 'react';
+import { Bar } from 'react-chartjs-2';
+import { Chart as ChartJS, BarElement, CategoryScale, LinearScale, Title, Tooltip, Legend } from 'chart.js';
+import { ChartData } from '../../types';
+
+ChartJS.register(BarElement, CategoryScale, LinearScale, Title, Tooltip, Legend);
+
+interface BookingRateChartProps {
+  data: ChartData | null;
+}
+
+// Percentage of calls that ended in a booking, per language
+const BookingRateChart: React.FC<BookingRateChartProps> = ({ data }) => {
+  if (!data || !data.labels || data.labels.length === 0) {
+    return <p className="text-center text-gray-500 py-4">No booking data available.</p>;
+  }
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: false,
+      },
+      title: {
+        display: true,
+        text: 'Booking Rate by Language',
+        font: {
+          size: 16,
+        },
+        padding: {
+          bottom: 20,
+        }
+      },
+      tooltip: {
+        callbacks: {
+          label: (context: { parsed: { y: number } }) => `${context.parsed.y}% booked`,
+        },
+      },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        max: 100,
+        ticks: {
+          callback: (value: string | number) => `${value}%`,
+        },
+      },
+    },
+  };
+
+  return <Bar options={options} data={data} />;
+};
+
+export default BookingRateChart;
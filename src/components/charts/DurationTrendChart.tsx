@@ -0,0 +1,57 @@
+import React from 'react';
+import { Line } from 'react-chartjs-2';
+import { Chart as ChartJS, LineElement, PointElement, CategoryScale, LinearScale, Title, Tooltip, Legend } from 'chart.js';
+
+ChartJS.register(LineElement, PointElement, CategoryScale, LinearScale, Title, Tooltip, Legend);
+
+interface DurationTrendChartProps {
+  labels: string[];
+  seconds: (number | null)[]; // Average per day; null leaves a gap
+}
+
+const DurationTrendChart: React.FC<DurationTrendChartProps> = ({ labels, seconds }) => {
+  if (seconds.every(value => value === null)) {
+    return <p className="text-center text-gray-500 py-4">No call duration data available.</p>;
+  }
+
+  const data = {
+    labels,
+    datasets: [{
+      label: 'Average duration (s)',
+      data: seconds,
+      borderColor: 'rgba(99, 102, 241, 1)',
+      backgroundColor: 'rgba(99, 102, 241, 0.3)',
+      spanGaps: true,
+      tension: 0.2,
+    }],
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top' as const,
+      },
+      title: {
+        display: true,
+        text: 'Average Call Duration',
+        font: {
+          size: 16,
+        },
+        padding: {
+          bottom: 20,
+        }
+      },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+      },
+    },
+  };
+
+  return <Line options={options} data={data} />;
+};
+
+export default DurationTrendChart;
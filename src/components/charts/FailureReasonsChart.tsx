@@ -0,0 +1,48 @@
+import React from 'react';
+import { Bar } from 'react-chartjs-2';
+import { Chart as ChartJS, BarElement, CategoryScale, LinearScale, Title, Tooltip, Legend } from 'chart.js';
+import { ChartData } from '../../types';
+
+ChartJS.register(BarElement, CategoryScale, LinearScale, Title, Tooltip, Legend);
+
+interface FailureReasonsChartProps {
+  data: ChartData | null;
+}
+
+const FailureReasonsChart: React.FC<FailureReasonsChartProps> = ({ data }) => {
+  if (!data || !data.labels || data.labels.length === 0) {
+    return <p className="text-center text-gray-500 py-4">No failures in this period.</p>;
+  }
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: false,
+      },
+      title: {
+        display: true,
+        text: 'Failure Reasons',
+        font: {
+          size: 16,
+        },
+        padding: {
+          bottom: 20,
+        }
+      },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        ticks: {
+          stepSize: 1,
+        },
+      },
+    },
+  };
+
+  return <Bar options={options} data={data} />;
+};
+
+export default FailureReasonsChart;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { Bar } from 'react-chartjs-2';
+import { Chart as ChartJS, BarElement, CategoryScale, LinearScale, Title, Tooltip, Legend } from 'chart.js';
+import { ChartData } from '../../types';
+
+ChartJS.register(BarElement, CategoryScale, LinearScale, Title, Tooltip, Legend);
+
+interface FunnelChartProps {
+  data: ChartData | null;
+}
+
+const FunnelChart: React.FC<FunnelChartProps> = ({ data }) => {
+  if (!data || !data.labels || data.datasets[0]?.data.every(d => d === 0)) {
+    return <p className="text-center text-gray-500 py-4">No funnel data available.</p>;
+  }
+
+  const calls = data.datasets[0].data[0];
+  const options = {
+    indexAxis: 'y' as const,
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: false,
+      },
+      title: {
+        display: true,
+        text: 'Booking Funnel',
+        font: {
+          size: 16,
+        },
+        padding: {
+          bottom: 20,
+        }
+      },
+      tooltip: {
+        callbacks: {
+          // Each stage as a share of the first
+          label: (context: { parsed: { x: number } }) =>
+            `${context.parsed.x} calls (${calls ? Math.round((context.parsed.x / calls) * 100) : 0}%)`,
+        },
+      },
+    },
+    scales: {
+      x: {
+        beginAtZero: true,
+        ticks: {
+          stepSize: 1,
+        },
+      },
+    },
+  };
+
+  return <Bar options={options} data={data} />;
+};
+
+export default FunnelChart;
@@ -0,0 +1,123 @@
+import { User } from 'firebase/auth';
+import {
+  arrayUnion, collection, collectionGroup, deleteDoc, doc, getDoc, getDocs, query, serverTimestamp,
+  setDoc, updateDoc, where, writeBatch
+} from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import { Invitation, Role, TeamMember, Tenant } from './types';
+
+// Businesses, members and invitations. firestore.rules enforces the same
+// permissions as the helpers below; these only decide what the UI offers.
+
+export const ROLES: Role[] = ['owner', 'manager', 'staff', 'viewer'];
+
+export const ROLE_LABELS: Record<Role, string> = {
+  owner: 'Owner',
+  manager: 'Manager',
+  staff: 'Staff',
+  viewer: 'Read-only'
+};
+
+// Who reads transcripts in a business that has not chosen (matches firestore.rules)
+export const DEFAULT_TRANSCRIPT_ROLES: Role[] = ['owner', 'manager', 'staff'];
+
+// Roles a member may give, change or take away: owners any, managers staff and read-only
+export const assignableRoles = (role: Role): Role[] => {
+  if (role === 'owner') return ROLES;
+  if (role === 'manager') return ['staff', 'viewer'];
+  return [];
+};
+
+// Without a business the user sees the calls addressed to them, transcripts included
+export const canSeeTranscripts = (tenant: Tenant | undefined) => !tenant || tenant.transcriptRoles.includes(tenant.role);
+
+/**
+ * Joins the businesses the user has been invited to. Invitations are matched by
+ * email, so they wait until the address is verified.
+ * @returns Number of businesses joined
+ */
+export const acceptInvitations = async (user: User): Promise<number> => {
+  if (!user.email || !user.emailVerified) return 0;
+  const email = user.email.toLowerCase();
+  const invitations = await getDocs(query(collectionGroup(db, 'invitations'), where('email', '==', email)));
+  let joined = 0;
+  for (const invitation of invitations.docs) {
+    const tenantId = invitation.ref.parent.parent?.id;
+    if (!tenantId) continue;
+    const member = doc(db, 'tenants', tenantId, 'members', user.uid);
+    const batch = writeBatch(db);
+    // Already a member: the invitation is spent, and roles are changed by owners and managers
+    if (!(await getDoc(member).catch(() => null))?.exists()) {
+      batch.set(member, { email, role: invitation.data().role, joinedAt: serverTimestamp() });
+      joined += 1;
+    }
+    batch.set(doc(db, 'users', user.uid), { tenantIds: arrayUnion(tenantId) }, { merge: true });
+    batch.delete(invitation.ref);
+    await batch.commit();
+  }
+  return joined;
+};
+
+/**
+ * Loads the businesses the user is a member of, with their role in each.
+ * Businesses they have since been removed from are left out.
+ */
+export const loadTenants = async (user: User): Promise<Tenant[]> => {
+  const profile = await getDoc(doc(db, 'users', user.uid));
+  const tenantIds: string[] = profile.exists() ? profile.data().tenantIds || [] : [];
+  const tenants = await Promise.all(tenantIds.map(async (id): Promise<Tenant | null> => {
+    try {
+      const membership = await getDoc(doc(db, 'tenants', id, 'members', user.uid));
+      if (!membership.exists()) return null;
+      const tenantDoc = await getDoc(doc(db, 'tenants', id));
+      const data = tenantDoc.exists() ? tenantDoc.data() : {};
+      return {
+        id,
+        name: data.name || id,
+        role: membership.data().role,
+        transcriptRoles: data.transcriptRoles || DEFAULT_TRANSCRIPT_ROLES
+      };
+    } catch (err) {
+      console.error(`Error loading business ${id}:`, err);
+      return null;
+    }
+  }));
+  return tenants.filter((tenant): tenant is Tenant => tenant !== null);
+};
+
+// Members of a business, owners first
+export const loadMembers = async (tenantId: string): Promise<TeamMember[]> => {
+  const snapshot = await getDocs(collection(db, 'tenants', tenantId, 'members'));
+  return snapshot.docs
+    .map(member => ({ uid: member.id, email: member.data().email || '', role: member.data().role as Role }))
+    .sort((a, b) => ROLES.indexOf(a.role) - ROLES.indexOf(b.role) || a.email.localeCompare(b.email));
+};
+
+// Pending invitations (only owners and managers may list them)
+export const loadInvitations = async (tenantId: string): Promise<Invitation[]> => {
+  const snapshot = await getDocs(collection(db, 'tenants', tenantId, 'invitations'));
+  return snapshot.docs.map(invitation => ({ email: invitation.id, role: invitation.data().role as Role }));
+};
+
+// Invites someone by email; inviting them again changes the role offered
+export const inviteMember = (tenantId: string, email: string, role: Role, invitedBy: User) => {
+  const address = email.trim().toLowerCase();
+  return setDoc(doc(db, 'tenants', tenantId, 'invitations', address), {
+    email: address,
+    role,
+    invitedBy: invitedBy.uid,
+    invitedAt: serverTimestamp()
+  });
+};
+
+export const cancelInvitation = (tenantId: string, email: string) =>
+  deleteDoc(doc(db, 'tenants', tenantId, 'invitations', email));
+
+export const changeRole = (tenantId: string, uid: string, role: Role) =>
+  updateDoc(doc(db, 'tenants', tenantId, 'members', uid), { role });
+
+export const removeMember = (tenantId: string, uid: string) =>
+  deleteDoc(doc(db, 'tenants', tenantId, 'members', uid));
+
+export const setTranscriptRoles = (tenantId: string, roles: Role[]) =>
+  updateDoc(doc(db, 'tenants', tenantId), { transcriptRoles: roles });
@@ -1,11 +1,66 @@
 export interface CallAnalytic {
   callId: string;
-  subscriberEmail: string;
+  tenantId?: string; // Business the call was for; missing on calls recorded before tenants existed, until backfilled
+  type?: 'reminderReply' | 'voicemail' | 'funnel'; // Set on records that are not calls (a reply to a reminder text, a voicemail left after a handoff, a funnel stage reached)
+  stage?: 'started' | 'customerFound' | 'dateParsed'; // Funnel stage, on `funnel` records
+  handoffReason?: 'requested' | 'negativeSentiment' | 'notUnderstood'; // Why the call was handed to staff, if it was
+  subscriberEmail?: string | null; // Removed when the record is anonymized
   timestamp: string; // Consider using Date type after fetching
   duration: number;
   sentiment: 'positive' | 'negative' | 'neutral';
   detectedLanguage: string;
-  transcript: string;
+  transcript?: string; // Redacted ([phone], [email], [name], ...); in `call_transcripts` for newer records (see hasTranscript)
+  id?: string; // Firestore document ID (the call log opens calls by it)
+  outcome?: CallOutcome; // Missing on records saved before the call log existed
+  appointmentBooked?: boolean;
+  appointmentRescheduled?: boolean;
+  appointmentCancelled?: boolean;
+  dateParser?: 'native' | 'translated' | null; // Set once a date/time was understood
+  failureReason?: string; // Human-readable, e.g. "Server error: ..."
+  failureCode?: FailureCode;
+  appointmentId?: string | number | null;
+  appointmentUrl?: string | null; // The appointment in the scheduler's back office
+  transcriptEnglish?: string | null; // Same turns in English; null when the call was in English
+  hasTranscript?: boolean; // The transcripts are in `call_transcripts/{id}`, readable by the roles allowed to
+  searchTokens?: string[]; // Folded words of both transcripts (see callLog.ts searchWords), kept with them
+  callerHash?: string | null; // Pseudonym of the caller's number, for deleting their records on request
+  anonymized?: boolean; // True once the retention period has passed and caller details were removed
+}
+
+// How a call ended, for filtering the call log
+export type CallOutcome = 'booked' | 'rescheduled' | 'cancelled' | 'handoff' | 'failed' | 'other';
+
+// Why a call failed, in a form the call log can filter on
+export type FailureCode = 'parsingFailed' | 'noUpcomingAppointment' | 'serverError';
+
+// One speaker-labelled turn of a transcript
+export interface TranscriptTurn {
+  speaker: string; // "Caller", "Receptionist", or '' for unlabelled text
+  text: string;
+}
+
+// A business the voice agent answers for (Firestore `tenants/{id}`)
+export interface Tenant {
+  id: string;
+  name: string;
+  role: Role; // The signed-in user's role in it
+  transcriptRoles: Role[]; // Roles allowed to read call transcripts
+}
+
+// What a member may do in a business (see firestore.rules)
+export type Role = 'owner' | 'manager' | 'staff' | 'viewer';
+
+// A member of a business (`tenants/{id}/members/{uid}`)
+export interface TeamMember {
+  uid: string;
+  email: string;
+  role: Role;
+}
+
+// Someone invited to join a business (`tenants/{id}/invitations/{email}`)
+export interface Invitation {
+  email: string; // Lowercase; also the document ID
+  role: Role;
 }
 
 export interface ChartData {
@@ -0,0 +1,110 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { readFileSync } from 'node:fs';
+import {
+  assertFails, assertSucceeds, initializeTestEnvironment
+} from '@firebase/rules-unit-testing';
+import {
+  collection, doc, getDoc, getDocs, orderBy, query, setDoc, Timestamp, where
+} from 'firebase/firestore';
+
+// firestore.rules against the Firestore emulator: npm run test:rules
+// (needs the Firebase CLI, which starts the emulator, and Java)
+
+let env;
+
+const call = (fields) => ({ timestamp: Timestamp.fromDate(new Date('2026-05-01T10:00:00Z')), outcome: 'booked', ...fields });
+
+// A user without memberships, signed in with a verified email
+const subscriber = () => env.authenticatedContext('sam', { email: 'sam@example.com', email_verified: true }).firestore();
+
+// The dashboard's query for calls addressed to an email (src/callLog.ts scopeConstraints)
+const addressedTo = (db, email) => query(
+  collection(db, 'call_analytics'),
+  where('tenantId', '==', 'default'),
+  where('subscriberEmail', '==', email),
+  orderBy('timestamp', 'desc')
+);
+
+before(async () => {
+  env = await initializeTestEnvironment({
+    projectId: 'demo-voice-agent',
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') }
+  });
+});
+
+after(() => env.cleanup());
+
+beforeEach(async () => {
+  await env.clearFirestore();
+  await env.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, 'tenants/acme'), { name: 'Acme' });
+    await setDoc(doc(db, 'tenants/acme/members/alex'), { email: 'alex@example.com', role: 'viewer' });
+    await setDoc(doc(db, 'tenants/acme/members/kai'), { email: 'kai@example.com', role: 'staff' });
+    await setDoc(doc(db, 'call_analytics/single'), call({ tenantId: 'default', subscriberEmail: 'sam@example.com' }));
+    await setDoc(doc(db, 'call_analytics/legacy'), call({ subscriberEmail: 'sam@example.com' }));
+    await setDoc(doc(db, 'call_analytics/acme'), call({ tenantId: 'acme', subscriberEmail: 'sam@example.com' }));
+    await setDoc(doc(db, 'call_transcripts/single'), { tenantId: 'default', subscriberEmail: 'sam@example.com', transcript: 'Caller: hi' });
+    await setDoc(doc(db, 'call_transcripts/acme'), call({ tenantId: 'acme', subscriberEmail: 'sam@example.com', transcript: 'Caller: hi', searchTokens: ['hi'] }));
+  });
+});
+
+describe('calls addressed to an email', () => {
+  test('lists the single-business calls addressed to the user', async () => {
+    await assertSucceeds(getDocs(addressedTo(subscriber(), 'sam@example.com')));
+  });
+
+  test('reads a call saved before businesses existed', async () => {
+    await assertSucceeds(getDoc(doc(subscriber(), 'call_analytics/legacy')));
+  });
+
+  test('reads the transcript of a single-business call', async () => {
+    await assertSucceeds(getDoc(doc(subscriber(), 'call_transcripts/single')));
+  });
+
+  test('refuses a query not limited to the single business', async () => {
+    const db = subscriber();
+    await assertFails(getDocs(query(collection(db, 'call_analytics'), where('subscriberEmail', '==', 'sam@example.com'))));
+  });
+
+  test("refuses another user's calls", async () => {
+    await assertFails(getDocs(addressedTo(subscriber(), 'kim@example.com')));
+  });
+
+  test('refuses an unverified email', async () => {
+    const db = env.authenticatedContext('sam', { email: 'sam@example.com', email_verified: false }).firestore();
+    await assertFails(getDocs(addressedTo(db, 'sam@example.com')));
+  });
+
+  test("refuses a business's calls to a user who is not a member", async () => {
+    await assertFails(getDoc(doc(subscriber(), 'call_analytics/acme')));
+    await assertFails(getDoc(doc(subscriber(), 'call_transcripts/acme')));
+  });
+});
+
+describe('calls of a business', () => {
+  const member = () => env.authenticatedContext('alex', { email: 'alex@example.com', email_verified: true }).firestore();
+
+  test('lists them for a member', async () => {
+    const db = member();
+    await assertSucceeds(getDocs(query(collection(db, 'call_analytics'), where('tenantId', '==', 'acme'), orderBy('timestamp', 'desc'))));
+  });
+
+  // The call log's transcript search (src/callLog.ts buildCallLogQuery)
+  const search = (db) => query(
+    collection(db, 'call_transcripts'),
+    where('tenantId', '==', 'acme'),
+    where('searchTokens', 'array-contains', 'hi'),
+    orderBy('timestamp', 'desc')
+  );
+
+  test('keeps transcripts and their search words from a viewer by default', async () => {
+    await assertFails(getDoc(doc(member(), 'call_transcripts/acme')));
+    await assertFails(getDocs(search(member())));
+  });
+
+  test('lets staff search transcripts', async () => {
+    const db = env.authenticatedContext('kai', { email: 'kai@example.com', email_verified: true }).firestore();
+    await assertSucceeds(getDocs(search(db)));
+  });
+});
@@ -1,97 +1,354 @@
+const crypto = require('crypto');
 const WebSocket = require('ws');
 const axios = require('axios');
 
-exports.handler = async (context, event, callback) => {
-  const joinUrl = event.joinUrl; // URL for the WebSocket connection (e.g., from Ultravox)
-  let transcript = '';
-  let detectedLanguage = 'en'; // Default language
-  let finalSentimentScore = 0; // Accumulate or track sentiment
-  let sentimentCount = 0;
+// Defaults for the stream limits; each can be overridden in the Function's environment
+const DEFAULTS = {
+  STREAM_CONNECT_TIMEOUT_MS: 5000, // Give up if the socket does not open in time
+  STREAM_IDLE_TIMEOUT_MS: 30000, // End the stream after this long without a message
+  STREAM_MAX_DURATION_MS: 600000, // Hard limit on the whole call
+  STREAM_MAX_RECONNECTS: 3, // Reconnect attempts after an unexpected close
+  STREAM_RECONNECT_DELAY_MS: 1000, // Wait before the first reconnect; doubles with each attempt, up to 8 times this
+  STREAM_MAX_MALFORMED: 5, // Unparseable messages tolerated before the stream is abandoned
+  VOICE_API_TIMEOUT_MS: 10000 // Per-turn request timeout for the express app
+};
 
-  console.log(`Attempting to connect WebSocket to: ${joinUrl}`);
-  const ws = new WebSocket(joinUrl);
+const SPEAKER = {
+  CALLER: 'caller',
+  AGENT: 'agent'
+};
 
-  ws.on('open', () => {
-    console.log('WebSocket connection opened.');
-    // You might need to send an initial message if the service requires it
-    // ws.send(JSON.stringify({ action: 'start', ... }));
-  });
+/**
+ * Reads a numeric setting from the Function context, falling back to DEFAULTS.
+ * @param {object} context - Twilio Function context
+ * @param {string} name - Setting name
+ * @returns {number}
+ */
+function setting(context, name) {
+  const value = Number(context[name]);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULTS[name];
+}
 
-  ws.on('message', async (data) => {
-    try {
-      const messageString = data.toString(); // Ensure data is a string
-      console.log('WebSocket message received:', messageString);
-      const response = JSON.parse(messageString);
+/**
+ * Builds a typed conversation turn.
+ * @param {string} speaker - SPEAKER.CALLER or SPEAKER.AGENT
+ * @param {string} text - What was said
+ * @param {string} language - Language code of the utterance
+ * @returns {{speaker: string, text: string, language: string, timestamp: string, sentiment: (object|null)}}
+ */
+function createTurn(speaker, text, language) {
+  return {
+    speaker,
+    text: text.trim(),
+    language,
+    timestamp: new Date().toISOString(),
+    sentiment: null // { score, label }, filled in for caller turns when analysis is available
+  };
+}
 
-      // Append to transcript (adjust based on actual response structure)
-      if (response.input) transcript += `Caller: ${response.input}\n`;
-      if (response.text) transcript += `Receptionist: ${response.text}\n`; // Assuming 'text' is the agent's response
+/**
+ * Maps a sentiment score (-1..1) to a label.
+ * @param {number} score - Sentiment score
+ * @returns {string} - 'positive', 'negative' or 'neutral'
+ */
+function sentimentLabel(score) {
+  if (score > 0.2) return 'positive'; // Adjust thresholds as needed
+  if (score < -0.2) return 'negative';
+  return 'neutral';
+}
 
-      // Update detected language if provided
-      if (response.detectedLanguage) {
-        detectedLanguage = response.detectedLanguage;
+/**
+ * Scores the sentiment of an utterance with the Google Natural Language API.
+ * @param {object} context - Twilio Function context (GOOGLE_API_KEY)
+ * @param {string} text - Utterance
+ * @returns {Promise<{score: number, label: string}|null>} - Sentiment, or null if unavailable
+ */
+async function analyzeSentiment(context, text) {
+  if (!context.GOOGLE_API_KEY) return null;
+  try {
+    const response = await axios.post(
+      `https://language.googleapis.com/v1/documents:analyzeSentiment?key=${context.GOOGLE_API_KEY}`, // Use API Key for Functions if not using Bearer token
+      {
+        document: { content: text, type: 'PLAIN_TEXT' },
+        encodingType: 'UTF8'
       }
+    );
+    const score = response.data?.documentSentiment?.score;
+    return typeof score === 'number' ? { score, label: sentimentLabel(score) } : null;
+  } catch (sentimentError) {
+    console.error('Error analyzing sentiment:', sentimentError.response ? sentimentError.response.data : sentimentError.message);
+    return null;
+  }
+}
+
+/**
+ * Turns raw WebSocket messages into complete utterances.
+ *
+ * Two message shapes are understood: Ultravox transcript events
+ * ({ type: 'transcript', role, text | delta, final, ordinal }), whose deltas
+ * are buffered until the utterance is final, and the flat shape
+ * ({ input, text, detectedLanguage }) where `input` is the caller and `text`
+ * the agent. Other event types (state changes, pongs, ...) carry no speech.
+ * @returns {{parse: function(string): {utterances: object[], language: (string|undefined)}}}
+ */
+function createMessageParser() {
+  const pending = new Map(); // Partial Ultravox utterances by ordinal
 
-      // Perform sentiment analysis on user input if available
-      if (response.input && context.GOOGLE_API_KEY) {
-        try {
-          const sentimentResponse = await axios.post(
-            `https://language.googleapis.com/v1/documents:analyzeSentiment?key=${context.GOOGLE_API_KEY}`, // Use API Key for Functions if not using Bearer token
-            {
-              document: { content: response.input, type: 'PLAIN_TEXT' },
-              encodingType: 'UTF8'
-            }
-            // If using Bearer token (e.g., from gcloud auth print-access-token):
-            // { headers: { Authorization: `Bearer ${context.GOOGLE_ACCESS_TOKEN}` } }
-          );
-          if (sentimentResponse.data && sentimentResponse.data.documentSentiment) {
-             console.log('Sentiment score:', sentimentResponse.data.documentSentiment.score);
-             finalSentimentScore += sentimentResponse.data.documentSentiment.score;
-             sentimentCount++;
+  return {
+    /**
+     * @param {string} raw - Message text
+     * @returns {{utterances: Array<{speaker: string, text: string}>, language: (string|undefined)}}
+     * @throws {SyntaxError} - If the message is not a JSON object; the error never quotes the message
+     */
+    parse(raw) {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch {
+        throw new SyntaxError('Message is not valid JSON'); // JSON.parse's own message quotes the text
+      }
+      if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        throw new SyntaxError('Message is not a JSON object');
+      }
+      const language = message.detectedLanguage || message.language;
+      const utterances = [];
+
+      if (message.type === 'transcript') {
+        const key = message.ordinal ?? message.role;
+        const text = message.text ?? `${pending.get(key) || ''}${message.delta || ''}`;
+        if (message.final) {
+          pending.delete(key);
+          if (text.trim()) {
+            utterances.push({ speaker: message.role === 'user' ? SPEAKER.CALLER : SPEAKER.AGENT, text });
           }
-        } catch (sentimentError) {
-          console.error('Error analyzing sentiment:', sentimentError.response ? sentimentError.response.data : sentimentError.message);
-          // Decide how to handle sentiment error (e.g., default to neutral)
+        } else {
+          pending.set(key, text);
         }
+      } else if (!message.type) {
+        if (message.input) utterances.push({ speaker: SPEAKER.CALLER, text: message.input });
+        if (message.text) utterances.push({ speaker: SPEAKER.AGENT, text: message.text });
       }
-    } catch (parseError) {
-      console.error('Error parsing WebSocket message:', parseError);
-      console.error('Received data:', data.toString()); // Log the raw data
+      return { utterances, language };
     }
-  });
-
-  ws.on('error', (error) => {
-    console.error('WebSocket error:', error);
-    // Decide if the function should terminate with an error
-    // callback(error); // This might terminate the function prematurely
-  });
-
-  ws.on('close', (code, reason) => {
-    console.log(`WebSocket connection closed. Code: ${code}, Reason: ${reason ? reason.toString() : 'N/A'}`);
-
-    // Determine final sentiment category
-    let sentiment = 'neutral';
-    if (sentimentCount > 0) {
-        const avgScore = finalSentimentScore / sentimentCount;
-        if (avgScore > 0.2) sentiment = 'positive'; // Adjust thresholds as needed
-        else if (avgScore < -0.2) sentiment = 'negative';
+  };
+}
+
+/**
+ * Renders turns as the plain-text transcript the express app stores.
+ * @param {object[]} turns - Conversation turns
+ * @returns {string}
+ */
+function formatTranscript(turns) {
+  return turns.map(turn => `${turn.speaker === SPEAKER.CALLER ? 'Caller' : 'Receptionist'}: ${turn.text}\n`).join('');
+}
+
+/**
+ * Averages the caller turns' sentiment into one label for the call.
+ * @param {object[]} turns - Conversation turns
+ * @returns {string} - 'positive', 'negative' or 'neutral'
+ */
+function overallSentiment(turns) {
+  const scores = turns.filter(turn => turn.sentiment).map(turn => turn.sentiment.score);
+  if (scores.length === 0) return 'neutral';
+  return sentimentLabel(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+}
+
+exports.handler = async (context, event, callback) => {
+  const joinUrl = event.joinUrl; // URL for the WebSocket connection (e.g., from Ultravox)
+  const voiceApiUrl = context.VOICE_API_URL; // Express app base URL, e.g., https://api.yourdomain.com
+  const turns = [];
+  let detectedLanguage = 'en'; // Default language
+  let languageReported = false; // Whether the stream has told us the language (otherwise the express app detects it)
+  let lastResult = null; // Latest /voice response (dialogueState, intent, action)
+  let malformed = 0;
+  let reconnects = 0;
+  let finished = false;
+  let ws;
+  let idleTimer;
+  let connectTimer;
+  // Turns are processed one at a time so they reach the express app in order
+  let queue = Promise.resolve();
+
+  const durationTimer = setTimeout(() => finish('max_duration'), setting(context, 'STREAM_MAX_DURATION_MS'));
+
+  if (!voiceApiUrl) {
+    console.warn('VOICE_API_URL not set. Turns will not be forwarded during the call.');
+  }
+
+  /**
+   * Sends a caller turn to /voice so the booking can progress mid-call.
+   * @param {object} turn - Caller turn
+   */
+  async function forwardTurn(turn) {
+    if (!voiceApiUrl) return;
+    const body = JSON.stringify({
+      caller_id: event.From || event.caller_id,
+      call_id: event.CallSid || event.call_id,
+      called_number: event.To || event.called_number, // Picks the tenant
+      turn_id: String(turns.indexOf(turn)), // Lets /voice recognize a retried turn
+      ultravox_transcription: turn.text,
+      interaction_result: {
+        transcript: formatTranscript(turns),
+        detectedLanguage: languageReported ? turn.language : undefined,
+        sentiment: turn.sentiment?.label || 'neutral'
+      }
+    });
+    const headers = { 'Content-Type': 'application/json' };
+    if (context.WEBHOOK_SHARED_SECRET) {
+      // Same scheme the express app verifies: HMAC-SHA256 of "<timestamp>.<body>"
+      const timestamp = Math.floor(Date.now() / 1000);
+      headers['X-Signature-Timestamp'] = String(timestamp);
+      headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', context.WEBHOOK_SHARED_SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+    }
+    try {
+      const response = await axios.post(`${voiceApiUrl}/voice`, body, { headers, timeout: setting(context, 'VOICE_API_TIMEOUT_MS') });
+      lastResult = response.data;
+      console.log(`Turn forwarded: dialogueState=${lastResult.dialogueState}, intent=${lastResult.intent}${lastResult.action ? `, action=${lastResult.action}` : ''}`);
+    } catch (forwardError) {
+      console.error('Error forwarding turn to /voice:', forwardError.response ? forwardError.response.data : forwardError.message);
+      return;
+    }
+    if (lastResult.action === 'handoff' && lastResult.handoff?.twiml) {
+      await transferCall(lastResult.handoff);
     }
+  }
 
-    // Extract the last agent response (simple approach, might need refinement)
-    const lastAgentResponse = transcript.trim().split('\nReceptionist: ').pop().split('\n')[0];
+  /**
+   * Hands the live call to staff: replaces the call's TwiML with the transfer
+   * /voice returned (ring the staff queue, then voicemail) and ends the stream.
+   * Without a Twilio client the TwiML is still returned in lastResult for the
+   * calling flow to run.
+   * @param {{reason: string, twiml: string}} handoff - Handoff from /voice
+   */
+  async function transferCall(handoff) {
+    const callSid = event.CallSid || event.call_id;
+    if (callSid && typeof context.getTwilioClient === 'function') {
+      try {
+        await context.getTwilioClient().calls(callSid).update({ twiml: handoff.twiml });
+        console.log(`Call ${callSid} transferred to staff (${handoff.reason}).`);
+      } catch (transferError) {
+        console.error('Error transferring call:', transferError.message);
+      }
+    }
+    finish('handoff'); // Not awaited: finish waits for the turn queue this call is part of
+  }
+
+  /**
+   * Records an utterance as a turn and, for the caller, scores and forwards it.
+   * @param {{speaker: string, text: string}} utterance
+   */
+  async function handleUtterance({ speaker, text }) {
+    const turn = createTurn(speaker, text, detectedLanguage);
+    if (speaker === SPEAKER.CALLER) {
+      turn.sentiment = await analyzeSentiment(context, turn.text);
+    }
+    turns.push(turn);
+    // What was said is left out of the log: it can hold the caller's personal details
+    console.log(`Turn: ${turn.speaker}, ${turn.text.length} characters${turn.sentiment ? `, sentiment ${turn.sentiment.label}` : ''}`);
+    if (speaker === SPEAKER.CALLER) {
+      await forwardTurn(turn);
+    }
+  }
+
+  /**
+   * Ends the stream once and returns the call summary.
+   * @param {string} endReason - Why the stream ended (e.g., 'closed', 'idle_timeout', 'malformed_messages')
+   */
+  async function finish(endReason) {
+    if (finished) return;
+    finished = true;
+    clearTimeout(idleTimer);
+    clearTimeout(connectTimer);
+    clearTimeout(durationTimer);
+    if (ws && ws.readyState !== WebSocket.CLOSED) ws.terminate();
+    await queue;
 
-    console.log('Final Transcript:', transcript);
-    console.log('Final Sentiment:', sentiment);
-    console.log('Detected Language:', detectedLanguage);
+    const lastAgentTurn = [...turns].reverse().find(turn => turn.speaker === SPEAKER.AGENT);
+    const sentiment = overallSentiment(turns);
+    console.log(`Stream finished (${endReason}): ${turns.length} turns, sentiment ${sentiment}, language ${detectedLanguage}`);
 
-    // Return the results via callback
     // IMPORTANT: Structure this payload based on how the calling service (e.g., Twilio Studio) expects it.
     callback(null, {
-        text: lastAgentResponse, // Or maybe the full transcript is needed elsewhere?
-        transcript: transcript,
-        sentiment: sentiment,
-        detectedLanguage: detectedLanguage
-        // Add any other relevant data needed by the next step in your flow
+      text: lastAgentTurn ? lastAgentTurn.text : '',
+      transcript: formatTranscript(turns),
+      turns,
+      sentiment,
+      detectedLanguage,
+      lastResult,
+      endReason
+    });
+  }
+
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => finish('idle_timeout'), setting(context, 'STREAM_IDLE_TIMEOUT_MS'));
+  };
+
+  function connect() {
+    console.log(`Attempting to connect WebSocket to: ${joinUrl}${reconnects ? ` (reconnect ${reconnects})` : ''}`);
+    const parser = createMessageParser();
+    ws = new WebSocket(joinUrl);
+    connectTimer = setTimeout(() => {
+      console.error('WebSocket connection timed out.');
+      ws.terminate(); // Triggers 'close', which decides whether to retry
+    }, setting(context, 'STREAM_CONNECT_TIMEOUT_MS'));
+
+    ws.on('open', () => {
+      clearTimeout(connectTimer);
+      console.log('WebSocket connection opened.');
+      resetIdleTimer();
+    });
+
+    ws.on('message', (data, isBinary) => {
+      resetIdleTimer();
+      if (isBinary) return; // Audio frames carry no transcript
+
+      let parsed;
+      try {
+        parsed = parser.parse(data.toString());
+      } catch (parseError) {
+        malformed++;
+        // Only its size: the message may hold what the caller said
+        console.error(`Malformed WebSocket message (${malformed}/${setting(context, 'STREAM_MAX_MALFORMED')}, ${data.length} bytes):`, parseError.message);
+        if (malformed > setting(context, 'STREAM_MAX_MALFORMED')) {
+          finish('malformed_messages');
+        }
+        return;
+      }
+
+      if (parsed.language) {
+        detectedLanguage = parsed.language;
+        languageReported = true;
+      }
+      for (const utterance of parsed.utterances) {
+        // A turn that fails is logged and dropped, so the queue (and finish) go on
+        queue = queue.then(() => handleUtterance(utterance))
+          .catch(turnError => console.error('Error handling turn:', turnError.message));
+      }
+    });
+
+    ws.on('error', (error) => {
+      console.error('WebSocket error:', error.message);
+      // 'close' follows and decides whether to reconnect
+    });
+
+    ws.on('close', (code, reason) => {
+      clearTimeout(connectTimer);
+      console.log(`WebSocket connection closed. Code: ${code}, Reason: ${reason ? reason.toString() : 'N/A'}`);
+      if (finished) return;
+      // 1000 is a normal hang-up; anything else is worth another try
+      if (code !== 1000 && reconnects < setting(context, 'STREAM_MAX_RECONNECTS')) {
+        reconnects++;
+        const delay = Math.min(2 ** (reconnects - 1), 8) * setting(context, 'STREAM_RECONNECT_DELAY_MS');
+        console.log(`Reconnecting in ${delay}ms...`);
+        setTimeout(() => { if (!finished) connect(); }, delay);
+        return;
+      }
+      finish(code === 1000 ? 'closed' : 'connection_lost');
     });
-  });
+  }
+
+  connect();
 };
+
+exports.createMessageParser = createMessageParser; // For tests; Twilio only calls the handler
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WebSocketServer } = require('ws');
+const { handler, createMessageParser } = require('../stream');
+
+// Quiet, observable console for one test
+function captureConsole(t) {
+  const lines = [];
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, (...args) => lines.push(args.join(' ')));
+  }
+  return lines;
+}
+
+/**
+ * Runs the stream function against a local WebSocket server standing in for Ultravox.
+ * @param {object} t - Test context (the server is closed after the test)
+ * @param {object} settings - Function context (stream limits)
+ * @param {function(object, number): void} onConnection - Plays a connection: (socket, connection number)
+ * @returns {Promise<object>} - The summary the function returned
+ */
+async function runStream(t, settings, onConnection) {
+  const server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => new Promise(resolve => {
+    server.clients.forEach(client => client.terminate());
+    server.close(() => resolve());
+  }));
+  let connections = 0;
+  server.on('connection', socket => onConnection(socket, ++connections));
+  const summary = await new Promise((resolve, reject) => {
+    handler(settings, { joinUrl: `ws://127.0.0.1:${server.address().port}` }, (error, result) => (error ? reject(error) : resolve(result)));
+  });
+  return { ...summary, connections };
+}
+
+const transcript = (role, ordinal, fields) => JSON.stringify({ type: 'transcript', role, ordinal, ...fields });
+
+test('the parser buffers Ultravox deltas until the utterance is final', () => {
+  const parser = createMessageParser();
+  assert.deepEqual(parser.parse(transcript('user', 1, { delta: 'I need ', final: false })), { utterances: [], language: undefined });
+  assert.deepEqual(parser.parse(transcript('agent', 2, { delta: 'Sure', final: false })).utterances, []);
+  assert.deepEqual(parser.parse(transcript('user', 1, { delta: 'a cleaning', final: false, language: 'en' })).language, 'en');
+  assert.deepEqual(parser.parse(transcript('user', 1, { final: true })).utterances, [{ speaker: 'caller', text: 'I need a cleaning' }]);
+  assert.deepEqual(parser.parse(transcript('agent', 2, { text: 'Sure, when?', final: true })).utterances, [{ speaker: 'agent', text: 'Sure, when?' }]);
+  assert.deepEqual(parser.parse(transcript('user', 3, { delta: '  ', final: true })).utterances, []); // Nothing said
+});
+
+test('the parser reads the flat shape and ignores other events', () => {
+  const parser = createMessageParser();
+  assert.deepEqual(parser.parse(JSON.stringify({ input: 'Hola', text: '¿En qué puedo ayudarle?', detectedLanguage: 'es' })), {
+    utterances: [{ speaker: 'caller', text: 'Hola' }, { speaker: 'agent', text: '¿En qué puedo ayudarle?' }],
+    language: 'es'
+  });
+  assert.deepEqual(parser.parse(JSON.stringify({ type: 'state', state: 'listening' })).utterances, []);
+});
+
+test('the parser rejects what is not a JSON object without quoting it', () => {
+  const parser = createMessageParser();
+  assert.throws(() => parser.parse('my card is 4111'), error => error instanceof SyntaxError && !error.message.includes('4111'));
+  assert.throws(() => parser.parse('["a list"]'), { name: 'SyntaxError', message: 'Message is not a JSON object' });
+});
+
+test('turns are collected until the call hangs up', async (t) => {
+  captureConsole(t);
+  const summary = await runStream(t, {}, socket => {
+    socket.send(Buffer.alloc(160), { binary: true }); // Audio
+    socket.send(transcript('agent', 1, { text: 'How can I help?', final: true }));
+    socket.send(transcript('user', 2, { text: 'Tomorrow at 3pm', final: true, language: 'en' }));
+    setTimeout(() => socket.close(1000), 20);
+  });
+  assert.equal(summary.endReason, 'closed');
+  assert.deepEqual(summary.turns.map(turn => [turn.speaker, turn.text]), [['agent', 'How can I help?'], ['caller', 'Tomorrow at 3pm']]);
+  assert.equal(summary.transcript, 'Receptionist: How can I help?\nCaller: Tomorrow at 3pm\n');
+  assert.equal(summary.text, 'How can I help?');
+});
+
+test('a few malformed messages are tolerated and logged without their content', async (t) => {
+  const lines = captureConsole(t);
+  const summary = await runStream(t, { STREAM_MAX_MALFORMED: 2 }, socket => {
+    socket.send('call me on 555 0100');
+    socket.send('{"broken"');
+    socket.send(transcript('user', 1, { text: 'Still here', final: true }));
+    setTimeout(() => socket.close(1000), 20);
+  });
+  assert.equal(summary.endReason, 'closed');
+  assert.equal(summary.turns.length, 1);
+  const malformed = lines.filter(line => line.startsWith('Malformed'));
+  assert.deepEqual(malformed, [
+    'Malformed WebSocket message (1/2, 19 bytes): Message is not valid JSON',
+    'Malformed WebSocket message (2/2, 9 bytes): Message is not valid JSON'
+  ]);
+});
+
+test('a turn that fails is logged and the call still ends with the rest', async (t) => {
+  const lines = captureConsole(t);
+  const summary = await runStream(t, {}, socket => {
+    socket.send(JSON.stringify({ input: 42 })); // Not text
+    socket.send(transcript('user', 1, { text: 'Still here', final: true }));
+    setTimeout(() => socket.close(1000), 20);
+  });
+  assert.equal(summary.endReason, 'closed');
+  assert.deepEqual(summary.turns.map(turn => turn.text), ['Still here']);
+  assert.equal(lines.filter(line => line.startsWith('Error handling turn:')).length, 1);
+});
+
+test('the stream is abandoned after more malformed messages than allowed', async (t) => {
+  captureConsole(t);
+  const summary = await runStream(t, { STREAM_MAX_MALFORMED: 1 }, socket => {
+    socket.send('one');
+    socket.send('two');
+  });
+  assert.equal(summary.endReason, 'malformed_messages');
+});
+
+test('a dropped connection is retried with a doubling delay', async (t) => {
+  const lines = captureConsole(t);
+  const summary = await runStream(t, { STREAM_MAX_RECONNECTS: 2, STREAM_RECONNECT_DELAY_MS: 10 }, socket => socket.close(1011));
+  assert.equal(summary.endReason, 'connection_lost');
+  assert.equal(summary.connections, 3);
+  assert.deepEqual(lines.filter(line => line.startsWith('Reconnecting')), ['Reconnecting in 10ms...', 'Reconnecting in 20ms...']);
+});
+
+test('turns heard before a reconnect are kept', async (t) => {
+  captureConsole(t);
+  const summary = await runStream(t, { STREAM_RECONNECT_DELAY_MS: 10 }, (socket, connection) => {
+    socket.send(transcript('user', 1, { text: connection === 1 ? 'Hello' : 'Are you there?', final: true }));
+    setTimeout(() => (connection === 1 ? socket.terminate() : socket.close(1000)), 20); // Dropped, then hung up
+  });
+  assert.equal(summary.endReason, 'closed');
+  assert.deepEqual(summary.turns.map(turn => turn.text), ['Hello', 'Are you there?']);
+});
+
+test('a silent stream ends after the idle timeout', async (t) => {
+  captureConsole(t);
+  const summary = await runStream(t, { STREAM_IDLE_TIMEOUT_MS: 50 }, () => {});
+  assert.equal(summary.endReason, 'idle_timeout');
+});
+
+test('a busy stream still ends at the maximum duration', async (t) => {
+  captureConsole(t);
+  const summary = await runStream(t, { STREAM_IDLE_TIMEOUT_MS: 200, STREAM_MAX_DURATION_MS: 400 }, socket => {
+    const chatter = setInterval(() => socket.send(JSON.stringify({ type: 'state', state: 'listening' })), 20);
+    socket.on('close', () => clearInterval(chatter));
+  });
+  assert.equal(summary.endReason, 'max_duration');
+});